@@ -7,6 +7,8 @@
  *
  */
 
+import fs from "fs";
+import { builtinModules } from "module";
 import babel from "@rollup/plugin-babel";
 import filesize from "rollup-plugin-filesize";
 import json from "@rollup/plugin-json";
@@ -15,9 +17,11 @@ import { terser } from "rollup-plugin-terser";
 import { nodeResolve } from "@rollup/plugin-node-resolve";
 import commonjs from "@rollup/plugin-commonjs";
 
+const pkg = JSON.parse(fs.readFileSync("package.json", "utf8"));
+
 const plugins = [
   commonjs(),
-  nodeResolve(),
+  nodeResolve({ preferBuiltins: true }),
   babel({
     exclude: "node_modules/**",
     babelHelpers: "bundled",
@@ -28,11 +32,115 @@ const plugins = [
   sourcemaps(),
 ];
 
+// module builds take their entries from the `exports` map, whose
+// dist/esm/<path>.mjs builds src/js/<path>.js
+const entries = Object.values(pkg.exports)
+  .filter((entry) => entry.import)
+  .map((entry) =>
+    entry.import.replace(/^\.\/dist\/esm\/(.*)\.mjs$/, "src/js/$1.js"),
+  );
+
+// dependencies stay imports of the package, for the application's bundler
+const external = [
+  ...Object.keys(pkg.dependencies).map((name) => new RegExp(`^${name}(/|$)`)),
+  ...builtinModules.map((name) => new RegExp(`^${name}$`)),
+];
+
+/**
+ * Babel plugin marking endpoint definitions,
+ * `export const quote = _endpoint({ ... })`, as pure, so that bundlers
+ * leave out the endpoints which are not imported
+ */
+const pureEndpoints = ({ types }) => ({
+  visitor: {
+    ExportNamedDeclaration({ node }) {
+      const { declaration } = node;
+      if (!types.isVariableDeclaration(declaration)) return;
+      declaration.declarations.forEach(({ init }) => {
+        if (
+          types.isCallExpression(init) &&
+          types.isIdentifier(init.callee) &&
+          init.callee.name.startsWith("_")
+        ) {
+          types.addComment(init, "leading", "#__PURE__");
+        }
+      });
+    },
+  },
+});
+
+const modulePlugins = [
+  nodeResolve({ preferBuiltins: true }),
+  json({ preferConst: true }),
+  babel({
+    exclude: "node_modules/**",
+    // a shared helpers module would be emitted as _virtual/*.js
+    babelHelpers: "inline",
+    babelrc: false,
+    configFile: false,
+    presets: [["@babel/env", { targets: { esmodules: true }, bugfixes: true }]],
+    plugins: [
+      "@babel/plugin-proposal-class-properties",
+      "@babel/plugin-proposal-object-rest-spread",
+      pureEndpoints,
+    ],
+  }),
+];
+
+// the CDN build for <script> tags, on the browser's own fetch and EventSource,
+// with the Node-only modules mapped to empty ones by `browser` in package.json
+const browser = {
+  input: "src/js/index.js",
+  output: {
+    file: "dist/browser/iexjs.js",
+    format: "umd",
+    name: "iexjs",
+    exports: "named",
+    sourcemap: true,
+  },
+  plugins: [
+    nodeResolve({ browser: true, preferBuiltins: false }),
+    commonjs(),
+    json({ preferConst: true }),
+    babel({
+      exclude: "node_modules/**",
+      babelHelpers: "bundled",
+      babelrc: false,
+      configFile: false,
+      presets: [
+        ["@babel/env", { targets: { esmodules: true }, bugfixes: true }],
+      ],
+      plugins: [
+        "@babel/plugin-proposal-class-properties",
+        "@babel/plugin-proposal-object-rest-spread",
+      ],
+    }),
+    filesize(),
+    terser(),
+    sourcemaps(),
+  ],
+};
+
+const modules = (format, dir, extension) => ({
+  input: entries,
+  external,
+  output: {
+    dir,
+    format,
+    exports: "named",
+    sourcemap: true,
+    preserveModules: true,
+    preserveModulesRoot: "src/js",
+    entryFileNames: `[name].${extension}`,
+  },
+  plugins: modulePlugins,
+});
+
 export default (args) => {
   const watch = !!args.watch;
   return [
     {
-      input: "src/js/index.js",
+      input: "src/js/bundle.js",
       output: {
         sourcemap: true,
         file: "dist/umd/iexjs.js",
@@ -43,7 +151,7 @@ export default (args) => {
       },
     },
     {
-      input: "src/js/index.js",
+      input: "src/js/bundle.js",
       output: {
         sourcemap: true,
         format: "cjs",
@@ -54,5 +162,8 @@ export default (args) => {
         clearScreen: false,
       },
     },
+    browser,
+    modules("es", "dist/esm", "mjs"),
+    modules("cjs", "dist/cjs", "js"),
   ];
 };
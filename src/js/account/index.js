@@ -7,14 +7,8 @@
  *
  */
 
-import {
-  _USAGE_TYPES,
-  IEXJSException,
-  _getJson,
-  _postJson,
-  _requireSecret,
-} from "../common";
-import { Client } from "../client";
+import { _USAGE_TYPES, ValidationError } from "../common";
+import { _endpoint } from "../registry";
 
 /**
  * Used to set an upper limit, “message budget”, on pay as you go messages where
@@ -28,18 +22,15 @@ import { Client } from "../client";
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const messageBudget = (totalMessages, token, version) => {
-  _requireSecret(token);
-  return _postJson({
-    url: `account/messagebudget?totalMessages=${totalMessages}`,
-    token,
-    version,
-  });
-};
-
-Client.prototype.messageBudget = function (totalMessages) {
-  return messageBudget(totalMessages, this._token, this._version);
-};
+export const messageBudget = _endpoint({
+  name: "messageBudget",
+  args: [{ name: "totalMessages", type: "number" }],
+  method: "POST",
+  secret: true,
+  url: "account/messagebudget",
+  query: ["totalMessages"],
+  docs: "https://iexcloud.io/docs/api/#message-budget",
+});
 
 /**
  * Used to retrieve account details such as current tier, payment status, message quote usage, etc.
@@ -47,18 +38,13 @@ Client.prototype.messageBudget = function (totalMessages) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const metadata = (token, version) => {
-  _requireSecret(token);
-  return _getJson({
-    url: "account/metadata",
-    token,
-    version,
-  });
-};
-
-Client.prototype.metadata = function () {
-  return metadata(this._token, this._version);
-};
+export const metadata = _endpoint({
+  name: "metadata",
+  secret: true,
+  filter: false,
+  url: "account/metadata",
+  docs: "https://iexcloud.io/docs/api/#metadata",
+});
 
 /**
  * Used to toggle Pay-as-you-go on your account.
@@ -67,23 +53,22 @@ Client.prototype.metadata = function () {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const payAsYouGo = (allow = false, token = "", version = "") => {
-  _requireSecret(token);
-  if (!(typeof allow === "boolean")) {
-    throw IEXJSException(
-      `allow must be boolean, got ${typeof allow} (${allow})`,
-    );
-  }
-  return _postJson({
-    url: `account/messagebudget?allow=${allow}`,
-    token,
-    version,
-  });
-};
-
-Client.prototype.payAsYouGo = function (allow) {
-  return metadata(allow, this._token, this._version);
-};
+export const payAsYouGo = _endpoint({
+  name: "payAsYouGo",
+  args: [{ name: "allow", type: "boolean", default: false }],
+  method: "POST",
+  secret: true,
+  validate: ({ allow }) => {
+    if (!(typeof allow === "boolean")) {
+      throw new ValidationError(
+        `allow must be boolean, got ${typeof allow} (${allow})`,
+      );
+    }
+  },
+  url: "account/payasyougo",
+  query: ["allow"],
+  docs: "https://iexcloud.io/docs/api/#pay-as-you-go",
+});
 
 /**
  * Used to retrieve current month usage for your account.
@@ -92,25 +77,11 @@ Client.prototype.payAsYouGo = function (allow) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const usage = (type, token = "", version = "") => {
-  _requireSecret(token);
-  if (type) {
-    if (_USAGE_TYPES.indexOf(type) < 0) {
-      throw IEXJSException(`Type must be defined or in ${_USAGE_TYPES}`);
-    }
-    return _getJson({
-      url: `account/usage/${type}`,
-      token,
-      version,
-    });
-  }
-  return _getJson({
-    url: `account/usage`,
-    token,
-    version,
-  });
-};
-
-Client.prototype.usage = function (type) {
-  return usage(type, this._token, this._version);
-};
+export const usage = _endpoint({
+  name: "usage",
+  args: [{ name: "type", values: _USAGE_TYPES }],
+  secret: true,
+  filter: false,
+  url: "account/usage/{type?}",
+  docs: "https://iexcloud.io/docs/api/#usage",
+});
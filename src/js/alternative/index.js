@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson, _raiseIfNotStr, _strOrDate } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * This endpoint provides social sentiment data from StockTwits. Data can be viewed as a daily value, or by minute for a given date.
@@ -22,32 +21,16 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const sentiment = (symbol, type, date, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (date) {
-    return _getJson({
-      url: `stock/${symbol}/sentiment/${type}/${_strOrDate(date)}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stock/${symbol}/sentiment/${type}/`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.sentiment = function (
-  symbol,
-  type = "daily",
-  date = null,
-  filter,
-) {
-  return sentiment(symbol, type, date, this._token, this._version, filter);
-};
+export const sentiment = _endpoint({
+  name: "sentiment",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "type", default: "daily", values: ["daily", "minute"] },
+    { name: "date", type: "date" },
+  ],
+  url: "stock/{symbol}/sentiment/{type}/{date?}",
+  docs: "https://iexcloud.io/docs/api/#social-sentiment",
+});
 
 /**
  * This endpoint provides CEO compensation for a company by symbol.
@@ -59,16 +42,9 @@ Client.prototype.sentiment = function (
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const ceoCompensation = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${symbol}/ceo-compensation/`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.ceoCompensation = function (symbol, filter) {
-  return ceoCompensation(symbol, this._token, this._version, filter);
-};
+export const ceoCompensation = _endpoint({
+  name: "ceoCompensation",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/ceo-compensation",
+  docs: "https://iexcloud.io/docs/api/#ceo-compensation",
+});
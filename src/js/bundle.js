@@ -0,0 +1,14 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// entry of the single-file UMD and CommonJS bundles, whose async functions
+// babel compiles for the regenerator runtime
+import "regenerator-runtime/runtime";
+
+export * from "./index";
@@ -0,0 +1,241 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+/* eslint-disable max-classes-per-file */
+
+import http from "http";
+import https from "https";
+import tls from "tls";
+
+import { _env } from "./credentials";
+import { NetworkError, ValidationError } from "./exception";
+
+/**
+ * Whether `NO_PROXY`-style `list` exempts a host from proxying. Entries are
+ * comma or space separated hosts or domain suffixes, optionally with a
+ * port, e.g. "localhost,.internal,10.0.0.1:8080", or "*" for every host.
+ * @param {URL} url request url
+ * @param {string} list
+ * @returns {boolean}
+ */
+export const _noProxy = (url, list) => {
+  if (!list) return false;
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === "https:" ? "443" : "80");
+  return list
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === "*") return true;
+      const [host, entryPort] = entry.toLowerCase().split(":");
+      if (entryPort && entryPort !== port) return false;
+      const domain = host.replace(/^\*?\./, "");
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+};
+
+/**
+ * Proxy to use for a request url from the HTTPS_PROXY/HTTP_PROXY and
+ * NO_PROXY environment variables, upper or lower case
+ * @param {URL} url request url
+ * @returns {string|null}
+ */
+export const _proxyFromEnv = (url) => {
+  const env = _env();
+  if (_noProxy(url, env.NO_PROXY || env.no_proxy)) return null;
+  const plain = env.HTTP_PROXY || env.http_proxy;
+  if (url.protocol === "https:") {
+    return env.HTTPS_PROXY || env.https_proxy || plain || null;
+  }
+  return plain || null;
+};
+
+/**
+ * Open a tunnel to `options.host`/`options.port` through `proxy` with an
+ * HTTP CONNECT request, passing the socket to `callback`
+ * @param {URL} proxy
+ * @param {object} options agent connection options
+ * @param {function} callback `(error, socket)`
+ */
+const _tunnel = (proxy, options, callback) => {
+  const target = `${options.host}:${options.port}`;
+  const headers = { Host: target };
+  if (proxy.username) {
+    const credentials = `${decodeURIComponent(
+      proxy.username,
+    )}:${decodeURIComponent(proxy.password)}`;
+    headers["Proxy-Authorization"] = `Basic ${Buffer.from(credentials).toString(
+      "base64",
+    )}`;
+  }
+  const secure = proxy.protocol === "https:";
+  const request = (secure ? https : http).request({
+    host: proxy.hostname,
+    port: proxy.port || (secure ? 443 : 80),
+    method: "CONNECT",
+    path: target,
+    headers,
+    agent: false,
+    ca: options.ca,
+  });
+  request.once("connect", (res, socket) => {
+    if (res.statusCode !== 200) {
+      socket.destroy();
+      callback(
+        new NetworkError(
+          `Proxy ${proxy.host} refused to connect to ${target}: ${res.statusCode}`,
+        ),
+      );
+      return;
+    }
+    callback(null, socket);
+  });
+  request.once("error", (error) =>
+    callback(
+      new NetworkError(`Proxy ${proxy.host} unreachable - ${error.message}`, {
+        cause: error,
+      }),
+    ),
+  );
+  request.end();
+};
+
+// http and https are empty modules in browser builds, see `browser` in
+// package.json, leaving the agent classes below unusable but loadable
+const _Agent = (module) => module.Agent || Object;
+
+/**
+ * Agent tunnelling plain http requests through a proxy
+ */
+export class HttpProxyAgent extends _Agent(http) {
+  /**
+   * @param {object} options `http.Agent` options, and the `proxy` url
+   */
+  constructor(options) {
+    const { proxy, ...rest } = options;
+    super(rest);
+    this.proxy = new URL(proxy);
+  }
+
+  createConnection(options, callback) {
+    _tunnel(this.proxy, options, callback);
+  }
+}
+
+/**
+ * Agent tunnelling https requests through a proxy, with TLS to the target
+ * over the tunnel
+ */
+export class HttpsProxyAgent extends _Agent(https) {
+  /**
+   * @param {object} options `https.Agent` options, e.g. `ca`, and the `proxy` url
+   */
+  constructor(options) {
+    const { proxy, ...rest } = options;
+    super(rest);
+    this.proxy = new URL(proxy);
+  }
+
+  createConnection(options, callback) {
+    _tunnel(this.proxy, options, (error, socket) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      callback(
+        null,
+        tls.connect({
+          ...options,
+          socket,
+          servername: options.servername || options.host,
+        }),
+      );
+    });
+  }
+}
+
+/**
+ * Resolve the Client's networking options into a function choosing the
+ * agent for each request url, as taken by node-fetch's `agent` option.
+ *
+ * An `agent`, or function of the url returning one, is used as is.
+ * Otherwise requests go through `proxy`, or the proxy from the environment,
+ * unless NO_PROXY exempts their host; `proxy: false` ignores the
+ * environment. Agents keep connections alive unless `keepAlive: false`,
+ * and trust the `ca` certificates in place of the defaults if given.
+ * With none of these set, the function made is marked `implicit`, as
+ * streams keep to the `eventsource` package then.
+ * Browsers manage their own connections, so none of these apply there.
+ *
+ * @param {object} options `{ agent, proxy, keepAlive, ca }`
+ * @returns {function|null} `(url) => Agent`, or null in browsers
+ */
+export const _agentFor = (options = {}) => {
+  const { agent, proxy, keepAlive = true, ca } = options;
+  if (!http.Agent) {
+    if (agent || proxy || ca || options.keepAlive !== undefined) {
+      throw new ValidationError(
+        "agent, proxy, keepAlive and ca need Node, browsers connect by themselves",
+      );
+    }
+    return null;
+  }
+  if (agent) {
+    if (typeof agent === "function") return agent;
+    if (typeof agent !== "object") {
+      throw new ValidationError("agent must be an http(s).Agent or function");
+    }
+    return () => agent;
+  }
+
+  if (proxy !== undefined && proxy !== false && proxy !== true) {
+    try {
+      // eslint-disable-next-line no-new
+      new URL(proxy);
+    } catch (e) {
+      throw new ValidationError(`proxy must be a url, got ${proxy}`);
+    }
+  }
+  const env = _env();
+  const fromEnv = ["HTTPS_PROXY", "https_proxy", "HTTP_PROXY", "http_proxy"];
+  const configured =
+    (proxy && proxy !== true) ||
+    (proxy !== false && fromEnv.some((name) => env[name])) ||
+    ca ||
+    options.keepAlive !== undefined;
+
+  const agents = {};
+  const agentFor = (parsed) => {
+    const url = new URL(parsed.href || String(parsed));
+    const secure = url.protocol === "https:";
+    let via = null;
+    if (typeof proxy === "string") {
+      via = _noProxy(url, env.NO_PROXY || env.no_proxy) ? null : proxy;
+    } else if (proxy !== false) {
+      via = _proxyFromEnv(url);
+    }
+
+    const key = `${url.protocol} ${via}`;
+    if (!agents[key]) {
+      const settings = secure ? { keepAlive, ca } : { keepAlive };
+      if (via) {
+        agents[key] = secure
+          ? new HttpsProxyAgent({ ...settings, proxy: via })
+          : new HttpProxyAgent({ ...settings, proxy: via });
+      } else {
+        agents[key] = secure
+          ? new https.Agent(settings)
+          : new http.Agent(settings);
+      }
+    }
+    return agents[key];
+  };
+  agentFor.implicit = !configured;
+  return agentFor;
+};
@@ -0,0 +1,326 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { MessageBudgetExceededError, ValidationError } from "./exception";
+
+// UTC day and month the usage counters belong to, as IEX Cloud reports them
+const _dayOf = (time) =>
+  new Date(time).toISOString().slice(0, 10).replace(/-/g, "");
+const _monthOf = (time) => _dayOf(time).slice(0, 6);
+
+/**
+ * Start of the next UTC day or month after `time`
+ */
+const _nextPeriod = (period, time) => {
+  const date = new Date(time);
+  return period === "daily"
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+};
+
+const _checkFraction = (name, value) => {
+  if (!(value > 0)) {
+    throw new ValidationError(
+      `${name} must be a positive fraction, got ${value}`,
+    );
+  }
+  return value;
+};
+
+// eslint-disable-next-line no-console
+const _warn = ({ message }) => console.warn(message);
+
+// longest delay setTimeout takes, longer ones fire at once
+const _MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Client-side guard against exhausting the account's message budget.
+ *
+ * Tracks the messages used by each response against daily and monthly
+ * ceilings. Once usage crosses `warnAt` of a ceiling `onWarning` is called,
+ * once per period. A call which would take usage past `stopAt` of a ceiling
+ * is refused with `MessageBudgetExceededError`, or with `mode: "defer"` held
+ * until the period rolls over. A call is expected to cost what the same
+ * endpoint last cost, or its estimate from the weight table if it has not
+ * been seen. That cost is reserved from admission until the response is
+ * recorded, so that concurrent calls can't all pass a ceiling at once.
+ *
+ * Counting starts from zero, so it only covers this process. With `sync`,
+ * usage is instead refreshed from the account's `usage("messages")` and
+ * `metadata()` at most every `sync.interval`, covering every client of the
+ * account; `metadata()` also supplies the monthly ceiling if none is given.
+ * Failed syncs leave local counting in place until the next attempt.
+ */
+export class MessageBudgetGuard {
+  /**
+   * @param {object} options
+   * @param {number} options.daily daily message ceiling (UTC days)
+   * @param {number} options.monthly monthly message ceiling (UTC months)
+   * @param {number} options.warnAt fraction of a ceiling at which to warn, defaults to 0.8
+   * @param {number} options.stopAt fraction of a ceiling at which to stop, defaults to 1
+   * @param {string} options.mode "throw" to refuse calls past the ceiling, or "defer" to hold them until the period rolls over
+   * @param {function} options.onWarning called with `{ period, used, limit, message }`, defaults to `console.warn`
+   * @param {object} options.sync `{ usage, metadata, interval }`: functions fetching account usage and metadata, and the minimum milliseconds between syncs (default 5 minutes)
+   */
+  constructor(options = {}) {
+    const {
+      daily = null,
+      monthly = null,
+      warnAt = 0.8,
+      stopAt = 1,
+      mode = "throw",
+      onWarning = _warn,
+      sync = null,
+    } = options;
+
+    [
+      ["daily", daily],
+      ["monthly", monthly],
+    ].forEach(([name, limit]) => {
+      if (limit !== null && !(limit > 0)) {
+        throw new ValidationError(
+          `${name} must be a positive number, got ${limit}`,
+        );
+      }
+    });
+    if (["throw", "defer"].indexOf(mode) < 0) {
+      throw new ValidationError(`mode must be "throw" or "defer", got ${mode}`);
+    }
+    if (typeof onWarning !== "function") {
+      throw new ValidationError("onWarning must be a function");
+    }
+
+    this.limits = { daily, monthly };
+    this.warnAt = _checkFraction("warnAt", warnAt);
+    this.stopAt = _checkFraction("stopAt", stopAt);
+    this.mode = mode;
+    this.onWarning = onWarning;
+
+    this._sync = sync ? { interval: 5 * 60 * 1000, ...sync } : null;
+    this._synced = null;
+    this._syncing = null;
+
+    this._used = { daily: 0, monthly: 0 };
+    // expected cost of admitted calls yet to be recorded
+    this._reserved = { daily: 0, monthly: 0 };
+    this._periods = {
+      daily: _dayOf(Date.now()),
+      monthly: _monthOf(Date.now()),
+    };
+    this._warned = { daily: null, monthly: null };
+    this._lastCost = {};
+  }
+
+  _rollover(now) {
+    const periods = { daily: _dayOf(now), monthly: _monthOf(now) };
+    Object.keys(periods).forEach((period) => {
+      if (periods[period] !== this._periods[period]) {
+        this._periods[period] = periods[period];
+        this._used[period] = 0;
+        this._reserved[period] = 0;
+      }
+    });
+  }
+
+  async _refresh() {
+    if (!this._sync) return;
+    const now = Date.now();
+    if (this._synced !== null && now - this._synced < this._sync.interval)
+      return;
+
+    if (!this._syncing) {
+      const { usage, metadata } = this._sync;
+      this._syncing = Promise.all([usage(), metadata ? metadata() : null])
+        .then(
+          ([messages, account]) => {
+            this._rollover(now);
+            const { monthlyUsage, dailyUsage = {} } = messages || {};
+            if (monthlyUsage !== undefined)
+              this._used.monthly = Number(monthlyUsage);
+            const today = dailyUsage[_dayOf(now)];
+            if (today !== undefined) this._used.daily = Number(today);
+            if (account && account.messageLimit && !this.limits.monthly) {
+              this.limits.monthly = account.messageLimit;
+            }
+            this._synced = now;
+          },
+          // keep counting locally and try again next time
+          () => {},
+        )
+        .finally(() => {
+          this._syncing = null;
+        });
+    }
+    await this._syncing;
+  }
+
+  /**
+   * Messages used and ceilings for the current periods
+   * @returns {object} `{ daily: { used, limit }, monthly: { used, limit } }`
+   */
+  status() {
+    this._rollover(Date.now());
+    return {
+      daily: { used: this._used.daily, limit: this.limits.daily },
+      monthly: { used: this._used.monthly, limit: this.limits.monthly },
+    };
+  }
+
+  /**
+   * Give up a reservation made by `admit`, once its call has been recorded
+   * or has failed. Reservations from past periods are already void.
+   * @param {object} reservation
+   */
+  release(reservation) {
+    if (!reservation || reservation.released) return;
+    // eslint-disable-next-line no-param-reassign
+    reservation.released = true;
+    this._rollover(Date.now());
+    ["daily", "monthly"].forEach((period) => {
+      if (reservation.periods[period] === this._periods[period]) {
+        this._reserved[period] = Math.max(
+          0,
+          this._reserved[period] - reservation.messages,
+        );
+      }
+    });
+  }
+
+  /**
+   * Record messages used by a response
+   * @param {string} endpoint endpoint charged, see `_costKey`
+   * @param {number} messages
+   * @param {object} reservation reservation of the call, from `admit`, settled by this
+   */
+  record(endpoint, messages, reservation) {
+    this.release(reservation);
+    this._rollover(Date.now());
+    this._lastCost[endpoint] = messages;
+    this._used.daily += messages;
+    this._used.monthly += messages;
+
+    ["daily", "monthly"].forEach((period) => {
+      const limit = this.limits[period];
+      const used = this._used[period];
+      if (
+        limit &&
+        used >= this.warnAt * limit &&
+        this._warned[period] !== this._periods[period]
+      ) {
+        this._warned[period] = this._periods[period];
+        this.onWarning({
+          period,
+          used,
+          limit,
+          message: `iexjs: ${used} of ${limit} ${period} messages used`,
+        });
+      }
+    });
+  }
+
+  /**
+   * Messages a call to `endpoint` is expected to use
+   * @param {string} endpoint endpoint to be charged, see `_costKey`
+   * @param {number} estimate expected messages, if the endpoint has not been seen
+   * @returns {number}
+   */
+  _expected(endpoint, estimate = 1) {
+    return endpoint in this._lastCost ? this._lastCost[endpoint] : estimate;
+  }
+
+  /**
+   * Period whose ceiling a call to `endpoint` would pass, if any, from the
+   * usage known and reserved now
+   * @param {string} endpoint endpoint to be charged, see `_costKey`
+   * @param {number} estimate expected messages, if the endpoint has not been seen
+   * @returns {string|undefined} "daily" or "monthly"
+   */
+  _exceeded(endpoint, estimate = 1) {
+    this._rollover(Date.now());
+    const expected = this._expected(endpoint, estimate);
+    return ["daily", "monthly"].find((period) => {
+      const limit = this.limits[period];
+      return (
+        limit &&
+        this._used[period] + this._reserved[period] + expected >
+          this.stopAt * limit
+      );
+    });
+  }
+
+  /**
+   * Resolve once a call to `endpoint` fits within the budget, or reject with
+   * `MessageBudgetExceededError` in "throw" mode. The call's expected cost
+   * is reserved until passed to `record`, or to `release` should the call
+   * fail.
+   * @param {string} endpoint endpoint to be charged, see `_costKey`
+   * @param {object} cancellation cancellation state, see `_withCancellation`
+   * @param {number} estimate expected messages, if the endpoint has not been seen
+   * @returns {Promise<object>} the reservation
+   */
+  async admit(endpoint, cancellation, estimate = 1) {
+    await this._refresh();
+    const now = Date.now();
+    const exceeded = this._exceeded(endpoint, estimate);
+    if (!exceeded) {
+      const messages = this._expected(endpoint, estimate);
+      this._reserved.daily += messages;
+      this._reserved.monthly += messages;
+      return { messages, periods: { ...this._periods }, released: false };
+    }
+
+    if (this.mode === "throw") {
+      throw new MessageBudgetExceededError(
+        `Message budget exceeded: ${this._used[exceeded]} of ${this.limits[exceeded]} ${exceeded} messages used`,
+        { endpoint },
+      );
+    }
+
+    // hold the call until the period rolls over, or it is cancelled, waking
+    // up along the way for periods longer than a timer can wait
+    await new Promise((resolve, reject) => {
+      let onAbort = null;
+      const timer = setTimeout(() => {
+        if (onAbort) cancellation.signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, Math.min(_nextPeriod(exceeded, now) - now, _MAX_TIMEOUT));
+      if (cancellation && cancellation.signal) {
+        onAbort = () => {
+          clearTimeout(timer);
+          reject(cancellation.reason);
+        };
+        cancellation.signal.addEventListener("abort", onAbort);
+      }
+    });
+    return this.admit(endpoint, cancellation, estimate);
+  }
+}
+
+/**
+ * Resolve the `budget` option of a Client into a guard. A
+ * `MessageBudgetGuard` instance is used as is, so it can be shared between
+ * clients.
+ *
+ * @param {object|MessageBudgetGuard} budget guard or guard options
+ * @param {object} sync `{ usage, metadata }` fetchers used if the options ask to `sync`
+ * @returns {MessageBudgetGuard|null}
+ */
+export const _messageBudget = (budget, sync) => {
+  if (!budget) return null;
+  if (budget instanceof MessageBudgetGuard) return budget;
+  if (typeof budget !== "object") {
+    throw new ValidationError(`Unrecognized budget: ${budget}`);
+  }
+
+  const { sync: syncOption = false, ...options } = budget;
+  if (!syncOption) return new MessageBudgetGuard(options);
+  const interval =
+    typeof syncOption === "number" ? { interval: syncOption } : {};
+  return new MessageBudgetGuard({ ...options, sync: { ...sync, ...interval } });
+};
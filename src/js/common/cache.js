@@ -0,0 +1,284 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { calc, should_expire } from "temporal-cache";
+
+import { ValidationError } from "./exception";
+import { FileStore } from "./filestore";
+import { TradingCalendar } from "./markethours";
+import { MemoryStore } from "./memorystore";
+
+/**
+ * Default expiry for each cached endpoint family, matched against the
+ * request route (without query string). Routes matching no family are not
+ * cached unless the cache is given a `default` policy.
+ *
+ * A policy is one of:
+ *   - `false`: do not cache
+ *   - `Infinity`: never expire
+ *   - a number of milliseconds
+ *   - `{ interval: { seconds, minutes, hours, days, weeks } }`: expire after a duration
+ *   - `{ expire: { second, minute, hour, day, day_of_week, month } }`: expire at a wall-clock time, e.g. `{ expire: { hour: 8 } }` expires at 8am every day
+ *   - `{ until: "open" }` / `{ until: "close" }`: expire at the next session open or close, per the trading calendar
+ *   - a function `(stored: Date) => Date|number|null` returning (a promise of) the expiry, or null for never
+ *
+ * Market-hours policies may also take a `session` policy which applies
+ * instead while the market is open, e.g. quotes are only held for seconds
+ * during trading but from the close until the next open otherwise.
+ */
+export const _CACHE_POLICIES = {
+  company: {
+    match: /^stock\/[^/]+\/company$/,
+    policy: { interval: { days: 1 } },
+  },
+  logo: {
+    match: /^stock\/[^/]+\/logo$/,
+    policy: { interval: { days: 1 } },
+  },
+  peers: {
+    match: /^stock\/[^/]+\/peers$/,
+    policy: { interval: { days: 1 } },
+  },
+  // reference data is regenerated by IEX Cloud early every morning
+  symbols: {
+    match: /^ref-data\/(.+\/)?symbols$/,
+    policy: { expire: { hour: 8 } },
+  },
+  quote: {
+    match: /^stock\/[^/]+\/(quote|price|delayed-quote)$/,
+    policy: { until: "open", session: { interval: { seconds: 5 } } },
+  },
+  // range and intraday charts gain bars only while the market is open
+  range: {
+    match: /^stock\/[^/]+\/(chart(\/[^/]+)?|intraday-prices)$/,
+    policy: { until: "open", session: { interval: { minutes: 1 } } },
+  },
+  // a past date's bars never change
+  chart: {
+    match: /^stock\/[^/]+\/chart\/date\/\d{8}$/,
+    policy: Infinity,
+  },
+};
+
+/**
+ * Check a cache policy, throwing for unrecognized values
+ * @param {*} policy
+ */
+export const _checkCachePolicy = (policy) => {
+  if (
+    policy === false ||
+    policy === Infinity ||
+    typeof policy === "function" ||
+    (typeof policy === "number" && policy > 0) ||
+    (policy && typeof policy === "object" && (policy.interval || policy.expire))
+  )
+    return policy;
+  if (
+    policy &&
+    typeof policy === "object" &&
+    (policy.until === "open" || policy.until === "close")
+  ) {
+    if (policy.session !== undefined) _checkCachePolicy(policy.session);
+    return policy;
+  }
+  throw new ValidationError(`Unrecognized cache policy: ${policy}`);
+};
+
+/**
+ * Build the stored entry for a value cached under `policy`
+ * @param {*} value
+ * @param {*} policy
+ * @param {Date} now
+ * @param {TradingCalendar} calendar
+ * @returns {Promise<object|null>} null if the value should not be stored
+ */
+const _entry = async (value, policy, now, calendar) => {
+  const stored = now.getTime();
+  if (!policy) return null;
+  if (policy === Infinity) return { value, stored, expires: null };
+  if (typeof policy === "number")
+    return { value, stored, expires: stored + policy };
+  if (typeof policy === "function") {
+    const expires = await policy(now);
+    return {
+      value,
+      stored,
+      expires: expires === null ? null : new Date(expires).getTime(),
+    };
+  }
+  if (policy.interval) {
+    return { value, stored, expires: stored + calc(policy.interval) * 1000 };
+  }
+  if (policy.until) {
+    if (policy.session !== undefined && (await calendar.isOpen(now))) {
+      return _entry(value, policy.session, now, calendar);
+    }
+    const expires =
+      policy.until === "open"
+        ? await calendar.nextOpen(now)
+        : await calendar.nextClose(now);
+    return expires && { value, stored, expires: expires.getTime() };
+  }
+  // wall-clock expiry is evaluated on read
+  return { value, stored, expire: policy.expire };
+};
+
+/**
+ * @param {object} entry stored entry
+ * @param {Date} now
+ */
+const _expired = (entry, now) => {
+  if (entry.expire) {
+    const {
+      second = null,
+      minute = null,
+      hour = null,
+      day = null,
+      day_of_week = null,
+      month = null,
+    } = entry.expire;
+    return should_expire(
+      new Date(entry.stored),
+      now,
+      second,
+      minute,
+      hour,
+      day,
+      day_of_week,
+      null,
+      month,
+    );
+  }
+  return entry.expires !== null && now.getTime() >= entry.expires;
+};
+
+/**
+ * Response cache keyed on request url (without token). Entries live in a
+ * store implementing `get`, `set`, `delete`, `keys` and `clear`, any of which
+ * may return a promise.
+ */
+export class Cache {
+  /**
+   * @param {object} options
+   * @param {object} options.store cache store, defaults to a `MemoryStore`
+   * @param {object} options.policies per-family policy overrides, by family name
+   * @param {*} options.default policy for routes matching no family, defaults to not caching
+   * @param {TradingCalendar} options.calendar calendar for market-hours policies, defaults to one without holidays
+   */
+  constructor(options = {}) {
+    const {
+      store = new MemoryStore(),
+      policies = {},
+      default: fallback = false,
+      calendar = new TradingCalendar(),
+    } = options;
+
+    Object.keys(policies).forEach((name) => {
+      if (!_CACHE_POLICIES[name]) {
+        throw new ValidationError(`Unrecognized cache policy family: ${name}`);
+      }
+      _checkCachePolicy(policies[name]);
+    });
+
+    this.store = store;
+    this._policies = policies;
+    this._default = _checkCachePolicy(fallback);
+    this.calendar = calendar;
+  }
+
+  /**
+   * Policy which applies to a route
+   * @param {string} route request route, e.g. "stock/AAPL/company"
+   */
+  policyFor(route) {
+    const name = Object.keys(_CACHE_POLICIES).find((family) =>
+      _CACHE_POLICIES[family].match.test(route),
+    );
+    if (!name) return this._default;
+    return name in this._policies
+      ? this._policies[name]
+      : _CACHE_POLICIES[name].policy;
+  }
+
+  /**
+   * Fetch an unexpired entry
+   * @param {string} key
+   * @returns {Promise<object|undefined>} `{ value }` on a hit
+   */
+  async get(key) {
+    const entry = await this.store.get(key);
+    if (!entry) return undefined;
+    if (_expired(entry, new Date())) {
+      await this.store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Store a value under a policy
+   * @param {string} key
+   * @param {*} value
+   * @param {*} policy
+   */
+  async set(key, value, policy) {
+    const entry = await _entry(value, policy, new Date(), this.calendar);
+    if (entry) await this.store.set(key, entry);
+  }
+
+  /**
+   * Drop entries. With no argument every entry is dropped, otherwise those
+   * whose key contains the given string, matches the given RegExp, or
+   * satisfies the given predicate.
+   * @param {string|RegExp|function} match
+   */
+  async invalidate(match) {
+    if (match === undefined) return this.store.clear();
+
+    let test = match;
+    if (typeof match === "string") test = (key) => key.indexOf(match) >= 0;
+    else if (match instanceof RegExp) test = (key) => match.test(key);
+
+    const keys = await this.store.keys();
+    return Promise.all(
+      keys.filter((key) => test(key)).map((key) => this.store.delete(key)),
+    );
+  }
+}
+
+/**
+ * Resolve the `cache` option of a Client into a cache.
+ *
+ * `true` or `"memory"` caches in process, `"disk"` under ~/.iexjs/cache.
+ * An options object takes `store` (`"memory"`, `"disk"` or a store
+ * instance), `path` for the disk store, `policies`, `default` and
+ * `calendar`. A `Cache` instance is used as is, so it can be shared between
+ * clients.
+ *
+ * @param {boolean|string|object|Cache} option
+ * @param {TradingCalendar} calendar calendar used unless the options give one
+ * @returns {Cache|null}
+ */
+export const _responseCache = (option, calendar) => {
+  if (!option) return null;
+  if (option instanceof Cache) return option;
+
+  let options = option;
+  if (option === true) options = {};
+  else if (typeof option === "string") options = { store: option };
+
+  const { store = "memory", path, ...rest } = options;
+  if (calendar && !rest.calendar) rest.calendar = calendar;
+  if (store === "memory")
+    return new Cache({ store: new MemoryStore(), ...rest });
+  if (store === "disk")
+    return new Cache({ store: new FileStore({ path }), ...rest });
+  if (typeof store === "object") return new Cache({ store, ...rest });
+  throw new ValidationError(`Unrecognized cache store: ${store}`);
+};
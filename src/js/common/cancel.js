@@ -0,0 +1,89 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { AbortError, TimeoutError, ValidationError } from "./exception";
+
+const _NOT_CANCELLABLE = {
+  signal: undefined,
+  reason: null,
+  throwIfCancelled() {},
+};
+
+/**
+ * Whether an error was raised by cancellation rather than by the request
+ * @param {Error} error
+ */
+export const _isCancellation = (error) =>
+  error instanceof TimeoutError || error instanceof AbortError;
+
+/**
+ * Run `run` so that it rejects as soon as `signal` aborts or `timeout`
+ * milliseconds pass, whichever comes first.
+ *
+ * `run` receives a cancellation state with the `signal` to hand to fetch, and
+ * `throwIfCancelled()` to check before starting further work (queued or
+ * retried requests). Where AbortController is available the in-flight fetch
+ * is aborted too; otherwise the user's signal is handed to fetch as is.
+ *
+ * @param {function} run function returning a promise
+ * @param {object} options `{ signal, timeout }`
+ */
+export const _withCancellation = (run, options) => {
+  const { signal, timeout } = options;
+  if (!signal && !timeout) return run(_NOT_CANCELLABLE);
+
+  if (timeout !== undefined && !(timeout > 0)) {
+    throw new ValidationError(
+      `timeout must be a positive number, got ${timeout}`,
+    );
+  }
+
+  const controller =
+    typeof AbortController !== "undefined" ? new AbortController() : null;
+  const state = {
+    signal: controller ? controller.signal : signal,
+    reason: null,
+    throwIfCancelled() {
+      if (state.reason) throw state.reason;
+    },
+  };
+
+  let timer;
+  let onAbort;
+  const cancelled = new Promise((resolve, reject) => {
+    const cancel = (error) => {
+      if (state.reason) return;
+      state.reason = error;
+      if (controller) controller.abort();
+      reject(error);
+    };
+
+    if (signal) {
+      onAbort = () => cancel(new AbortError("Request aborted"));
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort);
+    }
+    if (timeout) {
+      timer = setTimeout(
+        () => cancel(new TimeoutError(`Request timed out after ${timeout}ms`)),
+        timeout,
+      );
+    }
+  });
+
+  return Promise.race([Promise.resolve().then(() => run(state)), cancelled])
+    .catch((error) => {
+      // fetch's own AbortError is reported as our cancellation reason
+      throw state.reason || error;
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      if (onAbort) signal.removeEventListener("abort", onAbort);
+    });
+};
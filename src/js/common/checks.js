@@ -6,7 +6,8 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { IEXJSException } from "./exception";
+import { _requestContext, _tokenOf } from "./context";
+import { PermissionError, ValidationError } from "./exception";
 
 export const _TIMEFRAME_CHART = [
   "max",
@@ -401,59 +402,40 @@ export const _strOrDate = (st) => {
   if (typeof st === "string") return st;
   if (st instanceof Date)
     return st.toISOString().slice(0, 10).replace(/-/g, "");
-  throw IEXJSException(`Not a date: ${typeof st} ${st}`);
+  throw new ValidationError(`Not a date: ${typeof st} ${st}`);
 };
 
 export const _dateRange = (st) => {
   if (_DATE_RANGES.indexOf(st) < 0)
-    throw IEXJSException(`Must be a valid date range: got ${st}`);
+    throw new ValidationError(`Must be a valid date range: got ${st}`);
   return st;
 };
 
 export const _raiseIfNotStr = (s) => {
   if (typeof s !== "string")
-    throw IEXJSException(`Cannot use type ${typeof s}`);
+    throw new ValidationError(`Cannot use type ${typeof s}`);
 };
 
 export const _checkPeriodLast = (per, last) => {
   if (per !== "quarter" && per !== "annual") {
-    throw IEXJSException("Period must be in {'quarter', 'annual'}");
+    throw new ValidationError("Period must be in {'quarter', 'annual'}");
   }
   if (per === "quarter") {
     if (last < 1 || last > 12) {
-      throw IEXJSException("Last must be in [1, 12] for period 'quarter'");
+      throw new ValidationError("Last must be in [1, 12] for period 'quarter'");
     }
   } else if (last < 1 || last > 4) {
-    throw IEXJSException("Last must be in [1, 4] for period 'annual'");
+    throw new ValidationError("Last must be in [1, 4] for period 'annual'");
   }
 };
 
-// TODO
-// def _expire(**temporal_args):
-//     if not os.path.exists(_PYEX_CACHE_FOLDER):
-//         os.makedirs(_PYEX_CACHE_FOLDER)
-
-//     def _wrapper(foo):
-//         temporal_args["persistent"] = os.path.join(_PYEX_CACHE_FOLDER, foo.__name__)
-//         return expire(**temporal_args)(foo)
-
-//     return _wrapper
-
-// TODO
-// def _interval(**temporal_args):
-//     if not os.path.exists(_PYEX_CACHE_FOLDER):
-//         os.makedirs(_PYEX_CACHE_FOLDER)
-
-//     def _wrapper(foo):
-//         temporal_args["persistent"] = os.path.join(_PYEX_CACHE_FOLDER, foo.__name__)
-//         return interval(**temporal_args)(foo)
-
-//     return _wrapper
-
 export const _requireSecret = (token, allowSandbox = true) => {
-  if (token.startsWith("sk") || (allowSandbox && token.startsWith("Tsk")))
+  const secret = _tokenOf(token, true);
+  // not loaded yet from a credential provider, IEX Cloud checks it instead
+  if (!secret && _requestContext(token).credentials) return;
+  if (secret.startsWith("sk") || (allowSandbox && secret.startsWith("Tsk")))
     return;
-  throw IEXJSException("Requires secret token!");
+  throw new PermissionError("Requires secret token!");
 };
 
 export const _quoteSymbols = (symbols) => {
@@ -473,14 +455,14 @@ export const _timeseriesWrapper = (
   if (enforceKey) {
     const { key } = options;
     if (!(key === undefined || key === null))
-      throw IEXJSException(
+      throw new ValidationError(
         "Cannot pass `key` argument to timeseries, already used",
       );
   }
   if (enforceSubkey) {
     const { subkey } = options;
     if (!(subkey === undefined || subkey === null))
-      throw IEXJSException(
+      throw new ValidationError(
         "Cannot pass `subkey` argument to timeseries, already used",
       );
   }
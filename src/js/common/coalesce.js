@@ -0,0 +1,100 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { _withCancellation } from "./cancel";
+
+// in-flight requests of contexts without `flights` of their own, e.g.
+// those passed to standalone endpoint functions
+const _IN_FLIGHT = new WeakMap();
+
+/**
+ * In-flight requests of a request context through a transport
+ * @param {object} context request context
+ * @param {function} transport
+ * @returns {Map} flights by request key
+ */
+const _flightsOf = (context, transport) => {
+  let byTransport = context.flights;
+  if (!byTransport) {
+    if (!_IN_FLIGHT.has(context)) _IN_FLIGHT.set(context, new WeakMap());
+    byTransport = _IN_FLIGHT.get(context);
+  }
+  if (!byTransport.has(transport)) byTransport.set(transport, new Map());
+  return byTransport.get(transport);
+};
+
+/**
+ * Copy of a parsed response, so that callers sharing one can't change
+ * each other's
+ * @param {*} value JSON value or text
+ * @returns {*}
+ */
+export const _copyResult = (value) =>
+  value !== null && typeof value === "object"
+    ? JSON.parse(JSON.stringify(value))
+    : value;
+
+/**
+ * Share one request between concurrent identical callers.
+ *
+ * The first caller for `key` starts `run`; callers arriving while it is in
+ * flight wait on the same promise. Each receives its own copy of the
+ * result, unless there was only the one caller. Each caller's `signal` and
+ * `timeout` only reject that caller. The shared request is aborted once
+ * every caller has given up on it.
+ *
+ * Requests are only shared within one request context and transport, a
+ * Client's context being shared with the clients derived from it by
+ * `withOptions`, so that every request is charged to, limited and reported
+ * by the client making it.
+ *
+ * @param {object} context request context, with `flights` where requests are shared beyond the context object itself
+ * @param {function} transport transport the request is sent through
+ * @param {string} key request identity, e.g. its full url
+ * @param {function} run function receiving a cancellation state and returning a promise, as for `_withCancellation`
+ * @param {object} options the caller's `{ signal, timeout }`
+ */
+export const _coalesce = (context, transport, key, run, options) => {
+  // never start, or join, a request on behalf of an already aborted caller
+  if (options.signal && options.signal.aborted) {
+    return _withCancellation(run, options);
+  }
+
+  const flights = _flightsOf(context, transport);
+
+  let flight = flights.get(key);
+  if (!flight) {
+    const controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+    flight = { callers: 0, joined: 0, controller, settled: false };
+    flight.promise = _withCancellation(run, {
+      signal: controller ? controller.signal : undefined,
+    }).finally(() => {
+      flight.settled = true;
+      if (flights.get(key) === flight) flights.delete(key);
+    });
+    // rejections are delivered to callers, not left unhandled here
+    flight.promise.catch(() => {});
+    flights.set(key, flight);
+  }
+
+  const joined = flight;
+  joined.callers += 1;
+  joined.joined += 1;
+  return _withCancellation(() => joined.promise, options)
+    .then((value) => (joined.joined > 1 ? _copyResult(value) : value))
+    .finally(() => {
+      joined.callers -= 1;
+      if (joined.callers === 0 && !joined.settled) {
+        // every caller was cancelled, so nobody is waiting on the request
+        if (flights.get(key) === joined) flights.delete(key);
+        if (joined.controller) joined.controller.abort();
+      }
+    });
+};
@@ -0,0 +1,58 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+/**
+ * Every endpoint function takes a `token` argument. This is either the
+ * access token string itself, or a request context object carrying the
+ * token alongside request options, e.g. `{ token: "pk_...", transport }`.
+ *
+ * `Client` builds one of these from its constructor options and passes it
+ * through in place of the bare token.
+ *
+ * @param {string|object} token Access token or request context
+ * @returns {object} request context
+ */
+export const _requestContext = (token) => {
+  if (token && typeof token === "object") return token;
+  return { token: token || "" };
+};
+
+/**
+ * Extract the access token string from a token or request context.
+ *
+ * A context may hold both a publishable `token` and a `secretToken`, and
+ * endpoints needing the secret one ask for it with `secret`. Either falls
+ * back to the other. A context may instead carry `credentials`, a
+ * `CredentialProvider` whose tokens are only known once loaded.
+ *
+ * @param {string|object} token Access token or request context
+ * @param {boolean} secret whether the endpoint requires a secret token
+ * @returns {string}
+ */
+export const _tokenOf = (token, secret = false) => {
+  const context = _requestContext(token);
+  const loaded = context.credentials || {};
+  const publishable = context.token || loaded.token || "";
+  const secretToken = context.secretToken || loaded.secretToken || "";
+  return secret ? secretToken || publishable : publishable || secretToken;
+};
+
+/**
+ * Wait for the token of a request context whose credentials load
+ * asynchronously
+ * @param {string|object} token Access token or request context
+ * @returns {Promise<string>}
+ */
+export const _loadToken = async (token) => {
+  const context = _requestContext(token);
+  if (!_tokenOf(context) && context.credentials) {
+    await context.credentials.load();
+  }
+  return _tokenOf(context);
+};
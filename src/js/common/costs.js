@@ -0,0 +1,123 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { ValidationError } from "./exception";
+
+/**
+ * Response header in which IEX Cloud reports the messages a call used
+ */
+export const _MESSAGES_HEADER = "iexcloud-messages-used";
+
+/**
+ * Break a request route down into the endpoint, symbol and dataset it is
+ * charged to, e.g. "stock/AAPL/chart/1m" is the "stock/chart" endpoint for
+ * AAPL, and "time-series/REPORTED_FINANCIALS/AAPL" the "time-series"
+ * endpoint for dataset REPORTED_FINANCIALS and AAPL.
+ *
+ * @param {string} route request route, without query string
+ * @param {string} symbols `symbols` query parameter, for batch endpoints
+ * @returns {object} `{ endpoint, symbol, dataset }`, with null for missing parts
+ */
+export const _costKey = (route, symbols = null) => {
+  const perSymbol = /^(stock|crypto|options)\/([^/]+)\/([^/]+)/.exec(route);
+  if (perSymbol && perSymbol[2] !== "market") {
+    return {
+      endpoint: `${perSymbol[1]}/${perSymbol[3]}`,
+      symbol: perSymbol[2],
+      dataset: null,
+    };
+  }
+
+  const dataset =
+    /^(time-series)\/([^/]+)(?:\/([^/]+))?/.exec(route) ||
+    /^(data)\/[^/]+\/([^/]+)(?:\/([^/]+))?/.exec(route);
+  if (dataset) {
+    return {
+      endpoint: dataset[1],
+      symbol: dataset[3] || null,
+      dataset: dataset[2],
+    };
+  }
+
+  return { endpoint: route, symbol: symbols || null, dataset: null };
+};
+
+const _tally = (totals, name, messages) => {
+  if (name === null) return;
+  const total = totals[name] || { messages: 0, calls: 0 };
+  total.messages += messages;
+  total.calls += 1;
+  // eslint-disable-next-line no-param-reassign
+  totals[name] = total;
+};
+
+const _copy = (totals) =>
+  Object.keys(totals).reduce((copy, name) => {
+    // eslint-disable-next-line no-param-reassign
+    copy[name] = { ...totals[name] };
+    return copy;
+  }, {});
+
+/**
+ * Running total of messages consumed, as reported by IEX Cloud for each
+ * response, broken down by endpoint, symbol and dataset.
+ */
+export class CostLedger {
+  /**
+   * @param {object} options
+   * @param {function} options.onCost called with `{ endpoint, symbol, dataset, messages, url }` for each response reporting messages used
+   */
+  constructor(options = {}) {
+    const { onCost = null } = options;
+    if (onCost !== null && typeof onCost !== "function") {
+      throw new ValidationError("onCost must be a function");
+    }
+    this.onCost = onCost;
+    this.reset();
+  }
+
+  /**
+   * Record the messages used by one response
+   * @param {object} cost `{ endpoint, symbol, dataset, messages, url }`
+   */
+  record(cost) {
+    const { endpoint, symbol = null, dataset = null, messages } = cost;
+    this._messages += messages;
+    this._calls += 1;
+    _tally(this._byEndpoint, endpoint, messages);
+    _tally(this._bySymbol, symbol, messages);
+    _tally(this._byDataset, dataset, messages);
+    if (this.onCost) this.onCost({ ...cost, symbol, dataset });
+  }
+
+  /**
+   * Totals since creation or the last reset
+   * @returns {object} `{ messages, calls, byEndpoint, bySymbol, byDataset }`, each breakdown mapping a name to `{ messages, calls }`
+   */
+  costs() {
+    return {
+      messages: this._messages,
+      calls: this._calls,
+      byEndpoint: _copy(this._byEndpoint),
+      bySymbol: _copy(this._bySymbol),
+      byDataset: _copy(this._byDataset),
+    };
+  }
+
+  /**
+   * Zero all totals
+   */
+  reset() {
+    this._messages = 0;
+    this._calls = 0;
+    this._byEndpoint = {};
+    this._bySymbol = {};
+    this._byDataset = {};
+  }
+}
@@ -0,0 +1,241 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { AuthenticationError } from "./exception";
+import { _inBrowser } from "./platform";
+
+/**
+ * Environment variables, or an empty object in browsers, where bundlers
+ * may shim `process` with the build machine's
+ * @returns {object}
+ */
+export const _env = () =>
+  !_inBrowser() && typeof process !== "undefined" && process.env
+    ? process.env
+    : {};
+
+/**
+ * Default location of the profiles file, overridden by the IEXRC
+ * environment variable. None in browsers, where `os` is an empty module
+ * @returns {string|null}
+ */
+export const _IEXRC = () =>
+  _env().IEXRC || (os.homedir ? path.join(os.homedir(), ".iexrc") : null);
+
+/**
+ * Parse an INI-style profiles file:
+ *
+ *     [default]
+ *     token = pk_...
+ *
+ *     [sandbox]
+ *     token = Tpk_...
+ *     version = sandbox
+ *
+ * Lines starting with `#` or `;` are comments.
+ *
+ * @param {string} text
+ * @returns {object} settings by profile name
+ */
+export const _parseProfiles = (text) => {
+  const profiles = {};
+  let current = null;
+  String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !/^[#;]/.test(line))
+    .forEach((line) => {
+      const [, section] = /^\[\s*([^\]]+?)\s*\]$/.exec(line) || [];
+      if (section) {
+        current = {};
+        profiles[section] = current;
+        return;
+      }
+      const [, key, value] = /^([^=]+?)\s*=\s*(.*)$/.exec(line) || [];
+      if (key && current) current[key] = value;
+    });
+  return profiles;
+};
+
+/**
+ * Read the profiles in `file`, none if it does not exist or there is no
+ * filesystem
+ * @param {string} file
+ * @returns {object} settings by profile name
+ */
+export const _readProfiles = (file) => {
+  if (!file || !fs || !fs.readFileSync) return {};
+  try {
+    return _parseProfiles(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new AuthenticationError(`Could not read profiles from ${file}`, {
+      cause: e,
+    });
+  }
+};
+
+/**
+ * Whether a token is a secret one, `sk_` or the sandbox `Tsk_`
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const _isSecret = (token) => /^T?sk/.test(token || "");
+
+/**
+ * Pick the publishable and secret tokens for `version` out of `candidates`.
+ * Sandbox versions take the `Tpk_`/`Tsk_` tokens and others the rest,
+ * falling back to whatever was given so mismatches can be reported. Without
+ * a publishable token, the secret one is used for every call.
+ * @param {Array<string>} candidates
+ * @param {string} version API version
+ * @returns {object} `{ token, secretToken }`, either null if missing
+ */
+export const _pickTokens = (candidates, version) => {
+  const given = candidates.filter(
+    (token) => typeof token === "string" && token.length > 0,
+  );
+  const sandbox = version === "sandbox";
+  const matching = given.filter((token) => token.startsWith("T") === sandbox);
+  const pool = matching.length ? matching : given;
+  const secretToken = pool.find(_isSecret) || null;
+  const token = pool.find((candidate) => !_isSecret(candidate)) || secretToken;
+  return { token, secretToken };
+};
+
+/**
+ * Resolve tokens synchronously from the first of these to give any:
+ *   1. the `token` and `secretToken` given explicitly
+ *   2. the IEX_TOKEN, IEX_SECRET_TOKEN, IEX_SANDBOX_TOKEN and
+ *      IEX_SANDBOX_SECRET_TOKEN environment variables
+ *   3. a profile in the profiles file: `profile`, else the IEX_PROFILE
+ *      environment variable, else "default". Profiles set `token`,
+ *      `secret_token`, `sandbox_token` and `sandbox_secret_token`
+ *
+ * The tokens for `version` are then picked with `_pickTokens`. Naming a
+ * `profile` explicitly skips the environment, and it must exist. A profile
+ * may also set the `version`, unless one is given.
+ *
+ * @param {object} options `{ token, secretToken, profile, version, configFile }`
+ * @returns {object} `{ token, secretToken, version, source }`, tokens null if none found
+ */
+export const _resolveCredentials = (options = {}) => {
+  const {
+    token,
+    secretToken,
+    profile,
+    version,
+    configFile = _IEXRC(),
+  } = options;
+  if (token || secretToken) {
+    return {
+      ..._pickTokens([token, secretToken], version),
+      version,
+      source: "option",
+    };
+  }
+
+  const env = _env();
+  if (!profile) {
+    const picked = _pickTokens(
+      [
+        env.IEX_TOKEN,
+        env.IEX_SECRET_TOKEN,
+        env.IEX_SANDBOX_TOKEN,
+        env.IEX_SANDBOX_SECRET_TOKEN,
+      ],
+      version,
+    );
+    if (picked.token) return { ...picked, version, source: "environment" };
+  }
+
+  const name = profile || env.IEX_PROFILE || "default";
+  const settings = _readProfiles(configFile)[name];
+  if (!settings) {
+    if (profile) {
+      throw new AuthenticationError(
+        `Profile ${profile} not found in ${configFile}`,
+      );
+    }
+    return { token: null, secretToken: null, version, source: null };
+  }
+  const chosen = version || settings.version;
+  return {
+    ..._pickTokens(
+      [
+        settings.token,
+        settings.secret_token,
+        settings.sandbox_token,
+        settings.sandbox_secret_token,
+      ],
+      chosen,
+    ),
+    version: chosen,
+    source: `profile ${name}`,
+  };
+};
+
+/**
+ * Tokens loaded on first use from an async provider, e.g. a secrets manager,
+ * for clients with no token otherwise. Shared by every copy of a request
+ * context, so it is only loaded once. Failed loads are retried on next use.
+ */
+export class CredentialProvider {
+  /**
+   * @param {function} provider `() => Promise<string|{ token, secretToken }>`
+   * @param {function} check called with the loaded `{ token, secretToken }`, throwing if they are unusable
+   */
+  constructor(provider, check = () => {}) {
+    if (typeof provider !== "function") {
+      throw new AuthenticationError(
+        "credentials must be an async function returning a token",
+      );
+    }
+    this.token = null;
+    this.secretToken = null;
+    this._provider = provider;
+    this._check = check;
+    this._loading = null;
+  }
+
+  /**
+   * Load the tokens, once
+   * @returns {Promise<string>} the publishable token, or the secret one without
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = Promise.resolve()
+        .then(() => this._provider())
+        .then((value) => {
+          const loaded =
+            value && typeof value === "object"
+              ? _pickTokens([value.token, value.secretToken], null)
+              : _pickTokens([value], null);
+          if (!loaded.token) {
+            throw new AuthenticationError(
+              "Credential provider returned no token",
+            );
+          }
+          this._check(loaded);
+          this.token = loaded.token;
+          this.secretToken = loaded.secretToken;
+          return loaded.token;
+        })
+        .catch((error) => {
+          this._loading = null;
+          throw error;
+        });
+    }
+    return this._loading;
+  }
+}
@@ -0,0 +1,24 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+/**
+ * Emit a lifecycle event on a request context's emitter, if it has one.
+ *
+ * "error" events are only emitted while something listens for them: an
+ * EventEmitter throws unlistened errors, and a failed call already rejects.
+ *
+ * @param {EventEmitter} events emitter, usually the Client
+ * @param {string} name event name
+ * @param {object} payload
+ */
+export const _emit = (events, name, payload) => {
+  if (!events) return;
+  if (name === "error" && events.listenerCount("error") === 0) return;
+  events.emit(name, payload);
+};
@@ -0,0 +1,201 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 2;
+
+// statuses worth reconnecting after, as for the `eventsource` package
+const _RECONNECT_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Minimal `EventSource` reading the stream through a fetch-compatible
+ * transport, so streams go through the same agent, proxy and CA settings
+ * as REST requests.
+ *
+ * Supports `onopen`/`onmessage`/`onerror`, `addEventListener` for named
+ * events, `readyState` and `close`. Like the `eventsource` package it
+ * reconnects after dropped connections and 5xx responses, sending the last
+ * event id; other error statuses close the stream.
+ */
+export class FetchEventSource {
+  /**
+   * @param {string} url stream url
+   * @param {object} options
+   * @param {function} options.transport fetch-compatible function
+   * @param {object} options.init further fetch init, e.g. `{ agent }`
+   * @param {number} options.reconnectInterval milliseconds before reconnecting, defaults to 1000
+   */
+  constructor(url, options = {}) {
+    const { transport, init = {}, reconnectInterval = 1000 } = options;
+    this.url = url;
+    this.readyState = CONNECTING;
+    this.reconnectInterval = reconnectInterval;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+
+    this._transport = transport;
+    this._init = init;
+    this._listeners = {};
+    this._lastEventId = "";
+    this._body = null;
+    this._timer = null;
+    this._connect();
+  }
+
+  addEventListener(type, listener) {
+    this._listeners[type] = (this._listeners[type] || []).concat([listener]);
+  }
+
+  removeEventListener(type, listener) {
+    this._listeners[type] = (this._listeners[type] || []).filter(
+      (existing) => existing !== listener,
+    );
+  }
+
+  close() {
+    this.readyState = CLOSED;
+    clearTimeout(this._timer);
+    const body = this._body;
+    this._body = null;
+    if (body && body.destroy) body.destroy();
+    else if (body && body.cancel) body.cancel().catch(() => {});
+  }
+
+  _dispatch(type, event) {
+    const handler = this[`on${type}`];
+    if (typeof handler === "function") handler.call(this, event);
+    (this._listeners[type] || []).forEach((listener) =>
+      listener.call(this, event),
+    );
+  }
+
+  _fail(event, reconnect) {
+    if (this.readyState === CLOSED) return;
+    this._body = null;
+    if (reconnect) {
+      this.readyState = CONNECTING;
+      this._dispatch("error", { type: "error", ...event });
+      if (this.readyState === CLOSED) return;
+      this._timer = setTimeout(() => this._connect(), this.reconnectInterval);
+    } else {
+      this._dispatch("error", { type: "error", ...event });
+      this.readyState = CLOSED;
+    }
+  }
+
+  _connect() {
+    if (this.readyState === CLOSED) return;
+    const headers = {
+      Accept: "text/event-stream",
+      "Cache-Control": "no-cache",
+    };
+    if (this._lastEventId) headers["Last-Event-ID"] = this._lastEventId;
+
+    Promise.resolve()
+      .then(() =>
+        this._transport(this.url, { ...this._init, method: "GET", headers }),
+      )
+      .then(
+        (res) => {
+          if (this.readyState === CLOSED) {
+            if (res.body && res.body.destroy) res.body.destroy();
+            return;
+          }
+          if (res.status !== 200) {
+            this._fail(
+              { status: res.status, message: res.statusText },
+              _RECONNECT_STATUSES.indexOf(res.status) >= 0,
+            );
+            return;
+          }
+          this.readyState = OPEN;
+          this._dispatch("open", { type: "open" });
+          this._read(res.body);
+        },
+        (error) => this._fail({ message: error.message }, true),
+      );
+  }
+
+  _read(body) {
+    let stream = body;
+    let buffer = "";
+    let data = [];
+    let name = "";
+    const onText = (text) => {
+      buffer += text;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+      lines.forEach((line) => {
+        if (line === "") {
+          if (data.length) {
+            const event = {
+              type: name || "message",
+              data: data.join("\n"),
+              lastEventId: this._lastEventId,
+              origin: new URL(this.url).origin,
+            };
+            this._dispatch(event.type, event);
+          }
+          data = [];
+          name = "";
+          return;
+        }
+        if (line[0] === ":") return;
+        const colon = line.indexOf(":");
+        const field = colon < 0 ? line : line.slice(0, colon);
+        const value = colon < 0 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "data") data.push(value);
+        else if (field === "event") name = value;
+        else if (field === "id") this._lastEventId = value;
+        else if (field === "retry" && /^\d+$/.test(value)) {
+          this.reconnectInterval = Number(value);
+        }
+      });
+    };
+    const onEnd = () => {
+      if (this._body === stream) this._fail({ message: "Stream ended" }, true);
+    };
+
+    if (body && typeof body.on === "function") {
+      // node streams, e.g. from node-fetch
+      this._body = body;
+      body.setEncoding("utf8");
+      body.on("data", onText);
+      body.on("end", onEnd);
+      body.on("error", (error) => {
+        if (this._body === stream) this._fail({ message: error.message }, true);
+      });
+      return;
+    }
+
+    // WHATWG streams, e.g. from native fetch
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    stream = reader;
+    this._body = reader;
+    const pump = () =>
+      reader.read().then(({ done, value }) => {
+        if (done) {
+          onEnd();
+          return undefined;
+        }
+        onText(decoder.decode(value, { stream: true }));
+        return pump();
+      });
+    pump().catch((error) => {
+      if (this._body === stream) this._fail({ message: error.message }, true);
+    });
+  }
+}
+
+FetchEventSource.CONNECTING = CONNECTING;
+FetchEventSource.OPEN = OPEN;
+FetchEventSource.CLOSED = CLOSED;
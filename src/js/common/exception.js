@@ -7,9 +7,129 @@
  *
  */
 
-export function IEXJSException(message) {
-  const error = new Error(message);
-  return error;
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Base class of every error raised by iexjs. May be called with or without
+ * `new`.
+ *
+ * Errors raised for an HTTP request carry its details:
+ *   - `status`: HTTP status code, if a response was received
+ *   - `url`: request url, with the token redacted
+ *   - `body`: response body text
+ *   - `endpoint`: name of the endpoint requested
+ *
+ * @param {string} message
+ * @param {object} details `{ status, url, body, endpoint, cause }`
+ */
+export function IEXJSException(message, details = {}) {
+  if (!(this instanceof IEXJSException)) {
+    return new IEXJSException(message, details);
+  }
+  const { status, url, body, endpoint, cause } = details;
+
+  this.message = message;
+  if (status !== undefined) this.status = status;
+  if (url !== undefined) this.url = url;
+  if (body !== undefined) this.body = body;
+  if (endpoint !== undefined) this.endpoint = endpoint;
+  if (cause !== undefined) this.cause = cause;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = new Error(message).stack;
+  }
+  return this;
 }
 
-IEXJSException.prototype = Object.create(Error.prototype);
+IEXJSException.prototype = Object.create(Error.prototype, {
+  constructor: { value: IEXJSException, writable: true, configurable: true },
+});
+IEXJSException.prototype.name = "IEXJSException";
+
+/**
+ * Invalid arguments, rejected either locally or by IEX Cloud (400, 413)
+ */
+export class ValidationError extends IEXJSException {}
+ValidationError.prototype.name = "ValidationError";
+
+/**
+ * Missing, invalid or wrong-environment token (401)
+ */
+export class AuthenticationError extends IEXJSException {}
+AuthenticationError.prototype.name = "AuthenticationError";
+
+/**
+ * Token is valid but not entitled to the data, e.g. premium datasets or
+ * secret-only endpoints (403, 451)
+ */
+export class PermissionError extends IEXJSException {}
+PermissionError.prototype.name = "PermissionError";
+
+/**
+ * Unknown symbol or route (404)
+ */
+export class NotFoundError extends IEXJSException {}
+NotFoundError.prototype.name = "NotFoundError";
+
+/**
+ * Too many requests (429)
+ */
+export class RateLimitError extends IEXJSException {}
+RateLimitError.prototype.name = "RateLimitError";
+
+/**
+ * Account message quota or budget used up (402)
+ */
+export class MessageBudgetExceededError extends IEXJSException {}
+MessageBudgetExceededError.prototype.name = "MessageBudgetExceededError";
+
+/**
+ * IEX Cloud failed to handle the request (5xx)
+ */
+export class ServerError extends IEXJSException {}
+ServerError.prototype.name = "ServerError";
+
+/**
+ * No response was received, the original failure is kept as `cause`
+ */
+export class NetworkError extends IEXJSException {}
+NetworkError.prototype.name = "NetworkError";
+
+/**
+ * Raised when a request exceeds its `timeout`
+ */
+export class TimeoutError extends IEXJSException {}
+TimeoutError.prototype.name = "TimeoutError";
+
+/**
+ * Raised when a request is cancelled through its AbortSignal
+ */
+export class AbortError extends IEXJSException {}
+AbortError.prototype.name = "AbortError";
+
+/**
+ * Pick the error class for an HTTP status code
+ * @param {number} status
+ */
+export const _errorForStatus = (status) => {
+  switch (status) {
+    case 400:
+    case 413:
+      return ValidationError;
+    case 401:
+      return AuthenticationError;
+    case 402:
+      return MessageBudgetExceededError;
+    case 403:
+    case 451:
+      return PermissionError;
+    case 404:
+      return NotFoundError;
+    case 429:
+      return RateLimitError;
+    default:
+      return status >= 500 ? ServerError : IEXJSException;
+  }
+};
@@ -0,0 +1,103 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import util from "util";
+
+import { ValidationError } from "./exception";
+
+// promisified on use, `fs` and `util` being empty modules in browser builds
+const _fs = (method, ...args) => util.promisify(fs[method])(...args);
+
+export const _IEXJS_CACHE_FOLDER = () =>
+  path.join(os.homedir(), ".iexjs", "cache");
+
+/**
+ * On-disk cache store, one JSON file per entry. Entries are keyed on the
+ * request url without the token, so no credentials are written to disk.
+ */
+export class FileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.path cache directory, defaults to ~/.iexjs/cache
+   */
+  constructor(options = {}) {
+    if (!fs.readFile) {
+      throw new ValidationError(
+        "FileStore needs a filesystem, use the memory store in browsers",
+      );
+    }
+    const { path: folder = _IEXJS_CACHE_FOLDER() } = options;
+    this.path = folder;
+    this._ready = null;
+  }
+
+  _file(key) {
+    const hash = crypto.createHash("sha1").update(key).digest("hex");
+    return path.join(this.path, `${hash}.json`);
+  }
+
+  _ensureFolder() {
+    if (!this._ready) {
+      this._ready = _fs("mkdir", this.path, { recursive: true });
+    }
+    return this._ready;
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await _fs("readFile", this._file(key), "utf8"));
+      return entry.key === key ? entry : undefined;
+    } catch (e) {
+      // missing or unreadable entries are misses
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    await this._ensureFolder();
+    await _fs("writeFile", this._file(key), JSON.stringify({ ...entry, key }));
+  }
+
+  async delete(key) {
+    try {
+      await _fs("unlink", this._file(key));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  }
+
+  async keys() {
+    let files;
+    try {
+      files = await _fs("readdir", this.path);
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    const entries = await Promise.all(
+      files
+        .filter((file) => file.endsWith(".json"))
+        .map((file) =>
+          _fs("readFile", path.join(this.path, file), "utf8")
+            .then((text) => JSON.parse(text).key)
+            .catch(() => undefined),
+        ),
+    );
+    return entries.filter((key) => key !== undefined);
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    await Promise.all(keys.map((key) => this.delete(key)));
+  }
+}
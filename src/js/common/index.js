@@ -7,6 +7,27 @@
  *
  */
 
+export * from "./agent";
+export * from "./budget";
+export * from "./cache";
+export * from "./cancel";
+export * from "./coalesce";
 export * from "./checks";
+export * from "./context";
+export * from "./costs";
+export * from "./credentials";
+export * from "./events";
+export * from "./eventsource";
 export * from "./exception";
+export * from "./filestore";
+export * from "./limiter";
+export * from "./markethours";
+export * from "./memorystore";
+export * from "./middleware";
+export * from "./platform";
+export * from "./pool";
+export * from "./redact";
+export * from "./retry";
+export * from "./sse";
 export * from "./urls";
+export * from "./weights";
@@ -0,0 +1,244 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+/* eslint-disable max-classes-per-file */
+
+import { _tokenOf } from "./context";
+import { ValidationError } from "./exception";
+
+/**
+ * Token bucket rate limiter with a concurrency cap. Work submitted via
+ * `schedule` is queued in order and started once both a token is available
+ * and fewer than `maxConcurrent` jobs are in flight.
+ */
+export class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {number} options.requestsPerSecond sustained request rate, IEX Cloud allows 100/s
+   * @param {number} options.burst bucket size, defaults to one second of requests
+   * @param {number} options.maxConcurrent maximum requests in flight at once
+   */
+  constructor(options = {}) {
+    const {
+      requestsPerSecond = 100,
+      burst = requestsPerSecond,
+      maxConcurrent = Infinity,
+    } = options;
+
+    if (!(requestsPerSecond > 0)) {
+      throw new ValidationError(
+        `requestsPerSecond must be positive, got ${requestsPerSecond}`,
+      );
+    }
+    if (!(maxConcurrent >= 1)) {
+      throw new ValidationError(
+        `maxConcurrent must be >= 1, got ${maxConcurrent}`,
+      );
+    }
+
+    this.requestsPerSecond = requestsPerSecond;
+    this.burst = Math.max(1, burst);
+    this.maxConcurrent = maxConcurrent;
+
+    this._tokens = this.burst;
+    this._last = Date.now();
+    this._active = 0;
+    this._queue = [];
+    this._timer = null;
+    // called whenever the last job finishes with none waiting
+    this._onIdle = null;
+  }
+
+  /**
+   * number of jobs waiting to start
+   */
+  get pending() {
+    return this._queue.length;
+  }
+
+  /**
+   * number of jobs currently running
+   */
+  get active() {
+    return this._active;
+  }
+
+  /**
+   * Queue `fn` to run once the limiter allows it
+   * @param {function} fn function returning a promise
+   * @returns {Promise} resolves or rejects with the result of `fn`
+   */
+  schedule(fn) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ fn, resolve, reject });
+      this._drain();
+    });
+  }
+
+  _refill() {
+    const now = Date.now();
+    this._tokens = Math.min(
+      this.burst,
+      this._tokens + ((now - this._last) * this.requestsPerSecond) / 1000,
+    );
+    this._last = now;
+  }
+
+  _drain() {
+    if (this._timer) return;
+
+    while (this._queue.length && this._active < this.maxConcurrent) {
+      this._refill();
+      if (this._tokens < 1) {
+        const wait = Math.ceil(
+          ((1 - this._tokens) * 1000) / this.requestsPerSecond,
+        );
+        this._timer = setTimeout(() => {
+          this._timer = null;
+          this._drain();
+        }, wait);
+        return;
+      }
+
+      this._tokens -= 1;
+      this._active += 1;
+      const { fn, resolve, reject } = this._queue.shift();
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          this._active -= 1;
+          this._drain();
+          if (!this._active && !this._queue.length && this._onIdle) {
+            this._onIdle();
+          }
+        });
+    }
+  }
+}
+
+// limiters shared by token, dropped once idle, see SharedRateLimiter
+const _SHARED_LIMITERS = new Map();
+
+const _SETTINGS = ["requestsPerSecond", "burst", "maxConcurrent"];
+
+/**
+ * Drop a shared limiter once it has been idle long enough to refill its
+ * bucket, when a new one would behave the same
+ * @param {string} token
+ * @param {RateLimiter} limiter
+ */
+const _evictWhenRefilled = (token, limiter) => {
+  if (limiter._evicting) return;
+  limiter._refill();
+  const wait = Math.ceil(
+    ((limiter.burst - limiter._tokens) * 1000) / limiter.requestsPerSecond,
+  );
+  // eslint-disable-next-line no-param-reassign
+  limiter._evicting = setTimeout(() => {
+    // eslint-disable-next-line no-param-reassign
+    limiter._evicting = null;
+    if (limiter.active || limiter.pending || limiter._timer) return;
+    if (_SHARED_LIMITERS.get(token) === limiter) _SHARED_LIMITERS.delete(token);
+  }, wait);
+  // don't hold Node's event loop open for it
+  if (limiter._evicting.unref) limiter._evicting.unref();
+};
+
+/**
+ * Handle on the limiter shared by every Client with the same token, for the
+ * `rateLimit` option. The token is read from the request context on each
+ * request, so that Clients loading theirs from a `credentials` provider
+ * share by the loaded token, and the limiter is looked up on each request,
+ * so that idle ones can be dropped. Without a token, e.g. for Clients of a
+ * proxy, the handle keeps a limiter of its own.
+ */
+class SharedRateLimiter {
+  /**
+   * @param {string|object} token Access token or request context
+   * @param {object} options as for `RateLimiter`
+   */
+  constructor(token, options = {}) {
+    this._token = token;
+    this._options = options;
+    // validates the options, and serves until there is a token
+    this._own = new RateLimiter(options);
+    this._warned = false;
+  }
+
+  /**
+   * the limiter currently shared by this handle's token
+   * @returns {RateLimiter}
+   */
+  get limiter() {
+    const token = _tokenOf(this._token);
+    if (!token) return this._own;
+
+    let limiter = _SHARED_LIMITERS.get(token);
+    if (!limiter) {
+      limiter = new RateLimiter(this._options);
+      limiter._onIdle = () => _evictWhenRefilled(token, limiter);
+      _SHARED_LIMITERS.set(token, limiter);
+      _evictWhenRefilled(token, limiter);
+    } else if (
+      !this._warned &&
+      _SETTINGS.some((name) => limiter[name] !== this._own[name])
+    ) {
+      this._warned = true;
+      // eslint-disable-next-line no-console
+      console.warn(
+        "iexjs: this Client's rateLimit settings are ignored, another Client with the same token set them first; pass `shared: false` for a limiter of its own",
+      );
+    }
+    return limiter;
+  }
+
+  get pending() {
+    return this.limiter.pending;
+  }
+
+  get active() {
+    return this.limiter.active;
+  }
+
+  /**
+   * Queue `fn` on the shared limiter
+   * @param {function} fn function returning a promise
+   * @returns {Promise}
+   */
+  schedule(fn) {
+    return this.limiter.schedule(fn);
+  }
+}
+
+/**
+ * Resolve the `rateLimit` option of a Client into a limiter.
+ *
+ * A `RateLimiter` instance is used as is. An options object creates a
+ * limiter which, unless `shared: false` is given, is shared by every Client
+ * using the same token, so that they draw from one budget. The first Client
+ * to use a token determines the shared limiter's settings, and later ones
+ * with different settings are warned about.
+ *
+ * @param {object|RateLimiter} rateLimit limiter or limiter options
+ * @param {string|object} token Access token or request context
+ * @returns {RateLimiter|SharedRateLimiter|null}
+ */
+export const _rateLimiter = (rateLimit, token) => {
+  if (!rateLimit) return null;
+  if (rateLimit instanceof RateLimiter) return rateLimit;
+
+  const { shared = true, ...options } = rateLimit === true ? {} : rateLimit;
+  if (!shared) return new RateLimiter(options);
+
+  const handle = new SharedRateLimiter(token, options);
+  // warn about conflicting settings up front where the token is known
+  if (_tokenOf(token)) handle.limiter; // eslint-disable-line no-unused-expressions
+  return handle;
+};
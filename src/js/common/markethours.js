@@ -0,0 +1,249 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { ValidationError } from "./exception";
+
+const _DAY = 24 * 60 * 60 * 1000;
+
+// regular and early-close session times, New York wall clock
+const _OPEN = [9, 30];
+const _CLOSE = [16, 0];
+const _EARLY_CLOSE = [13, 0];
+
+// longest run of days without a session, e.g. a holiday next to a weekend
+const _MAX_GAP = 10;
+
+let _formatter = null;
+
+/**
+ * New York wall clock fields of a timestamp
+ * @param {number} time milliseconds since epoch
+ */
+const _newYorkParts = (time) => {
+  if (!_formatter) {
+    _formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: "America/New_York",
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+  }
+  const parts = {};
+  _formatter.formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+};
+
+/**
+ * Offset of New York from UTC at a timestamp, in milliseconds
+ * @param {number} time milliseconds since epoch
+ */
+const _newYorkOffset = (time) => {
+  const { year, month, day, hour, minute, second } = _newYorkParts(time);
+  return (
+    Date.UTC(year, month - 1, day, hour, minute, second) -
+    Math.floor(time / 1000) * 1000
+  );
+};
+
+/**
+ * Timestamp of a New York wall clock time
+ */
+const _newYorkTime = (year, month, day, hour, minute) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // the second pass corrects for a DST change between the two offsets
+  return wall - _newYorkOffset(wall - _newYorkOffset(wall));
+};
+
+/**
+ * Normalize a date given as a Date, "YYYY-MM-DD", "YYYYMMDD" or an IEX Cloud
+ * `{ date }` record into "YYYY-MM-DD"
+ * @param {*} date
+ */
+const _dateKey = (date) => {
+  if (date instanceof Date) return date.toISOString().slice(0, 10);
+  if (date && typeof date === "object") return _dateKey(date.date);
+  if (typeof date === "string" && /^\d{4}-?\d{2}-?\d{2}$/.test(date)) {
+    const digits = date.replace(/-/g, "");
+    return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6)}`;
+  }
+  throw new ValidationError(`Not a date: ${date}`);
+};
+
+/**
+ * NYSE's standing 1pm closes: July 3rd, the day after Thanksgiving and
+ * Christmas Eve, when those fall on a weekday. Holidays take precedence, so
+ * e.g. an observed Friday July 3rd holiday stays closed.
+ * @param {number} year
+ */
+const _standardEarlyCloses = (year) => {
+  const weekday = (month, day) => {
+    const dow = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return dow > 0 && dow < 6;
+  };
+  const key = (month, day) =>
+    new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+  // Thanksgiving is the fourth Thursday of November
+  const november = new Date(Date.UTC(year, 10, 1)).getUTCDay();
+  const thanksgiving = 1 + ((4 - november + 7) % 7) + 21;
+
+  const closes = [key(11, thanksgiving + 1)];
+  if (weekday(7, 3)) closes.push(key(7, 3));
+  if (weekday(12, 24)) closes.push(key(12, 24));
+  return closes;
+};
+
+/**
+ * US equity trading calendar, used to expire cached market data at the
+ * next session open or close.
+ *
+ * Sessions run 9:30am to 4pm New York time on weekdays, closing at 1pm on
+ * NYSE's early-close days. Holidays are given up front or loaded on demand,
+ * e.g. from the IEX Cloud holidays endpoint. Should loading fail, or return
+ * something other than a list of dates, only weekends are skipped until the
+ * next attempt, which errs towards expiring entries early. Attempts back off
+ * from a minute up to a day.
+ */
+export class TradingCalendar {
+  /**
+   * @param {object} options
+   * @param {Array|function} options.holidays dates the market is closed, or a function returning (a promise of) them, reloaded daily
+   * @param {Array} options.earlyCloses extra 1pm closes beyond NYSE's standing ones
+   * @param {boolean} options.wait whether queries wait for holidays being loaded, rather than going by those loaded so far, defaults to true
+   */
+  constructor(options = {}) {
+    const { holidays = [], earlyCloses = [], wait = true } = options;
+
+    if (typeof holidays === "function") {
+      this._loadHolidays = holidays;
+      this._holidays = new Set();
+    } else {
+      this._loadHolidays = null;
+      this._holidays = new Set(holidays.map(_dateKey));
+    }
+    this._wait = wait;
+    this._loadedAt = null;
+    this._loading = null;
+    this._failures = 0;
+    this._retryAt = 0;
+
+    this._earlyCloses = new Set(earlyCloses.map(_dateKey));
+    this._earlyClosesLoaded = new Set();
+  }
+
+  async _ensureHolidays() {
+    if (!this._loadHolidays) return;
+    const now = Date.now();
+    if (this._loadedAt !== null && now - this._loadedAt < _DAY) return;
+    if (!this._loading && now < this._retryAt) return;
+
+    if (!this._loading) {
+      this._loading = Promise.resolve()
+        .then(this._loadHolidays)
+        .then((holidays) => new Set(holidays.map(_dateKey)))
+        .then(
+          (holidays) => {
+            this._holidays = holidays;
+            this._loadedAt = Date.now();
+            this._failures = 0;
+          },
+          // keep the previous holidays and try again later
+          () => {
+            this._retryAt =
+              Date.now() + Math.min(_DAY, 60 * 1000 * 2 ** this._failures);
+            this._failures += 1;
+          },
+        )
+        .finally(() => {
+          this._loading = null;
+        });
+    }
+    if (this._wait) await this._loading;
+  }
+
+  _isEarlyClose(key) {
+    const year = Number(key.slice(0, 4));
+    if (!this._earlyClosesLoaded.has(year)) {
+      _standardEarlyCloses(year).forEach((day) => this._earlyCloses.add(day));
+      this._earlyClosesLoaded.add(year);
+    }
+    return this._earlyCloses.has(key);
+  }
+
+  /**
+   * Session on the New York day `offset` days after `date`
+   * @returns {object|null} `{ open, close }` Dates, or null if closed
+   */
+  _session(date, offset) {
+    const { year, month, day } = _newYorkParts(date.getTime());
+    const midnight = new Date(Date.UTC(year, month - 1, day + offset));
+    const dow = midnight.getUTCDay();
+    const key = midnight.toISOString().slice(0, 10);
+    if (dow === 0 || dow === 6 || this._holidays.has(key)) return null;
+
+    const [y, m, d] = [
+      midnight.getUTCFullYear(),
+      midnight.getUTCMonth() + 1,
+      midnight.getUTCDate(),
+    ];
+    const close = this._isEarlyClose(key) ? _EARLY_CLOSE : _CLOSE;
+    return {
+      open: new Date(_newYorkTime(y, m, d, ..._OPEN)),
+      close: new Date(_newYorkTime(y, m, d, ...close)),
+    };
+  }
+
+  /**
+   * First session, starting from `date`'s day, satisfying `test`
+   */
+  async _find(date, test) {
+    await this._ensureHolidays();
+    for (let offset = 0; offset <= _MAX_GAP; offset += 1) {
+      const session = this._session(date, offset);
+      if (session && test(session)) return session;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the market is in session at `date`
+   * @param {Date} date
+   */
+  async isOpen(date = new Date()) {
+    await this._ensureHolidays();
+    const session = this._session(date, 0);
+    return session !== null && session.open <= date && date < session.close;
+  }
+
+  /**
+   * Start of the next session after `date`
+   * @param {Date} date
+   * @returns {Promise<Date|null>}
+   */
+  async nextOpen(date = new Date()) {
+    const session = await this._find(date, ({ open }) => open > date);
+    return session && session.open;
+  }
+
+  /**
+   * End of the current session, or of the next one if the market is closed
+   * @param {Date} date
+   * @returns {Promise<Date|null>}
+   */
+  async nextClose(date = new Date()) {
+    const session = await this._find(date, ({ close }) => close > date);
+    return session && session.close;
+  }
+}
@@ -0,0 +1,37 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+/**
+ * In-process cache store
+ */
+export class MemoryStore {
+  constructor() {
+    this._entries = new Map();
+  }
+
+  get(key) {
+    return this._entries.get(key);
+  }
+
+  set(key, entry) {
+    this._entries.set(key, entry);
+  }
+
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this._entries.keys());
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+}
@@ -0,0 +1,46 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { ValidationError } from "./exception";
+
+/**
+ * Check a middleware function, throwing otherwise
+ * @param {function} fn
+ */
+export const _checkMiddleware = (fn) => {
+  if (typeof fn !== "function") {
+    throw new ValidationError(
+      "middleware must be a function (request, next) => Promise",
+    );
+  }
+  return fn;
+};
+
+/**
+ * Run `request` through a middleware chain ending in `send`.
+ *
+ * Each middleware is called as `middleware(request, next)`, where `request`
+ * is `{ method, url, headers, body, endpoint }`. It may change the request,
+ * or pass a new one as `next(request)`, and must return (a promise of) the
+ * result: usually that of `next`, possibly transformed, or a synthetic one
+ * without calling `next` at all. Errors thrown by `next` may be caught and
+ * replaced. The first middleware is the outermost.
+ *
+ * @param {Array<function>} middleware
+ * @param {object} request
+ * @param {function} send `(request) => Promise` sending the final request
+ */
+export const _runMiddleware = (middleware, request, send) => {
+  const dispatch = (index, current) => {
+    if (index === middleware.length) return send(current);
+    const next = (changed = current) => dispatch(index + 1, changed);
+    return Promise.resolve().then(() => middleware[index](current, next));
+  };
+  return dispatch(0, request);
+};
@@ -0,0 +1,34 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import crossFetch from "cross-fetch";
+
+// cross-fetch is an empty module in browser builds, see `browser` in package.json
+export const _root = typeof globalThis !== "undefined" ? globalThis : {};
+
+/**
+ * Whether this runs in a browser or web worker, as opposed to Node
+ * @returns {boolean}
+ */
+export const _inBrowser = () =>
+  typeof _root.document !== "undefined" ||
+  typeof _root.importScripts === "function";
+
+/**
+ * fetch used for REST requests and agent-backed streams unless a Client
+ * `transport` is given: the browser's own, else cross-fetch, whose
+ * node-fetch takes the `agent` option Node's built-in fetch ignores
+ * @param {string} url
+ * @param {object} init
+ * @returns {Promise<Response>}
+ */
+export const _fetch = (url, init) =>
+  _inBrowser() && typeof _root.fetch === "function"
+    ? _root.fetch(url, init)
+    : crossFetch(url, init);
@@ -0,0 +1,171 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+/* eslint-disable max-classes-per-file */
+
+import { _messageBudget } from "./budget";
+import { ValidationError } from "./exception";
+
+/**
+ * Statuses with which IEX Cloud refuses a token, rather than the request:
+ * revoked (401), out of credit (402) or not entitled (403)
+ */
+export const _FAILOVER_STATUSES = [401, 402, 403];
+
+/**
+ * A token in a `TokenPool`, with its weight, budget and refusal state
+ */
+class _PooledToken {
+  constructor(entry, cooldown) {
+    const { token, secretToken = null, weight = 1, budget = null } =
+      typeof entry === "string" ? { token: entry } : entry || {};
+    if (!token || typeof token !== "string") {
+      throw new ValidationError("Every pooled token needs a token string");
+    }
+    if (!(weight > 0)) {
+      throw new ValidationError(
+        `weight must be a positive number, got ${weight}`,
+      );
+    }
+    this.token = token;
+    this.secretToken = secretToken;
+    this.weight = weight;
+    this.budget = _messageBudget(budget);
+    this.cooldown = cooldown;
+    this.current = 0;
+    this.refusedAt = null;
+  }
+
+  /**
+   * Whether the token is in its cooldown after being refused
+   * @param {number} now
+   */
+  refused(now = Date.now()) {
+    return this.refusedAt !== null && now - this.refusedAt < this.cooldown;
+  }
+
+  /**
+   * Whether a request fits within the token's budget and it is not refused
+   * @param {string} endpoint endpoint to be charged, see `_costKey`
+   * @param {number} estimate expected messages
+   * @param {number} now
+   */
+  available(endpoint, estimate, now) {
+    if (this.refused(now)) return false;
+    return !this.budget || !this.budget._exceeded(endpoint, estimate);
+  }
+
+  /**
+   * Take the token out of rotation for the cooldown, after IEX Cloud
+   * refused it
+   */
+  refuse() {
+    this.refusedAt = Date.now();
+  }
+
+  /**
+   * Record messages used by a request made with the token
+   * @param {string} endpoint endpoint charged, see `_costKey`
+   * @param {number} messages
+   */
+  record(endpoint, messages) {
+    if (this.budget) this.budget.record(endpoint, messages);
+  }
+}
+
+/**
+ * Pool of tokens, e.g. one per account or cost centre, which a Client
+ * spreads its requests across.
+ *
+ * Requests go to tokens in proportion to their `weight`. A token is skipped
+ * while a request would take it past its own `budget`, and for `cooldown`
+ * milliseconds after IEX Cloud refuses it, in which case the request fails
+ * over to the next token.
+ */
+export class TokenPool {
+  /**
+   * @param {Array<string|object>} tokens tokens, or `{ token, secretToken, weight, budget }` with `budget` as for the Client's `budget` option
+   * @param {object} options
+   * @param {number} options.cooldown milliseconds a refused token is skipped for, defaults to a minute
+   */
+  constructor(tokens, options = {}) {
+    const { cooldown = 60 * 1000 } = options;
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      throw new ValidationError("tokens must be a non-empty array");
+    }
+    if (!(cooldown >= 0)) {
+      throw new ValidationError(
+        `cooldown must be a non-negative number, got ${cooldown}`,
+      );
+    }
+    this.members = tokens.map((entry) => new _PooledToken(entry, cooldown));
+  }
+
+  /**
+   * Choose the token for the next request, by smooth weighted round robin
+   * over those available
+   * @param {string} endpoint endpoint to be charged, see `_costKey`
+   * @param {number} estimate expected messages
+   * @param {Array<object>} exclude members already tried for this request
+   * @returns {object|null} pool member, with its `token` and `secretToken`, or null if none is available
+   */
+  pick(endpoint = null, estimate = 1, exclude = []) {
+    const now = Date.now();
+    const candidates = this.members.filter(
+      (member) =>
+        exclude.indexOf(member) < 0 &&
+        member.available(endpoint, estimate, now),
+    );
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, member) => sum + member.weight, 0);
+    candidates.forEach((member) => {
+      // eslint-disable-next-line no-param-reassign
+      member.current += member.weight;
+    });
+    const chosen = candidates.reduce((best, member) =>
+      member.current > best.current ? member : best,
+    );
+    chosen.current -= total;
+    return chosen;
+  }
+
+  /**
+   * Every token in the pool, e.g. for redaction
+   * @returns {Array<string>}
+   */
+  tokens() {
+    return this.members.reduce(
+      (all, { token, secretToken }) =>
+        secretToken ? [...all, token, secretToken] : [...all, token],
+      [],
+    );
+  }
+
+  /**
+   * State of each token, in the order given, without the tokens themselves
+   * @returns {Array<object>} `{ weight, refused, budget }` per token, `budget` as from `budgetStatus`
+   */
+  status() {
+    return this.members.map((member) => ({
+      weight: member.weight,
+      refused: member.refused(),
+      budget: member.budget ? member.budget.status() : null,
+    }));
+  }
+}
+
+/**
+ * Resolve the `tokens` option of a Client into a pool. A `TokenPool` is used
+ * as is, so it can be shared between clients.
+ * @param {Array|TokenPool} tokens
+ * @returns {TokenPool}
+ */
+export const _tokenPool = (tokens) =>
+  tokens instanceof TokenPool ? tokens : new TokenPool(tokens);
@@ -0,0 +1,113 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+export const _REDACTED = "REDACTED";
+
+// publishable, secret and their sandbox counterparts: pk_, sk_, Tpk_, Tsk_
+const _TOKEN_PATTERN = /\bT?[ps]k_[0-9A-Za-z]+/g;
+
+const _escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Replace the value of the `token` query parameter in a url
+ * @param {string} url
+ * @returns {string}
+ */
+export const _redactUrl = (url) =>
+  String(url).replace(/([?&]token=)[^&#\s]*/g, `$1${_REDACTED}`);
+
+/**
+ * Redact tokens from text: `token` query parameters, anything shaped like an
+ * IEX Cloud token, and each of `tokens` verbatim
+ * @param {string} text
+ * @param {Array<string>} tokens
+ * @returns {string}
+ */
+const _redactText = (text, tokens) =>
+  tokens
+    .filter((token) => typeof token === "string" && token.length > 0)
+    .reduce(
+      (redacted, token) =>
+        redacted.replace(new RegExp(_escape(token), "g"), _REDACTED),
+      _redactUrl(text).replace(_TOKEN_PATTERN, _REDACTED),
+    );
+
+/**
+ * Redact tokens from an error in place, including its stack and the errors
+ * it wraps, so it can be rethrown
+ * @param {Error} error
+ * @param {string|Array<string>} tokens tokens to remove verbatim
+ * @returns {Error} `error`
+ */
+export const _redactError = (error, tokens = []) => {
+  const secrets = [].concat(tokens);
+  const seen = [];
+  const scrub = (current) => {
+    if (!current || typeof current !== "object" || seen.includes(current)) {
+      return;
+    }
+    seen.push(current);
+    ["message", "stack", "url", "body"].forEach((field) => {
+      if (typeof current[field] !== "string") return;
+      try {
+        // eslint-disable-next-line no-param-reassign
+        current[field] = _redactText(current[field], secrets);
+      } catch (e) {
+        // read-only, e.g. on some DOM events
+      }
+    });
+    scrub(current.cause);
+  };
+  scrub(error);
+  return error;
+};
+
+/**
+ * Plain copy of a stream's error event, e.g. an `EventSource`'s, with its
+ * type, status and redacted message, leaving out its target, whose url
+ * carries the token
+ * @param {object} event
+ * @param {string|Array<string>} tokens tokens to remove verbatim
+ * @returns {object} `{ type, status, message }`
+ */
+export const _redactEvent = (event, tokens = []) => {
+  const { type = "error", status, message = "" } = event || {};
+  return {
+    type,
+    status,
+    message: _redactText(String(message), [].concat(tokens)),
+  };
+};
+
+/**
+ * Redact IEX Cloud tokens for logging.
+ *
+ * Strings have `token` query parameters and anything shaped like a
+ * `pk_`/`sk_`/`Tpk_`/`Tsk_` token replaced with "REDACTED". Errors are
+ * redacted in place and returned; arrays and plain objects are copied with
+ * their values redacted. Other values are returned unchanged.
+ *
+ * @param {*} value
+ * @param {string|Array<string>} tokens further secrets to remove verbatim
+ * @returns {*}
+ */
+export const redact = (value, tokens = []) => {
+  const secrets = [].concat(tokens);
+  if (typeof value === "string") return _redactText(value, secrets);
+  if (value instanceof Error) return _redactError(value, secrets);
+  if (Array.isArray(value)) return value.map((item) => redact(item, secrets));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.keys(value).reduce((copy, key) => {
+      // eslint-disable-next-line no-param-reassign
+      copy[key] = key === "token" ? _REDACTED : redact(value[key], secrets);
+      return copy;
+    }, {});
+  }
+  return value;
+};
@@ -0,0 +1,154 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { _isCancellation } from "./cancel";
+import {
+  NetworkError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+} from "./exception";
+
+export const _RETRY_DEFAULTS = {
+  maxAttempts: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statuses: [429, 500, 502, 503, 504],
+  methods: ["GET", "DELETE"],
+  retryPost: false,
+  onRetry: null,
+};
+
+/**
+ * Normalize the `retry` option of a Client or request context into a policy.
+ *
+ * `false`/`undefined` disables retries, `true` uses the defaults, a number
+ * sets `maxAttempts`, and an object overrides individual defaults.
+ *
+ * @param {boolean|number|object} retry
+ * @returns {object|null} retry policy, or null if retries are disabled
+ */
+export const _retryPolicy = (retry) => {
+  if (!retry) return null;
+  if (retry === true) return { ..._RETRY_DEFAULTS };
+  if (typeof retry === "number")
+    return { ..._RETRY_DEFAULTS, maxAttempts: retry };
+  if (typeof retry !== "object") {
+    throw new ValidationError(`Unrecognized retry policy: ${retry}`);
+  }
+  return { ..._RETRY_DEFAULTS, ...retry };
+};
+
+/**
+ * Parse a Retry-After header, either delta-seconds or an HTTP date.
+ * @param {string} value header value
+ * @returns {number|null} delay in milliseconds
+ */
+export const _parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff delay for the given (1-based) attempt, with full jitter
+ * @param {object} policy retry policy
+ * @param {number} attempt attempt that just failed
+ * @returns {number} delay in milliseconds
+ */
+export const _backoffDelay = (policy, attempt) => {
+  const ceiling = Math.min(
+    policy.maxDelay,
+    policy.minDelay * policy.factor ** (attempt - 1),
+  );
+  return policy.jitter ? Math.round(Math.random() * ceiling) : ceiling;
+};
+
+/**
+ * Whether a failed attempt is worth sending again: network failures, and
+ * 429/5xx responses with a status in `statuses`. Anything else, e.g. a
+ * malformed body or an exception from an event listener, would fail the
+ * same way, and every attempt is billed.
+ * @param {object} policy retry policy
+ * @param {string} method HTTP method
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const _retryable = (policy, method, error) => {
+  if (_isCancellation(error)) return false;
+  if (
+    method === "POST" ? !policy.retryPost : policy.methods.indexOf(method) < 0
+  )
+    return false;
+  if (error instanceof NetworkError) return true;
+  if (!(error instanceof RateLimitError || error instanceof ServerError)) {
+    return false;
+  }
+  return policy.statuses.indexOf(error.status) >= 0;
+};
+
+const _sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `send` under the given retry policy. Failed attempts are recorded on
+ * the eventually thrown error as `error.retries`.
+ *
+ * @param {function} send function returning a promise for one attempt
+ * @param {object} policy retry policy from `_retryPolicy`, or null
+ * @param {object} request `{ method, url }` passed to the `onRetry` hook
+ */
+export const _withRetry = async (send, policy, request) => {
+  if (!policy) return send();
+
+  const retries = [];
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return await send();
+    } catch (error) {
+      if (
+        attempt >= policy.maxAttempts ||
+        !_retryable(policy, request.method, error)
+      ) {
+        error.retries = retries;
+        if (retries.length) {
+          error.message += ` (after ${retries.length} ${
+            retries.length === 1 ? "retry" : "retries"
+          })`;
+        }
+        throw error;
+      }
+
+      const backoff = _backoffDelay(policy, attempt);
+      const retryAfter = _parseRetryAfter(error.retryAfter);
+      // Retry-After may ask for longer than the policy is willing to wait
+      const delay =
+        retryAfter === null
+          ? backoff
+          : Math.min(policy.maxDelay, Math.max(backoff, retryAfter));
+
+      const record = {
+        attempt,
+        delay,
+        status: error.status,
+        message: error.message,
+      };
+      retries.push(record);
+      if (policy.onRetry) policy.onRetry({ ...request, ...record, error });
+
+      // eslint-disable-next-line no-await-in-loop
+      await _sleep(delay);
+    }
+  }
+};
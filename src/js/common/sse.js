@@ -0,0 +1,223 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable max-classes-per-file */
+
+import NodeEventSource from "eventsource";
+
+import { _requestContext } from "./context";
+import { _emit } from "./events";
+import { FetchEventSource } from "./eventsource";
+import { _errorForStatus } from "./exception";
+import { _fetch, _root } from "./platform";
+import { _FAILOVER_STATUSES } from "./pool";
+import { _redactEvent, _redactUrl } from "./redact";
+import { _tokensOf } from "./urls";
+
+/**
+ * Open an `EventSource`, the native one where there is one, e.g. in
+ * browsers, else the `eventsource` package's
+ * @param {string} url stream url
+ * @returns {EventSource}
+ */
+const _openEventSource = (url) =>
+  typeof _root.EventSource === "function"
+    ? new _root.EventSource(url)
+    : new NodeEventSource(url);
+
+// EventSource readyState once a connection is given up on
+const _CLOSED = 2;
+
+/**
+ * Whether a stream error is IEX Cloud refusing the token. Browsers' own
+ * EventSource reports no status, only that it gave up on the connection,
+ * as it does for any error response: there, every such error counts.
+ * @param {object} error error event
+ * @param {EventSource} source
+ */
+const _refused = (error, source) =>
+  error && error.status !== undefined
+    ? _FAILOVER_STATUSES.indexOf(error.status) >= 0
+    : source.readyState === _CLOSED;
+
+/**
+ * Stream handle around an `EventSource`, offering the parts of its
+ * interface streams are used through, with the token redacted from `url`.
+ * Errors reach `onerror` and "error" listeners as `{ type, status, message }`,
+ * redacted likewise, rather than as the `EventSource`'s own events, whose
+ * target carries the token.
+ */
+class _Stream {
+  constructor(url, connect) {
+    this.accrued = [];
+    this.onerror = null;
+    this._url = new URL(url);
+    this._connect = connect;
+    this._listeners = [];
+    this._closed = false;
+  }
+
+  _open() {
+    this.source = this._connect(this._url.href, this);
+    this._listeners
+      .filter(([type]) => type !== "error")
+      .forEach(([type, listener]) =>
+        this.source.addEventListener(type, listener),
+      );
+  }
+
+  /**
+   * Handle an error of the current `source`
+   * @param {object} event the source's error event
+   * @param {object} error the event, redacted
+   */
+  _error(event, error) {
+    this._dispatchError(error);
+  }
+
+  _dispatchError(error) {
+    if (this.onerror) this.onerror(error);
+    this._listeners
+      .filter(([type]) => type === "error")
+      .forEach(([, listener]) => listener(error));
+  }
+
+  get readyState() {
+    return this.source.readyState;
+  }
+
+  get url() {
+    return _redactUrl(this._url.href);
+  }
+
+  addEventListener(type, listener) {
+    this._listeners.push([type, listener]);
+    if (type !== "error") this.source.addEventListener(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this._listeners = this._listeners.filter(
+      ([t, l]) => t !== type || l !== listener,
+    );
+    if (type !== "error") this.source.removeEventListener(type, listener);
+  }
+
+  close() {
+    this._closed = true;
+    this.source.close();
+  }
+}
+
+/**
+ * Stream whose token is drawn from a `TokenPool`. When IEX Cloud refuses the
+ * token, e.g. once it is rotated out, the stream reconnects with the next
+ * token in the pool, keeping its callback, listeners and accrued messages.
+ * Errors along the way are only reported as `sseError`: once no token is
+ * left, the stream closes with an "error" event carrying the refusal as
+ * `error`, also reported as `sseError`.
+ */
+class _PooledStream extends _Stream {
+  constructor(url, pool, connect, events) {
+    super(url, connect);
+    this._pool = pool;
+    this._events = events;
+    this._member = pool.pick();
+    if (this._member) {
+      this._url.searchParams.set("token", this._member.token);
+    }
+  }
+
+  _error(event) {
+    if (_refused(event, this.source)) this._rotate(event);
+  }
+
+  _rotate(refusal) {
+    if (this._member) this._member.refuse();
+    if (this._closed) return;
+    const next = this._pool.pick(null, 1, this._member ? [this._member] : []);
+    if (!next) {
+      this._fail(refusal);
+      return;
+    }
+    this._member = next;
+    this.source.close();
+    this._url.searchParams.set("token", next.token);
+    this._open();
+  }
+
+  _fail(refusal) {
+    this.close();
+    const status = refusal && refusal.status;
+    const ErrorType = _errorForStatus(status || 403);
+    const error = new ErrorType(
+      `Stream refused${
+        status ? ` with ${status}` : ""
+      }, and no token in the pool is left to connect with`,
+      status ? { status, url: this.url } : { url: this.url },
+    );
+    _emit(this._events, "sseError", { url: this.url, error });
+    this._dispatchError({ type: "error", error });
+  }
+}
+
+/**
+ * Open an SSE stream, calling `on_data` with each message
+ *
+ * A stream handle is returned in place of the `EventSource`, keeping the
+ * token out of its `url` and errors, see `_Stream`. With a token pool in
+ * the context, the handle fails over to another token without the stream
+ * being restarted, see `_PooledStream`.
+ *
+ * @param {string} url stream url, including the token
+ * @param {function} on_data message callback, defaults to `console.log`
+ * @param {boolean} accrue keep received messages on the stream's `accrued`
+ * @param {string|object} token Access token or request context, whose emitter receives `sseMessage` and `sseError` events, and whose `agent` streams are opened with
+ */
+export const _streamSSE = (url, on_data, accrue = false, token = "") => {
+  const { events, pool, agent, transport = _fetch } = _requestContext(token);
+
+  // eslint-disable-next-line no-console
+  const callback = on_data || console.log;
+
+  const connect = (target, stream) => {
+    // with a configured agent, read the stream through the transport so it
+    // shares the REST requests' proxy and CA settings
+    const messages =
+      agent && !agent.implicit
+        ? new FetchEventSource(target, { transport, init: { agent } })
+        : _openEventSource(target);
+
+    messages.onerror = (event) => {
+      const error = _redactEvent(event, _tokensOf(token));
+      _emit(events, "sseError", { url: _redactUrl(target), error });
+      stream._error(event, error);
+    };
+
+    messages.onmessage = async (event) => {
+      // TODO stop
+      const datum = JSON.parse(event.data);
+      _emit(events, "sseMessage", {
+        url: _redactUrl(target),
+        bytes: event.data.length,
+        data: datum,
+      });
+      await callback(datum);
+      if (accrue) {
+        stream.accrued.push(datum);
+      }
+    };
+
+    return messages;
+  };
+
+  const stream = pool
+    ? new _PooledStream(url, pool, connect, events)
+    : new _Stream(url, connect);
+  stream._open();
+  return stream;
+};
@@ -9,10 +9,24 @@
 
 /* eslint-disable import/no-mutable-exports */
 
-import fetch from "cross-fetch";
-import EventSource from "eventsource";
-
-import { IEXJSException } from "./exception";
+import { _coalesce, _copyResult } from "./coalesce";
+import { _withCancellation } from "./cancel";
+import { _loadToken, _requestContext, _tokenOf } from "./context";
+import { _MESSAGES_HEADER, _costKey } from "./costs";
+import {
+  AuthenticationError,
+  IEXJSException,
+  MessageBudgetExceededError,
+  NetworkError,
+  _errorForStatus,
+} from "./exception";
+import { _emit } from "./events";
+import { _runMiddleware } from "./middleware";
+import { _fetch } from "./platform";
+import { _FAILOVER_STATUSES } from "./pool";
+import { _redactError, _redactUrl, redact } from "./redact";
+import { _retryPolicy, _withRetry } from "./retry";
+import { _estimateMessages } from "./weights";
 
 export const _URL_PREFIX = () => "https://api.iextrading.com/1.0/";
 export let _URL_PREFIX2 = (version) => `https://cloud.iexapis.com/${version}/`;
@@ -21,18 +35,94 @@ export const _URL_PREFIX2_SANDBOX = () => `https://sandbox.iexapis.com/stable/`;
 export const _SIO_URL_PREFIX = "https://ws-api.iextrading.com";
 export const _SIO_PORT = 443;
 
+/**
+ * Ensure a root url ends in a slash
+ * @param {string} url
+ */
+const _root = (url) => (url.endsWith("/") ? url : `${url}/`);
+
+/**
+ * REST url prefix for a request, from the context's `baseUrl`, or
+ * `sandboxUrl` for sandbox requests, falling back to IEX Cloud
+ * @param {string|object} token Access token or request context
+ * @param {boolean} sandbox
+ * @returns {function} `(version) => prefix`
+ */
+const _restPrefix = (token, sandbox) => {
+  const { baseUrl, sandboxUrl } = _requestContext(token);
+  if (sandbox) {
+    return sandboxUrl
+      ? () => `${_root(sandboxUrl)}stable/`
+      : _URL_PREFIX2_SANDBOX;
+  }
+  return baseUrl ? (version) => `${_root(baseUrl)}${version}/` : _URL_PREFIX2;
+};
+
+/**
+ * SSE url prefix for a request, from the context's `sseUrl`, or
+ * `sandboxSseUrl` for sandbox requests, falling back to IEX Cloud
+ * @param {string|object} token Access token or request context
+ * @param {string} version API version, or null for sandbox
+ */
+const _ssePrefix = (token, version) => {
+  const { sseUrl, sandboxSseUrl } = _requestContext(token);
+  if (version === null) {
+    return `${_root(
+      sandboxSseUrl || "https://sandbox-sse.iexapis.com/",
+    )}stable/`;
+  }
+  return `${_root(sseUrl || "https://cloud-sse.iexapis.com/")}${version}/`;
+};
+
+/**
+ * Token for a stream url. Streams open synchronously, so a token still
+ * loading from a credential provider is an error.
+ * @param {string|object} token Access token or request context
+ */
+const _streamToken = (token) => {
+  const value = _tokenOf(token);
+  if (!value && _requestContext(token).credentials) {
+    throw new AuthenticationError(
+      "Credentials are still loading, await client.ready() before streaming",
+    );
+  }
+  return value;
+};
+
 export const _SSE_URL_PREFIX = (version, channel, symbols, token) =>
-  `https://cloud-sse.iexapis.com/${version}/${channel}?symbols=${symbols}&token=${token}`;
+  `${_ssePrefix(
+    token,
+    version,
+  )}${channel}?symbols=${symbols}&token=${_streamToken(token)}`;
 export const _SSE_URL_PREFIX_ALL = (version, channel, token) =>
-  `https://cloud-sse.iexapis.com/${version}/${channel}?token=${token}`;
+  `${_ssePrefix(token, version)}${channel}?token=${_streamToken(token)}`;
 export const _SSE_DEEP_URL_PREFIX = (version, symbols, channels, token) =>
-  `https://cloud-sse.iexapis.com/${version}/deep?symbols=${symbols}&channels=${channels}&token=${token}`;
+  `${_ssePrefix(
+    token,
+    version,
+  )}deep?symbols=${symbols}&channels=${channels}&token=${_streamToken(token)}`;
 export const _SSE_URL_PREFIX_SANDBOX = (version, channel, symbols, token) =>
-  `https://sandbox-sse.iexapis.com/stable/${channel}?symbols=${symbols}&token=${token}`;
+  `${_ssePrefix(token, null)}${channel}?symbols=${symbols}&token=${_streamToken(
+    token,
+  )}`;
 export const _SSE_URL_PREFIX_ALL_SANDBOX = (channel, token) =>
-  `https://sandbox-sse.iexapis.com/stable/${channel}?token=${token}`;
+  `${_ssePrefix(token, null)}${channel}?token=${_streamToken(token)}`;
 export const _SSE_DEEP_URL_PREFIX_SANDBOX = (symbols, channels, token) =>
-  `https://sandbox-sse.iexapis.com/stable/deep?symbols=${symbols}&channels=${channels}&token=${token}`;
+  `${_ssePrefix(
+    token,
+    null,
+  )}deep?symbols=${symbols}&channels=${channels}&token=${_streamToken(token)}`;
+
+/**
+ * Stream url for a route with its query, e.g. "stocksUS?symbols=AAPL"
+ * @param {string} route
+ * @param {string|object} token Access token or request context
+ * @param {string} version API version
+ */
+export const _SSE_ROUTE_URL = (route, token, version) =>
+  `${_ssePrefix(token, version === "sandbox" ? null : version)}${route}${
+    route.indexOf("?") < 0 ? "?" : "&"
+  }token=${_streamToken(token)}`;
 
 /**
  *
@@ -44,6 +134,293 @@ const _getJsonOrig = () => {
   );
 };
 
+/**
+ * Every token a request context may send, for redaction
+ * @param {string|object} token Access token or request context
+ * @returns {Array<string>}
+ */
+export const _tokensOf = (token) => {
+  const { pool } = _requestContext(token);
+  return [_tokenOf(token), _tokenOf(token, true)].concat(
+    pool ? pool.tokens() : [],
+  );
+};
+
+/**
+ * Cache key for a request: its url without the token
+ * @param {URL} endpoint
+ */
+const _cacheKey = (endpoint) => {
+  const key = new URL(endpoint.href);
+  key.searchParams.delete("token");
+  return key.href;
+};
+
+/**
+ * Send a request through the context's transport, applying its cache, rate
+ * limiter, retry policy, abort signal and timeout. Identical GETs in flight
+ * at the same time are sent once. Messages used are recorded in the
+ * context's cost ledger, and checked against its message budget. With
+ * `dryRun` in the context nothing is sent: the request's url and estimated
+ * message cost are returned instead.
+ * @param {URL} endpoint full request url
+ * @param {object} init fetch init
+ * @param {object} options request options, with `token`, `format`, `endpoint` name (defaults to the route) and optionally `signal`/`timeout`/`cachePolicy` overriding the context's
+ */
+const _sendIEXCloud = async (endpoint, init, options) => {
+  const { token, format = "json", url = "" } = options;
+  const route = url.split("?")[0];
+  const { endpoint: endpointName = route } = options;
+  const context = _requestContext(token);
+  const {
+    transport = _fetch,
+    retry,
+    limiter,
+    cache,
+    ledger,
+    budget,
+    dryRun,
+    weights,
+    events,
+    pool,
+    agent,
+  } = context;
+  const {
+    secret = false,
+    signal = context.signal,
+    timeout = context.timeout,
+    cachePolicy = context.cachePolicy,
+  } = options;
+
+  const secrets = _tokensOf(token);
+  const charge = _costKey(route, endpoint.searchParams.get("symbols"));
+  const estimate = _estimateMessages(route, endpoint.searchParams, weights);
+
+  if (dryRun) {
+    // describe the request instead of sending it
+    const plan = {
+      method: init.method,
+      url: _redactUrl(endpoint.href),
+      ...charge,
+      ...estimate,
+    };
+    if (typeof dryRun === "function") dryRun(plan);
+    return plan;
+  }
+
+  let policy = false;
+  if (cache && init.method === "GET") {
+    policy = cachePolicy === undefined ? cache.policyFor(route) : cachePolicy;
+  }
+  const described = {
+    method: init.method,
+    endpoint: endpointName,
+    url: _redactUrl(endpoint.href),
+  };
+
+  const key = policy ? _cacheKey(endpoint) : null;
+  if (policy) {
+    const hit = await cache.get(key);
+    if (hit) {
+      _emit(events, "cacheHit", described);
+      // stores may hand out the stored value itself
+      return _copyResult(hit.value);
+    }
+  }
+
+  const run = async (cancellation) => {
+    // the call's expected cost is held until its messages are recorded
+    const reservation = budget
+      ? await budget.admit(charge.endpoint, cancellation, estimate.messages)
+      : null;
+
+    // each attempt, including retries, draws from the rate limiter
+    let attempt = 0;
+    let sent = null;
+    let sending = init;
+    let member = null;
+    const request = () => {
+      cancellation.throwIfCancelled();
+      attempt += 1;
+      sent = Date.now();
+      _emit(events, "request", { ...described, attempt });
+      return transport(endpoint.href, {
+        ...sending,
+        ...(agent ? { agent } : {}),
+        signal: cancellation.signal,
+      });
+    };
+    const send = () =>
+      (limiter ? limiter.schedule(request) : request()).then(
+        async (res) => {
+          const used = res.headers ? res.headers.get(_MESSAGES_HEADER) : null;
+          const messages = used !== null && used !== "" ? Number(used) : null;
+          const length = res.headers ? res.headers.get("Content-Length") : null;
+          _emit(events, "response", {
+            ...described,
+            attempt,
+            status: res.status,
+            duration: Date.now() - sent,
+            bytes: length !== null && length !== "" ? Number(length) : null,
+            messages,
+          });
+          if (messages !== null) {
+            if (budget) budget.record(charge.endpoint, messages, reservation);
+            if (member) member.record(charge.endpoint, messages);
+            if (ledger) {
+              ledger.record({
+                ...charge,
+                messages,
+                url: _redactUrl(endpoint.href),
+              });
+            }
+          }
+          if (res.ok) {
+            if (format === "json") {
+              return res.json();
+            }
+            return res.text();
+          }
+          // error bodies may echo the request
+          const body = redact(await res.text(), secrets);
+          const ErrorType = _errorForStatus(res.status);
+          const error = new ErrorType(`Response ${res.status} - ${body}`, {
+            status: res.status,
+            url: _redactUrl(endpoint.href),
+            body,
+            endpoint: endpointName,
+          });
+          error.retryAfter = res.headers
+            ? res.headers.get("Retry-After")
+            : null;
+          throw error;
+        },
+        (error) => {
+          cancellation.throwIfCancelled();
+          // transport errors usually quote the url, token included
+          _redactError(error, secrets);
+          throw new NetworkError(`Request failed - ${error.message}`, {
+            url: _redactUrl(endpoint.href),
+            endpoint: endpointName,
+            cause: error,
+          });
+        },
+      );
+
+    let retrying = _retryPolicy(retry);
+    if (retrying && events) {
+      const { onRetry } = retrying;
+      retrying = {
+        ...retrying,
+        onRetry: (info) => {
+          if (onRetry) onRetry(info);
+          _emit(events, "retry", {
+            ...described,
+            attempt: info.attempt,
+            delay: info.delay,
+            status: info.status,
+            error: info.error,
+          });
+        },
+      };
+    }
+    const attempts = () =>
+      _withRetry(send, retrying, {
+        method: init.method,
+        url: _redactUrl(endpoint.href),
+      });
+
+    // spread over the pool, failing over to the next token when one would
+    // pass its budget or IEX Cloud refuses it
+    const failover = (tried, refusal) => {
+      member = pool.pick(charge.endpoint, estimate.messages, tried);
+      if (!member) {
+        throw (
+          refusal ||
+          new MessageBudgetExceededError(
+            "Message budget exceeded: no token in the pool has messages left",
+            { endpoint: endpointName },
+          )
+        );
+      }
+      const chosen = member;
+      const pooled = secret ? chosen.secretToken || chosen.token : chosen.token;
+      endpoint.searchParams.set("token", pooled);
+      if (init.body && init.body.token) {
+        sending = { ...init, body: { ...init.body, token: pooled } };
+      }
+      return attempts().catch((error) => {
+        if (_FAILOVER_STATUSES.indexOf(error.status) < 0) throw error;
+        chosen.refuse();
+        return failover([...tried, chosen], error);
+      });
+    };
+    const result = pool
+      ? Promise.resolve().then(() => failover([], null))
+      : attempts();
+    // calls failing without a charge give their reservation back
+    return reservation
+      ? result.finally(() => budget.release(reservation))
+      : result;
+  };
+
+  // concurrent identical GETs share one request
+  const started = Date.now();
+  const value = await (init.method === "GET"
+    ? _coalesce(context, transport, `${format} ${endpoint.href}`, run, {
+        signal,
+        timeout,
+      })
+    : _withCancellation(run, { signal, timeout })
+  ).catch((error) => {
+    _redactError(error, secrets);
+    _emit(events, "error", {
+      ...described,
+      status: error.status === undefined ? null : error.status,
+      duration: Date.now() - started,
+      error,
+    });
+    throw error;
+  });
+
+  if (policy) {
+    // best effort: the response is in hand even if it can't be stored
+    await cache.set(key, _copyResult(value), policy).catch(() => {});
+  }
+  return value;
+};
+
+/**
+ * Send a request through the context's middleware chain, if any, then as
+ * by `_sendIEXCloud`
+ * @param {URL} endpoint full request url
+ * @param {object} init fetch init
+ * @param {object} options request options, see `_sendIEXCloud`
+ */
+const _fetchIEXCloud = (endpoint, init, options) => {
+  const { middleware } = _requestContext(options.token);
+  if (!middleware || !middleware.length) {
+    return _sendIEXCloud(endpoint, init, options);
+  }
+
+  const { url = "" } = options;
+  const request = {
+    method: init.method,
+    url: endpoint.href,
+    headers: { ...init.headers },
+    body: init.body,
+    endpoint: options.endpoint || url.split("?")[0],
+  };
+  return _runMiddleware(middleware, request, (sent) => {
+    const sentInit = { method: sent.method, headers: sent.headers };
+    if (sent.body !== undefined) sentInit.body = sent.body;
+    return _sendIEXCloud(new URL(sent.url), sentInit, options);
+  }).catch((error) => {
+    // middleware sees the token, and may quote it in its own errors
+    throw _redactError(error, _tokensOf(options.token));
+  });
+};
+
 /**
  * for IEX Cloud
  * @param {object} options
@@ -55,27 +432,25 @@ const _getJsonIEXCloudBase = async (options) => {
     token = "",
     version = "stable",
     filter = "",
-    format = "json",
+    secret = false,
   } = options;
 
   const endpoint = new URL(`${base_url(version)}${url}`);
-  endpoint.searchParams.append("token", token);
+  // token-less clients leave it to the proxy at their `baseUrl`
+  const value = _tokenOf(token, secret);
+  if (value) endpoint.searchParams.append("token", value);
   if (filter) endpoint.searchParams.append("filter", filter);
 
-  return fetch(endpoint.href, {
-    method: "GET",
-    headers: {
-      "Content-Type": "application/json",
+  return _fetchIEXCloud(
+    endpoint,
+    {
+      method: "GET",
+      headers: {
+        "Content-Type": "application/json",
+      },
     },
-  }).then(async (res) => {
-    if (res.ok) {
-      if (format === "json") {
-        return res.json();
-      }
-      return res.text();
-    }
-    throw IEXJSException(`Response ${res.status} - ${await res.text()}`);
-  });
+    options,
+  );
 };
 
 /**
@@ -83,14 +458,20 @@ const _getJsonIEXCloudBase = async (options) => {
  * @param {object} options
  */
 const _getJsonIEXCloud = (options) =>
-  _getJsonIEXCloudBase({ base_url: _URL_PREFIX2, ...options });
+  _getJsonIEXCloudBase({
+    base_url: _restPrefix(options.token, false),
+    ...options,
+  });
 
 /**
  *
  * @param {object} options
  */
 const _getJsonIEXCloudSandbox = (options) =>
-  _getJsonIEXCloudBase({ base_url: _URL_PREFIX2_SANDBOX, ...options });
+  _getJsonIEXCloudBase({
+    base_url: _restPrefix(options.token, true),
+    ...options,
+  });
 
 /**
  *
@@ -104,30 +485,26 @@ const _postJsonIEXCloudBase = async (options) => {
     token = "",
     version = "stable",
     token_in_params = true,
-    format = "json",
+    secret = false,
   } = options;
 
   const endpoint = new URL(`${base_url(version)}${url}`);
 
   if (token_in_params) {
-    endpoint.searchParams.append("token", token);
+    endpoint.searchParams.append("token", _tokenOf(token, secret));
   }
 
-  return fetch(endpoint, {
-    method: "POST",
-    body: token_in_params ? { token, ...data } : {},
-    headers: {
-      "Content-Type": "application/json",
+  return _fetchIEXCloud(
+    endpoint,
+    {
+      method: "POST",
+      body: token_in_params ? { token: _tokenOf(token, secret), ...data } : {},
+      headers: {
+        "Content-Type": "application/json",
+      },
     },
-  }).then(async (res) => {
-    if (res.ok) {
-      if (format === "json") {
-        return res.json();
-      }
-      return res.text();
-    }
-    throw IEXJSException(`Response ${res.status} - ${await res.text()}`);
-  });
+    options,
+  );
 };
 
 /**
@@ -135,14 +512,20 @@ const _postJsonIEXCloudBase = async (options) => {
  * @param {object} options
  */
 const _postJsonIEXCloud = (options) =>
-  _postJsonIEXCloudBase({ base_url: _URL_PREFIX2, ...options });
+  _postJsonIEXCloudBase({
+    base_url: _restPrefix(options.token, false),
+    ...options,
+  });
 
 /**
  *
  * @param {object} options
  */
 const _postJsonIEXCloudSandbox = (options) =>
-  _postJsonIEXCloudBase({ base_url: _URL_PREFIX2_SANDBOX, ...options });
+  _postJsonIEXCloudBase({
+    base_url: _restPrefix(options.token, true),
+    ...options,
+  });
 
 /**
  *
@@ -154,65 +537,61 @@ const _deleteJsonIEXCloudBase = async (options) => {
     url,
     token = "",
     version = "stable",
-    format = "json",
+    secret = false,
   } = options;
 
   const endpoint = new URL(`${base_url(version)}${url}`);
-  endpoint.searchParams.append("token", token);
-
-  return fetch(endpoint, {
-    method: "DELETE",
-    headers: {
-      "Content-Type": "application/json",
+  endpoint.searchParams.append("token", _tokenOf(token, secret));
+
+  return _fetchIEXCloud(
+    endpoint,
+    {
+      method: "DELETE",
+      headers: {
+        "Content-Type": "application/json",
+      },
     },
-  }).then(async (res) => {
-    if (res.ok) {
-      if (format === "json") {
-        return res.json();
-      }
-      return res.text();
-    }
-    throw IEXJSException(`Response ${res.status} - ${await res.text()}`);
-  });
+    options,
+  );
 };
 
 const _deleteJsonIEXCloud = (options) =>
-  _deleteJsonIEXCloudBase({ base_url: _URL_PREFIX2, ...options });
+  _deleteJsonIEXCloudBase({
+    base_url: _restPrefix(options.token, false),
+    ...options,
+  });
 
 const _deleteJsonIEXCloudSandbox = (options) =>
-  _deleteJsonIEXCloudBase({ base_url: _URL_PREFIX2_SANDBOX, ...options });
-
-export const _streamSSE = (url, on_data, accrue = false) => {
-  const messages = new EventSource(url);
-
-  // eslint-disable-next-line no-console
-  const callback = on_data || console.log;
-
-  messages.accrued = [];
-
-  messages.onmessage = async (event) => {
-    // TODO stop
-    const datum = JSON.parse(event.data);
-    await callback(datum);
-    if (accrue) {
-      messages.accrued.push(datum);
-    }
-  };
-
-  return messages;
-};
+  _deleteJsonIEXCloudBase({
+    base_url: _restPrefix(options.token, true),
+    ...options,
+  });
 
+/**
+ * Point every Client without a `baseUrl` of its own at another REST prefix.
+ *
+ * @deprecated this changes all Clients in the process, pass `baseUrl` (and
+ * `sandboxUrl`, `sseUrl`) to the Client instead
+ * @param {string} url REST url prefix, including the version
+ */
 export const overrideUrl = (url) => {
   _URL_PREFIX2 = () => url;
 };
 
 /**
  * for backwards compat, accepting token and version but ignoring
+ *
+ * Endpoints requiring the secret token pass `secret: true`, here and to
+ * `_postJson`/`_deleteJson`, to send a context's `secretToken`
  * @param {object} options
  */
 export const _getJson = async (options) => {
   const { url, token = "", version = "" } = options;
-  if (token) {
+  if (
+    _tokenOf(token) ||
+    _requestContext(token).tokenless ||
+    (await _loadToken(token))
+  ) {
     if (version === "sandbox") {
       return _getJsonIEXCloudSandbox(options);
     }
@@ -226,7 +605,8 @@ export const _getJson = async (options) => {
  * @param {object} options
  */
 export const _postJson = async (options) => {
-  const { version = "" } = options;
+  const { token = "", version = "" } = options;
+  if (!_tokenOf(token)) await _loadToken(token);
 
   if (version === "sandbox") {
     return _postJsonIEXCloudSandbox(options);
@@ -238,8 +618,9 @@ export const _postJson = async (options) => {
  *
  * @param {object} options
  */
-export const _deleteJson = (options) => {
-  const { version = "" } = options;
+export const _deleteJson = async (options) => {
+  const { token = "", version = "" } = options;
+  if (!_tokenOf(token)) await _loadToken(token);
   if (version === "sandbox") {
     return _deleteJsonIEXCloudSandbox(options);
   }
@@ -0,0 +1,210 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import { _costKey } from "./costs";
+import { ValidationError } from "./exception";
+
+/**
+ * Message weights of IEX Cloud endpoints, keyed by endpoint as given by
+ * `_costKey`, per https://iexcloud.io/docs/api/#data-weighting. A weight is
+ * either messages per call, or `{ perRecord, records }` messages per record
+ * returned, where `records` is assumed when the request does not bound the
+ * number of records itself.
+ *
+ * These are estimates: published weights change, and records per range are
+ * counted as trading days. Correct or extend them with the Client's
+ * `weights` option.
+ */
+export const _MESSAGE_WEIGHTS = {
+  "stock/advanced-stats": 3005,
+  "stock/balance-sheet": { perRecord: 3000, records: 1 },
+  "stock/book": 1,
+  "stock/cash-flow": { perRecord: 1000, records: 1 },
+  "stock/chart": { perRecord: 10, records: 21 },
+  "stock/company": 1,
+  "stock/delayed-quote": 1,
+  "stock/dividends": { perRecord: 10, records: 1 },
+  "stock/earnings": { perRecord: 1000, records: 1 },
+  "stock/effective-spread": 1,
+  "stock/estimates": { perRecord: 10000, records: 1 },
+  "stock/financials": { perRecord: 5000, records: 1 },
+  "stock/fund-ownership": { perRecord: 10000, records: 1 },
+  "stock/income": { perRecord: 1000, records: 1 },
+  "stock/insider-roster": 5000,
+  "stock/insider-summary": 5000,
+  "stock/insider-transactions": { perRecord: 50, records: 10 },
+  "stock/institutional-ownership": { perRecord: 10000, records: 1 },
+  "stock/intraday-prices": { perRecord: 1, records: 390 },
+  "stock/largest-trades": 1,
+  "stock/logo": 1,
+  "stock/news": { perRecord: 10, records: 10 },
+  "stock/ohlc": 2,
+  "stock/options": 1000,
+  "stock/peers": 500,
+  "stock/previous": 2,
+  "stock/price": 1,
+  "stock/quote": 1,
+  "stock/relevant": 500,
+  "stock/splits": { perRecord: 10, records: 1 },
+  "stock/stats": 5,
+  "stock/volume-by-venue": 20,
+  "ref-data/symbols": 100,
+  "ref-data/iex/symbols": 100,
+  "time-series": { perRecord: 1, records: 1 },
+  data: { perRecord: 1, records: 1 },
+};
+
+/**
+ * Multipliers applied to the per-record weight of premium datasets, keyed
+ * by dataset id prefix
+ */
+export const _PREMIUM_MULTIPLIERS = {
+  PREMIUM_AUDIT_ANALYTICS: 10000,
+  PREMIUM_BRAIN: 75000,
+  PREMIUM_EXTRACT_ALPHA: 50000,
+  PREMIUM_FRAUD_FACTORS: 10000,
+  PREMIUM_KAVOUT: 75000,
+  PREMIUM_PRECISION_ALPHA: 50000,
+  PREMIUM_WALLSTREETHORIZON: 50000,
+};
+
+// trading days in each unit of a range like "5d", "2w", "3m", "1q", "5y"
+const _RANGE_UNITS = { d: 1, w: 5, m: 21, q: 63, y: 252 };
+
+const _NAMED_RANGES = {
+  today: 1,
+  yesterday: 1,
+  "last-week": 5,
+  "last-month": 21,
+  "last-quarter": 63,
+  ytd: 252,
+  max: 15 * 252,
+  // intraday chart ranges: 10 minute bars over 5 days, 30 minute over a month
+  "5dm": 5 * 39,
+  "1mm": 21 * 13,
+  "1d": 1,
+  date: 1,
+  dynamic: 1,
+};
+
+/**
+ * Number of daily records a range such as "5y" or "last-month" covers
+ * @param {string} range
+ * @returns {number|null} null for unrecognized ranges
+ */
+export const _rangeRecords = (range) => {
+  if (range in _NAMED_RANGES) return _NAMED_RANGES[range];
+  const match = /^(\d+)([dwmqy])$/.exec(range);
+  return match ? Number(match[1]) * _RANGE_UNITS[match[2]] : null;
+};
+
+/**
+ * Records a request asks for, from its `last`/`first`/`limit` parameters or
+ * its range, or null if it does not say
+ * @param {URLSearchParams} params
+ * @param {string} range range given in the route, e.g. for charts
+ */
+const _requestedRecords = (params, range) => {
+  const bound = ["last", "first", "limit", "chartLast"]
+    .map((name) => Number(params.get(name)))
+    .find((value) => value > 0);
+  if (bound) return bound;
+  const ranged = range || params.get("range");
+  return ranged ? _rangeRecords(ranged) : null;
+};
+
+/**
+ * Messages a call with `weight` is expected to cost
+ */
+const _weigh = (weight, records) => {
+  if (typeof weight === "number") return weight;
+  return weight.perRecord * (records === null ? weight.records : records);
+};
+
+const _count = (list) => (list ? list.split(",").length : 1);
+
+/**
+ * Estimate the messages a request will be charged.
+ *
+ * Batch requests cost the sum of their types for each symbol; time series
+ * and data requests cost per record, times the premium multiplier of the
+ * dataset. Endpoints missing from the weight table are counted as one
+ * message, and reported as not `known`.
+ *
+ * @param {string} route request route, without query string
+ * @param {URLSearchParams} params request query parameters
+ * @param {object} weights overrides of `_MESSAGE_WEIGHTS`
+ * @returns {object} `{ messages, known }`
+ */
+export const _estimateMessages = (route, params, weights = {}) => {
+  const table = { ..._MESSAGE_WEIGHTS, ...weights };
+  const { endpoint, dataset } = _costKey(route, params.get("symbols"));
+
+  if (endpoint === "stock/batch" || endpoint === "stock/market/batch") {
+    const types = (params.get("types") || "quote").split(",");
+    // batch charts follow `range`, other types `last`
+    const ranged = _rangeRecords(params.get("range") || "1m");
+    const last = Number(params.get("last")) || null;
+    const known = types.every((type) => `stock/${type}` in table);
+    const perSymbol = types.reduce((total, type) => {
+      const weight = table[`stock/${type}`];
+      if (weight === undefined) return total + 1;
+      return total + _weigh(weight, type === "chart" ? ranged : last);
+    }, 0);
+    return { messages: perSymbol * _count(params.get("symbols")), known };
+  }
+
+  if (dataset !== null) {
+    const prefix = Object.keys(_PREMIUM_MULTIPLIERS).find(
+      (name) => dataset.indexOf(name) === 0,
+    );
+    const multiplier = prefix ? _PREMIUM_MULTIPLIERS[prefix] : 1;
+    const weight = table[dataset] || table[endpoint];
+    // multiple comma separated keys are charged separately
+    const keys = route.split("/")[endpoint === "data" ? 3 : 2];
+    return {
+      messages:
+        _weigh(weight, _requestedRecords(params, null)) *
+        multiplier *
+        _count(keys),
+      known: true,
+    };
+  }
+
+  const weight = table[endpoint];
+  if (weight === undefined) return { messages: 1, known: false };
+  const range = endpoint === "stock/chart" ? route.split("/")[3] || "1m" : null;
+  return {
+    messages: _weigh(weight, _requestedRecords(params, range)),
+    known: true,
+  };
+};
+
+/**
+ * Check overrides of the weight table, throwing for malformed weights
+ * @param {object} weights
+ */
+export const _checkWeights = (weights) => {
+  if (!weights || typeof weights !== "object") {
+    throw new ValidationError("weights must be an object");
+  }
+  Object.keys(weights).forEach((name) => {
+    const weight = weights[name];
+    const valid =
+      (typeof weight === "number" && weight >= 0) ||
+      (weight &&
+        typeof weight === "object" &&
+        weight.perRecord >= 0 &&
+        weight.records >= 0);
+    if (!valid) {
+      throw new ValidationError(`Unrecognized weight for ${name}: ${weight}`);
+    }
+  });
+  return weights;
+};
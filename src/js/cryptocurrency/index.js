@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * This returns a current snapshot of the book for a specified cryptocurrency. For REST, you will receive a current snapshot of the current book for the specific cryptocurrency. For SSE Streaming, you will get a full representation of the book updated as often as the book changes. Examples of each are below:
@@ -20,17 +19,12 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const cryptoBook = (symbol, token, version, filter) =>
-  _getJson({
-    url: `crypto/${symbol}/book`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.cryptoBook = function (symbol, filter) {
-  return cryptoBook(symbol, this._token, this._version, filter);
-};
+export const cryptoBook = _endpoint({
+  name: "cryptoBook",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "crypto/{symbol}/book",
+  docs: "https://iexcloud.io/docs/api/#cryptocurrency-book",
+});
 
 /**
  * This returns the price for a specified cryptocurrency.
@@ -42,17 +36,12 @@ Client.prototype.cryptoBook = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const cryptoPrice = (symbol, token, version, filter) =>
-  _getJson({
-    url: `crypto/${symbol}/price`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.cryptoPrice = function (symbol, filter) {
-  return cryptoPrice(symbol, this._token, this._version, filter);
-};
+export const cryptoPrice = _endpoint({
+  name: "cryptoPrice",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "crypto/{symbol}/price",
+  docs: "https://iexcloud.io/docs/api/#cryptocurrency-price",
+});
 
 /**
  * This returns the price for a specified cryptocurrency.
@@ -64,14 +53,9 @@ Client.prototype.cryptoPrice = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const cryptoQuote = (symbol, token, version, filter) =>
-  _getJson({
-    url: `crypto/${symbol}/quote`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.cryptoQuote = function (symbol, filter) {
-  return cryptoQuote(symbol, this._token, this._version, filter);
-};
+export const cryptoQuote = _endpoint({
+  name: "cryptoQuote",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "crypto/{symbol}/quote",
+  docs: "https://iexcloud.io/docs/api/#cryptocurrency-quote",
+});
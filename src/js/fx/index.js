@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson, _strOrDate, _strToList } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * This endpoint returns real-time foreign currency exchange rates data updated every 250 milliseconds.
@@ -20,26 +19,13 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const latestFX = (symbols, token, version, filter) => {
-  if (symbols) {
-    return _getJson({
-      url: `/fx/latest?symbols=${_strToList(symbols).join(",")}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `/fx/latest`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.latestFX = function (symbols, filter) {
-  return latestFX(symbols, this._token, this._version, filter);
-};
+export const latestFX = _endpoint({
+  name: "latestFX",
+  args: [{ name: "symbols", type: "symbols", optional: true }],
+  url: "fx/latest",
+  query: ["symbols"],
+  docs: "https://iexcloud.io/docs/api/#latest-currency-rates",
+});
 
 /**
  * This endpoint performs a conversion from one currency to another for a supplied amount of the base currency. If an amount isn’t provided, the latest exchange rate will be provided and the amount will be null.
@@ -52,28 +38,16 @@ Client.prototype.latestFX = function (symbols, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const convertFX = (symbols, amount, token, version, filter) => {
-  if (symbols) {
-    return _getJson({
-      url: `/fx/convert?symbols=${_strToList(symbols).join(",")}&amount=${
-        amount || ""
-      }`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `/fx/convert?amount=${amount || ""}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.convertFX = function (symbols, amount, filter) {
-  return convertFX(symbols, amount, this._token, this._version, filter);
-};
+export const convertFX = _endpoint({
+  name: "convertFX",
+  args: [
+    { name: "symbols", type: "symbols", optional: true },
+    { name: "amount", type: "number" },
+  ],
+  url: "fx/convert",
+  query: ["symbols", "amount"],
+  docs: "https://iexcloud.io/docs/api/#currency-conversion",
+});
 
 /**
  * This endpoint returns a daily value for the desired currency pair.
@@ -90,50 +64,17 @@ Client.prototype.convertFX = function (symbols, amount, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const historicalFX = (
-  symbols,
-  from,
-  to,
-  on,
-  last,
-  first,
-  token,
-  version,
-  filter,
-) => {
-  let base_url = "/fx/historical?";
-  if (symbols) base_url += `symbols=${_strToList(symbols).join(",")}&`;
-  if (from) base_url += `from=${_strOrDate(from)}&`;
-  if (to) base_url += `to=${_strOrDate(to)}&`;
-  if (on) base_url += `to=${_strOrDate(on)}&`;
-  if (last) base_url += `last=${last.toString()}&`;
-  if (first) base_url += `last=${first.toString()}&`;
-  return _getJson({
-    url: base_url,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.historicalFX = function (
-  symbols,
-  from,
-  to,
-  on,
-  last,
-  first,
-  filter,
-) {
-  return historicalFX(
-    symbols,
-    from,
-    to,
-    on,
-    last,
-    first,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+export const historicalFX = _endpoint({
+  name: "historicalFX",
+  args: [
+    { name: "symbols", type: "symbols", optional: true },
+    { name: "from", type: "date" },
+    { name: "to", type: "date" },
+    { name: "on", type: "date" },
+    { name: "last", type: "number" },
+    { name: "first", type: "number" },
+  ],
+  url: "fx/historical",
+  query: ["symbols", "from", "to", "on", "last", "first"],
+  docs: "https://iexcloud.io/docs/api/#historical-daily",
+});
@@ -7,12 +7,12 @@
  *
  */
 
-// for babel
-import "regenerator-runtime/runtime";
+import { version } from "../../package.json";
 
-import pkg_json from "../../package.json";
+// binds every endpoint to Client, e.g. client.stocks.quote
+import "./namespaces";
 
-export const VERSION = pkg_json.version;
+export const VERSION = version;
 
 export * from "./common";
 export * from "./account";
@@ -32,3 +32,4 @@ export * from "./stats";
 export * from "./stocks";
 
 export * from "./client";
+export * from "./registry";
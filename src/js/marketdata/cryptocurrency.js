@@ -6,8 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../client";
-import { _runSSE } from "./sse";
+import { _sseEndpoint } from "./sse";
 
 export const CRYPTOBOOK = "cryptoBook";
 export const CRYPTOEVENTS = "cryptoEvents";
@@ -21,12 +20,7 @@ export const CRYPTOQUOTES = "cryptoQuotes";
  * @param {string} token
  * @param {string} version
  */
-export const cryptoBookSSE = (symbols, on_data, token, version) =>
-  _runSSE("cryptoBook", symbols, on_data, token, version);
-
-Client.prototype.cryptoBookSSE = function (symbols, on_data) {
-  return cryptoBookSSE(symbols, on_data, this._token, this._version);
-};
+export const cryptoBookSSE = _sseEndpoint("cryptoBookSSE", "cryptoBook");
 
 /**
  * This returns a streaming list of event updates such as new and canceled orders.
@@ -36,12 +30,7 @@ Client.prototype.cryptoBookSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const cryptoEventsSSE = (symbols, on_data, token, version) =>
-  _runSSE("cryptoEvents", symbols, on_data, token, version);
-
-Client.prototype.cryptoEventsSSE = function (symbols, on_data) {
-  return cryptoEventsSSE(symbols, on_data, this._token, this._version);
-};
+export const cryptoEventsSSE = _sseEndpoint("cryptoEventsSSE", "cryptoEvents");
 
 /**
  * This returns the quote for a specified cryptocurrency. Quotes are available via REST and SSE Streaming.
@@ -51,9 +40,4 @@ Client.prototype.cryptoEventsSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const cryptoQuotesSSE = (symbols, on_data, token, version) =>
-  _runSSE("cryptoQuotes", symbols, on_data, token, version);
-
-Client.prototype.cryptoQuotesSSE = function (symbols, on_data) {
-  return cryptoQuotesSSE(symbols, on_data, this._token, this._version);
-};
+export const cryptoQuotesSSE = _sseEndpoint("cryptoQuotesSSE", "cryptoQuotes");
@@ -6,8 +6,8 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../client";
-import { _runSSE } from "./sse";
+import { _endpoint } from "../registry";
+import { _SSE_ARGS, _runSSE, _sseEndpoint } from "./sse";
 
 export const FOREX = "forex";
 export const FOREX1SECOND = "forex1Second";
@@ -21,13 +21,24 @@ export const FOREX1MINUTE = "forex1Minute";
  * @param {function} on_data
  * @param {string} token
  * @param {string} version
+ * @param {string} channel forex channel, defaults to FOREX
  */
-export const fxSSE = (symbols, on_data, token, version, name = "forex") =>
-  _runSSE(name, symbols, on_data, token, version);
-
-Client.prototype.fxSSE = function (symbols, on_data) {
-  return fxSSE(symbols, on_data, this._token, this._version);
-};
+export const fxSSE = _endpoint({
+  name: "fxSSE",
+  args: [
+    ..._SSE_ARGS,
+    {
+      name: "channel",
+      default: FOREX,
+      values: [FOREX, FOREX1SECOND, FOREX5SECOND, FOREX1MINUTE],
+      trailing: true,
+    },
+  ],
+  filter: false,
+  run: ({ symbols, on_data, channel }, token, version) =>
+    _runSSE(channel, symbols, on_data, token, version),
+  docs: "https://iexcloud.io/docs/api/#forex-currencies",
+});
 
 /**
  * This endpoint streams real-time foreign currency exchange rates.
@@ -37,12 +48,7 @@ Client.prototype.fxSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const forex1SecondSSE = (symbols, on_data, token, version) =>
-  fxSSE(symbols, on_data, token, version, "forex1Second");
-
-Client.prototype.forex1SecondSSE = function (symbols, on_data) {
-  return forex1SecondSSE(symbols, on_data, this._token, this._version);
-};
+export const forex1SecondSSE = _sseEndpoint("forex1SecondSSE", "forex1Second");
 
 /**
  * This endpoint streams real-time foreign currency exchange rates.
@@ -52,12 +58,7 @@ Client.prototype.forex1SecondSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const forex5SecondSSE = (symbols, on_data, token, version) =>
-  fxSSE(symbols, on_data, token, version, "forex5Second");
-
-Client.prototype.forex5SecondSSE = function (symbols, on_data) {
-  return forex5SecondSSE(symbols, on_data, this._token, this._version);
-};
+export const forex5SecondSSE = _sseEndpoint("forex5SecondSSE", "forex5Second");
 
 /**
  * This endpoint streams real-time foreign currency exchange rates.
@@ -67,9 +68,4 @@ Client.prototype.forex5SecondSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const forex1MinuteSSE = (symbols, on_data, token, version) =>
-  fxSSE(symbols, on_data, token, version, "forex1Minute");
-
-Client.prototype.forex1MinuteSSE = function (symbols, on_data) {
-  return forex1MinuteSSE(symbols, on_data, this._token, this._version);
-};
+export const forex1MinuteSSE = _sseEndpoint("forex1MinuteSSE", "forex1Minute");
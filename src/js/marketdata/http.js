@@ -7,74 +7,64 @@
  *
  */
 
-import { _getJson, _raiseIfNotStr, _strOrDate, _strToList } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
+
+// DEEP and TOPS endpoints are on Client as `client.deep`, and as deprecated
+// flat methods but for `deep` and `bookDeep`, whose flat names would clash
+// with the namespace and the stock endpoint `client.book`
+const _SYMBOLS_ARGS = [{ name: "symbols", type: "symbols", optional: true }];
+
+/**
+ * Define an endpoint for a DEEP message type, for some or all symbols
+ * @param {string} name function name
+ * @param {string} route
+ * @param {string} docs IEX Cloud documentation url
+ * @param {object} options further `_endpoint` definition, e.g. `{ flat: false }`
+ * @returns {function} the standalone function
+ */
+const _deepEndpoint = (name, route, docs, options = {}) =>
+  _endpoint({
+    name,
+    args: _SYMBOLS_ARGS,
+    url: route,
+    query: ["symbols"],
+    docs,
+    ...options,
+  });
 
 /**
  * TOPS provides IEX’s aggregated best quoted bid and offer position in near real time for all securities on IEX’s displayed limit order book.
  * TOPS is ideal for developers needing both quote and trade data.
  * https://iexcloud.io/docs/api/#tops
- * @param {string} symbols
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const tops = (symbols, token, version, filter) => {
-  if (symbols) {
-    return _getJson(
-      {
-        url: `tops?symbols=${_strToList(symbols).join(",")}%2b`,
-      },
-      token,
-      version,
-    );
-  }
-  return _getJson(
-    {
-      url: `tops`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.tops = function (symbols, filter) {
-  return tops(symbols, this._token, this._version, filter);
-};
+export const tops = _endpoint({
+  name: "tops",
+  args: _SYMBOLS_ARGS,
+  // symbols are sent with a trailing +
+  url: ({ symbols }) => (symbols ? "tops?symbols={symbols}%2b" : "tops"),
+  docs: "https://iexcloud.io/docs/api/#tops",
+});
 
 /**
  * Last provides trade data for executions on IEX. It is a near real time, intraday API that provides IEX last sale price, size and time.
  * Last is ideal for developers that need a lightweight stock quote.
  * https://iexcloud.io/docs/api/#last
- * @param {string} symbols
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const last = (symbols, token, version, filter) => {
-  if (symbols) {
-    return _getJson(
-      {
-        url: `last?symbols=${_strToList(symbols).join(",")}%2b`,
-      },
-      token,
-      version,
-    );
-  }
-  return _getJson(
-    {
-      url: `last`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.last = function (symbols, filter) {
-  return last(symbols, this._token, this._version, filter);
-};
+export const last = _endpoint({
+  name: "last",
+  args: _SYMBOLS_ARGS,
+  // symbols are sent with a trailing +
+  url: ({ symbols }) => (symbols ? "last?symbols={symbols}%2b" : "last"),
+  docs: "https://iexcloud.io/docs/api/#last",
+});
 
 /**
  * DEEP is used to receive real-time depth of book quotations direct from IEX.
@@ -85,104 +75,47 @@ Client.prototype.last = function (symbols, filter) {
  * DEEP also provides last trade price and size information. Trades resulting from either displayed or non-displayed orders matching on IEX will be reported. Routed executions will not be reported.
  *
  * https://iexcloud.io/docs/api/#deep
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const deep = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep?symbols=${symbol}`,
-      },
-      token,
-      version,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.deep = function (symbol, filter) {
-  return deep(symbol, this._token, this._version, filter);
-};
+export const deep = _deepEndpoint(
+  "deep",
+  "deep",
+  "https://iexcloud.io/docs/api/#deep",
+  { flat: false },
+);
 
 /**
  * DEEP broadcasts an Auction Information Message every one second between the Lock-in Time and the auction match for Opening and Closing Auctions,
  * and during the Display Only Period for IPO, Halt, and Volatility Auctions. Only IEX listed securities are eligible for IEX Auctions.
  * https://iexcloud.io/docs/api/#deep-auction
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const auction = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/auction?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/auction`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.auction = function (symbol, filter) {
-  return auction(symbol, this._token, this._version, filter);
-};
+export const auction = _deepEndpoint(
+  "auction",
+  "deep/auction",
+  "https://iexcloud.io/docs/api/#deep-auction",
+);
 
 /**
  * Book shows IEX’s bids and asks for given symbols.
  * https://iexcloud.io/docs/api/#deep-book
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const book = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/book?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/book`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.book = function (symbol, filter) {
-  return book(symbol, this._token, this._version, filter);
-};
+export const bookDeep = _deepEndpoint(
+  "bookDeep",
+  "deep/book",
+  "https://iexcloud.io/docs/api/#deep-book",
+  { flat: false },
+);
 
 /**
  * The Exchange may suspend trading of one or more securities on IEX for operational reasons and indicates such operational halt using the Operational halt status message.
@@ -194,36 +127,16 @@ Client.prototype.book = function (symbol, filter) {
  * After the pre-market spin, IEX will use the Operational halt status message to relay changes in operational halt status for an individual security.
  *
  * https://iexcloud.io/docs/api/#deep-operational-halt-status
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const opHaltStatus = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/op-halt-status?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/op-halt-status`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.opHaltStatus = function (symbol, filter) {
-  return opHaltStatus(symbol, this._token, this._version, filter);
-};
+export const opHaltStatus = _deepEndpoint(
+  "opHaltStatus",
+  "deep/op-halt-status",
+  "https://iexcloud.io/docs/api/#deep-operational-halt-status",
+);
 
 /**
  * The Official Price message is used to disseminate the IEX Official Opening and Closing Prices.
@@ -231,70 +144,30 @@ Client.prototype.opHaltStatus = function (symbol, filter) {
  * These messages will be provided only for IEX Listed Securities.
  *
  * https://iexcloud.io/docs/api/#deep-official-price
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const officialPrice = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/official-price?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/official-price`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.officialPrice = function (symbol, filter) {
-  return officialPrice(symbol, this._token, this._version, filter);
-};
+export const officialPrice = _deepEndpoint(
+  "officialPrice",
+  "deep/official-price",
+  "https://iexcloud.io/docs/api/#deep-official-price",
+);
 
 /**
  * The Security event message is used to indicate events that apply to a security. A Security event message will be sent whenever such event occurs
  * https://iexcloud.io/docs/api/#deep-security-event
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const securityEvent = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/security-event?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/security-event`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.securityEvent = function (symbol, filter) {
-  return securityEvent(symbol, this._token, this._version, filter);
-};
+export const securityEvent = _deepEndpoint(
+  "securityEvent",
+  "deep/security-event",
+  "https://iexcloud.io/docs/api/#deep-security-event",
+);
 
 /**
  * In association with Rule 201 of Regulation SHO, the Short Sale Price Test Message is used to indicate when a short sale price test restriction is in effect for a security.
@@ -305,36 +178,16 @@ Client.prototype.securityEvent = function (symbol, filter) {
  * The IEX Trading System will process orders based on the latest short sale price test restriction status.
  *
  * https://iexcloud.io/docs/api/#deep-short-sale-price-test-status
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const ssrStatus = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/ssr-status?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/ssr-status`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.ssrStatus = function (symbol, filter) {
-  return ssrStatus(symbol, this._token, this._version, filter);
-};
+export const ssrStatus = _deepEndpoint(
+  "ssrStatus",
+  "deep/ssr-status",
+  "https://iexcloud.io/docs/api/#deep-short-sale-price-test-status",
+);
 
 /**
  * The System event message is used to indicate events that apply to the market or the data feed.
@@ -342,104 +195,44 @@ Client.prototype.ssrStatus = function (symbol, filter) {
  * There will be a single message disseminated per channel for each System Event type within a given trading session.
  *
  * https://iexcloud.io/docs/api/#deep-system-event
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const systemEvent = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/system-event?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/system-event`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.systemEvent = function (symbol, filter) {
-  return systemEvent(symbol, this._token, this._version, filter);
-};
+export const systemEvent = _deepEndpoint(
+  "systemEvent",
+  "deep/system-event",
+  "https://iexcloud.io/docs/api/#deep-system-event",
+);
 
 /**
  * Trade report messages are sent when an order on the IEX Order Book is executed in whole or in part. DEEP sends a Trade report message for every individual fill.
  * https://iexcloud.io/docs/api/#deep-trades
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const trades = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/trades?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/trades`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.trades = function (symbol, filter) {
-  return trades(symbol, this._token, this._version, filter);
-};
+export const trades = _deepEndpoint(
+  "trades",
+  "deep/trades",
+  "https://iexcloud.io/docs/api/#deep-trades",
+);
 
 /**
  * Trade break messages are sent when an execution on IEX is broken on that same trading day. Trade breaks are rare and only affect applications that rely upon IEX execution based data.
  * https://iexcloud.io/docs/api/#deep-trade-break
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const tradeBreak = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/trade-breaks?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/trade-breaks`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.tradeBreak = function (symbol, filter) {
-  return tradeBreak(symbol, this._token, this._version, filter);
-};
+export const tradeBreak = _deepEndpoint(
+  "tradeBreak",
+  "deep/trade-breaks",
+  "https://iexcloud.io/docs/api/#deep-trade-break",
+);
 
 /**
  * The Trading status message is used to indicate the current trading status of a security.
@@ -459,64 +252,27 @@ Client.prototype.tradeBreak = function (symbol, filter) {
  * Released for trading
  * *The paused and released into an Order Acceptance Period status will be disseminated for IEX-listed securities only. Trading pauses on non-IEX-listed securities will be treated simply as a halt.
  * https://iexcloud.io/docs/api/#deep-trading-status
- * @param {string} symbol
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * @param {string|Array<string>} symbols Tickers to request, all if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const tradingStatus = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (symbol) {
-    return _getJson(
-      {
-        url: `deep/trading-status?symbols=${symbol}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `deep/trading-status`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.tradingStatus = function (symbol, filter) {
-  return tradingStatus(symbol, this._token, this._version, filter);
-};
+export const tradingStatus = _deepEndpoint(
+  "tradingStatus",
+  "deep/trading-status",
+  "https://iexcloud.io/docs/api/#deep-trading-status",
+);
 
 /**
- * @param {string} date
- * @param {string} token
- * @param {string} version
- * @param {string} filter
+ * IEX historical data, by date
+ * @param {string} date YYYYMMDD, all dates if not given
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const hist = (date, token, version, filter) => {
-  if (date) {
-    return _getJson(
-      {
-        url: `hist?date=${_strOrDate(date)}`,
-      },
-      token,
-      version,
-      filter,
-    );
-  }
-  return _getJson(
-    {
-      url: `hist`,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.hist = function (date, filter) {
-  return hist(date, this._token, this._version, filter);
-};
+export const hist = _endpoint({
+  name: "hist",
+  args: [{ name: "date", type: "date" }],
+  url: "hist",
+  query: ["date"],
+});
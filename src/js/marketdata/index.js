@@ -7,9 +7,5 @@
  *
  */
 
-export * from "./cryptocurrency";
-export * from "./fx";
-export * from "./news";
-export * from "./sentiment";
-export * from "./sse";
-export * from "./stock";
+export * from "./http";
+export * from "./streams";
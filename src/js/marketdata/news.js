@@ -6,8 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../client";
-import { _runSSE } from "./sse";
+import { _sseEndpoint } from "./sse";
 
 /**
  * Stream news
@@ -17,9 +16,4 @@ import { _runSSE } from "./sse";
  * @param {string} token
  * @param {string} version
  */
-export const newsSSE = (symbols, on_data, token, version) =>
-  _runSSE("news-stream", symbols, on_data, token, version);
-
-Client.prototype.newsSSE = function (symbols, on_data) {
-  return newsSSE(symbols, on_data, this._token, this._version);
-};
+export const newsSSE = _sseEndpoint("newsSSE", "news-stream");
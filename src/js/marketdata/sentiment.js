@@ -6,8 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../client";
-import { _runSSE } from "./sse";
+import { _sseEndpoint } from "./sse";
 
 /**
  * Stream social sentiment
@@ -17,9 +16,4 @@ import { _runSSE } from "./sse";
  * @param {string} token
  * @param {string} version
  */
-export const sentimentSSE = (symbols, on_data, token, version) =>
-  _runSSE("sentiment", symbols, on_data, token, version);
-
-Client.prototype.sentimentSSE = function (symbols, on_data) {
-  return sentimentSSE(symbols, on_data, this._token, this._version);
-};
+export const sentimentSSE = _sseEndpoint("sentimentSSE", "sentiment");
@@ -13,12 +13,12 @@ import {
   _SSE_URL_PREFIX_ALL,
   _SSE_URL_PREFIX_ALL_SANDBOX,
   _SSE_URL_PREFIX_SANDBOX,
-  IEXJSException,
+  ValidationError,
   _strCommaSeparatedString,
   _streamSSE,
   _strToList,
 } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 export const TRADINGSTATUS = "tradingstatus";
 export const AUCTION = "auction";
@@ -33,7 +33,7 @@ export const ALL = "deep";
 
 export const _runSSE = (method, symbols, on_data, token, version) => {
   if (!method) {
-    throw new IEXJSException("method cannot be blank");
+    throw new ValidationError("method cannot be blank");
   }
 
   if (symbols) {
@@ -46,6 +46,8 @@ export const _runSSE = (method, symbols, on_data, token, version) => {
           token,
         ),
         on_data,
+        false,
+        token,
       );
     }
     return _streamSSE(
@@ -56,14 +58,50 @@ export const _runSSE = (method, symbols, on_data, token, version) => {
         token,
       ),
       on_data,
+      false,
+      token,
     );
   }
   if (version === "sandbox") {
-    return _streamSSE(_SSE_URL_PREFIX_ALL_SANDBOX(method, token), on_data);
+    return _streamSSE(
+      _SSE_URL_PREFIX_ALL_SANDBOX(method, token),
+      on_data,
+      false,
+      token,
+    );
   }
-  return _streamSSE(_SSE_URL_PREFIX_ALL(version, method, token), on_data);
+  return _streamSSE(
+    _SSE_URL_PREFIX_ALL(version, method, token),
+    on_data,
+    false,
+    token,
+  );
 };
 
+/**
+ * Arguments of stream endpoints, before any of their own
+ */
+export const _SSE_ARGS = [
+  { name: "symbols", type: "symbols", optional: true },
+  { name: "on_data", type: "function" },
+];
+
+/**
+ * Define an endpoint streaming an SSE channel
+ * @param {string} name function and Client method name
+ * @param {string} channel SSE channel
+ * @returns {function} the standalone function, `(symbols, on_data, token, version)`
+ */
+export const _sseEndpoint = (name, channel) =>
+  _endpoint({
+    name,
+    args: _SSE_ARGS,
+    filter: false,
+    run: ({ symbols, on_data }, token, version) =>
+      _runSSE(channel, symbols, on_data, token, version),
+    docs: "https://iexcloud.io/docs/api/#sse-streaming",
+  });
+
 /**
  * TOPS provides IEX’s aggregated best quoted bid and offer position in near real time for all securities on IEX’s displayed limit order book.
  * TOPS is ideal for developers needing both quote and trade data.
@@ -73,12 +111,7 @@ export const _runSSE = (method, symbols, on_data, token, version) => {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const topsSSE = (symbols, on_data, token, version) =>
-  _runSSE("tops", symbols, on_data, token, version);
-
-Client.prototype.topsSSE = function (symbols, on_data) {
-  return topsSSE(symbols, on_data, this._token, this._version);
-};
+export const topsSSE = _sseEndpoint("topsSSE", "tops");
 
 /**
  * Last provides trade data for executions on IEX. It is a near real time, intraday API that provides IEX last sale price, size and time.
@@ -89,12 +122,7 @@ Client.prototype.topsSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const lastSSE = (symbols, on_data, token, version) =>
-  _runSSE("last", symbols, on_data, token, version);
-
-Client.prototype.lastSSE = function (symbols, on_data) {
-  return lastSSE(symbols, on_data, this._token, this._version);
-};
+export const lastSSE = _sseEndpoint("lastSSE", "last");
 
 /**
  * DEEP is used to receive real-time depth of book quotations direct from IEX.
@@ -111,32 +139,7 @@ Client.prototype.lastSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const deepSSE = (symbols, channels, on_data, token, version) => {
-  if (!channels) {
-    throw new IEXJSException("Must specify channels for deepSSE endpoints");
-  }
-
-  _strToList(channels).forEach((channel) => {
-    if (
-      [
-        TRADINGSTATUS,
-        AUCTION,
-        OPHALTSTATUS,
-        SSR,
-        SECURITYEVENT,
-        TRADEBREAK,
-        TRADES,
-        BOOK,
-        SYSTEMEVENT,
-        ALL,
-      ].indexOf(channel) < 0
-    ) {
-      throw new IEXJSException(`Deep channel not recognized: ${channel}`);
-    }
-  });
-
-  // eslint-disable-next-line no-param-reassign
-  channels = _strCommaSeparatedString(channels);
+const _deepSSE = (symbols, channels, on_data, token, version) => {
   if (version === "sandbox") {
     return _streamSSE(
       _SSE_DEEP_URL_PREFIX_SANDBOX(
@@ -145,6 +148,8 @@ export const deepSSE = (symbols, channels, on_data, token, version) => {
         token,
       ),
       on_data,
+      false,
+      token,
     );
   }
   return _streamSSE(
@@ -155,12 +160,49 @@ export const deepSSE = (symbols, channels, on_data, token, version) => {
       token,
     ),
     on_data,
+    false,
+    token,
   );
 };
 
-Client.prototype.deepSSE = function (symbols, channels, on_data) {
-  return deepSSE(symbols, channels, on_data, this._token, this._version);
-};
+export const deepSSE = _endpoint({
+  name: "deepSSE",
+  args: [
+    { name: "symbols", type: "symbols" },
+    { name: "channels", type: "symbols" },
+    { name: "on_data", type: "function" },
+  ],
+  filter: false,
+  validate: ({ channels }) => {
+    _strToList(channels).forEach((channel) => {
+      if (
+        [
+          TRADINGSTATUS,
+          AUCTION,
+          OPHALTSTATUS,
+          SSR,
+          SECURITYEVENT,
+          TRADEBREAK,
+          TRADES,
+          BOOK,
+          SYSTEMEVENT,
+          ALL,
+        ].indexOf(channel) < 0
+      ) {
+        throw new ValidationError(`Deep channel not recognized: ${channel}`);
+      }
+    });
+  },
+  run: ({ symbols, channels, on_data }, token, version) =>
+    _deepSSE(
+      symbols,
+      _strCommaSeparatedString(channels),
+      on_data,
+      token,
+      version,
+    ),
+  docs: "https://iexcloud.io/docs/api/#deep",
+});
 
 /**
  * Trade report messages are sent when an order on the IEX Order Book is executed in whole or in part. DEEP sends a Trade report message for every individual fill.
@@ -170,31 +212,17 @@ Client.prototype.deepSSE = function (symbols, channels, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const tradesSSE = (symbols, on_data, token, version) => {
-  if (version === "sandbox") {
-    return _streamSSE(
-      _SSE_DEEP_URL_PREFIX_SANDBOX(
-        _strCommaSeparatedString(symbols),
-        "trades",
-        token,
-      ),
-      on_data,
-    );
-  }
-  return _streamSSE(
-    _SSE_DEEP_URL_PREFIX(
-      version,
-      _strCommaSeparatedString(symbols),
-      "trades",
-      token,
-    ),
-    on_data,
-  );
-};
-
-Client.prototype.tradesSSE = function (symbols, on_data) {
-  return tradesSSE(symbols, on_data, this._token, this._version);
-};
+export const tradesSSE = _endpoint({
+  name: "tradesSSE",
+  args: [
+    { name: "symbols", type: "symbols" },
+    { name: "on_data", type: "function" },
+  ],
+  filter: false,
+  run: ({ symbols, on_data }, token, version) =>
+    _deepSSE(symbols, TRADES, on_data, token, version),
+  docs: "https://iexcloud.io/docs/api/#deep-trades",
+});
 
 /**
  * DEEP broadcasts an Auction Information Message every one second between the Lock-in Time and the auction match for Opening and Closing Auctions,
@@ -205,12 +233,7 @@ Client.prototype.tradesSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const auctionSSE = (symbols, on_data, token, version) =>
-  _runSSE("auction", symbols, on_data, token, version);
-
-Client.prototype.auctionSSE = function (symbols, on_data) {
-  return auctionSSE(symbols, on_data, this._token, this._version);
-};
+export const auctionSSE = _sseEndpoint("auctionSSE", "auction");
 
 /**
  * Book shows IEX’s bids and asks for given symbols.
@@ -220,12 +243,8 @@ Client.prototype.auctionSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const bookSSE = (symbols, on_data, token, version) =>
-  _runSSE("book", symbols, on_data, token, version);
+export const bookSSE = _sseEndpoint("bookSSE", "book");
 
-Client.prototype.bookSSE = function (symbols, on_data) {
-  return bookSSE(symbols, on_data, this._token, this._version);
-};
 /**
  * The Exchange may suspend trading of one or more securities on IEX for operational reasons and indicates such operational halt using the Operational halt status message.
  *
@@ -241,12 +260,10 @@ Client.prototype.bookSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const opHaltStatusSSE = (symbols, on_data, token, version) =>
-  _runSSE("op-halt-status", symbols, on_data, token, version);
-
-Client.prototype.opHaltStatusSSE = function (symbols, on_data) {
-  return opHaltStatusSSE(symbols, on_data, this._token, this._version);
-};
+export const opHaltStatusSSE = _sseEndpoint(
+  "opHaltStatusSSE",
+  "op-halt-status",
+);
 
 /**
  * The Official Price message is used to disseminate the IEX Official Opening and Closing Prices.
@@ -257,12 +274,11 @@ Client.prototype.opHaltStatusSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const officialPriceSSE = (symbols, on_data, token, version) =>
-  _runSSE("official-price", symbols, on_data, token, version);
+export const officialPriceSSE = _sseEndpoint(
+  "officialPriceSSE",
+  "official-price",
+);
 
-Client.prototype.officialPriceSSE = function (symbols, on_data) {
-  return officialPriceSSE(symbols, on_data, this._token, this._version);
-};
 /**
  * The Security event message is used to indicate events that apply to a security. A Security event message will be sent whenever such event occurs
  * https://iexcloud.io/docs/api/#deep-security-event
@@ -271,12 +287,11 @@ Client.prototype.officialPriceSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const securityEventSSE = (symbols, on_data, token, version) =>
-  _runSSE("security-event", symbols, on_data, token, version);
+export const securityEventSSE = _sseEndpoint(
+  "securityEventSSE",
+  "security-event",
+);
 
-Client.prototype.securityEventSSE = function (symbols, on_data) {
-  return securityEventSSE(symbols, on_data, this._token, this._version);
-};
 /**
  * In association with Rule 201 of Regulation SHO, the Short Sale Price Test Message is used to indicate when a short sale price test restriction is in effect for a security.
  *
@@ -290,12 +305,8 @@ Client.prototype.securityEventSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const ssrStatusSSE = (symbols, on_data, token, version) =>
-  _runSSE("ssr-status", symbols, on_data, token, version);
+export const ssrStatusSSE = _sseEndpoint("ssrStatusSSE", "ssr-status");
 
-Client.prototype.ssrStatusSSE = function (symbols, on_data) {
-  return ssrStatusSSE(symbols, on_data, this._token, this._version);
-};
 /**
  * The System event message is used to indicate events that apply to the market or the data feed.
  *
@@ -307,12 +318,7 @@ Client.prototype.ssrStatusSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const systemEventSSE = (symbols, on_data, token, version) =>
-  _runSSE("system-event", symbols, on_data, token, version);
-
-Client.prototype.systemEventSSE = function (symbols, on_data) {
-  return systemEventSSE(symbols, on_data, this._token, this._version);
-};
+export const systemEventSSE = _sseEndpoint("systemEventSSE", "system-event");
 
 /**
  * Trade report messages are sent when an order on the IEX Order Book is executed in whole or in part. DEEP sends a Trade report message for every individual fill.
@@ -323,12 +329,7 @@ Client.prototype.systemEventSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const tradeBreaksSSE = (symbols, on_data, token, version) =>
-  _runSSE("trade-breaks", symbols, on_data, token, version);
-
-Client.prototype.tradeBreaksSSE = function (symbols, on_data) {
-  return tradeBreaksSSE(symbols, on_data, this._token, this._version);
-};
+export const tradeBreaksSSE = _sseEndpoint("tradeBreaksSSE", "trade-breaks");
 
 /**
  * The Trading status message is used to indicate the current trading status of a security.
@@ -353,9 +354,7 @@ Client.prototype.tradeBreaksSSE = function (symbols, on_data) {
  * @param {string} token Access token
  * @param {string} version API version
  */
-export const tradingStatusSSE = (symbols, on_data, token, version) =>
-  _runSSE("trading-status", symbols, on_data, token, version);
-
-Client.prototype.tradingStatusSSE = function (symbols, on_data) {
-  return tradingStatusSSE(symbols, on_data, this._token, this._version);
-};
+export const tradingStatusSSE = _sseEndpoint(
+  "tradingStatusSSE",
+  "trading-status",
+);
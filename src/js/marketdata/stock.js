@@ -6,8 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../client";
-import { _runSSE } from "./sse";
+import { _sseEndpoint } from "./sse";
 
 export const STOCKSUSNOUTP = "stocksUSNoUTP";
 export const STOCKSUS = "stocksUS";
@@ -22,12 +21,10 @@ export const STOCKSUS1MINUTE = "stocksUS1Minute";
  * @param {string} token
  * @param {string} version
  */
-export const stocksUSNoUTPSSE = (symbols, on_data, token, version) =>
-  _runSSE("stocksUSNoUTP", symbols, on_data, token, version);
-
-Client.prototype.stocksUSNoUTPSSE = function (symbols, on_data) {
-  return stocksUSNoUTPSSE(symbols, on_data, this._token, this._version);
-};
+export const stocksUSNoUTPSSE = _sseEndpoint(
+  "stocksUSNoUTPSSE",
+  "stocksUSNoUTP",
+);
 
 /**
  * https://iexcloud.io/docs/api/#sse-streaming
@@ -36,12 +33,7 @@ Client.prototype.stocksUSNoUTPSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const stocksUSSSE = (symbols, on_data, token, version) =>
-  _runSSE("stocksUS", symbols, on_data, token, version);
-
-Client.prototype.stocksUSSSE = function (symbols, on_data) {
-  return stocksUSSSE(symbols, on_data, this._token, this._version);
-};
+export const stocksUSSSE = _sseEndpoint("stocksUSSSE", "stocksUS");
 
 /**
  * https://iexcloud.io/docs/api/#sse-streaming
@@ -50,12 +42,10 @@ Client.prototype.stocksUSSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const stocksUS1SecondSSE = (symbols, on_data, token, version) =>
-  _runSSE("stocksUS1Second", symbols, on_data, token, version);
-
-Client.prototype.stocksUS1SecondSSE = function (symbols, on_data) {
-  return stocksUS1SecondSSE(symbols, on_data, this._token, this._version);
-};
+export const stocksUS1SecondSSE = _sseEndpoint(
+  "stocksUS1SecondSSE",
+  "stocksUS1Second",
+);
 
 /**
  * https://iexcloud.io/docs/api/#sse-streaming
@@ -64,12 +54,11 @@ Client.prototype.stocksUS1SecondSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const stocksUS5SecondSSE = (symbols, on_data, token, version) =>
-  _runSSE("stocksUS5Second", symbols, on_data, token, version);
+export const stocksUS5SecondSSE = _sseEndpoint(
+  "stocksUS5SecondSSE",
+  "stocksUS5Second",
+);
 
-Client.prototype.stocksUS5SecondSSE = function (symbols, on_data) {
-  return stocksUS5SecondSSE(symbols, on_data, this._token, this._version);
-};
 /**
  * https://iexcloud.io/docs/api/#sse-streaming
  * @param {string} symbols
@@ -77,9 +66,7 @@ Client.prototype.stocksUS5SecondSSE = function (symbols, on_data) {
  * @param {string} token
  * @param {string} version
  */
-export const stocksUS1MinuteSSE = (symbols, on_data, token, version) =>
-  _runSSE("stocksUS1Minute", symbols, on_data, token, version);
-
-Client.prototype.stocksUS1MinuteSSE = function (symbols, on_data) {
-  return stocksUS1MinuteSSE(symbols, on_data, this._token, this._version);
-};
+export const stocksUS1MinuteSSE = _sseEndpoint(
+  "stocksUS1MinuteSSE",
+  "stocksUS1Minute",
+);
@@ -0,0 +1,15 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+export * from "./cryptocurrency";
+export * from "./fx";
+export * from "./news";
+export * from "./sentiment";
+export * from "./sse";
+export * from "./stock";
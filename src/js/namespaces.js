@@ -0,0 +1,97 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+/*
+ * Binds every endpoint to Client, flat and in namespaces. Only the main
+ * entry imports this, so subpath entries such as `iexjs/stocks` leave
+ * Client and the other endpoints out of bundles.
+ */
+
+import { Client } from "./client";
+import * as account from "./account";
+import * as alternative from "./alternative";
+import * as commodities from "./commodities";
+import * as crypto from "./cryptocurrency";
+import * as economic from "./economic";
+import * as fx from "./fx";
+import * as http from "./marketdata/http";
+import * as cryptoStreams from "./marketdata/cryptocurrency";
+import * as fxStreams from "./marketdata/fx";
+import * as newsStreams from "./marketdata/news";
+import * as sentimentStreams from "./marketdata/sentiment";
+import * as deepStreams from "./marketdata/sse";
+import * as stockStreams from "./marketdata/stock";
+import * as options from "./options";
+import * as points from "./points";
+import * as auditAnalytics from "./premium/auditanalytics";
+import * as brain from "./premium/brain";
+import * as extractAlpha from "./premium/extractalpha";
+import * as fraudFactors from "./premium/fraudfactors";
+import * as kavout from "./premium/kavout";
+import * as precisionAlpha from "./premium/precisionalpha";
+import * as stocktwits from "./premium/stocktwits";
+import * as valuEngine from "./premium/valuengine";
+import * as wallStreetHorizon from "./premium/wallstreethorizon";
+import * as rates from "./rates";
+import * as refdata from "./refdata";
+import * as stats from "./stats";
+import * as stocks from "./stocks";
+import { _bindClient, _namespace } from "./registry";
+
+// streams drop the SSE suffix, e.g. `client.streams.stocksUS`
+const _streams = (...modules) =>
+  modules.reduce(
+    (members, module) =>
+      Object.keys(module).reduce(
+        (all, name) => ({ ...all, [name.replace(/SSE$/, "")]: module[name] }),
+        members,
+      ),
+    {},
+  );
+
+const { deep: all, bookDeep: book, ...deep } = http;
+
+_namespace("account", account);
+_namespace("alternative", alternative);
+_namespace("commodities", commodities);
+_namespace("crypto", crypto);
+_namespace("deep", { ...deep, all, book });
+_namespace("economic", economic);
+_namespace("fx", fx);
+_namespace("rates", rates);
+_namespace("refdata", refdata);
+_namespace("stats", stats);
+_namespace("stocks", { ...stocks, ...options, ...points });
+_namespace(
+  "streams",
+  _streams(
+    deepStreams,
+    stockStreams,
+    cryptoStreams,
+    fxStreams,
+    newsStreams,
+    sentimentStreams,
+  ),
+);
+
+_namespace("premium.auditAnalytics", auditAnalytics);
+_namespace("premium.brain", brain);
+_namespace("premium.extractAlpha", extractAlpha);
+_namespace("premium.fraudFactors", fraudFactors);
+_namespace("premium.kavout", kavout);
+_namespace("premium.precisionAlpha", precisionAlpha);
+_namespace("premium.stocktwits", stocktwits);
+_namespace("premium.valuEngine", valuEngine);
+_namespace("premium.wallStreetHorizon", wallStreetHorizon);
+
+_bindClient(Client);
+
+// older names of the same endpoints
+Client.prototype.marketPrevious = Client.prototype.marketYesterday;
+Client.prototype.previous = Client.prototype.yesterday;
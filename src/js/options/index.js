@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson, _raiseIfNotStr } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * Returns end of day options data
@@ -20,19 +19,12 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const optionExpirations = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `/stock/${symbol}/options`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.optionExpirations = function (symbol, filter) {
-  return optionExpirations(symbol, this._token, this._version, filter);
-};
+export const optionExpirations = _endpoint({
+  name: "optionExpirations",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/options",
+  docs: "https://iexcloud.io/docs/api/#options",
+});
 
 /**
  * Returns end of day options data
@@ -46,24 +38,13 @@ Client.prototype.optionExpirations = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const options = (symbol, expiration, side, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (side) {
-    return _getJson({
-      url: `stock/${symbol}/options/${expiration}/${side}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stock/${symbol}/options/${expiration}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.options = function (symbol, expiration, side, filter) {
-  return options(symbol, expiration, side, this._token, this._version, filter);
-};
+export const options = _endpoint({
+  name: "options",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "expiration", required: true },
+    { name: "side", values: ["call", "put"] },
+  ],
+  url: "stock/{symbol}/options/{expiration}/{side?}",
+  docs: "https://iexcloud.io/docs/api/#options",
+});
@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson, _raiseIfNotStr } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * Data points are available per symbol and return individual plain text values.
@@ -17,30 +16,32 @@ import { Client } from "../client";
  *
  * https://iexcloud.io/docs/api/#data-points
  *
- * @param {string} symbol ticker
+ * @param {string} symbol ticker, or "market" (the default) for market-wide data points
+ * @param {string} key data point to fetch, all available data points if not given
  * @param {string} token Access token
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const points = (symbol, key, token, version, filter) => {
-  _raiseIfNotStr(symbol || "market");
+export const points = _endpoint({
+  name: "points",
+  args: [
+    { name: "symbol", type: "symbol", default: "market" },
+    { name: "key" },
+  ],
+  url: "data-points/{symbol}/{key?}",
+  docs: "https://iexcloud.io/docs/api/#data-points",
+});
 
-  if (key) {
-    return _getJson({
-      url: `data-points/${symbol || "market"}/${key}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `data-points/${symbol || "market"}`,
-    token,
-    version,
-    filter,
+/**
+ * Define an endpoint for a market-wide data point, e.g. a commodity price
+ * or economic indicator, taking no arguments
+ * @param {string} name function and Client method name
+ * @param {string} key data point
+ * @returns {function} the standalone function
+ */
+export const _marketPoint = (name, key) =>
+  _endpoint({
+    name,
+    url: `data-points/market/${key}`,
+    docs: "https://iexcloud.io/docs/api/#data-points",
   });
-};
-
-Client.prototype.points = function (symbol, key, filter) {
-  return points(symbol, key, this._token, this._version, filter);
-};
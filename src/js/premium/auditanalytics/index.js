@@ -6,27 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../../client";
-import { timeSeries } from "../../stocks";
-
-/**
- * internal
- * @param {string} id
- * @param {string} symbol
- * @param  {object} timeseriesArgs
- * @returns
- */
-const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
-  timeSeries(
-    {
-      id,
-      key: symbol,
-      ...timeseriesArgs,
-    },
-    token,
-    version,
-    filter,
-  );
+import { _timeSeriesEndpoint } from "../../stocks";
 
 /**
  * The Director & Officer Changes data set covers all SEC registrants who have disclosed a director or officer change in Item 5.02 of an 8-K or 8-K/A since August 2004. As of January 1, 2018, the dataset also includes director or officer change disclosures in 6-K & 6-K/A filings.
@@ -35,37 +15,14 @@ const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const directorAndOfficerChanges = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_AUDIT_ANALYTICS_DIRECTOR_OFFICER_CHANGES",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.directorAndOfficerChanges = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return directorAndOfficerChanges(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const directorAndOfficerChanges = _timeSeriesEndpoint(
+  "directorAndOfficerChanges",
+  "PREMIUM_AUDIT_ANALYTICS_DIRECTOR_OFFICER_CHANGES",
+  null,
+  "https://iexcloud.io/docs/api/#audit-analytics-director-and-officer-changes",
+);
 
 /**
  * AQRM is an interactive tool designed to quickly identify and understand qualitative and contextual metrics of governance and reporting quality. Red flags and events highlighted in the risk matrix can be used for screening, idea generation, portfolio monitoring, and risk management for every SEC registrant.
@@ -74,34 +31,11 @@ Client.prototype.directorAndOfficerChanges = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const accountingQualityAndRiskMatrix = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_AUDIT_ANALYTICS_ACCOUNTING_QUALITY_RISK_MATRIX",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.accountingQualityAndRiskMatrix = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return accountingQualityAndRiskMatrix(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const accountingQualityAndRiskMatrix = _timeSeriesEndpoint(
+  "accountingQualityAndRiskMatrix",
+  "PREMIUM_AUDIT_ANALYTICS_ACCOUNTING_QUALITY_RISK_MATRIX",
+  null,
+  "https://iexcloud.io/docs/api/#audit-analytics-accounting-quality-and-risk-matrix",
+);
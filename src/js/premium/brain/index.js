@@ -6,27 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../../client";
-import { timeSeries } from "../../stocks";
-
-/**
- * internal
- * @param {string} id
- * @param {string} symbol
- * @param  {object} timeseriesArgs
- * @returns
- */
-const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
-  timeSeries(
-    {
-      id,
-      key: symbol,
-      ...timeseriesArgs,
-    },
-    token,
-    version,
-    filter,
-  );
+import { _timeSeriesEndpoint } from "../../stocks";
 
 /**
  * Brain Company’s Sentiment Indicator monitors the stock sentiment from the last 30 days of public financial news for about 3,500 US stocks. The sentiment scoring technology is based on a combination of various natural language processing techniques. The sentiment score assigned to each stock is a value ranging from -1 (most negative) to +1 (most positive) that is updated daily.
@@ -35,37 +15,14 @@ const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brain30DaySentiment = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_SENTIMENT_30_DAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brain30DaySentiment = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brain30DaySentiment(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brain30DaySentiment = _timeSeriesEndpoint(
+  "brain30DaySentiment",
+  "PREMIUM_BRAIN_SENTIMENT_30_DAYS",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-30-day-sentiment-indicator",
+);
 
 /**
  * Brain Company’s Sentiment Indicator monitors the stock sentiment from the last 7 days of public financial news for about 3,500 US stocks. The sentiment scoring technology is based on a combination of various natural language processing techniques. The sentiment score assigned to each stock is a value ranging from -1 (most negative) to +1 (most positive) that is updated daily.
@@ -74,37 +31,14 @@ Client.prototype.brain30DaySentiment = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brain7DaySentiment = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_SENTIMENT_7_DAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brain7DaySentiment = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brain7DaySentiment(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brain7DaySentiment = _timeSeriesEndpoint(
+  "brain7DaySentiment",
+  "PREMIUM_BRAIN_SENTIMENT_7_DAYS",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-7-day-sentiment-indicator",
+);
 
 /**
  * Brain Company’s Machine Learning proprietary platform is used to generate a daily stock ranking based on the predicted future returns of a universe of around 1,000 stocks over 21 days. The model implements a voting scheme of machine learning classifiers that non linearly combine a variety of features with a series of techniques aimed at mitigating the well-known overfitting problem for financial data with a low signal to noise ratio.
@@ -113,37 +47,14 @@ Client.prototype.brain7DaySentiment = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brain21DayMLReturnRanking = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_RANKING_21_DAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brain21DayMLReturnRanking = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brain21DayMLReturnRanking(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brain21DayMLReturnRanking = _timeSeriesEndpoint(
+  "brain21DayMLReturnRanking",
+  "PREMIUM_BRAIN_RANKING_21_DAYS",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-21-day-machine-learning-estimated-return-ranking",
+);
 
 /**
  * Brain Company’s Machine Learning proprietary platform is used to generate a daily stock ranking based on the predicted future returns of a universe of around 1,000 stocks over 10 days. The model implements a voting scheme of machine learning classifiers that non linearly combine a variety of features with a series of techniques aimed at mitigating the well-known overfitting problem for financial data with a low signal to noise ratio.
@@ -152,37 +63,14 @@ Client.prototype.brain21DayMLReturnRanking = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brain10DayMLReturnRanking = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_RANKING_10_DAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brain10DayMLReturnRanking = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brain10DayMLReturnRanking(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brain10DayMLReturnRanking = _timeSeriesEndpoint(
+  "brain10DayMLReturnRanking",
+  "PREMIUM_BRAIN_RANKING_10_DAYS",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-10-day-machine-learning-estimated-return-ranking",
+);
 
 /**
  * Brain Company’s Machine Learning proprietary platform is used to generate a daily stock ranking based on the predicted future returns of a universe of around 1,000 stocks over 10 days. The model implements a voting scheme of machine learning classifiers that non linearly combine a variety of features with a series of techniques aimed at mitigating the well-known overfitting problem for financial data with a low signal to noise ratio.
@@ -191,37 +79,14 @@ Client.prototype.brain10DayMLReturnRanking = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brain5DayMLReturnRanking = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_RANKING_5_DAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brain5DayMLReturnRanking = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brain5DayMLReturnRanking(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brain5DayMLReturnRanking = _timeSeriesEndpoint(
+  "brain5DayMLReturnRanking",
+  "PREMIUM_BRAIN_RANKING_5_DAYS",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-5-day-machine-learning-estimated-return-ranking",
+);
 
 /**
  * Brain Company’s Machine Learning proprietary platform is used to generate a daily stock ranking based on the predicted future returns of a universe of around 1,000 stocks over 10 days. The model implements a voting scheme of machine learning classifiers that non linearly combine a variety of features with a series of techniques aimed at mitigating the well-known overfitting problem for financial data with a low signal to noise ratio.
@@ -230,37 +95,14 @@ Client.prototype.brain5DayMLReturnRanking = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brain3DayMLReturnRanking = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_RANKING_3_DAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brain3DayMLReturnRanking = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brain3DayMLReturnRanking(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brain3DayMLReturnRanking = _timeSeriesEndpoint(
+  "brain3DayMLReturnRanking",
+  "PREMIUM_BRAIN_RANKING_3_DAYS",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-3-day-machine-learning-estimated-return-ranking",
+);
 
 /**
  * Brain Company’s Machine Learning proprietary platform is used to generate a daily stock ranking based on the predicted future returns of a universe of around 1,000 stocks over 10 days. The model implements a voting scheme of machine learning classifiers that non linearly combine a variety of features with a series of techniques aimed at mitigating the well-known overfitting problem for financial data with a low signal to noise ratio.
@@ -269,37 +111,14 @@ Client.prototype.brain3DayMLReturnRanking = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brain2DayMLReturnRanking = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_RANKING_2_DAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brain2DayMLReturnRanking = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brain2DayMLReturnRanking(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brain2DayMLReturnRanking = _timeSeriesEndpoint(
+  "brain2DayMLReturnRanking",
+  "PREMIUM_BRAIN_RANKING_2_DAYS",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-2-day-machine-learning-estimated-return-ranking",
+);
 
 /**
  * Metrics about the language used in a company’s most recent annual or quarterly filings (10Ks and 10Qs). Includes metrics on the financial sentiment and the scores based on the prevalence of words in the statement categorized into four themes: constraining language, interesting language, litigious language, and language indicating uncertainty.
@@ -308,37 +127,14 @@ Client.prototype.brain2DayMLReturnRanking = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brainLanguageMetricsOnCompanyFilingsAll = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_LANGUAGE_METRICS_ALL",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brainLanguageMetricsOnCompanyFilingsAll = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brainLanguageMetricsOnCompanyFilingsAll(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brainLanguageMetricsOnCompanyFilingsAll = _timeSeriesEndpoint(
+  "brainLanguageMetricsOnCompanyFilingsAll",
+  "PREMIUM_BRAIN_LANGUAGE_METRICS_ALL",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-language-metrics-on-company-filings-quarterly-and-annual",
+);
 
 /**
  * Metrics about the language used in a company’s most recent annual filing (10Ks). Includes metrics on the financial sentiment and the scores based on the prevalence of words in the statement categorized into four themes: constraining language, interesting language, litigious language, and language indicating uncertainty.
@@ -347,37 +143,14 @@ Client.prototype.brainLanguageMetricsOnCompanyFilingsAll = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brainLanguageMetricsOnCompanyFilings = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_LANGUAGE_METRICS_10K",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brainLanguageMetricsOnCompanyFilings = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brainLanguageMetricsOnCompanyFilings(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brainLanguageMetricsOnCompanyFilings = _timeSeriesEndpoint(
+  "brainLanguageMetricsOnCompanyFilings",
+  "PREMIUM_BRAIN_LANGUAGE_METRICS_10K",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-language-metrics-on-company-filings-annual-only",
+);
 
 /**
  * Compares Brain’s sentiment and language metrics from the company’s most recent repot (annual or quarterly) to the report from last year (10Ks) or the corresponding quarter the prior year (10Qs).
@@ -386,37 +159,14 @@ Client.prototype.brainLanguageMetricsOnCompanyFilings = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brainLanguageMetricsOnCompanyFilingsDifferenceAll = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_LANGUAGE_DIFFERENCES_ALL",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brainLanguageMetricsOnCompanyFilingsDifferenceAll = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brainLanguageMetricsOnCompanyFilingsDifferenceAll(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brainLanguageMetricsOnCompanyFilingsDifferenceAll = _timeSeriesEndpoint(
+  "brainLanguageMetricsOnCompanyFilingsDifferenceAll",
+  "PREMIUM_BRAIN_LANGUAGE_DIFFERENCES_ALL",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-differences-in-language-metrics-on-company-filings-quarterly-and-annual-from-prior-period",
+);
 
 /**
  * Compares Brain’s sentiment and language metrics from the company’s most recent annual filing (10K) to the report from last year.
@@ -425,34 +175,11 @@ Client.prototype.brainLanguageMetricsOnCompanyFilingsDifferenceAll = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const brainLanguageMetricsOnCompanyFilingsDifference = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_BRAIN_LANGUAGE_DIFFERENCES_10K",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.brainLanguageMetricsOnCompanyFilingsDifference = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return brainLanguageMetricsOnCompanyFilingsDifference(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const brainLanguageMetricsOnCompanyFilingsDifference = _timeSeriesEndpoint(
+  "brainLanguageMetricsOnCompanyFilingsDifference",
+  "PREMIUM_BRAIN_LANGUAGE_DIFFERENCES_10K",
+  null,
+  "https://iexcloud.io/docs/api/#brain-companys-differences-in-language-metrics-on-company-annual-filings-from-prior-year",
+);
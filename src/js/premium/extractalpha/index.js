@@ -6,28 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-/* eslint-disable no-param-reassign */
-import { Client } from "../../client";
-import { timeSeries } from "../../stocks";
-
-/**
- * internal
- * @param {string} id
- * @param {string} symbol
- * @param  {object} timeseriesArgs
- * @returns
- */
-const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
-  timeSeries(
-    {
-      id,
-      key: symbol,
-      ...timeseriesArgs,
-    },
-    token,
-    version,
-    filter,
-  );
+import { _timeSeriesEndpoint } from "../../stocks";
 
 /**
  * The ExtractAlpha Cross-Asset Model 1 (CAM1) is an innovative quantitative stock selection model designed to capture the information contained in options market prices and volumes. The listed equity options market is composed of investors who on average are more informed and information-driven than their cash equity counterparts, due to the higher levels of conviction that are associated with levered bets. This results in a unique model which profits from gradual cross-asset information flows.
@@ -38,21 +17,14 @@ const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const cam1 = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_EXTRACT_ALPHA_CAM",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.cam1 = function (symbol, filter, ...timeseriesArgs) {
-  return cam1(symbol, this._token, this._version, filter, ...timeseriesArgs);
-};
+export const cam1 = _timeSeriesEndpoint(
+  "cam1",
+  "PREMIUM_EXTRACT_ALPHA_CAM",
+  null,
+  "https://iexcloud.io/docs/api/#cross-asset-model-1",
+);
 
 /**
  * Financial firms have been under scrutiny for their business practices since the Global Financial Crisis. The Consumer Financial Protection Bureau’s Consumer Complaint Database is a collection of complaints on a range of consumer financial products and services, sent to companies for response. The Consumer Financial Protection Board doesn’t verify all the facts alleged in these complaints, but we take steps to confirm a commercial relationship between the consumer and the company.
@@ -64,39 +36,14 @@ Client.prototype.cam1 = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgCFPBComplaints = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 1;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgCFPBComplaints = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgCFPBComplaints(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgCFPBComplaints = _timeSeriesEndpoint(
+  "esgCFPBComplaints",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "1",
+  "https://iexcloud.io/docs/api/#esg-cfpb-complaints",
+);
 
 /**
  * Product recalls can be a sign that a company did not employ sufficient safety or quality standards when releasing its products. A product recall can have significant negative impact on a company’s brand, sales, and stock price [Kin, Shenoy, and Subramaniam, 2013]. CPSC is charged with protecting the public from unreasonable risks of injury or death associated with the use of the thousands of types of consumer products under the agency’s jurisdiction. CPSC is committed to protecting consumers and families from products that pose a fire, electrical, chemical, or mechanical hazard.
@@ -108,35 +55,14 @@ Client.prototype.esgCFPBComplaints = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgCPSCRecalls = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 5;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgCPSCRecalls = function (symbol, filter, ...timeseriesArgs) {
-  return esgCPSCRecalls(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgCPSCRecalls = _timeSeriesEndpoint(
+  "esgCPSCRecalls",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "5",
+  "https://iexcloud.io/docs/api/#esg-cpsc-recalls",
+);
 
 /**
  * Companies often hire foreign knowledge workers if they wish to invest in innovation. Hiring foreign workers for employment in the U.S. normally requires approval from several government agencies. First, employers must seek labor certification through the U.S. Department of Labor (DOL). Once the application is certified (approved), the employer must petition the U.S. Citizenship and Immigration Services (CIS) for a visa. Approval by DOL does not guarantee a visa issuance. The Department of State (DOS) will issue an immigrant visa number to the foreign worker for U.S. entry.
@@ -149,39 +75,14 @@ Client.prototype.esgCPSCRecalls = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgDOLVisaApplications = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 8;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgDOLVisaApplications = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgDOLVisaApplications(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgDOLVisaApplications = _timeSeriesEndpoint(
+  "esgDOLVisaApplications",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "8",
+  "https://iexcloud.io/docs/api/#esg-dol-visa-applications",
+);
 
 /**
  * Violations of Environmental Protection Agency regulations can indicate a company’s negligence in its environmental and emissions standards, or a disregard for regulatory risks.
@@ -194,39 +95,14 @@ Client.prototype.esgDOLVisaApplications = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgEPAEnforcements = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 2;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgEPAEnforcements = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgEPAEnforcements(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgEPAEnforcements = _timeSeriesEndpoint(
+  "esgEPAEnforcements",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "2",
+  "https://iexcloud.io/docs/api/#esg-epa-enforcements",
+);
 
 /**
  * As described in EPA Enforcements, but including all milestones for an EPA violation event, not just enforcement actions.
@@ -236,39 +112,14 @@ Client.prototype.esgEPAEnforcements = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgEPAMilestones = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 3;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgEPAMilestones = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgEPAMilestones(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgEPAMilestones = _timeSeriesEndpoint(
+  "esgEPAMilestones",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "3",
+  "https://iexcloud.io/docs/api/#esg-epa-milestones",
+);
 
 /**
  * Individuals often contribute to political campaigns, and when doing so they are asked to disclose their employer. The individual contributions file contains each campaign contribution from an individual to a federal committee. The files for the current election cycle plus the two most recent election cycles are regularly updated.
@@ -278,39 +129,14 @@ Client.prototype.esgEPAMilestones = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgFECIndividualCampaingContributions = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 7;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgFECIndividualCampaingContributions = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgFECIndividualCampaingContributions(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgFECIndividualCampaingContributions = _timeSeriesEndpoint(
+  "esgFECIndividualCampaingContributions",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "7",
+  "https://iexcloud.io/docs/api/#esg-fec-individual-campaign-contributions",
+);
 
 /**
  * Workplace injuries can be an indication of a company’s under investment in worker safety and reasonable working conditions. The dataset consists of inspection case detail for Occupational Safety and Health Administration (OSHA) inspections. The dataset includes information regarding the impetus for conducting the inspections, which are often prompted by workplace accidents, injuries, and fatalities.
@@ -321,39 +147,14 @@ Client.prototype.esgFECIndividualCampaingContributions = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgOSHAInspections = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 4;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgOSHAInspections = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgOSHAInspections(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgOSHAInspections = _timeSeriesEndpoint(
+  "esgOSHAInspections",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "4",
+  "https://iexcloud.io/docs/api/#esg-osha-inspections",
+);
 
 /**
  * Companies often employ lobbyists to influence legislation in their favor, and lobbying can be a very high ROI activity for a company [Hutchens, Rego, and Sheneman, 2016]. Under the Lobbying Disclosure Act, in-house and outside lobbyists must file quarterly reports describing lobbying activity. These reports disclose the amount spent on lobbying. The lobbying data is compiled using the lobbying disclosure reports filed with the Secretary of the Senate’s Office of Public Records (SOPR). Quarterly reports are due on the 20th day of January, April, July, and October. Lobbying firms are required to provide a good- faith estimate rounded to the nearest $10,000 of all lobbying-related income from their clients in each quarter. Total spending on lobbying activities are reported each quarter, but are not broken down by how much was spent on a particular issue or bill.
@@ -363,39 +164,14 @@ Client.prototype.esgOSHAInspections = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgSenateLobbying = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 6;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgSenateLobbying = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgSenateLobbying(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgSenateLobbying = _timeSeriesEndpoint(
+  "esgSenateLobbying",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "6",
+  "https://iexcloud.io/docs/api/#esg-senate-lobbying",
+);
 
 /**
  * Violations of Environmental Protection Agency regulations can indicate a company’s negligence in its environmental and emissions standards, or a disregard for regulatory risks.
@@ -408,35 +184,14 @@ Client.prototype.esgSenateLobbying = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgUSASpending = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 9;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgUSASpending = function (symbol, filter, ...timeseriesArgs) {
-  return esgUSASpending(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgUSASpending = _timeSeriesEndpoint(
+  "esgUSASpending",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "9",
+  "https://iexcloud.io/docs/api/#esg-epa-enforcements",
+);
 
 /**
  * Companies seek government contracts as these are very sticky sources of revenue. The Federal Funding Accountability and Transparency Act of 2006 (FFATA) requires that federal contract, grant, loan, and other financial assistance awards of more than $25,000 be displayed on a searchable, publicly accessible website. As a matter of discretion, the data set also contains certain federal contracts of more than $3,000.
@@ -447,39 +202,14 @@ Client.prototype.esgUSASpending = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgUSPTOPatentApplications = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 10;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgUSPTOPatentApplications = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgUSPTOPatentApplications(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgUSPTOPatentApplications = _timeSeriesEndpoint(
+  "esgUSPTOPatentApplications",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "10",
+  "https://iexcloud.io/docs/api/#esg-usa-spending",
+);
 
 /**
  * Patent grants are indications that a company has successfully signaled that it values its IP, that its IP is unique in the eyes of the USPTO, and that its initial patent application was a reasonable one.
@@ -491,39 +221,14 @@ Client.prototype.esgUSPTOPatentApplications = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const esgUSPTOPatentGrants = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) => {
-  timeseriesArgs.subkey = 11;
-  return _base(
-    "PREMIUM_EXTRACT_ALPHA_ESG",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
-
-Client.prototype.esgUSPTOPatentGrants = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return esgUSPTOPatentGrants(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const esgUSPTOPatentGrants = _timeSeriesEndpoint(
+  "esgUSPTOPatentGrants",
+  "PREMIUM_EXTRACT_ALPHA_ESG",
+  "11",
+  "https://iexcloud.io/docs/api/#esg-uspto-patent-grants",
+);
 
 /**
  * The ExtractAlpha Tactical Model 1 (TM1) is a quantitative stock selection model designed to capture the technical dynamics of single US equities over one to ten trading day horizons. TM1 is a tactical factor, in that it can assist a longer- horizon investor in timing their entry or exit points, or be used in combination with existing systematic or qualitative strategies with similar holding periods.
@@ -537,30 +242,11 @@ Client.prototype.esgUSPTOPatentGrants = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const tacticalModel1 = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_EXTRACT_ALPHA_TM",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.tacticalModel1 = function (symbol, filter, ...timeseriesArgs) {
-  return tacticalModel1(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const tacticalModel1 = _timeSeriesEndpoint(
+  "tacticalModel1",
+  "PREMIUM_EXTRACT_ALPHA_TM",
+  null,
+  "https://iexcloud.io/docs/api/#tactical-model-1",
+);
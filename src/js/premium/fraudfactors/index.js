@@ -6,27 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../../client";
-import { timeSeries } from "../../stocks";
-
-/**
- * internal
- * @param {string} id
- * @param {string} symbol
- * @param  {object} timeseriesArgs
- * @returns
- */
-const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
-  timeSeries(
-    {
-      id,
-      key: symbol,
-      ...timeseriesArgs,
-    },
-    token,
-    version,
-    filter,
-  );
+import { _timeSeriesEndpoint } from "../../stocks";
 
 /**
  * The Similarity Index quantifies the textual differences between a given company’s annual or quarterly filings on an “as disclosed” basis. For example, a similarity score is calculated by comparing a company’s 2017 10-K with the 2016 10-K; or a company’s 2017 Q3 10-Q compared to the 2016 Q3 10-Q a year ago.
@@ -38,37 +18,14 @@ const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const similarityIndex = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_FRAUD_FACTORS_SIMILARITY_INDEX",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.similarityIndex = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return similarityIndex(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const similarityIndex = _timeSeriesEndpoint(
+  "similarityIndex",
+  "PREMIUM_FRAUD_FACTORS_SIMILARITY_INDEX",
+  null,
+  "https://iexcloud.io/docs/api/#similiarity-index",
+);
 
 /**
  * The data set records the date in which a firm files a Non-Timely notification with the SEC.
@@ -79,34 +36,11 @@ Client.prototype.similarityIndex = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const nonTimelyFilings = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_FRAUD_FACTORS_NON_TIMELY_FILINGS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.nonTimelyFilings = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return nonTimelyFilings(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const nonTimelyFilings = _timeSeriesEndpoint(
+  "nonTimelyFilings",
+  "PREMIUM_FRAUD_FACTORS_NON_TIMELY_FILINGS",
+  null,
+  "https://iexcloud.io/docs/api/#non-timely-filings",
+);
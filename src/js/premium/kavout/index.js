@@ -6,27 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../../client";
-import { timeSeries } from "../../stocks";
-
-/**
- * internal
- * @param {string} id
- * @param {string} symbol
- * @param  {object} timeseriesArgs
- * @returns
- */
-const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
-  timeSeries(
-    {
-      id,
-      key: symbol,
-      ...timeseriesArgs,
-    },
-    token,
-    version,
-    filter,
-  );
+import { _timeSeriesEndpoint } from "../../stocks";
 
 /**
  * Kavout takes in over 200 factors and signals including fundamentals, pricing, technical indicators, and alternative data, and then uses an ensemble machine learning technique to analyze and rank stocks.
@@ -36,21 +16,14 @@ const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const kScore = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_KAVOUT_KSCORE",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.kScore = function (symbol, filter, ...timeseriesArgs) {
-  return kScore(symbol, this._token, this._version, filter, ...timeseriesArgs);
-};
+export const kScore = _timeSeriesEndpoint(
+  "kScore",
+  "PREMIUM_KAVOUT_KSCORE",
+  null,
+  "https://iexcloud.io/docs/api/#k-score-for-us-equities",
+);
 
 /**
  * Kavout takes in over 200 factors and signals including fundamentals, pricing, technical indicators, and alternative data, and then uses an ensemble machine learning technique to analyze and rank stocks.
@@ -67,30 +40,11 @@ Client.prototype.kScore = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const kScoreChina = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_KAVOUT_KSCORE_A_SHARES",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.kScoreChina = function (symbol, filter, ...timeseriesArgs) {
-  return kScoreChina(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const kScoreChina = _timeSeriesEndpoint(
+  "kScoreChina",
+  "PREMIUM_KAVOUT_KSCORE_A_SHARES",
+  null,
+  "https://iexcloud.io/docs/api/#k-score-for-china-a-shares",
+);
@@ -6,18 +6,12 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../../client";
-import {
-  IEXJSException,
-  _getJson,
-  _raiseIfNotStr,
-  _strOrDate,
-} from "../../common";
+import { _endpoint } from "../../registry";
 
 /**
- * Pulls balance sheet data. Available quarterly (4 quarters) and annually (4 years)
+ * This endpoint provides social sentiment data from StockTwits. Data can be viewed as a daily value, or by minute for a given date.
  *
- * https://iexcloud.io/docs/api/#balance-sheet
+ * https://iexcloud.io/docs/api/#social-sentiment
  *
  * @param {string} symbol Symbol to look up
  * @param {string} type Can only be daily or minute. Default is daily.
@@ -26,41 +20,13 @@ import {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const socialSentiment = async (
-  symbol,
-  type,
-  date,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  if (["daily", "minute"].indexOf(type || "daily") < 0) {
-    throw new IEXJSException("`type` must be either daily or minute");
-  }
-
-  let base_url = `stock/${symbol}/sentiment/${type || "daily"}`;
-  if (date) {
-    // eslint-disable-next-line no-param-reassign
-    date = _strOrDate(date);
-    base_url += `/${date}`;
-  }
-
-  return _getJson({
-    url: base_url,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.socialSentiment = function (symbol, type, date, filter) {
-  return socialSentiment(
-    symbol,
-    type,
-    date,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+export const socialSentiment = _endpoint({
+  name: "socialSentiment",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "type", default: "daily", values: ["daily", "minute"] },
+    { name: "date", type: "date" },
+  ],
+  url: "stock/{symbol}/sentiment/{type}/{date?}",
+  docs: "https://iexcloud.io/docs/api/#social-sentiment",
+});
@@ -6,27 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { Client } from "../../client";
-import { timeSeries } from "../../stocks";
-
-/**
- * internal
- * @param {string} id
- * @param {string} symbol
- * @param  {object} timeseriesArgs
- * @returns
- */
-const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
-  timeSeries(
-    {
-      id,
-      key: symbol,
-      ...timeseriesArgs,
-    },
-    token,
-    version,
-    filter,
-  );
+import { _timeSeriesEndpoint } from "../../stocks";
 
 /**
  * This is a meeting where company executives provide information about the company’s performance and its future prospects.
@@ -35,33 +15,14 @@ const _base = (id, symbol, token, version, filter, ...timeseriesArgs) =>
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const analystDays = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_ANALYST_DAY",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.analystDays = function (symbol, filter, ...timeseriesArgs) {
-  return analystDays(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const analystDays = _timeSeriesEndpoint(
+  "analystDays",
+  "PREMIUM_WALLSTREETHORIZON_ANALYST_DAY",
+  null,
+  "https://iexcloud.io/docs/api/#analyst-days",
+);
 
 /**
  * This is an end-point for getting information about a formal meeting of a company’s board of directors to establish corporate management related policies and to make decisions on major company issues.
@@ -70,37 +31,14 @@ Client.prototype.analystDays = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const boardOfDirectorsMeeting = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_BOARD_OF_DIRECTORS_MEETING",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.boardOfDirectorsMeeting = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return boardOfDirectorsMeeting(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const boardOfDirectorsMeeting = _timeSeriesEndpoint(
+  "boardOfDirectorsMeeting",
+  "PREMIUM_WALLSTREETHORIZON_BOARD_OF_DIRECTORS_MEETING",
+  null,
+  "https://iexcloud.io/docs/api/#analyst-days",
+);
 
 /**
  * This is a meeting or conference call in which company information is reviewed by one or more company executives.
@@ -109,37 +47,14 @@ Client.prototype.boardOfDirectorsMeeting = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const businessUpdates = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_BUSINESS_UPDATE",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.businessUpdates = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return businessUpdates(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const businessUpdates = _timeSeriesEndpoint(
+  "businessUpdates",
+  "PREMIUM_WALLSTREETHORIZON_BUSINESS_UPDATE",
+  null,
+  "https://iexcloud.io/docs/api/#business-updates",
+);
 
 /**
  * The repurchase of outstanding shares by a company to reduce the number of shares on the market.
@@ -148,27 +63,14 @@ Client.prototype.businessUpdates = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const buybacks = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_BUYBACK",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.buybacks = function (symbol, filter, ...timeseriesArgs) {
-  return buybacks(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const buybacks = _timeSeriesEndpoint(
+  "buybacks",
+  "PREMIUM_WALLSTREETHORIZON_BUYBACK",
+  null,
+  "https://iexcloud.io/docs/api/#buybacks",
+);
 
 /**
  * This is a meeting where company executives provide information about the company’s performance and its future prospects.
@@ -177,37 +79,14 @@ Client.prototype.buybacks = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const capitalMarketsDay = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_CAPITAL_MARKETS_DAY",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.capitalMarketsDay = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return capitalMarketsDay(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const capitalMarketsDay = _timeSeriesEndpoint(
+  "capitalMarketsDay",
+  "PREMIUM_WALLSTREETHORIZON_CAPITAL_MARKETS_DAY",
+  null,
+  "https://iexcloud.io/docs/api/#capital-markets-day",
+);
 
 /**
  * This is a roadshow or bus tour event in which one or more company executives speaks to interested investors and analysts.
@@ -216,33 +95,14 @@ Client.prototype.capitalMarketsDay = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const companyTravel = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_COMPANY_TRAVEL",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.companyTravel = function (symbol, filter, ...timeseriesArgs) {
-  return companyTravel(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const companyTravel = _timeSeriesEndpoint(
+  "companyTravel",
+  "PREMIUM_WALLSTREETHORIZON_COMPANY_TRAVEL",
+  null,
+  "https://iexcloud.io/docs/api/#company-travel",
+);
 
 /**
  * This is an estimated date, based on historical trends for this company in which a company must file the appropriate Form for the quarter/year or file for an extension.
@@ -251,33 +111,14 @@ Client.prototype.companyTravel = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const filingDueDates = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_FILING_DUE_DATE",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.filingDueDates = function (symbol, filter, ...timeseriesArgs) {
-  return filingDueDates(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const filingDueDates = _timeSeriesEndpoint(
+  "filingDueDates",
+  "PREMIUM_WALLSTREETHORIZON_FILING_DUE_DATE",
+  null,
+  "https://iexcloud.io/docs/api/#filing-due-dates",
+);
 
 /**
  * This is a forecasted quarterly ending announcement date for a company. This may or may not correspond to a calendar quarter.
@@ -286,37 +127,14 @@ Client.prototype.filingDueDates = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const fiscalQuarterEnd = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_FISCAL_QUARTER_END_DATE",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.fiscalQuarterEnd = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return fiscalQuarterEnd(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const fiscalQuarterEnd = _timeSeriesEndpoint(
+  "fiscalQuarterEnd",
+  "PREMIUM_WALLSTREETHORIZON_FISCAL_QUARTER_END_DATE",
+  null,
+  "https://iexcloud.io/docs/api/#fiscal-quarter-end",
+);
 
 /**
  * This is a meeting where ideas and views of a business nature can be exchanged.
@@ -325,21 +143,14 @@ Client.prototype.fiscalQuarterEnd = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const forum = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_FORUM",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.forum = function (symbol, filter, ...timeseriesArgs) {
-  return forum(symbol, this._token, this._version, filter, ...timeseriesArgs);
-};
+export const forum = _timeSeriesEndpoint(
+  "forum",
+  "PREMIUM_WALLSTREETHORIZON_FORUM",
+  null,
+  "https://iexcloud.io/docs/api/#forum",
+);
 
 /**
  * This is a formal meeting in which representatives of many companies gather to discuss ideas or issues related to a particular topic or business, usually held for several days. This item indicates at least one representative from the company will be presenting at the conference on the specified date and time. Note: Conference details include full Conference dates.
@@ -348,37 +159,14 @@ Client.prototype.forum = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const generalConference = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_GENERAL_CONFERENCE",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.generalConference = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return generalConference(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const generalConference = _timeSeriesEndpoint(
+  "generalConference",
+  "PREMIUM_WALLSTREETHORIZON_GENERAL_CONFERENCE",
+  null,
+  "https://iexcloud.io/docs/api/#general-conference",
+);
 
 /**
  * The FDA uses 50 committees and panels to obtain independent expert advice on scientific, technical, and policy matters
@@ -387,37 +175,14 @@ Client.prototype.generalConference = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const fdaAdvisoryCommitteeMeetings = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_STOCK_SPECIFIC_FDA_ADVISORY_COMMITTEE_MEETING",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.fdaAdvisoryCommitteeMeetings = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return fdaAdvisoryCommitteeMeetings(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const fdaAdvisoryCommitteeMeetings = _timeSeriesEndpoint(
+  "fdaAdvisoryCommitteeMeetings",
+  "PREMIUM_WALLSTREETHORIZON_STOCK_SPECIFIC_FDA_ADVISORY_COMMITTEE_MEETING",
+  null,
+  "https://iexcloud.io/docs/api/#fda-advisory-committee-meetings",
+);
 
 /**
  * This returns a list of market holidays.
@@ -426,33 +191,14 @@ Client.prototype.fdaAdvisoryCommitteeMeetings = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const holidaysWSH = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_HOLIDAYS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.holidaysWSH = function (symbol, filter, ...timeseriesArgs) {
-  return holidaysWSH(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const holidaysWSH = _timeSeriesEndpoint(
+  "holidaysWSH",
+  "PREMIUM_WALLSTREETHORIZON_HOLIDAYS",
+  null,
+  "https://iexcloud.io/docs/api/#holidays",
+);
 
 /**
  * This shows additions and removals from various indexes for particular stocks.
@@ -461,33 +207,14 @@ Client.prototype.holidaysWSH = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const indexChanges = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_INDEX_CHANGE",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.indexChanges = function (symbol, filter, ...timeseriesArgs) {
-  return indexChanges(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const indexChanges = _timeSeriesEndpoint(
+  "indexChanges",
+  "PREMIUM_WALLSTREETHORIZON_INDEX_CHANGE",
+  null,
+  "https://iexcloud.io/docs/api/#index-changes",
+);
 
 /**
  * TGet a list of upcoming IPOs.
@@ -496,21 +223,14 @@ Client.prototype.indexChanges = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const iposWSH = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_INITIAL_PUBLIC_OFFERING",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.iposWSH = function (symbol, filter, ...timeseriesArgs) {
-  return iposWSH(symbol, this._token, this._version, filter, ...timeseriesArgs);
-};
+export const iposWSH = _timeSeriesEndpoint(
+  "iposWSH",
+  "PREMIUM_WALLSTREETHORIZON_INITIAL_PUBLIC_OFFERING",
+  null,
+  "https://iexcloud.io/docs/api/#ipos",
+);
 
 /**
  * These are legal actions where an individual represents a group in a court claim. The judgment from the suit is for all the members of the group or class.
@@ -519,33 +239,14 @@ Client.prototype.iposWSH = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const legalActions = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_LEGAL_ACTIONS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.legalActions = function (symbol, filter, ...timeseriesArgs) {
-  return legalActions(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const legalActions = _timeSeriesEndpoint(
+  "legalActions",
+  "PREMIUM_WALLSTREETHORIZON_LEGAL_ACTIONS",
+  null,
+  "https://iexcloud.io/docs/api/#legal-actions",
+);
 
 /**
  * These are a type of corporate action in which two companies combine to form a single company, or one company is taken over by another.
@@ -554,37 +255,14 @@ Client.prototype.legalActions = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const mergersAndAcquisitions = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_MERGER_ACQUISITIONS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.mergersAndAcquisitions = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return mergersAndAcquisitions(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const mergersAndAcquisitions = _timeSeriesEndpoint(
+  "mergersAndAcquisitions",
+  "PREMIUM_WALLSTREETHORIZON_MERGER_ACQUISITIONS",
+  null,
+  "https://iexcloud.io/docs/api/#mergers-acquisitions",
+);
 
 /**
  * Represents movie and video releases. This is the date on which a movie distributor plans to release a movie to theaters
@@ -593,33 +271,14 @@ Client.prototype.mergersAndAcquisitions = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const productEvents = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_PRODUCT_EVENTS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.productEvents = function (symbol, filter, ...timeseriesArgs) {
-  return productEvents(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const productEvents = _timeSeriesEndpoint(
+  "productEvents",
+  "PREMIUM_WALLSTREETHORIZON_PRODUCT_EVENTS",
+  null,
+  "https://iexcloud.io/docs/api/#product-events",
+);
 
 /**
  * This is a day in which investors and analysts can meet with a company’s R&D representatives to learn more about new or improved products and services.
@@ -628,37 +287,14 @@ Client.prototype.productEvents = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const researchAndDevelopmentDays = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_RD_DAY",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.researchAndDevelopmentDays = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return researchAndDevelopmentDays(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const researchAndDevelopmentDays = _timeSeriesEndpoint(
+  "researchAndDevelopmentDays",
+  "PREMIUM_WALLSTREETHORIZON_RD_DAY",
+  null,
+  "https://iexcloud.io/docs/api/#research-and-development-days",
+);
 
 /**
  * Same-store sales, also referred to as comparable-store sales, SSS or identical-store sales, is a financial metric that companies in the retail industry use to evaluate the total dollar amount of sales in the company’s stores that have been operating for a year or more.
@@ -667,33 +303,14 @@ Client.prototype.researchAndDevelopmentDays = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const sameStoreSales = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_SAME_STORE_SALES",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.sameStoreSales = function (symbol, filter, ...timeseriesArgs) {
-  return sameStoreSales(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const sameStoreSales = _timeSeriesEndpoint(
+  "sameStoreSales",
+  "PREMIUM_WALLSTREETHORIZON_SAME_STORE_SALES",
+  null,
+  "https://iexcloud.io/docs/api/#same-store-sales",
+);
 
 /**
  * Secondary Offerings are the issuance of new stock for public sale from a company that has already made its initial public offering (IPO).
@@ -705,37 +322,14 @@ Client.prototype.sameStoreSales = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const secondaryOfferings = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_SECONDARY_OFFERING",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.secondaryOfferings = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return secondaryOfferings(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const secondaryOfferings = _timeSeriesEndpoint(
+  "secondaryOfferings",
+  "PREMIUM_WALLSTREETHORIZON_SECONDARY_OFFERING",
+  null,
+  "https://iexcloud.io/docs/api/#secondary-offerings",
+);
 
 /**
  * This is an educational event that features one or more subject matter experts delivering information via lecture and discussion.
@@ -744,27 +338,14 @@ Client.prototype.secondaryOfferings = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const seminars = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_SEMINAR",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.seminars = function (symbol, filter, ...timeseriesArgs) {
-  return seminars(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const seminars = _timeSeriesEndpoint(
+  "seminars",
+  "PREMIUM_WALLSTREETHORIZON_SEMINAR",
+  null,
+  "https://iexcloud.io/docs/api/#seminars",
+);
 
 /**
  * This is a meeting, held at least annually, to elect members to the board of directors and hear reports on the business’ financial situation as well as new policy initiatives from the corporation’s management.
@@ -773,37 +354,14 @@ Client.prototype.seminars = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const shareholderMeetings = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_SHAREHOLDER_MEETING",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.shareholderMeetings = function (
-  symbol,
-  filter,
-  ...timeseriesArgs
-) {
-  return shareholderMeetings(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const shareholderMeetings = _timeSeriesEndpoint(
+  "shareholderMeetings",
+  "PREMIUM_WALLSTREETHORIZON_SHAREHOLDER_MEETING",
+  null,
+  "https://iexcloud.io/docs/api/#shareholder-meetings",
+);
 
 /**
  * This is a gathering of people who are interested in the same business subject or topic.
@@ -812,33 +370,14 @@ Client.prototype.shareholderMeetings = function (
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const summitMeetings = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_SUMMIT_MEETING",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.summitMeetings = function (symbol, filter, ...timeseriesArgs) {
-  return summitMeetings(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const summitMeetings = _timeSeriesEndpoint(
+  "summitMeetings",
+  "PREMIUM_WALLSTREETHORIZON_SUMMIT_MEETING",
+  null,
+  "https://iexcloud.io/docs/api/#summit-meetings",
+);
 
 /**
  * This is a large gathering in which different companies in a particular field or industry show their products to possible customers.
@@ -847,27 +386,14 @@ Client.prototype.summitMeetings = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const tradeShows = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_TRADE_SHOW",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.tradeShows = function (symbol, filter, ...timeseriesArgs) {
-  return tradeShows(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const tradeShows = _timeSeriesEndpoint(
+  "tradeShows",
+  "PREMIUM_WALLSTREETHORIZON_TRADE_SHOW",
+  null,
+  "https://iexcloud.io/docs/api/#trade-shows",
+);
 
 /**
  * This is when option contracts and futures contracts expire on the exact same day.
@@ -876,33 +402,14 @@ Client.prototype.tradeShows = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const witchingHours = (
-  symbol,
-  token,
-  version,
-  filter,
-  ...timeseriesArgs
-) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_WITCHING_HOURS",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.witchingHours = function (symbol, filter, ...timeseriesArgs) {
-  return witchingHours(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const witchingHours = _timeSeriesEndpoint(
+  "witchingHours",
+  "PREMIUM_WALLSTREETHORIZON_WITCHING_HOURS",
+  null,
+  "https://iexcloud.io/docs/api/#witching-hours",
+);
 
 /**
  * This is a meeting or series of meetings at which a group of people engage in discussion and activity on a particular subject, product or service to gain hands-on experience.
@@ -911,24 +418,11 @@ Client.prototype.witchingHours = function (symbol, filter, ...timeseriesArgs) {
  * @param {string} token
  * @param {string} version
  * @param {string} filter
- * @param  {object} rest
+ * @param {object} options further `timeSeries` options
  */
-export const workshops = (symbol, token, version, filter, ...timeseriesArgs) =>
-  _base(
-    "PREMIUM_WALLSTREETHORIZON_WORKSHOP",
-    symbol,
-    token,
-    version,
-    filter,
-    ...timeseriesArgs,
-  );
-
-Client.prototype.workshops = function (symbol, filter, ...timeseriesArgs) {
-  return workshops(
-    symbol,
-    this._token,
-    this._version,
-    filter,
-    ...timeseriesArgs,
-  );
-};
+export const workshops = _timeSeriesEndpoint(
+  "workshops",
+  "PREMIUM_WALLSTREETHORIZON_WORKSHOP",
+  null,
+  "https://iexcloud.io/docs/api/#workshops",
+);
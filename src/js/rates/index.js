@@ -7,66 +7,14 @@
  *
  */
 
-import { points } from "../points";
-import { Client } from "../client";
-
-export const thirtyYear = (token, version) =>
-  points(null, "DGS30", token, version);
-
-Client.prototype.thirtyYear = function () {
-  return thirtyYear(this._token, this._version);
-};
-
-export const twentyYear = (token, version) =>
-  points(null, "DGS20", token, version);
-
-Client.prototype.twentyYear = function () {
-  return twentyYear(this._token, this._version);
-};
-
-export const tenYear = (token, version) =>
-  points(null, "DGS10", token, version);
-
-Client.prototype.tenYear = function () {
-  return tenYear(this._token, this._version);
-};
-
-export const fiveYear = (token, version) =>
-  points(null, "DGS5", token, version);
-
-Client.prototype.fiveYear = function () {
-  return fiveYear(this._token, this._version);
-};
-
-export const twoYear = (token, version) => points(null, "DGS2", token, version);
-
-Client.prototype.twoYear = function () {
-  return twoYear(this._token, this._version);
-};
-
-export const oneYear = (token, version) => points(null, "DGS1", token, version);
-
-Client.prototype.oneYear = function () {
-  return oneYear(this._token, this._version);
-};
-
-export const sixMonth = (token, version) =>
-  points(null, "DGS6MO", token, version);
-
-Client.prototype.sixMonth = function () {
-  return thirtyYear(this._token, this._version);
-};
-
-export const threeMonth = (token, version) =>
-  points(null, "DGS3MO", token, version);
-
-Client.prototype.threeMonth = function () {
-  return threeMonth(this._token, this._version);
-};
-
-export const oneMonth = (token, version) =>
-  points(null, "DGS1MO", token, version);
-
-Client.prototype.oneMonth = function () {
-  return oneMonth(this._token, this._version);
-};
+import { _marketPoint } from "../points";
+
+export const thirtyYear = _marketPoint("thirtyYear", "DGS30");
+export const twentyYear = _marketPoint("twentyYear", "DGS20");
+export const tenYear = _marketPoint("tenYear", "DGS10");
+export const fiveYear = _marketPoint("fiveYear", "DGS5");
+export const twoYear = _marketPoint("twoYear", "DGS2");
+export const oneYear = _marketPoint("oneYear", "DGS1");
+export const sixMonth = _marketPoint("sixMonth", "DGS6MO");
+export const threeMonth = _marketPoint("threeMonth", "DGS3MO");
+export const oneMonth = _marketPoint("oneMonth", "DGS1MO");
@@ -7,13 +7,23 @@
  *
  */
 
-import { _getJson, _strOrDate } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
+
+const _calendar = {
+  args: [
+    { name: "type", default: "holiday", values: ["holiday", "trade"] },
+    { name: "direction", default: "next", values: ["next", "last"] },
+    { name: "last", type: "number", default: 1 },
+    { name: "startDate", type: "date" },
+  ],
+  url: "ref-data/us/dates/{type}/{direction}/{last}/{startDate?}",
+  docs: "https://iexcloud.io/docs/api/#u-s-holidays-and-trading-dates",
+};
 
 /**
  * This call allows you to fetch a number of trade dates or holidays from a given date. For example, if you want the next trading day, you would call /ref-data/us/dates/trade/next/1.
  *
- * https://iexcloud.io/docs/api/#u-s-exchanges
+ * https://iexcloud.io/docs/api/#u-s-holidays-and-trading-dates
  *
  * @param {string} type "holiday" or "trade"
  * @param {string} direction "next" or "last"
@@ -23,67 +33,9 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const calendar = (
-  type = "holiday",
-  direction = "next",
-  last = 1,
-  startDate = null,
-  token = "",
-  version = "",
-  filter = "",
-) => {
-  if (startDate) {
-    return _getJson({
-      url: `ref-data/us/dates/${type}/${direction}/${last}/${_strOrDate(
-        startDate,
-      )}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `ref-data/us/dates/${type}/${direction}/${last.toString()}`,
-    token,
-    version,
-    filter,
-  });
-};
+export const calendar = _endpoint({ ..._calendar, name: "calendar" });
 
-export const holidays = calendar;
-
-Client.prototype.calendar = function (
-  type,
-  direction,
-  last,
-  startDate,
-  filter,
-) {
-  return calendar(
-    type,
-    direction,
-    last,
-    startDate,
-    this._token,
-    this._version,
-    filter,
-  );
-};
-
-Client.prototype.holidays = function (
-  type,
-  direction,
-  last,
-  startDate,
-  filter,
-) {
-  return calendar(
-    type,
-    direction,
-    last,
-    startDate,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+/**
+ * Alias of `calendar`
+ */
+export const holidays = _endpoint({ ..._calendar, name: "holidays" });
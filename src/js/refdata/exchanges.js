@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * Returns an array of U.S. exchanges.
@@ -19,17 +18,11 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const exchanges = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/market/us/exchanges`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.exchanges = function (filter) {
-  return exchanges(this._token, this._version, filter);
-};
+export const exchanges = _endpoint({
+  name: "exchanges",
+  url: "ref-data/market/us/exchanges",
+  docs: "https://iexcloud.io/docs/api/#u-s-exchanges",
+});
 
 /**
  * Returns an array of exchanges.
@@ -40,14 +33,8 @@ Client.prototype.exchanges = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const internationalExchanges = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/exchanges`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.internationalExchanges = function (filter) {
-  return internationalExchanges(this._token, this._version, filter);
-};
+export const internationalExchanges = _endpoint({
+  name: "internationalExchanges",
+  url: "ref-data/exchanges",
+  docs: "https://iexcloud.io/docs/api/#international-exchanges",
+});
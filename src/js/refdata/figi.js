@@ -7,28 +7,22 @@
  *
  */
 
-import { _getJson, _raiseIfNotStr } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
- * Returns an array of U.S. exchanges.
+ * Helper call to convert FIGI to IEX Cloud symbols. Note that due to licensing restrictions we are unable to return the ISIN.
  *
- * https://iexcloud.io/docs/api/#u-s-exchanges
+ * https://iexcloud.io/docs/api/#figi-mapping
  *
+ * @param {string} figi_ FIGI to map
  * @param {string} token Access token
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const figi = (figi_, token = "", version = "", filter = "") => {
-  _raiseIfNotStr(figi_);
-  return _getJson({
-    url: `ref-data/figi?figi=${figi_}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.figi = function (figi_, filter) {
-  return figi(figi_, this._token, this._version, filter);
-};
+export const figi = _endpoint({
+  name: "figi",
+  args: [{ name: "figi", type: "symbol" }],
+  url: "ref-data/figi",
+  query: ["figi"],
+  docs: "https://iexcloud.io/docs/api/#figi-mapping",
+});
@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson, _quoteSymbols } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * Returns an array of symbols up to the top 10 matches. Results will be sorted for relevancy. Search currently defaults to equities only, where the symbol returned is supported by endpoints listed under the Stocks category.
@@ -20,14 +19,9 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const search = (fragment, token = "", version = "", filter = "") =>
-  _getJson({
-    url: `search/${_quoteSymbols(fragment)}`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.search = function (fragment, filter) {
-  return search(fragment, this._token, this._version, filter);
-};
+export const search = _endpoint({
+  name: "search",
+  args: [{ name: "fragment", type: "symbol" }],
+  url: "search/{fragment}",
+  docs: "https://iexcloud.io/docs/api/#search",
+});
@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * Returns an array of sectors.
@@ -19,17 +18,11 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const sectors = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/sectors`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.sectors = function (filter) {
-  return sectors(this._token, this._version, filter);
-};
+export const sectors = _endpoint({
+  name: "sectors",
+  url: "ref-data/sectors",
+  docs: "https://iexcloud.io/docs/api/#sectors",
+});
 
 /**
  * Returns an array of tags.
@@ -40,14 +33,8 @@ Client.prototype.sectors = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const tags = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/tags`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.tags = function (filter) {
-  return tags(this._token, this._version, filter);
-};
+export const tags = _endpoint({
+  name: "tags",
+  url: "ref-data/tags",
+  docs: "https://iexcloud.io/docs/api/#tags",
+});
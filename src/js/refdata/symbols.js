@@ -7,29 +7,22 @@
  *
  */
 
-import { _getJson } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * This call returns an array of symbols that IEX Cloud supports for API calls.
  *
- * https://iexcloud.io/docs/api/#sectors
+ * https://iexcloud.io/docs/api/#symbols
  *
  * @param {string} token Access token
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const symbols = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/symbols`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.symbols = function (filter) {
-  return symbols(this._token, this._version, filter);
-};
+export const symbols = _endpoint({
+  name: "symbols",
+  url: "ref-data/symbols",
+  docs: "https://iexcloud.io/docs/api/#symbols",
+});
 
 /**
  * This call returns an array of symbols the Investors Exchange supports for trading.
@@ -40,17 +33,11 @@ Client.prototype.symbols = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const iexSymbols = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/iex/symbols`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.iexSymbols = function (filter) {
-  return iexSymbols(this._token, this._version, filter);
-};
+export const iexSymbols = _endpoint({
+  name: "iexSymbols",
+  url: "ref-data/iex/symbols",
+  docs: "https://iexcloud.io/docs/api/#iex-symbols",
+});
 
 /**
  * This call returns an array of mutual fund symbols that IEX Cloud supports for API calls.
@@ -61,17 +48,11 @@ Client.prototype.iexSymbols = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const mutualFundSymbols = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/mutual-funds/symbols`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.mutualFundSymbols = function (filter) {
-  return mutualFundSymbols(this._token, this._version, filter);
-};
+export const mutualFundSymbols = _endpoint({
+  name: "mutualFundSymbols",
+  url: "ref-data/mutual-funds/symbols",
+  docs: "https://iexcloud.io/docs/api/#mutual-fund-symbols",
+});
 
 /**
  * This call returns an array of OTC symbols that IEX Cloud supports for API calls.
@@ -82,17 +63,11 @@ Client.prototype.mutualFundSymbols = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const otcSymbols = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/otc/symbols`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.otcSymbols = function (filter) {
-  return otcSymbols(this._token, this._version, filter);
-};
+export const otcSymbols = _endpoint({
+  name: "otcSymbols",
+  url: "ref-data/otc/symbols",
+  docs: "https://iexcloud.io/docs/api/#otc-symbols",
+});
 
 /**
  * This call returns an array of international symbols that IEX Cloud supports for API calls.
@@ -105,46 +80,17 @@ Client.prototype.otcSymbols = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const internationalSymbols = (
-  region,
-  exchange,
-  token = "",
-  version = "",
-  filter = "",
-) => {
-  if (region) {
-    return _getJson({
-      url: `ref-data/region/${region}/symbols`,
-      token,
-      version,
-      filter,
-    });
-  }
-  if (exchange) {
-    return _getJson({
-      url: `ref-data/exchange/${exchange}/symbols`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `ref-data/region/us/symbols`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.internationalSymbols = function (region, exchange, filter) {
-  return internationalSymbols(
-    region,
-    exchange,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+export const internationalSymbols = _endpoint({
+  name: "internationalSymbols",
+  args: ["region", "exchange"],
+  url: ({ region, exchange }) => {
+    // region takes precedence, defaulting to the US
+    if (region) return "ref-data/region/{region}/symbols";
+    if (exchange) return "ref-data/exchange/{exchange}/symbols";
+    return "ref-data/region/us/symbols";
+  },
+  docs: "https://iexcloud.io/docs/api/#international-symbols",
+});
 
 /**
  * This call returns a list of supported currencies and currency pairs.
@@ -155,17 +101,11 @@ Client.prototype.internationalSymbols = function (region, exchange, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const fxSymbols = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/fx/symbols`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.fxSymbols = function (filter) {
-  return fxSymbols(this._token, this._version, filter);
-};
+export const fxSymbols = _endpoint({
+  name: "fxSymbols",
+  url: "ref-data/fx/symbols",
+  docs: "https://iexcloud.io/docs/api/#fx-symbols",
+});
 
 /**
  * This call returns an object keyed by symbol with the value of each symbol being an array of available contract dates.
@@ -176,17 +116,11 @@ Client.prototype.fxSymbols = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const optionsSymbols = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/options/symbols`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.optionsSymbols = function (filter) {
-  return optionsSymbols(this._token, this._version, filter);
-};
+export const optionsSymbols = _endpoint({
+  name: "optionsSymbols",
+  url: "ref-data/options/symbols",
+  docs: "https://iexcloud.io/docs/api/#options-symbols",
+});
 
 /**
  * This provides a full list of supported cryptocurrencies by IEX Cloud.
@@ -197,109 +131,73 @@ Client.prototype.optionsSymbols = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const cryptoSymbols = (token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/crypto/symbols`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.cryptoSymbols = function (filter) {
-  return cryptoSymbols(this._token, this._version, filter);
-};
-
-const convertToList = async (res) => (await res).map((record) => record.symbol);
-
-export const symbolsList = (token, version) =>
-  convertToList(symbols(token, version, "symbol"));
-
-Client.prototype.symbolsList = function () {
-  return convertToList(symbols(this._token, this._version, "symbol"));
-};
-
-export const iexSymbolsList = (token, version) =>
-  convertToList(iexSymbols(token, version, "symbol"));
+export const cryptoSymbols = _endpoint({
+  name: "cryptoSymbols",
+  url: "ref-data/crypto/symbols",
+  docs: "https://iexcloud.io/docs/api/#cryptocurrency-symbols",
+});
 
-Client.prototype.iexSymbolsList = function () {
-  return convertToList(iexSymbols(this._token, this._version, "symbol"));
-};
+const convertToList = (records) => records.map((record) => record.symbol);
 
-export const mutualFundSymbolsList = (token, version) =>
-  convertToList(mutualFundSymbols(token, version, "symbol"));
-
-Client.prototype.mutualFundSymbolsList = function () {
-  return convertToList(mutualFundSymbols(this._token, this._version, "symbol"));
-};
-
-export const otcSymbolsList = (token, version) =>
-  convertToList(otcSymbols(token, version, "symbol"));
-
-Client.prototype.otcSymbolsList = function () {
-  return convertToList(otcSymbols(this._token, this._version, "symbol"));
-};
-
-export const internationalSymbolsList = (region, exchange, token, version) =>
-  convertToList(
-    internationalSymbols(region, exchange, token, version, "symbol"),
-  );
-
-Client.prototype.internationalSymbolsList = function (region, exchange) {
-  return convertToList(
-    internationalSymbols(
-      region,
-      exchange,
-      this._token,
-      this._version,
-      "symbol",
-    ),
-  );
-};
-
-export const fxSymbolsList = async (token, version) => {
-  const fx = await fxSymbols(token, version);
-  const ret = [[], []];
-  fx.currencies.forEach((record) => {
-    ret[0].push(record.code);
-  });
-  fx.pairs.forEach((record) => {
-    ret[1].push(record.fromCurrency + record.toCurrency);
-  });
-  return ret;
-};
-
-Client.prototype.fxSymbolsList = function () {
-  return fxSymbolsList(this._token, this._version);
-};
-
-const convertOptionsSymbolsToList = (data) => {
-  const ret = [];
-  Object.keys(data).forEach((symbol) => {
-    data[symbol].forEach((date) => {
-      ret.push(`${symbol}-${date}`);
-    });
+/**
+ * Define an endpoint listing just the symbols from another
+ * @param {string} name function and Client method name
+ * @param {function} fetch standalone function of the full listing
+ * @param {Array<string>} args arguments passed on to `fetch`
+ * @returns {function} the standalone function
+ */
+const _symbolsList = (name, fetch, args = []) =>
+  _endpoint({
+    name,
+    args,
+    filter: false,
+    run: (values, token, version) =>
+      fetch(...args.map((arg) => values[arg]), token, version, "symbol").then(
+        convertToList,
+      ),
   });
-  return ret;
-};
-
-export const optionsSymbolsList = async (token, version) =>
-  convertOptionsSymbolsToList(await optionsSymbols(token, version, "symbol"));
-
-Client.prototype.optionsSymbolsList = async function () {
-  return convertOptionsSymbolsToList(
-    await optionsSymbols(this._token, this._version, "symbol"),
-  );
-};
 
-export const cryptoSymbolsList = (token, version) =>
-  convertToList(cryptoSymbols(token, version, "symbol"));
-
-Client.prototype.cryptoSymbolsList = function () {
-  return convertToList(cryptoSymbols(this._token, this._version, "symbol"));
-};
+export const symbolsList = _symbolsList("symbolsList", symbols);
+export const iexSymbolsList = _symbolsList("iexSymbolsList", iexSymbols);
+export const mutualFundSymbolsList = _symbolsList(
+  "mutualFundSymbolsList",
+  mutualFundSymbols,
+);
+export const otcSymbolsList = _symbolsList("otcSymbolsList", otcSymbols);
+export const internationalSymbolsList = _symbolsList(
+  "internationalSymbolsList",
+  internationalSymbols,
+  ["region", "exchange"],
+);
+export const cryptoSymbolsList = _symbolsList(
+  "cryptoSymbolsList",
+  cryptoSymbols,
+);
+
+export const fxSymbolsList = _endpoint({
+  name: "fxSymbolsList",
+  filter: false,
+  run: (values, token, version) =>
+    fxSymbols(token, version).then((fx) => [
+      fx.currencies.map((record) => record.code),
+      fx.pairs.map((record) => record.fromCurrency + record.toCurrency),
+    ]),
+});
+
+export const optionsSymbolsList = _endpoint({
+  name: "optionsSymbolsList",
+  filter: false,
+  run: (values, token, version) =>
+    optionsSymbols(token, version).then((data) =>
+      Object.keys(data).reduce((ret, symbol) => {
+        data[symbol].forEach((date) => ret.push(`${symbol}-${date}`));
+        return ret;
+      }, []),
+    ),
+});
 
 /**
- * This call returns an array of symbols that IEX Cloud supports for API calls.
+ * Helper call to convert ISIN to IEX Cloud symbols. Note that due to licensing restrictions we are unable to return the ISIN.
  *
  * https://iexcloud.io/docs/api/#isin-mapping
  *
@@ -308,14 +206,10 @@ Client.prototype.cryptoSymbolsList = function () {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const isinLookup = (isin, token = "", version = "", filter = "") =>
-  _getJson({
-    url: `ref-data/isin?isin=${isin}`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.isinLookup = function (isin, filter) {
-  return isinLookup(isin, this._token, this._version, filter);
-};
+export const isinLookup = _endpoint({
+  name: "isinLookup",
+  args: [{ name: "isin", type: "symbol" }],
+  url: "ref-data/isin",
+  query: ["isin"],
+  docs: "https://iexcloud.io/docs/api/#isin-mapping",
+});
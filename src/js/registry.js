@@ -0,0 +1,401 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import {
+  ValidationError,
+  _deleteJson,
+  _getJson,
+  _postJson,
+  _quoteSymbols,
+  _requestContext,
+  _requireSecret,
+  _strOrDate,
+} from "./common";
+
+/**
+ * Every endpoint defined with `_endpoint`, by name, for generated
+ * declarations and coverage tests
+ */
+export const _ENDPOINTS = {};
+
+/**
+ * Client namespaces by dotted path, e.g. "stocks" or "premium.brain", each
+ * mapping its member names to endpoint names
+ */
+export const _NAMESPACES = {};
+
+// endpoint names by standalone function, to find the endpoints of a module
+const _CALLS = new Map();
+
+// namespace objects by client, each client's by path
+const _BOUND = new WeakMap();
+
+// flat methods already warned about
+const _WARNED = {};
+
+// the Client class endpoints are bound to, once `_bindClient` is called
+let _CLIENT = null;
+
+const _REQUESTS = { GET: _getJson, POST: _postJson, DELETE: _deleteJson };
+
+const _TYPES = [
+  "symbol",
+  "symbols",
+  "string",
+  "number",
+  "boolean",
+  "date",
+  "object",
+  "function",
+];
+
+const _missing = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Normalise an argument declaration, given as a name or
+ * `{ name, type, default, values, optional, required }`
+ * @param {string|object} arg
+ * @returns {object}
+ */
+const _argument = (arg) => {
+  const declared = typeof arg === "string" ? { name: arg } : arg;
+  const { type = "string" } = declared;
+  if (_TYPES.indexOf(type) < 0) {
+    throw new ValidationError(`Unrecognized argument type: ${type}`);
+  }
+  return { ...declared, type };
+};
+
+/**
+ * Check and default the positional arguments of a call
+ * @param {Array<object>} args argument declarations
+ * @param {Array} given values passed
+ * @returns {object} values by argument name
+ */
+const _checkArguments = (args, given) =>
+  args.reduce((values, arg, index) => {
+    let value = given[index];
+    if (_missing(value) && arg.default !== undefined) value = arg.default;
+
+    if (_missing(value)) {
+      if (
+        arg.required ||
+        ((arg.type === "symbol" || arg.type === "symbols") && !arg.optional)
+      ) {
+        throw new ValidationError(`${arg.name} is required`);
+      }
+    } else if (arg.type === "symbol" && typeof value !== "string") {
+      throw new ValidationError(`Cannot use type ${typeof value}`);
+    } else if (
+      arg.type === "symbols" &&
+      typeof value !== "string" &&
+      !Array.isArray(value)
+    ) {
+      throw new ValidationError(
+        `${arg.name} must be a string or array of strings, got ${typeof value}`,
+      );
+    } else if (arg.type === "date") {
+      value = _strOrDate(value);
+    } else if (arg.values && arg.values.indexOf(value) < 0) {
+      throw new ValidationError(
+        `${arg.name} must be one of ${arg.values.join(", ")}, got ${value}`,
+      );
+    }
+    return { ...values, [arg.name]: value };
+  }, {});
+
+/**
+ * Fill in a route template. `{name}` is replaced with the argument, quoted,
+ * and `/{name?}` is dropped when the argument is missing.
+ * @param {string} template
+ * @param {object} values arguments by name
+ * @param {object} types argument types by name
+ * @returns {string}
+ */
+const _fillRoute = (template, values, types) =>
+  template.replace(/(\/?)\{(\w+)(\??)\}/g, (match, slash, name, optional) => {
+    const value = values[name];
+    if (_missing(value)) {
+      if (optional) return "";
+      throw new ValidationError(`${name} is required`);
+    }
+    if (types[name] === "symbol" || types[name] === "symbols") {
+      return `${slash}${_quoteSymbols(value)}`;
+    }
+    return `${slash}${encodeURIComponent(value)}`;
+  });
+
+/**
+ * Query string of the arguments given, as `&param=value` pairs
+ * @param {Array<string>|object} query argument names, or argument names by parameter
+ * @param {object} values arguments by name
+ * @returns {string}
+ */
+const _queryString = (query, values) => {
+  const params = Array.isArray(query)
+    ? query.map((name) => [name, name])
+    : Object.entries(query);
+  return params
+    .filter(([, name]) => !_missing(values[name]))
+    .map(
+      ([param, name]) =>
+        `${param}=${encodeURIComponent(
+          Array.isArray(values[name]) ? values[name].join(",") : values[name],
+        ).replace(/%2C/gi, ",")}`,
+    )
+    .join("&");
+};
+
+/**
+ * Warn, once per name, when a deprecated flat Client method is first used,
+ * naming its namespaced replacement and, where the flat name is shared with
+ * a member of another namespace, e.g. `client.book` with `client.deep.book`,
+ * the members it could be mistaken for
+ * @param {string} name endpoint name
+ */
+const _warnDeprecated = (name) => {
+  if (_WARNED[name]) return;
+  _WARNED[name] = true;
+
+  const paths = Object.keys(_NAMESPACES);
+  const memberOf = (path) =>
+    Object.keys(_NAMESPACES[path]).find(
+      (member) => _NAMESPACES[path][member] === name,
+    );
+  const home = paths.find(memberOf);
+  if (!home) return;
+  const own = `client.${home}.${memberOf(home)}`;
+  const others = paths.filter(
+    (path) => _NAMESPACES[path][name] && _NAMESPACES[path][name] !== name,
+  );
+  const ambiguous = others.length
+    ? `, and ambiguous with ${others
+        .map((path) => `client.${path}.${name}`)
+        .join(", ")}`
+    : "";
+  // eslint-disable-next-line no-console
+  console.warn(`Client.${name} is deprecated${ambiguous}: use ${own}`);
+};
+
+const _isNamespace = (name) =>
+  Object.keys(_NAMESPACES).some((path) => path.split(".")[0] === name);
+
+/**
+ * Namespace object of a client, its members calling the client's endpoints
+ * and its nested namespaces as properties, e.g. `client.premium.brain`
+ * @param {Client} client
+ * @param {string} path
+ * @returns {object}
+ */
+const _bound = (client, path) => {
+  if (!_BOUND.has(client)) _BOUND.set(client, {});
+  const namespaces = _BOUND.get(client);
+  if (namespaces[path]) return namespaces[path];
+
+  const namespace = {};
+  Object.entries(_NAMESPACES[path] || {}).forEach(([member, name]) => {
+    const { invoke } = _ENDPOINTS[name];
+    namespace[member] = (...given) => invoke.apply(client, given);
+  });
+  Object.keys(_NAMESPACES)
+    .filter((nested) => nested.startsWith(`${path}.`))
+    .map((nested) => nested.slice(path.length + 1).split(".")[0])
+    .forEach((child) => {
+      namespace[child] = _bound(client, `${path}.${child}`);
+    });
+  namespaces[path] = Object.freeze(namespace);
+  return namespaces[path];
+};
+
+/**
+ * Flat Client method of an endpoint
+ * @param {string} name endpoint name
+ */
+const _defineMethod = (name) => {
+  const { invoke } = _ENDPOINTS[name];
+  _CLIENT.prototype[name] = function (...given) {
+    _warnDeprecated(name);
+    return invoke.apply(this, given);
+  };
+};
+
+/**
+ * Client accessor of a top-level namespace
+ * @param {string} top namespace name
+ */
+const _defineNamespace = (top) => {
+  if (Object.prototype.hasOwnProperty.call(_CLIENT.prototype, top)) return;
+  Object.defineProperty(_CLIENT.prototype, top, {
+    configurable: true,
+    get() {
+      return _bound(this, top);
+    },
+  });
+};
+
+/**
+ * Define an endpoint once, generating its standalone function and Client
+ * method from the declaration.
+ *
+ * The standalone function takes the declared `args`, then `token`,
+ * `version` and, unless `filter: false`, `filter`; the Client method takes
+ * the same without `token` and `version`. Arguments declared `trailing`
+ * come last in both, after `filter`.
+ *
+ * A request goes to the `url` template, with the `query` arguments given
+ * appended, and its response is passed through `transform`. Endpoints
+ * with more involved requests, e.g. streams or those built on `timeSeries`,
+ * declare their arguments and implement the call in `run`.
+ *
+ * @param {object} definition
+ * @param {string} definition.name function and Client method name, unique across the library
+ * @param {Array<string|object>} definition.args positional arguments, as names or `{ name, type, default, values, optional, required, trailing }`. Types are "symbol", "symbols", "string" (default), "number", "boolean", "date", "object" and "function". Symbols are required unless `optional`, other arguments only if `required`, dates are formatted as YYYYMMDD, and `values` restricts the argument to a list
+ * @param {string|function} definition.url route template, e.g. "stock/{symbol}/quote", or `(args) => route`
+ * @param {Array<string>|object} definition.query arguments sent as query parameters when given, or argument names by parameter name
+ * @param {string} definition.method "GET" (default), "POST" or "DELETE"
+ * @param {boolean} definition.secret requires, and sends, the secret token
+ * @param {boolean} definition.filter takes a `filter` argument, defaults to true for GET requests
+ * @param {function} definition.validate `(args) => void`, throwing on invalid arguments
+ * @param {function} definition.transform `(data, args) => result`
+ * @param {function} definition.run `(args, token, version, filter) => result` in place of the request to `url`
+ * @param {string} definition.docs IEX Cloud documentation url
+ * @param {boolean} definition.flat also define the method on Client itself, rather than only in namespaces, defaults to true
+ * @returns {function} the standalone function
+ */
+export const _endpoint = (definition) => {
+  const { name, url, run, method = "GET", flat = true } = definition;
+  if (_ENDPOINTS[name]) {
+    throw new ValidationError(`Endpoint ${name} is already defined`);
+  }
+  if (flat && _isNamespace(name)) {
+    throw new ValidationError(`Endpoint ${name} would shadow a namespace`);
+  }
+  if (!url && !run) {
+    throw new ValidationError(`Endpoint ${name} needs a url or run`);
+  }
+  if (!_REQUESTS[method]) {
+    throw new ValidationError(`Unrecognized method for ${name}: ${method}`);
+  }
+
+  const declared = (definition.args || []).map(_argument);
+  const args = declared.filter((arg) => !arg.trailing);
+  const trailing = declared.filter((arg) => arg.trailing);
+  const {
+    query = [],
+    secret = false,
+    filter: filtered = method === "GET",
+    validate,
+    transform,
+  } = definition;
+  const types = declared.reduce(
+    (all, arg) => ({ ...all, [arg.name]: arg.type }),
+    {},
+  );
+
+  const call = (...given) => {
+    const token = given[args.length];
+    const version = given[args.length + 1];
+    const filter = filtered ? given[args.length + 2] : undefined;
+    const rest = given.slice(args.length + (filtered ? 3 : 2));
+    const values = {
+      ..._checkArguments(args, given),
+      ..._checkArguments(trailing, rest),
+    };
+    if (secret) _requireSecret(token);
+    if (validate) validate(values);
+    if (run) return run(values, token, version, filter);
+
+    let route = typeof url === "function" ? url(values) : url;
+    route = _fillRoute(route, values, types);
+    const params = _queryString(query, values);
+    if (params) route += `${route.indexOf("?") < 0 ? "?" : "&"}${params}`;
+    const response = _REQUESTS[method]({
+      url: route,
+      token,
+      version,
+      filter,
+      secret,
+    });
+    // dry runs resolve to the request's description, passed on as is
+    if (!transform || _requestContext(token).dryRun) return response;
+    return response.then((data) => transform(data, values));
+  };
+
+  // the Client method takes the standalone arguments less token and version
+  const invoke = function (...given) {
+    const positional = given.slice(0, args.length);
+    while (positional.length < args.length) positional.push(undefined);
+    return call(
+      ...positional,
+      this._context,
+      this._version,
+      ...given.slice(args.length),
+    );
+  };
+
+  _ENDPOINTS[name] = {
+    ...definition,
+    method,
+    secret,
+    filter: filtered,
+    flat,
+    args: declared,
+    call,
+    invoke,
+  };
+  _CALLS.set(call, name);
+
+  if (flat && _CLIENT) _defineMethod(name);
+  return call;
+};
+
+/**
+ * Add endpoints to a Client namespace, e.g.
+ * `_namespace("deep", { book: bookDeep })` for `client.deep.book(symbol)`.
+ * Namespaced methods take the same arguments as flat ones, but never
+ * collide between modules.
+ *
+ * @param {string} path dotted namespace path, e.g. "stocks" or "premium.brain"
+ * @param {object} members standalone functions by member name, e.g. a module; anything other than an endpoint is skipped
+ */
+export const _namespace = (path, members) => {
+  const [top] = path.split(".");
+  if (_ENDPOINTS[top] && _ENDPOINTS[top].flat) {
+    throw new ValidationError(`Namespace ${top} would shadow Client.${top}`);
+  }
+  if (!_NAMESPACES[path]) _NAMESPACES[path] = {};
+  const namespace = _NAMESPACES[path];
+  Object.entries(members).forEach(([member, call]) => {
+    const name = _CALLS.get(call);
+    if (!name) return;
+    if (namespace[member] && namespace[member] !== name) {
+      throw new ValidationError(`${path}.${member} is already defined`);
+    }
+    namespace[member] = name;
+  });
+
+  if (_CLIENT) _defineNamespace(top);
+};
+
+/**
+ * Give Client the methods and namespaces of every endpoint, including those
+ * defined later. Endpoint modules do not import Client themselves, so that
+ * using a standalone function does not pull in Client.
+ * @param {function} Client
+ */
+export const _bindClient = (Client) => {
+  _CLIENT = Client;
+  Object.values(_ENDPOINTS)
+    .filter(({ flat }) => flat)
+    .forEach(({ name }) => _defineMethod(name));
+  Object.keys(_NAMESPACES).forEach((path) =>
+    _defineNamespace(path.split(".")[0]),
+  );
+};
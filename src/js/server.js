@@ -0,0 +1,227 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+import http from "http";
+
+import { Client } from "./client";
+import {
+  ValidationError,
+  _SSE_ROUTE_URL,
+  _costKey,
+  _getJson,
+  _streamSSE,
+} from "./common";
+
+const _VERSIONS = ["beta", "stable", "v1", "sandbox"];
+
+// content types of the non-JSON formats IEX Cloud serves
+const _CONTENT_TYPES = { csv: "text/csv", psv: "text/plain" };
+
+// headers browsers may send on cross-origin requests, e.g. the Client's
+// Content-Type and EventSource's Last-Event-ID
+const _ALLOW_HEADERS = "Content-Type, Cache-Control, Last-Event-ID";
+
+// EventSource readyState once a connection is given up on
+const _CLOSED = 2;
+
+/**
+ * Check an allowlist, returning whether it admits a request's endpoint
+ * @param {Array<string|RegExp>|string} allow endpoint names, or "*"
+ * @returns {function} `({ endpoint, dataset }) => boolean`
+ */
+const _allowList = (allow) => {
+  if (allow === "*") return () => true;
+  if (
+    !Array.isArray(allow) ||
+    allow.some(
+      (entry) => typeof entry !== "string" && !(entry instanceof RegExp),
+    )
+  ) {
+    throw new ValidationError(
+      'allow must list the endpoints to serve, e.g. ["stock/quote", "stocksUS"], or be "*"',
+    );
+  }
+  return ({ endpoint, dataset }) => {
+    const name = dataset ? `${endpoint}/${dataset}` : endpoint;
+    return allow.some((entry) =>
+      entry instanceof RegExp
+        ? entry.test(name)
+        : entry === name || entry === endpoint,
+    );
+  };
+};
+
+/**
+ * Respond with a JSON body
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+const _send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Respond with a body in a format other than JSON, e.g. CSV
+ * @param {http.ServerResponse} res
+ * @param {string} format
+ * @param {string} body
+ */
+const _sendText = (res, format, body) => {
+  res.writeHead(200, {
+    "Content-Type": `${_CONTENT_TYPES[format] || "text/plain"}; charset=utf-8`,
+  });
+  res.end(body);
+};
+
+/**
+ * Respond with an error, keeping its status where it came from IEX Cloud.
+ * Errors are already redacted, so the message is safe to pass on.
+ * @param {http.ServerResponse} res
+ * @param {Error} error
+ */
+const _fail = (res, error) =>
+  _send(res, error.status || 502, { error: error.message });
+
+/**
+ * Relay a stream, opened with the client's token, as server-sent events
+ * until the browser disconnects. While the stream reconnects by itself the
+ * browser is kept waiting; once it gives up, e.g. refused by IEX Cloud,
+ * the response ends, leaving the browser's EventSource to reconnect.
+ * @param {Client} client
+ * @param {string} route route and query, e.g. "stocksUS?symbols=AAPL"
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+const _relay = (client, route, req, res) => {
+  let stream;
+  try {
+    stream = _streamSSE(
+      _SSE_ROUTE_URL(route, client._context, client._version),
+      (data) => {
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+      },
+      false,
+      client._context,
+    );
+  } catch (error) {
+    _fail(res, error);
+    return;
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  req.on("close", () => stream.close());
+  stream.addEventListener("error", () => {
+    // streams close only after dispatching the error
+    Promise.resolve().then(() => {
+      if (stream.readyState !== _CLOSED) return;
+      stream.close();
+      res.end();
+    });
+  });
+};
+
+/**
+ * Request handler serving IEX Cloud's REST and SSE routes, e.g.
+ * `/stable/stock/AAPL/quote`, with the server's token, so browsers need
+ * none: a Client given this server's url as `baseUrl` and `sseUrl` sends
+ * its requests here without a token.
+ *
+ * Requests go through `client`, and so its cache, rate limiter, retries,
+ * budget and middleware. Responses keep their `format`, e.g. CSV. Only GET
+ * requests, and their CORS preflights, for the endpoints in `allow` are
+ * served, named as in `client.costs()`, e.g. "stock/quote",
+ * "ref-data/symbols", "time-series/PREMIUM_BRAIN_SENTIMENT_30_DAYS" or the
+ * stream channel "stocksUS". The route's version is the client's, whatever
+ * the browser asks for, and requests go out as data calls, with the
+ * publishable token where the client has one.
+ *
+ * The handler suits `http.createServer` and Express/Connect, which call it
+ * with `next` for routes outside the API, e.g. `app.use("/iex", proxy)`.
+ * With Koa, hand it the raw request, e.g.
+ * `app.use((ctx) => { ctx.respond = false; proxy(ctx.req, ctx.res); })`.
+ *
+ * @param {object} options
+ * @param {Client|object} options.client Client holding the token, or options to create one, with `cache` and `rateLimit` on by default
+ * @param {Array<string|RegExp>|string} options.allow endpoints to serve, or "*" for all
+ * @param {string} options.origin `Access-Control-Allow-Origin` for pages on other origins
+ * @returns {function} `(req, res, next) => void`
+ */
+export const createProxy = (options = {}) => {
+  const { client: given = {}, allow, origin } = options;
+  const allowed = _allowList(allow);
+  const client =
+    given instanceof Client
+      ? given
+      : new Client({ cache: true, rateLimit: true, ...given });
+
+  return (req, res, next) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, version, ...parts] = url.pathname.split("/");
+    const route = parts.join("/");
+    if (_VERSIONS.indexOf(version) < 0 || !route) {
+      if (next) next();
+      else _send(res, 404, { error: `Unknown route ${url.pathname}` });
+      return;
+    }
+
+    if (origin) res.setHeader("Access-Control-Allow-Origin", origin);
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Methods": "GET",
+        "Access-Control-Allow-Headers": _ALLOW_HEADERS,
+      });
+      res.end();
+      return;
+    }
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      _send(res, 405, { error: `${req.method} is not served` });
+      return;
+    }
+    const key = _costKey(route, url.searchParams.get("symbols"));
+    if (!allowed(key)) {
+      _send(res, 403, { error: `${key.endpoint} is not allowed` });
+      return;
+    }
+
+    url.searchParams.delete("token");
+    const query = url.searchParams.toString();
+    const path = query ? `${route}?${query}` : route;
+    if ((req.headers.accept || "").indexOf("text/event-stream") >= 0) {
+      _relay(client, path, req, res);
+      return;
+    }
+    const format = url.searchParams.get("format") || "json";
+    _getJson({
+      url: path,
+      token: client._context,
+      version: client._version,
+      format,
+    })
+      .then((data) =>
+        format === "json"
+          ? _send(res, 200, data)
+          : _sendText(res, format, data),
+      )
+      .catch((error) => _fail(res, error));
+  };
+};
+
+/**
+ * HTTP server around `createProxy`, to `listen` on a port of its own
+ * @param {object} options as for `createProxy`
+ * @returns {http.Server}
+ */
+export const createProxyServer = (options = {}) =>
+  http.createServer(createProxy(options));
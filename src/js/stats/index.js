@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * https://iexcloud.io/docs/api/#stats-intraday
@@ -17,17 +16,11 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const systemStats = (token, version, filter) =>
-  _getJson({
-    url: `stats/intraday`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.systemStats = function (filter) {
-  return systemStats(this._token, this._version, filter);
-};
+export const systemStats = _endpoint({
+  name: "systemStats",
+  url: "stats/intraday",
+  docs: "https://iexcloud.io/docs/api/#stats-intraday",
+});
 
 /**
  * https://iexcloud.io/docs/api/#stats-recent
@@ -36,17 +29,11 @@ Client.prototype.systemStats = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const recent = (token, version, filter) =>
-  _getJson({
-    url: `stats/recent`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.recent = function (filter) {
-  return recent(this._token, this._version, filter);
-};
+export const recent = _endpoint({
+  name: "recent",
+  url: "stats/recent",
+  docs: "https://iexcloud.io/docs/api/#stats-recent",
+});
 
 /**
  * https://iexcloud.io/docs/api/#stats-records
@@ -55,17 +42,11 @@ Client.prototype.recent = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const records = (token, version, filter) =>
-  _getJson({
-    url: `stats/records`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.records = function (filter) {
-  return records(this._token, this._version, filter);
-};
+export const records = _endpoint({
+  name: "records",
+  url: "stats/records",
+  docs: "https://iexcloud.io/docs/api/#stats-records",
+});
 
 /**
  * https://iexcloud.io/docs/api/#stats-historical-summary
@@ -75,26 +56,13 @@ Client.prototype.records = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const summary = (date, token, version, filter) => {
-  if (date) {
-    return _getJson({
-      url: `stats/historical?date=${date}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stats/historical`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.summary = function (date, filter) {
-  return summary(date, this._token, this._version, filter);
-};
+export const summary = _endpoint({
+  name: "summary",
+  args: [{ name: "date", type: "date" }],
+  url: "stats/historical",
+  query: ["date"],
+  docs: "https://iexcloud.io/docs/api/#stats-historical-summary",
+});
 
 /**
  * https://iexcloud.io/docs/api/#stats-historical-daily
@@ -105,31 +73,13 @@ Client.prototype.summary = function (date, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const daily = (date, last, token, version, filter) => {
-  if (date) {
-    return _getJson({
-      url: `stats/historical/daily?date=${date}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  if (last) {
-    return _getJson({
-      url: `stats/historical/daily?last=${last}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stats/historical/daily`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.daily = function (date, filter) {
-  return daily(date, this._token, this._version, filter);
-};
+export const daily = _endpoint({
+  name: "daily",
+  args: [
+    { name: "date", type: "date" },
+    { name: "last", type: "number" },
+  ],
+  url: "stats/historical/daily",
+  query: ["date", "last"],
+  docs: "https://iexcloud.io/docs/api/#stats-historical-daily",
+});
@@ -7,15 +7,16 @@
  *
  */
 
-/* eslint-disable no-param-reassign */
 import {
   _BATCH_TYPES,
   _TIMEFRAME_CHART,
-  IEXJSException,
-  _getJson,
+  ValidationError,
   _quoteSymbols,
 } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
+
+const _fields = (fields) =>
+  typeof fields === "string" ? fields.split(",") : fields;
 
 /**
  * Batch several data requests into one invocation. If no `fields` passed in, will default to `quote`
@@ -30,58 +31,32 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const batch = (symbols, fields, range, last, token, version, filter) => {
-  fields = fields || "quote";
-  range = range || "1m";
-  last = last || 10;
-
-  if (typeof fields === "string") {
-    fields = fields.split(",");
-  }
-
-  fields.forEach((elem) => {
-    if (_BATCH_TYPES.indexOf(elem) < 0) {
-      throw new IEXJSException(`Unrecognized batch request field: ${elem}`);
+export const batch = _endpoint({
+  name: "batch",
+  args: [
+    { name: "symbols", type: "symbols" },
+    { name: "fields", default: "quote" },
+    { name: "range", default: "1m", values: _TIMEFRAME_CHART },
+    { name: "last", type: "number", default: 10 },
+  ],
+  validate: ({ symbols, fields }) => {
+    _fields(fields).forEach((elem) => {
+      if (_BATCH_TYPES.indexOf(elem) < 0) {
+        throw new ValidationError(`Unrecognized batch request field: ${elem}`);
+      }
+    });
+    if (_quoteSymbols(symbols).split(",").length > 100) {
+      throw new ValidationError(
+        "IEX will only handle up to 100 symbols at a time!",
+      );
     }
-  });
-
-  if (_TIMEFRAME_CHART.indexOf(range) < 0) {
-    throw new IEXJSException(`Unrecognized range argument: ${range}`);
-  }
-
-  symbols = _quoteSymbols(symbols);
-  if (symbols.split(",").length > 100) {
-    throw new IEXJSException(
-      "IEX will only handle up to 100 symbols at a time!",
-    );
-  }
-
-  let route;
-  if (symbols.indexOf(",") < 0) {
-    route = `stock/${symbols}/batch?types=${fields.join(
-      ",",
-    )}&range=${range}&last=${last}`;
-  } else {
-    route = `stock/market/batch?symbols=${symbols}&types=${fields.join(
-      ",",
-    )}&range=${range}&last=${last}`;
-  }
-  return _getJson({
-    url: route,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.batch = function (symbols, fields, range, last, filter) {
-  return batch(
-    symbols,
-    fields,
-    range,
-    last,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+  },
+  url: ({ symbols }) => {
+    const quoted = _quoteSymbols(symbols);
+    return quoted.indexOf(",") < 0
+      ? "stock/{symbols}/batch"
+      : `stock/market/batch?symbols=${quoted}`;
+  },
+  query: { types: "fields", range: "range", last: "last" },
+  docs: "https://iexcloud.io/docs/api/#batch-requests",
+});
@@ -6,16 +6,37 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import {
-  _TIMEFRAME_DIVSPLIT,
-  _getJson,
-  _quoteSymbols,
-  _raiseIfNotStr,
-  _timeseriesWrapper,
-  IEXJSException,
-} from "../common";
+
+import { _TIMEFRAME_DIVSPLIT, _timeseriesWrapper } from "../common";
+import { _endpoint } from "../registry";
 import { timeSeries } from "./timeseries";
-import { Client } from "../client";
+
+/**
+ * Corporate action endpoint over an advanced time series dataset, taking
+ * the symbol, an optional reference id and further `timeSeries` options
+ * @param {string} name endpoint name
+ * @param {string} id time series dataset
+ * @param {string} docs IEX Cloud documentation url
+ * @returns {function} the standalone function, `(symbol, refid, options, token, version, filter)`
+ */
+const _corporateAction = (name, id, docs) =>
+  _endpoint({
+    name,
+    args: [
+      { name: "symbol", type: "symbol" },
+      "refid",
+      { name: "options", type: "object", default: {} },
+    ],
+    validate: ({ options }) => _timeseriesWrapper(options),
+    run: ({ symbol, refid, options }, token, version, filter) =>
+      timeSeries(
+        { id, key: symbol, subkey: refid || "", ...options },
+        token,
+        version,
+        filter,
+      ),
+    docs,
+  });
 
 /**
  * Stock split history
@@ -28,22 +49,15 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const stockSplits = (symbol, timeframe, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (_TIMEFRAME_DIVSPLIT.indexOf(timeframe || "ytd") < 0) {
-    throw new IEXJSException("Timeframe not recognized");
-  }
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/splits/${timeframe || "ytd"}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.stockSplits = function (symbol, timeframe, filter) {
-  return stockSplits(symbol, timeframe, this._token, this._version, filter);
-};
+export const stockSplits = _endpoint({
+  name: "stockSplits",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "timeframe", default: "ytd", values: _TIMEFRAME_DIVSPLIT },
+  ],
+  url: "stock/{symbol}/splits/{timeframe}",
+  docs: "https://iexcloud.io/docs/api/#splits",
+});
 
 /**
  * Bonus Issue Obtain up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -57,33 +71,11 @@ Client.prototype.stockSplits = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const bonusIssue = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_bonus",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.bonusIssue = function (symbol, timeframe, filter) {
-  return bonusIssue(symbol, timeframe, this._token, this._version, filter);
-};
+export const bonusIssue = _corporateAction(
+  "bonusIssue",
+  "advanced_bonus",
+  "https://iexcloud.io/docs/api/#bonus-issue",
+);
 
 /**
  * Distribution Obtain up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -97,33 +89,11 @@ Client.prototype.bonusIssue = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const distribution = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_distribution",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.distribution = function (symbol, timeframe, filter) {
-  return distribution(symbol, timeframe, this._token, this._version, filter);
-};
+export const distribution = _corporateAction(
+  "distribution",
+  "advanced_distribution",
+  "https://iexcloud.io/docs/api/#distribution",
+);
 
 /**
  * Obtain up-to-date and detailed information on all new dividend announcements, as well as 12+ years of historical dividend records. This endpoint covers over 39,000 US equities, mutual funds, ADRs, and ETFs.
@@ -143,33 +113,11 @@ Client.prototype.distribution = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const dividends = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_dividends",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.dividends = function (symbol, timeframe, filter) {
-  return dividends(symbol, timeframe, this._token, this._version, filter);
-};
+export const dividends = _corporateAction(
+  "dividends",
+  "advanced_dividends",
+  "https://iexcloud.io/docs/api/#dividends",
+);
 
 /**
  * Return of capital up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -183,33 +131,11 @@ Client.prototype.dividends = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const returnOfCapital = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_return_of_capital",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.returnOfCapital = function (symbol, timeframe, filter) {
-  return returnOfCapital(symbol, timeframe, this._token, this._version, filter);
-};
+export const returnOfCapital = _corporateAction(
+  "returnOfCapital",
+  "advanced_return_of_capital",
+  "https://iexcloud.io/docs/api/#return-of-capital",
+);
 
 /**
  * Rights issue up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -223,33 +149,11 @@ Client.prototype.returnOfCapital = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const rightsIssue = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_rights",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.rightsIssue = function (symbol, timeframe, filter) {
-  return rightsIssue(symbol, timeframe, this._token, this._version, filter);
-};
+export const rightsIssue = _corporateAction(
+  "rightsIssue",
+  "advanced_rights",
+  "https://iexcloud.io/docs/api/#rights-issue",
+);
 
 /**
  * Right to purchase up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -263,33 +167,11 @@ Client.prototype.rightsIssue = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const rightToPurchase = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_right_to_purchase",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.rightToPurchase = function (symbol, timeframe, filter) {
-  return rightToPurchase(symbol, timeframe, this._token, this._version, filter);
-};
+export const rightToPurchase = _corporateAction(
+  "rightToPurchase",
+  "advanced_right_to_purchase",
+  "https://iexcloud.io/docs/api/#right-to-purchase",
+);
 
 /**
  * Security reclassification up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -303,43 +185,11 @@ Client.prototype.rightToPurchase = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const securityReclassification = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_security_reclassification",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.securityReclassification = function (
-  symbol,
-  timeframe,
-  filter,
-) {
-  return securityReclassification(
-    symbol,
-    timeframe,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+export const securityReclassification = _corporateAction(
+  "securityReclassification",
+  "advanced_security_reclassification",
+  "https://iexcloud.io/docs/api/#security-reclassification",
+);
 
 /**
  * Security Swap up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -353,33 +203,11 @@ Client.prototype.securityReclassification = function (
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const securitySwap = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_security_swap",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.securitySwap = function (symbol, timeframe, filter) {
-  return securitySwap(symbol, timeframe, this._token, this._version, filter);
-};
+export const securitySwap = _corporateAction(
+  "securitySwap",
+  "advanced_security_swap",
+  "https://iexcloud.io/docs/api/#security-swap",
+);
 
 /**
  * Security spinoff up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -393,33 +221,11 @@ Client.prototype.securitySwap = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const spinoff = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_spinoff",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.spinoff = function (symbol, timeframe, filter) {
-  return spinoff(symbol, timeframe, this._token, this._version, filter);
-};
+export const spinoff = _corporateAction(
+  "spinoff",
+  "advanced_spinoff",
+  "https://iexcloud.io/docs/api/#spinoff",
+);
 
 /**
  * Security splits up-to-date and detailed information on all new announcements, as well as 12+ years of historical records.
@@ -433,30 +239,8 @@ Client.prototype.spinoff = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const splits = (
-  symbol,
-  refid,
-  timeseries_options,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _timeseriesWrapper(timeseries_options);
-
-  return timeSeries(
-    {
-      id: "advanced_splits",
-      key: symbol,
-      subkey: refid || "",
-      ...timeseries_options,
-    },
-    token,
-    version,
-    filter,
-  );
-};
-
-Client.prototype.splits = function (symbol, timeframe, filter) {
-  return splits(symbol, timeframe, this._token, this._version, filter);
-};
+export const splits = _corporateAction(
+  "splits",
+  "advanced_splits",
+  "https://iexcloud.io/docs/api/#splits",
+);
@@ -7,15 +7,34 @@
  *
  */
 
-import {
-  _TIMEFRAME_DIVSPLIT,
-  _checkPeriodLast,
-  _getJson,
-  _quoteSymbols,
-  _raiseIfNotStr,
-  IEXJSException,
-} from "../common";
-import { Client } from "../client";
+import { _TIMEFRAME_DIVSPLIT, _checkPeriodLast } from "../common";
+import { _endpoint } from "../registry";
+
+const _PERIOD_ARGS = [
+  { name: "symbol", type: "symbol" },
+  { name: "period", default: "quarter" },
+  { name: "last", type: "number", default: 1 },
+];
+
+/**
+ * Financial statement endpoint taking a period and number of records,
+ * resolving to the `key` list of its response
+ * @param {string} name endpoint name
+ * @param {string} route route under `stock/{symbol}/`
+ * @param {string} key response field holding the statements
+ * @param {string} docs IEX Cloud documentation url
+ * @returns {function}
+ */
+const _statement = (name, route, key, docs) =>
+  _endpoint({
+    name,
+    args: _PERIOD_ARGS,
+    validate: ({ period, last }) => _checkPeriodLast(period, last),
+    url: `stock/{symbol}/${route}`,
+    query: ["period", "last"],
+    transform: (data) => data[key] || [],
+    docs,
+  });
 
 /**
  * Pulls balance sheet data. Available quarterly (4 quarters) and annually (4 years)
@@ -29,31 +48,12 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const balanceSheet = async (
-  symbol,
-  period,
-  last,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _checkPeriodLast(period || "quarter", last || 1);
-  return (
-    (await _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/balance-sheet?period=${
-        period || "quarter"
-      }&last=${last || 1}`,
-      token,
-      version,
-      filter,
-    }).balancesheet) || []
-  );
-};
-
-Client.prototype.balanceSheet = function (symbol, period, last, filter) {
-  return balanceSheet(symbol, period, last, this._token, this._version, filter);
-};
+export const balanceSheet = _statement(
+  "balanceSheet",
+  "balance-sheet",
+  "balancesheet",
+  "https://iexcloud.io/docs/api/#balance-sheet",
+);
 
 /**
  * Pulls cash flow data. Available quarterly (4 quarters) or annually (4 years).
@@ -67,31 +67,12 @@ Client.prototype.balanceSheet = function (symbol, period, last, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const cashFlow = async (
-  symbol,
-  period,
-  last,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _checkPeriodLast(period || "quarter", last || 1);
-  return (
-    (await _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/cash-flow?period=${
-        period || "quarter"
-      }&last=${last || 1}`,
-      token,
-      version,
-      filter,
-    }).cashflow) || []
-  );
-};
-
-Client.prototype.cashFlow = function (symbol, period, last, filter) {
-  return cashFlow(symbol, period, last, this._token, this._version, filter);
-};
+export const cashFlow = _statement(
+  "cashFlow",
+  "cash-flow",
+  "cashflow",
+  "https://iexcloud.io/docs/api/#cash-flow",
+);
 
 /**
  * Dividend history
@@ -104,22 +85,15 @@ Client.prototype.cashFlow = function (symbol, period, last, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const dividendsBasic = (symbol, timeframe, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (_TIMEFRAME_DIVSPLIT.indexOf(timeframe || "ytd") < 0) {
-    throw new IEXJSException("Timeframe not recognized");
-  }
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/dividends/${timeframe || "ytd"}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.dividendsBasic = function (symbol, timeframe, filter) {
-  return dividendsBasic(symbol, timeframe, this._token, this._version, filter);
-};
+export const dividendsBasic = _endpoint({
+  name: "dividendsBasic",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "timeframe", default: "ytd", values: _TIMEFRAME_DIVSPLIT },
+  ],
+  url: "stock/{symbol}/dividends/{timeframe}",
+  docs: "https://iexcloud.io/docs/api/#dividends",
+});
 
 /**
  * Earnings data for a given company including the actual EPS, consensus, and fiscal period. Earnings are available quarterly (last 4 quarters) and annually (last 4 years).
@@ -134,52 +108,18 @@ Client.prototype.dividendsBasic = function (symbol, timeframe, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const earnings = async (
-  symbol,
-  period,
-  last,
-  field,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _checkPeriodLast(period || "quarter", last || 1);
-  if (field === undefined) {
-    return (
-      (await _getJson({
-        url: `stock/${_quoteSymbols(symbol)}/earnings?period=${
-          period || "quarter"
-        }&last=${last || 1}`,
-        token,
-        version,
-        filter,
-      }).earnings) || []
-    );
-  }
-  return (
-    (await _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/earnings/${
-        last || 1
-      }/${field}?period=${period || "quarter"}`,
-      token,
-      version,
-      filter,
-    }).earnings) || []
-  );
-};
-
-Client.prototype.earnings = function (symbol, period, last, field, filter) {
-  return earnings(
-    symbol,
-    period,
-    last,
-    field,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+export const earnings = _endpoint({
+  name: "earnings",
+  args: _PERIOD_ARGS.concat(["field"]),
+  validate: ({ period, last }) => _checkPeriodLast(period, last),
+  url: ({ field }) =>
+    field
+      ? "stock/{symbol}/earnings/{last}/{field}"
+      : "stock/{symbol}/earnings?last={last}",
+  query: ["period"],
+  transform: (data) => data.earnings || [],
+  docs: "https://iexcloud.io/docs/api/#earnings",
+});
 
 /**
  * Pulls income statement, balance sheet, and cash flow data from the four most recent reported quarters.
@@ -193,31 +133,12 @@ Client.prototype.earnings = function (symbol, period, last, field, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const financials = async (
-  symbol,
-  period,
-  last,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _checkPeriodLast(period || "quarter", last || 1);
-  return (
-    (await _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/financials?period=${
-        period || "quarter"
-      }&last=${last || 1}`,
-      token,
-      version,
-      filter,
-    }).financials) || []
-  );
-};
-
-Client.prototype.financials = function (symbol, period, last, filter) {
-  return financials(symbol, period, last, this._token, this._version, filter);
-};
+export const financials = _statement(
+  "financials",
+  "financials",
+  "financials",
+  "https://iexcloud.io/docs/api/#financials",
+);
 
 /**
  * Pulls fundamentals data.
@@ -230,24 +151,15 @@ Client.prototype.financials = function (symbol, period, last, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const fundamentals = async (symbol, period, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  _checkPeriodLast(period || "quarter", 1);
-  return (
-    (await _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/fundamentals?period=${
-        period || "quarter"
-      }`,
-      token,
-      version,
-      filter,
-    }).fundamentals) || []
-  );
-};
-
-Client.prototype.fundamentals = function (symbol, period, filter) {
-  return fundamentals(symbol, period, this._token, this._version, filter);
-};
+export const fundamentals = _endpoint({
+  name: "fundamentals",
+  args: _PERIOD_ARGS.slice(0, 2),
+  validate: ({ period }) => _checkPeriodLast(period, 1),
+  url: "stock/{symbol}/fundamentals",
+  query: ["period"],
+  transform: (data) => data.fundamentals || [],
+  docs: "https://iexcloud.io/docs/api/#advanced-fundamentals",
+});
 
 /**
  * Pulls income statement data. Available quarterly (4 quarters) or annually (4 years).
@@ -261,35 +173,9 @@ Client.prototype.fundamentals = function (symbol, period, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const incomeStatement = async (
-  symbol,
-  period,
-  last,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  _checkPeriodLast(period || "quarter", last || 1);
-  return (
-    (await _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/income?period=${
-        period || "quarter"
-      }&last=${last || 1}`,
-      token,
-      version,
-      filter,
-    }).income) || []
-  );
-};
-
-Client.prototype.incomeStatement = function (symbol, period, last, filter) {
-  return incomeStatement(
-    symbol,
-    period,
-    last,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+export const incomeStatement = _statement(
+  "incomeStatement",
+  "income",
+  "income",
+  "https://iexcloud.io/docs/api/#income-statement",
+);
@@ -7,16 +7,14 @@
  *
  */
 
-import {
-  _getJson,
-  _quoteSymbols,
-  _raiseIfNotStr,
-  _strOrDate,
-  _COLLECTION_TAGS,
-  _LIST_OPTIONS,
-  IEXJSException,
-} from "../common";
-import { Client } from "../client";
+import { _COLLECTION_TAGS, _LIST_OPTIONS } from "../common";
+import { _endpoint } from "../registry";
+
+// upcoming events for a symbol, or the whole market when none is given
+const _UPCOMING_ARGS = [
+  { name: "symbol", type: "symbol", default: "market" },
+  "refid",
+];
 
 /**
  * Returns an array of quote objects for a given collection type. Currently supported collection types are sector, tag, and list
@@ -30,23 +28,16 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const collections = (tag, collectionName, token, version, filter) => {
-  if (_COLLECTION_TAGS.indexOf(tag) < 0) {
-    throw new IEXJSException("Uncrecognized tag");
-  }
-  return _getJson({
-    url: `stock/market/collection/${tag}?collectionName=${
-      collectionName || ""
-    }`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.collections = function (tag, collectionName, filter) {
-  return collections(tag, collectionName, this._token, this._version, filter);
-};
+export const collections = _endpoint({
+  name: "collections",
+  args: [
+    { name: "tag", values: _COLLECTION_TAGS, required: true },
+    "collectionName",
+  ],
+  url: "stock/market/collection/{tag}",
+  query: ["collectionName"],
+  docs: "https://iexcloud.io/docs/api/#collections",
+});
 
 /**
  * Returns earnings that will be reported today as two arrays: before the open bto and after market close amc.
@@ -58,17 +49,11 @@ Client.prototype.collections = function (tag, collectionName, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const earningsToday = (token, version, filter) =>
-  _getJson({
-    url: `stock/market/today-earnings`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.earningsToday = function (filter) {
-  return earningsToday(this._token, this._version, filter);
-};
+export const earningsToday = _endpoint({
+  name: "earningsToday",
+  url: "stock/market/today-earnings",
+  docs: "https://iexcloud.io/docs/api/#earnings-today",
+});
 
 /**
  * This returns a list of upcoming or today IPOs scheduled for the current and next month. The response is split into two structures:
@@ -80,17 +65,11 @@ Client.prototype.earningsToday = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const ipoToday = (token, version, filter) =>
-  _getJson({
-    url: `stock/market/today-ipos`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.ipoToday = function (filter) {
-  return ipoToday(this._token, this._version, filter);
-};
+export const ipoToday = _endpoint({
+  name: "ipoToday",
+  url: "stock/market/today-ipos",
+  docs: "https://iexcloud.io/docs/api/#ipo-calendar",
+});
 
 /**
  * This returns a list of upcoming or today IPOs scheduled for the current and next month. The response is split into two structures:
@@ -102,17 +81,11 @@ Client.prototype.ipoToday = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const ipoUpcoming = (token, version, filter) =>
-  _getJson({
-    url: `stock/market/upcoming-ipos`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.ipoUpcoming = function (filter) {
-  return ipoUpcoming(this._token, this._version, filter);
-};
+export const ipoUpcoming = _endpoint({
+  name: "ipoUpcoming",
+  url: "stock/market/upcoming-ipos",
+  docs: "https://iexcloud.io/docs/api/#ipo-calendar",
+});
 
 /**
  * Returns an array of quotes for the top 10 symbols in a specified list.
@@ -124,23 +97,12 @@ Client.prototype.ipoUpcoming = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const list = (option, token, version, filter) => {
-  // eslint-disable-next-line no-param-reassign
-  option = option || "mostactive";
-  if (_LIST_OPTIONS.indexOf(option) < 0) {
-    throw new IEXJSException("Option not recognized");
-  }
-  return _getJson({
-    url: `stock/market/list/${option}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.list = function (option, filter) {
-  return list(option, this._token, this._version, filter);
-};
+export const list = _endpoint({
+  name: "list",
+  args: [{ name: "option", default: "mostactive", values: _LIST_OPTIONS }],
+  url: "stock/market/list/{option}",
+  docs: "https://iexcloud.io/docs/api/#list",
+});
 
 /**
  * This endpoint returns real time traded volume on U.S. markets.
@@ -151,17 +113,11 @@ Client.prototype.list = function (option, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const marketVolume = (token, version, filter) =>
-  _getJson({
-    url: `market/`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.marketVolume = function (filter) {
-  return marketVolume(this._token, this._version, filter);
-};
+export const marketVolume = _endpoint({
+  name: "marketVolume",
+  url: "market/",
+  docs: "https://iexcloud.io/docs/api/#market-volume-u-s",
+});
 
 /**
  * Returns the official open and close for whole market.
@@ -170,17 +126,11 @@ Client.prototype.marketVolume = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const marketOhlc = (token, version, filter) =>
-  _getJson({
-    url: `stock/market/ohlc`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.marketOhlc = function (filter) {
-  return marketOhlc(this._token, this._version, filter);
-};
+export const marketOhlc = _endpoint({
+  name: "marketOhlc",
+  url: "stock/market/ohlc",
+  docs: "https://iexcloud.io/docs/api/#ohlc",
+});
 
 /**
  * This returns previous day adjusted price data for whole market
@@ -189,20 +139,13 @@ Client.prototype.marketOhlc = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const marketYesterday = (token, version, filter) =>
-  _getJson({
-    url: `stock/market/previous`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.marketYesterday = function (filter) {
-  return marketYesterday(this._token, this._version, filter);
-};
+export const marketYesterday = _endpoint({
+  name: "marketYesterday",
+  url: "stock/market/previous",
+  docs: "https://iexcloud.io/docs/api/#previous-day-price",
+});
 
 export const marketPrevious = marketYesterday;
-Client.prototype.marketPrevious = Client.prototype.marketYesterday;
 
 /**
  * This returns an array of each sector and performance for the current trading day. Performance is based on each sector ETF.
@@ -213,17 +156,11 @@ Client.prototype.marketPrevious = Client.prototype.marketYesterday;
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const sectorPerformance = (token, version, filter) =>
-  _getJson({
-    url: `stock/market/sector-performance`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.sectorPerformance = function (filter) {
-  return sectorPerformance(this._token, this._version, filter);
-};
+export const sectorPerformance = _endpoint({
+  name: "sectorPerformance",
+  url: "stock/market/sector-performance",
+  docs: "https://iexcloud.io/docs/api/#sector-performance",
+});
 
 /**
  * The consolidated market short interest positions in all IEX-listed securities are included in the IEX Short Interest Report.
@@ -235,26 +172,12 @@ Client.prototype.sectorPerformance = function (filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const marketShortInterest = (date, token, version, filter) => {
-  if (date) {
-    return _getJson({
-      url: `stock/market/short-interest/${_strOrDate(date)}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stock/market/short-interest`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.marketShortInterest = function (date, filter) {
-  return marketShortInterest(date, this._token, this._version, filter);
-};
+export const marketShortInterest = _endpoint({
+  name: "marketShortInterest",
+  args: [{ name: "date", type: "date" }],
+  url: "stock/market/short-interest/{date?}",
+  docs: "https://iexcloud.io/docs/api/#listed-short-interest-list-in-dev",
+});
 
 /**
  * This will return all upcoming estimates, dividends, splits for a given symbol or the market. If market is passed for the symbol, IPOs will also be included.
@@ -266,28 +189,12 @@ Client.prototype.marketShortInterest = function (date, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const upcomingEvents = (symbol, refid, token, version, filter) => {
-  if (symbol) {
-    _raiseIfNotStr(symbol);
-    return _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/upcoming-events`,
-      token,
-      version,
-      filter,
-    });
-  }
-
-  return _getJson({
-    url: `stock/market/upcoming-events`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.upcomingEvents = function (symbol, refid, filter) {
-  return upcomingEvents(symbol, refid, this._token, this._version, filter);
-};
+export const upcomingEvents = _endpoint({
+  name: "upcomingEvents",
+  args: _UPCOMING_ARGS,
+  url: "stock/{symbol}/upcoming-events",
+  docs: "https://iexcloud.io/docs/api/#upcoming-events",
+});
 
 /**
  * This will return all upcoming estimates, dividends, splits for a given symbol or the market. If market is passed for the symbol, IPOs will also be included.
@@ -299,28 +206,12 @@ Client.prototype.upcomingEvents = function (symbol, refid, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const upcomingEarnings = (symbol, refid, token, version, filter) => {
-  if (symbol) {
-    _raiseIfNotStr(symbol);
-    return _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/upcoming-earnings`,
-      token,
-      version,
-      filter,
-    });
-  }
-
-  return _getJson({
-    url: `stock/market/upcoming-earnings`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.upcomingEarnings = function (symbol, refid, filter) {
-  return upcomingEarnings(symbol, refid, this._token, this._version, filter);
-};
+export const upcomingEarnings = _endpoint({
+  name: "upcomingEarnings",
+  args: _UPCOMING_ARGS,
+  url: "stock/{symbol}/upcoming-earnings",
+  docs: "https://iexcloud.io/docs/api/#upcoming-events",
+});
 
 /**
  * This will return all upcoming estimates, dividends, splits for a given symbol or the market. If market is passed for the symbol, IPOs will also be included.
@@ -332,28 +223,12 @@ Client.prototype.upcomingEarnings = function (symbol, refid, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const upcomingDividends = (symbol, refid, token, version, filter) => {
-  if (symbol) {
-    _raiseIfNotStr(symbol);
-    return _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/upcoming-dividends`,
-      token,
-      version,
-      filter,
-    });
-  }
-
-  return _getJson({
-    url: `stock/market/upcoming-dividends`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.upcomingDividends = function (symbol, refid, filter) {
-  return upcomingDividends(symbol, refid, this._token, this._version, filter);
-};
+export const upcomingDividends = _endpoint({
+  name: "upcomingDividends",
+  args: _UPCOMING_ARGS,
+  url: "stock/{symbol}/upcoming-dividends",
+  docs: "https://iexcloud.io/docs/api/#upcoming-events",
+});
 
 /**
  * This will return all upcoming estimates, dividends, splits for a given symbol or the market. If market is passed for the symbol, IPOs will also be included.
@@ -365,28 +240,12 @@ Client.prototype.upcomingDividends = function (symbol, refid, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const upcomingSplits = (symbol, refid, token, version, filter) => {
-  if (symbol) {
-    _raiseIfNotStr(symbol);
-    return _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/upcoming-splits`,
-      token,
-      version,
-      filter,
-    });
-  }
-
-  return _getJson({
-    url: `stock/market/upcoming-splits`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.upcomingSplits = function (symbol, refid, filter) {
-  return upcomingSplits(symbol, refid, this._token, this._version, filter);
-};
+export const upcomingSplits = _endpoint({
+  name: "upcomingSplits",
+  args: _UPCOMING_ARGS,
+  url: "stock/{symbol}/upcoming-splits",
+  docs: "https://iexcloud.io/docs/api/#upcoming-events",
+});
 
 /**
  * This will return all upcoming estimates, dividends, splits for a given symbol or the market. If market is passed for the symbol, IPOs will also be included.
@@ -398,25 +257,9 @@ Client.prototype.upcomingSplits = function (symbol, refid, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const upcomingIPOs = (symbol, refid, token, version, filter) => {
-  if (symbol) {
-    _raiseIfNotStr(symbol);
-    return _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/upcoming-ipos`,
-      token,
-      version,
-      filter,
-    });
-  }
-
-  return _getJson({
-    url: `stock/market/upcoming-ipos`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.upcomingIPOs = function (symbol, refid, filter) {
-  return upcomingIPOs(symbol, refid, this._token, this._version, filter);
-};
+export const upcomingIPOs = _endpoint({
+  name: "upcomingIPOs",
+  args: _UPCOMING_ARGS,
+  url: "stock/{symbol}/upcoming-ipos",
+  docs: "https://iexcloud.io/docs/api/#upcoming-events",
+});
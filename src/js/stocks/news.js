@@ -6,8 +6,7 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
-import { _getJson, _quoteSymbols, _raiseIfNotStr } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * News about company
@@ -20,19 +19,15 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const news = (symbol, count, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/news/last/${count || 10}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.news = function (symbol, count, filter) {
-  return news(symbol, count, this._token, this._version, filter);
-};
+export const news = _endpoint({
+  name: "news",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "count", type: "number", default: 10 },
+  ],
+  url: "stock/{symbol}/news/last/{count}",
+  docs: "https://iexcloud.io/docs/api/#news",
+});
 
 /**
  * News about market
@@ -44,14 +39,9 @@ Client.prototype.news = function (symbol, count, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const marketNews = (count, token, version, filter) =>
-  _getJson({
-    url: `stock/market/news/last/${count || 10}`,
-    token,
-    version,
-    filter,
-  });
-
-Client.prototype.marketNews = function (symbol, filter) {
-  return marketNews(symbol, this._token, this._version, filter);
-};
+export const marketNews = _endpoint({
+  name: "marketNews",
+  args: [{ name: "count", type: "number", default: 10 }],
+  url: "stock/market/news/last/{count}",
+  docs: "https://iexcloud.io/docs/api/#news",
+});
@@ -7,15 +7,21 @@
  *
  */
 
-import {
-  _TIMEFRAME_CHART,
-  IEXJSException,
-  _getJson,
-  _quoteSymbols,
-  _raiseIfNotStr,
-  _strOrDate,
-} from "../common";
-import { Client } from "../client";
+import { _TIMEFRAME_CHART, ValidationError, _strOrDate } from "../common";
+import { _endpoint } from "../registry";
+
+/**
+ * Append `params` to `route` as a query string
+ * @param {string} route
+ * @param {object} params
+ * @returns {string}
+ */
+const _withParams = (route, params) => {
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  return query ? `${route}?${query}` : route;
+};
 
 /**
  * Book data
@@ -28,19 +34,12 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const book = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/book`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.book = function (symbol, filter) {
-  return book(symbol, this._token, this._version, filter);
-};
+export const book = _endpoint({
+  name: "book",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/book",
+  docs: "https://iexcloud.io/docs/api/#book",
+});
 
 /**
  * This returns the 15 minute delayed market quote.
@@ -53,19 +52,13 @@ Client.prototype.book = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const delayedQuote = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/delayed-quote`,
-    token,
-    version,
-    filter,
-  });
-};
+export const delayedQuote = _endpoint({
+  name: "delayedQuote",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/delayed-quote",
+  docs: "https://iexcloud.io/docs/api/#delayed-quote",
+});
 
-Client.prototype.delayedQuote = function (symbol, filter) {
-  return delayedQuote(symbol, this._token, this._version, filter);
-};
 /**
  * This returns 15 minute delayed, last sale eligible trades.
  *
@@ -77,19 +70,12 @@ Client.prototype.delayedQuote = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const largestTrades = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/largest-trades`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.largestTrades = function (symbol, filter) {
-  return largestTrades(symbol, this._token, this._version, filter);
-};
+export const largestTrades = _endpoint({
+  name: "largestTrades",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/largest-trades",
+  docs: "https://iexcloud.io/docs/api/#largest-trades",
+});
 
 /**
  * Returns the official open and close for a give symbol.
@@ -102,19 +88,12 @@ Client.prototype.largestTrades = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const ohlc = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/ohlc`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.ohlc = function (symbol, filter) {
-  return ohlc(symbol, this._token, this._version, filter);
-};
+export const ohlc = _endpoint({
+  name: "ohlc",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/ohlc",
+  docs: "https://iexcloud.io/docs/api/#ohlc",
+});
 
 /**
  * This returns previous day adjusted price data for one or more stocks
@@ -127,22 +106,14 @@ Client.prototype.ohlc = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const yesterday = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/previous`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.yesterday = function (symbol, filter) {
-  return yesterday(symbol, this._token, this._version, filter);
-};
+export const yesterday = _endpoint({
+  name: "yesterday",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/previous",
+  docs: "https://iexcloud.io/docs/api/#previous-day-prices",
+});
 
 export const previous = yesterday;
-Client.prototype.previous = Client.prototype.yesterday;
 
 /**
  * Price of ticker
@@ -155,19 +126,12 @@ Client.prototype.previous = Client.prototype.yesterday;
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const price = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/price`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.price = function (symbol, filter) {
-  return price(symbol, this._token, this._version, filter);
-};
+export const price = _endpoint({
+  name: "price",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/price",
+  docs: "https://iexcloud.io/docs/api/#price",
+});
 
 /**
  * Get quote for ticker
@@ -180,19 +144,12 @@ Client.prototype.price = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const quote = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/quote`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.quote = function (symbol, filter) {
-  return quote(symbol, this._token, this._version, filter);
-};
+export const quote = _endpoint({
+  name: "quote",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/quote",
+  docs: "https://iexcloud.io/docs/api/#quote",
+});
 
 /**
  * This returns an array of effective spread, eligible volume, and price improvement of a stock, by market.
@@ -205,19 +162,12 @@ Client.prototype.quote = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const spread = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/effective-spread`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.spread = function (symbol, filter) {
-  return spread(symbol, this._token, this._version, filter);
-};
+export const spread = _endpoint({
+  name: "spread",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/effective-spread",
+  docs: "https://iexcloud.io/docs/api/#price-only",
+});
 
 /**
  * This returns 15 minute delayed and 30 day average consolidated volume percentage of a stock, by market.
@@ -231,19 +181,12 @@ Client.prototype.spread = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const volumeByVenue = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/volume-by-venue`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.volumeByVenue = function (symbol, filter) {
-  return volumeByVenue(symbol, this._token, this._version, filter);
-};
+export const volumeByVenue = _endpoint({
+  name: "volumeByVenue",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/volume-by-venue",
+  docs: "https://iexcloud.io/docs/api/#volume-by-venue",
+});
 
 /**
  * Historical price/volume data, daily and intraday
@@ -268,90 +211,61 @@ Client.prototype.volumeByVenue = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const chart = (symbol, options, token, version, filter) => {
-  const {
-    timeframe = "1m",
-    date = "",
-    exactDate = "",
-    last = -1,
-    closeOnly = false,
-    byDay = false,
-    simplify = false,
-    interval = -1,
-    changeFromClose = false,
-    displayPercent = false,
-    sort = "desc",
-    includeToday = false,
-  } = options;
-
-  _raiseIfNotStr(symbol);
-  let base_url = `stock/${_quoteSymbols(symbol)}/chart/${timeframe}?`;
-
-  // exactDate takes precedence
-  let thedate = exactDate || date;
-  if (thedate) {
-    thedate = _strOrDate(thedate);
-  }
-
-  if (timeframe && timeframe !== "1d") {
+export const chart = _endpoint({
+  name: "chart",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "options", type: "object", default: {} },
+  ],
+  validate: ({ options }) => {
+    const { timeframe = "1m", sort = "desc" } = options;
     if (_TIMEFRAME_CHART.indexOf(timeframe) < 0) {
-      throw new IEXJSException(`Timeframe not recognized ${timeframe}`);
+      throw new ValidationError(`Timeframe not recognized ${timeframe}`);
     }
-  }
-
-  // Assemble params
-  const params = {};
-
-  if (last > 0) params.chartLast = last;
-  if (closeOnly) params.chartCloseOnly = closeOnly;
-  if (byDay) params.chartByDay = byDay;
-  if (simplify) params.chartSimplify = simplify;
-  if (interval > 0) params.chartInterval = interval;
-  if (changeFromClose) params.changeFromClose = changeFromClose;
-  if (displayPercent) params.displayPercent = displayPercent;
-  if (exactDate) params.exactDate = exactDate;
-  if (sort) {
-    if (sort.lower() !== "asc" && sort.lower() !== "desc") {
-      throw new IEXJSException(`Sort not recognized: ${sort}`);
-    }
-    params.sort = sort.lower();
-  }
-
-  if (includeToday) params.includeToday = includeToday;
-
-  if (thedate) {
-    base_url = `stock/${_quoteSymbols(symbol)}/chart/date/${thedate}?`;
-    if (Object.keys(params).length > 0) {
-      base_url += params
-        .entries()
-        .map((key, value) => `${key}=${value}`)
-        .join("&");
+    if (sort && ["asc", "desc"].indexOf(String(sort).toLowerCase()) < 0) {
+      throw new ValidationError(`Sort not recognized: ${sort}`);
     }
-    return _getJson({
-      url: base_url,
-      token,
-      version,
-      filter,
-    });
-  }
-
-  if (Object.keys(params).length > 0) {
-    base_url += params
-      .entries()
-      .map((key, value) => `${key}=${value}`)
-      .join("&");
-  }
-  return _getJson({
-    url: base_url,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.chart = function (symbol, options, filter) {
-  return chart(symbol, options, this._token, this._version, filter);
-};
+  },
+  url: ({ options }) => {
+    const {
+      timeframe = "1m",
+      date = "",
+      exactDate = "",
+      last = -1,
+      closeOnly = false,
+      byDay = false,
+      simplify = false,
+      interval = -1,
+      changeFromClose = false,
+      displayPercent = false,
+      sort = "desc",
+      includeToday = false,
+    } = options;
+
+    // Assemble params
+    const params = {};
+    if (last > 0) params.chartLast = last;
+    if (closeOnly) params.chartCloseOnly = closeOnly;
+    if (byDay) params.chartByDay = byDay;
+    if (simplify) params.chartSimplify = simplify;
+    if (interval > 0) params.chartInterval = interval;
+    if (changeFromClose) params.changeFromClose = changeFromClose;
+    if (displayPercent) params.displayPercent = displayPercent;
+    if (exactDate) params.exactDate = exactDate;
+    if (sort) params.sort = String(sort).toLowerCase();
+    if (includeToday) params.includeToday = includeToday;
+
+    // exactDate takes precedence
+    const thedate = exactDate || date;
+    return _withParams(
+      thedate
+        ? `stock/{symbol}/chart/date/${_strOrDate(thedate)}`
+        : `stock/{symbol}/chart/${timeframe}`,
+      params,
+    );
+  },
+  docs: "https://iexcloud.io/docs/api/#historical-prices",
+});
 
 /**
  * This endpoint will return aggregated intraday prices in one minute buckets
@@ -372,57 +286,38 @@ Client.prototype.chart = function (symbol, options, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const intraday = (symbol, options, token, version, filter) => {
-  const {
-    date = "",
-    exactDate = "",
-    last = -1,
-    IEXOnly = false,
-    reset = false,
-    simplify = false,
-    interval = -1,
-    changeFromClose = false,
-    IEXWhenNull = false,
-  } = options;
-
-  _raiseIfNotStr(symbol);
-
-  // exactDate takes precedence
-  let thedate = exactDate || date;
-  if (thedate) {
-    thedate = _strOrDate(thedate);
-  }
-
-  // Assemble params
-  const params = {};
-
-  if (thedate) params.exactDate = thedate;
-
-  if (last > 0) params.chartLast = last;
-  if (last > 0) params.chartLast = last;
-  if (IEXOnly) params.chartIEXOnly = IEXOnly;
-  if (reset) params.chartReset = reset;
-  if (simplify) params.chartSimplify = simplify;
-  if (interval > 0) params.chartInterval = interval;
-  if (changeFromClose) params.changeFromClose = changeFromClose;
-  if (IEXWhenNull) params.chartIEXWhenNull = IEXWhenNull;
-
-  let base_url = "stock/{}/intraday-prices?".format(symbol);
-
-  if (Object.keys(params).length > 0) {
-    base_url += params
-      .entries()
-      .map((key, value) => `${key}=${value}`)
-      .join("&");
-  }
-  return _getJson({
-    url: base_url,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.intraday = function (symbol, options, filter) {
-  return intraday(symbol, options, this._token, this._version, filter);
-};
+export const intraday = _endpoint({
+  name: "intraday",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "options", type: "object", default: {} },
+  ],
+  url: ({ options }) => {
+    const {
+      date = "",
+      exactDate = "",
+      last = -1,
+      IEXOnly = false,
+      reset = false,
+      simplify = false,
+      interval = -1,
+      changeFromClose = false,
+      IEXWhenNull = false,
+    } = options;
+
+    // Assemble params
+    const params = {};
+    // exactDate takes precedence
+    if (exactDate || date) params.exactDate = _strOrDate(exactDate || date);
+    if (last > 0) params.chartLast = last;
+    if (IEXOnly) params.chartIEXOnly = IEXOnly;
+    if (reset) params.chartReset = reset;
+    if (simplify) params.chartSimplify = simplify;
+    if (interval > 0) params.chartInterval = interval;
+    if (changeFromClose) params.changeFromClose = changeFromClose;
+    if (IEXWhenNull) params.chartIEXWhenNull = IEXWhenNull;
+
+    return _withParams("stock/{symbol}/intraday-prices", params);
+  },
+  docs: "https://iexcloud.io/docs/api/#intraday-prices",
+});
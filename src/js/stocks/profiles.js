@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson, _quoteSymbols, _raiseIfNotStr } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * Company reference data
@@ -20,19 +19,12 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const company = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/company`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.company = function (symbol, filter) {
-  return company(symbol, this._token, this._version, filter);
-};
+export const company = _endpoint({
+  name: "company",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/company",
+  docs: "https://iexcloud.io/docs/api/#company",
+});
 
 /**
  * Returns the top 10 insiders, with the most recent information.
@@ -44,19 +36,12 @@ Client.prototype.company = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const insiderRoster = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/insider-roster`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.insiderRoster = function (symbol, filter) {
-  return insiderRoster(symbol, this._token, this._version, filter);
-};
+export const insiderRoster = _endpoint({
+  name: "insiderRoster",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/insider-roster",
+  docs: "https://iexcloud.io/docs/api/#insider-roster",
+});
 
 /**
  * Returns aggregated insiders summary data for the last 6 months.
@@ -68,19 +53,12 @@ Client.prototype.insiderRoster = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const insiderSummary = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/insider-summary`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.insiderSummary = function (symbol, filter) {
-  return insiderSummary(symbol, this._token, this._version, filter);
-};
+export const insiderSummary = _endpoint({
+  name: "insiderSummary",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/insider-summary",
+  docs: "https://iexcloud.io/docs/api/#insider-summary",
+});
 
 /**
  * Returns insider transactions.
@@ -92,19 +70,12 @@ Client.prototype.insiderSummary = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const insiderTransactions = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/insider-transactions`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.insiderTransactions = function (symbol, filter) {
-  return insiderTransactions(symbol, this._token, this._version, filter);
-};
+export const insiderTransactions = _endpoint({
+  name: "insiderTransactions",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/insider-transactions",
+  docs: "https://iexcloud.io/docs/api/#insider-transactions",
+});
 
 /**
  * This is a helper function, but the google APIs url is standardized.
@@ -116,19 +87,12 @@ Client.prototype.insiderTransactions = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const logo = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/logo`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.logo = function (symbol, filter) {
-  return logo(symbol, this._token, this._version, filter);
-};
+export const logo = _endpoint({
+  name: "logo",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/logo",
+  docs: "https://iexcloud.io/docs/api/#logo",
+});
 
 /**
  * Peers of ticker
@@ -140,16 +104,9 @@ Client.prototype.logo = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const peers = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/peers`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.peers = function (symbol, filter) {
-  return peers(symbol, this._token, this._version, filter);
-};
+export const peers = _endpoint({
+  name: "peers",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/peers",
+  docs: "https://iexcloud.io/docs/api/#peers",
+});
@@ -6,17 +6,74 @@
  * the Apache License 2.0.  The full license can be found in the LICENSE file.
  *
  */
+
 import {
   _INDICATORS,
   _KEY_STATS,
   _TIMEFRAME_CHART,
-  IEXJSException,
+  ValidationError,
   _checkPeriodLast,
-  _getJson,
-  _quoteSymbols,
-  _raiseIfNotStr,
 } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
+
+// indicators by the number of inputs they take, the rest taking one
+const _INDICATOR_INPUTS = {
+  0: [
+    "abs",
+    "acos",
+    "ad",
+    "add",
+    "ao",
+    "asin",
+    "atan",
+    "avgprice",
+    "bop",
+    "ceil",
+    "cos",
+    "cosh",
+    "crossany",
+    "crossover",
+    "div",
+    "emv",
+    "exp",
+    "floor",
+    "ln",
+    "log10",
+    "marketfi",
+    "medprice",
+    "mul",
+    "nvi",
+    "obv",
+    "pvi",
+    "round",
+    "sin",
+    "sinh",
+    "sqrt",
+    "sub",
+    "tan",
+    "tanh",
+    "todeg",
+    "torad",
+    "tr",
+    "trunc",
+    "typprice",
+    "wad",
+    "wcprice",
+    "willr",
+  ],
+  2: ["adosc", "apo", "bbands", "kvo", "ppo", "psar", "vosc"],
+  3: ["macd", "stoch", "ultosc", "vidya"],
+};
+
+const _indicatorInputs = (indicator) => {
+  const count = Object.keys(_INDICATOR_INPUTS).find(
+    (inputs) => _INDICATOR_INPUTS[inputs].indexOf(indicator) >= 0,
+  );
+  return count === undefined ? 1 : Number(count);
+};
+
+const _missingInput = (input) =>
+  input === undefined || input === null || input === "";
 
 /**
  * Returns everything in key stats plus additional advanced stats such as EBITDA, ratios, key financial data, and more.
@@ -28,19 +85,12 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const advancedStats = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/advanced-stats`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.advancedStats = function (symbol, filter) {
-  return advancedStats(symbol, this._token, this._version, filter);
-};
+export const advancedStats = _endpoint({
+  name: "advancedStats",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/advanced-stats",
+  docs: "https://iexcloud.io/docs/api/#advanced-stats",
+});
 
 /**
  * Pulls data from the last four months.
@@ -52,19 +102,12 @@ Client.prototype.advancedStats = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const analystRecommendations = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/recommendation-trends`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.analystRecommendations = function (symbol, filter) {
-  return analystRecommendations(symbol, this._token, this._version, filter);
-};
+export const analystRecommendations = _endpoint({
+  name: "analystRecommendations",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/recommendation-trends",
+  docs: "https://iexcloud.io/docs/api/#analyst-recommendations",
+});
 
 /**
  * Provides the latest consensus estimate for the next fiscal period
@@ -78,22 +121,18 @@ Client.prototype.analystRecommendations = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const estimates = (symbol, period, last, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  _checkPeriodLast(period || "quarter", last || 1);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/estimates?period=${
-      period || "quarter"
-    }&last=${last || 1}`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.estimates = function (symbol, period, last, filter) {
-  return estimates(symbol, period, last, this._token, this._version, filter);
-};
+export const estimates = _endpoint({
+  name: "estimates",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "period", default: "quarter" },
+    { name: "last", type: "number", default: 1 },
+  ],
+  validate: ({ period, last }) => _checkPeriodLast(period, last),
+  url: "stock/{symbol}/estimates",
+  query: ["period", "last"],
+  docs: "https://iexcloud.io/docs/api/#estimates",
+});
 
 /**
  * Returns the top 10 fund holders, meaning any firm not defined as buy-side or sell-side such as mutual funds,
@@ -106,19 +145,12 @@ Client.prototype.estimates = function (symbol, period, last, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const fundOwnership = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/fund-ownership`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.fundOwnership = function (symbol, filter) {
-  return fundOwnership(symbol, this._token, this._version, filter);
-};
+export const fundOwnership = _endpoint({
+  name: "fundOwnership",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/fund-ownership",
+  docs: "https://iexcloud.io/docs/api/#fund-ownership",
+});
 
 /**
  * Returns the top 10 institutional holders, defined as buy-side or sell-side firms.
@@ -130,19 +162,12 @@ Client.prototype.fundOwnership = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const institutionalOwnership = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/institutional-ownership`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.institutionalOwnership = function (symbol, filter) {
-  return institutionalOwnership(symbol, this._token, this._version, filter);
-};
+export const institutionalOwnership = _endpoint({
+  name: "institutionalOwnership",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/institutional-ownership",
+  docs: "https://iexcloud.io/docs/api/#institutional-ownership",
+});
 
 /**
  * Key Stats about company
@@ -155,30 +180,17 @@ Client.prototype.institutionalOwnership = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const keyStats = (symbol, stat, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (stat) {
-    if (_KEY_STATS.indexOf(stat) < 0) {
-      throw new IEXJSException(`Stat must be in ${_KEY_STATS}`);
+export const keyStats = _endpoint({
+  name: "keyStats",
+  args: [{ name: "symbol", type: "symbol" }, "stat"],
+  validate: ({ stat }) => {
+    if (stat && _KEY_STATS.indexOf(stat) < 0) {
+      throw new ValidationError(`Stat must be in ${_KEY_STATS}`);
     }
-    return _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/stats/${stat}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/stats`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.keyStats = function (symbol, stat, filter) {
-  return keyStats(symbol, stat, this._token, this._version, filter);
-};
+  },
+  url: "stock/{symbol}/stats/{stat?}",
+  docs: "https://iexcloud.io/docs/api/#key-stats",
+});
 
 /**
  * Provides the latest avg, high, and low analyst price target for a symbol.
@@ -190,19 +202,12 @@ Client.prototype.keyStats = function (symbol, stat, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const priceTarget = (symbol, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/price-target`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.priceTarget = function (symbol, filter) {
-  return priceTarget(symbol, this._token, this._version, filter);
-};
+export const priceTarget = _endpoint({
+  name: "priceTarget",
+  args: [{ name: "symbol", type: "symbol" }],
+  url: "stock/{symbol}/price-target",
+  docs: "https://iexcloud.io/docs/api/#price-target",
+});
 
 /**
  * Technical indicators are available for any historical or intraday range.
@@ -325,179 +330,34 @@ Client.prototype.priceTarget = function (symbol, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const technicals = (
-  symbol,
-  indicator,
-  range,
-  inputs,
-  token,
-  version,
-  filter,
-) => {
-  _raiseIfNotStr(symbol);
-  if (_INDICATORS.indexOf(indicator) < 0) {
-    throw new IEXJSException("Indicator not recognized");
-  }
-  if (range !== "1d") {
-    if (_TIMEFRAME_CHART.indexOf(range) < 0) {
-      throw new IEXJSException("Range not recognized");
-    }
-  }
-
-  let base_url = `stock/${symbol}/indicator/${indicator}?range=${
-    range || "1m"
-  }`;
-
-  if (
-    [
-      "abs",
-      "acos",
-      "ad",
-      "add",
-      "ao",
-      "asin",
-      "atan",
-      "avgprice",
-      "bop",
-      "ceil",
-      "cos",
-      "cosh",
-      "crossany",
-      "crossover",
-      "div",
-      "emv",
-      "exp",
-      "floor",
-      "ln",
-      "log10",
-      "marketfi",
-      "medprice",
-      "mul",
-      "nvi",
-      "obv",
-      "pvi",
-      "round",
-      "sin",
-      "sinh",
-      "sqrt",
-      "sub",
-      "tan",
-      "tanh",
-      "todeg",
-      "torad",
-      "tr",
-      "trunc",
-      "typprice",
-      "wad",
-      "wcprice",
-      "willr",
-    ].indexOf(indicator) >= 0
-  ) {
-    if (inputs) {
-      throw IEXJSException("Indicator takes no arguments");
+export const technicals = _endpoint({
+  name: "technicals",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "indicator", values: _INDICATORS },
+    { name: "range", default: "1m", values: _TIMEFRAME_CHART },
+    { name: "inputs", type: "object", default: [] },
+  ],
+  validate: ({ indicator, inputs }) => {
+    if (!indicator) throw new ValidationError("Indicator not recognized");
+    const count = _indicatorInputs(indicator);
+    if (inputs.slice(count).some((input) => !_missingInput(input))) {
+      throw new ValidationError(
+        count
+          ? `Indicator takes at most ${count} argument${count > 1 ? "s" : ""}`
+          : "Indicator takes no arguments",
+      );
     }
-  }
-  if (
-    [
-      "aroon",
-      "aroonosc",
-      "atr",
-      "adx",
-      "adxr",
-      "cci",
-      "cmo",
-      "cvi",
-      "decay",
-      "dema",
-      "di",
-      "dm",
-      "dpo",
-      "dx",
-      "edecay",
-      "ema",
-      "fisher",
-      "fosc",
-      "hma",
-      "kama",
-      "lag",
-      "linreg",
-      "linregintercept",
-      "linregslope",
-      "mass",
-      "max",
-      "md",
-      "mfi",
-      "min",
-      "mom",
-      "msw",
-      "natr",
-      "qstick",
-      "roc",
-      "rocr",
-      "rsi",
-      "sma",
-      "stddev",
-      "stderr",
-      "stochrsi",
-      "sum",
-      "tema",
-      "trima",
-      "trix",
-      "tsf",
-      "var",
-      "vhf",
-      "volatility",
-      "vwma",
-      "wilders",
-      "wma",
-      "zlema",
-    ].indexOf(indicator)
-  ) {
-    const [input1, input2, input3, input4] = inputs;
-    if (input2 || input3 || input4) {
-      throw IEXJSException("Indicator takes at most 1 argument");
-    }
-    base_url += `&input1=${input1 || ""}`;
-  }
-
-  if (
-    ["adosc", "apo", "bbands", "kvo", "ppo", "psar", "vosc"].indexOf(indicator)
-  ) {
-    const [input1, input2, input3, input4] = inputs;
-    if (input3 || input4) {
-      throw IEXJSException("Indicator takes at most 2 argument");
-    }
-    base_url += `&input1=${input1 || ""}`;
-    base_url += `&input2=${input2 || ""}`;
-  }
-
-  if (["macd", "stoch", "ultosc", "vidya"].indexOf(indicator)) {
-    const [input1, input2, input3, input4] = inputs;
-    if (input4) {
-      throw IEXJSException("Indicator takes at most 3 argument");
-    }
-    base_url += `&input1=${input1 || ""}`;
-    base_url += `&input2=${input2 || ""}`;
-    base_url += `&input2=${input3 || ""}`;
-  }
-
-  return _getJson(base_url, token, version, filter);
-};
-
-Client.prototype.technicals = function (
-  symbol,
-  indicator,
-  range,
-  inputs,
-  filter,
-) {
-  return technicals(
-    symbol,
-    indicator,
-    range,
-    inputs,
-    this._token,
-    this._version,
-    filter,
-  );
-};
+  },
+  url: ({ indicator, inputs }) =>
+    inputs
+      .slice(0, _indicatorInputs(indicator))
+      .reduce(
+        (route, input, index) =>
+          _missingInput(input)
+            ? route
+            : `${route}&input${index + 1}=${encodeURIComponent(input)}`,
+        "stock/{symbol}/indicator/{indicator}?range={range}",
+      ),
+  docs: "https://iexcloud.io/docs/api/#technical-indicators",
+});
@@ -7,8 +7,7 @@
  *
  */
 
-import { _getJson, _raiseIfNotStr, _quoteSymbols, _strOrDate } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * The following are IEX-listed securities that have an aggregate fail to deliver position for five consecutive settlement days at a registered clearing agency, totaling 10,000 shares or more and equal to at least 0.5% of the issuer’s total shares outstanding (i.e., “threshold securities”).
@@ -21,26 +20,13 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const threshold = (date, token, version, filter) => {
-  if (date) {
-    return _getJson({
-      url: `stock/market/threshold-securities/${_strOrDate(date)}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stock/market/threshold-securities`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.threshold = function (date, filter) {
-  return threshold(date, this._token, this._version, filter);
-};
+export const threshold = _endpoint({
+  name: "threshold",
+  args: [{ name: "date", type: "date" }],
+  url: "stock/market/threshold-securities/{date?}",
+  docs:
+    "https://iexcloud.io/docs/api/#listed-regulation-sho-threshold-securities-list-in-dev",
+});
 
 /**
  * The consolidated market short interest positions in all IEX-listed securities are included in the IEX Short Interest Report.
@@ -53,24 +39,12 @@ Client.prototype.threshold = function (date, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const shortInterest = (symbol, date, token, version, filter) => {
-  _raiseIfNotStr(symbol);
-  if (date) {
-    return _getJson({
-      url: `stock/${_quoteSymbols(symbol)}/short-interest/${_strOrDate(date)}`,
-      token,
-      version,
-      filter,
-    });
-  }
-  return _getJson({
-    url: `stock/${_quoteSymbols(symbol)}/short-interest`,
-    token,
-    version,
-    filter,
-  });
-};
-
-Client.prototype.shortInterest = function (symbol, date, filter) {
-  return shortInterest(symbol, date, this._token, this._version, filter);
-};
+export const shortInterest = _endpoint({
+  name: "shortInterest",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "date", type: "date" },
+  ],
+  url: "stock/{symbol}/short-interest/{date?}",
+  docs: "https://iexcloud.io/docs/api/#listed-short-interest-list-in-dev",
+});
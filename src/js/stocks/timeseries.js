@@ -7,7 +7,7 @@
  *
  */
 import { _getJson, _dateRange, _quoteSymbols, _strOrDate } from "../common";
-import { Client } from "../client";
+import { _endpoint } from "../registry";
 
 /**
  * Get inventory of available time series endpoints
@@ -16,18 +16,68 @@ import { Client } from "../client";
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const timeSeriesInventory = (token, version, filter) =>
-  _getJson({
-    url: `time-series`,
+export const timeSeriesInventory = _endpoint({
+  name: "timeSeriesInventory",
+  url: "time-series",
+  docs: "https://iexcloud.io/docs/api/#time-series",
+});
+
+/**
+ * Request a time series, see `timeSeries`
+ * @param {object} options
+ * @param {string} token Access token
+ * @param {string} version API version
+ * @param {string} filter https://iexcloud.io/docs/api/#filter-results
+ */
+const _timeSeries = (options, token, version, filter) => {
+  const {
+    id = "",
+    key = "",
+    subkey = "",
+    range = "",
+    // calendar = false,
+    limit = 1,
+    subattribute = "",
+    dateField = "",
+    from = "",
+    to = "",
+    on = "",
+    last = 0,
+    first = 0,
+  } = options;
+
+  if (!id) return timeSeriesInventory(token, version, filter);
+
+  let base_url = `time-series/${id}`;
+  if (key) base_url += `/${_quoteSymbols(key)}`;
+  if (subkey) base_url += `/${_quoteSymbols(subkey)}`;
+
+  base_url += "?";
+
+  if (range) base_url += `range=${_dateRange(range)}&`;
+
+  // TODO https://github.com/timkpaine/pyEX/issues/164
+  // base_url += "calendar={}&".format(str(calendar))
+
+  if (!last) base_url += `limit=${limit}&`;
+  if (subattribute) base_url += `subattribute=${subattribute}&`;
+  if (dateField) base_url += `dateField=${dateField}&`;
+  if (from) base_url += `from=${_strOrDate(from)}&`;
+  if (to) base_url += `to=${_strOrDate(to)}&`;
+  if (on) base_url += `on=${_strOrDate(on)}&`;
+  if (last) base_url += `last=${last}&`;
+  if (first) base_url += `first=${first}&`;
+
+  // TODO
+  // if extra_params:
+  //     base_url += "&".join("{}={}".format(k, v) for k, v in extra_params.items())
+  return _getJson({
+    url: base_url,
     token,
     version,
     filter,
   });
-
-Client.prototype.timeSeriesInventory = function (filter) {
-  return timeSeriesInventory(this._token, this._version, filter);
 };
-
 /**
  * Time series is the most common type of data available, and consists of a collection of data points over a period of time. Time series data is indexed by a single date field, and can be retrieved by any portion of time.
  *
@@ -93,59 +143,45 @@ Client.prototype.timeSeriesInventory = function (filter) {
  *     | next-quarter | Calendar data for next quarter. Requires calendar=true                                                                                     |
  *     +--------------+--------------------------------------------------------------------------------------------------------------------------------------------+
  */
-export const timeSeries = (options, token, version, filter) => {
-  const {
-    id = "",
-    key = "",
-    subkey = "",
-    range = "",
-    // calendar = false,
-    limit = 1,
-    subattribute = "",
-    dateField = "",
-    from = "",
-    to = "",
-    on = "",
-    last = 0,
-    first = 0,
-  } = options;
-
-  if (!id) return timeSeriesInventory(token, version, filter);
-
-  let base_url = `time-series/${id}`;
-  if (key) base_url += `/${_quoteSymbols(key)}`;
-  if (subkey) base_url += `/${_quoteSymbols(subkey)}`;
-
-  base_url += "?";
-
-  if (range) base_url += `range=${_dateRange(range)}&`;
-
-  // TODO https://github.com/timkpaine/pyEX/issues/164
-  // base_url += "calendar={}&".format(str(calendar))
+export const timeSeries = _endpoint({
+  name: "timeSeries",
+  args: [{ name: "options", type: "object", default: {} }],
+  run: ({ options }, token, version, filter) =>
+    _timeSeries(options, token, version, filter),
+  docs: "https://iexcloud.io/docs/api/#time-series",
+});
 
-  if (!last) base_url += `limit=${limit}&`;
-  if (subattribute) base_url += `subattribute=${subattribute}&`;
-  if (dateField) base_url += `dateField=${dateField}&`;
-  if (from) base_url += `from=${_strOrDate(from)}&`;
-  if (to) base_url += `to=${_strOrDate(to)}&`;
-  if (on) base_url += `on=${_strOrDate(on)}&`;
-  if (last) base_url += `last=${last}&`;
-  if (first) base_url += `first=${first}&`;
-
-  // TODO
-  // if extra_params:
-  //     base_url += "&".join("{}={}".format(k, v) for k, v in extra_params.items())
-  return _getJson({
-    url: base_url,
-    token,
-    version,
-    filter,
+/**
+ * Define an endpoint for a time series dataset keyed by symbol, e.g. a
+ * premium dataset. It takes the symbol, then after `filter` an object of
+ * further `timeSeries` options.
+ * @param {string} name function and Client method name
+ * @param {string} id time series dataset
+ * @param {string} subkey fixed subkey within the dataset, if any
+ * @param {string} docs IEX Cloud documentation url
+ * @returns {function} the standalone function, `(symbol, token, version, filter, options)`
+ */
+export const _timeSeriesEndpoint = (name, id, subkey, docs) =>
+  _endpoint({
+    name,
+    args: [
+      { name: "symbol", type: "symbol", optional: true },
+      { name: "options", type: "object", default: {}, trailing: true },
+    ],
+    run: ({ symbol, options }, token, version, filter) =>
+      _timeSeries(
+        {
+          ...options,
+          id,
+          key: symbol || options.key,
+          subkey: subkey || options.subkey,
+        },
+        token,
+        version,
+        filter,
+      ),
+    docs,
   });
-};
-
-Client.prototype.timeSeries = function (options, filter) {
-  return timeSeries(options, this._token, this._version, filter);
-};
 
 /**
  * Get company's 10-Q statement
@@ -156,22 +192,21 @@ Client.prototype.timeSeries = function (options, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const tenQ = (symbol, options, token, version, filter) =>
-  timeSeries(
-    {
-      id: "REPORTED_FINANCIALS",
-      key: symbol,
-      subkey: "10-Q",
-      ...options,
-    },
-    token,
-    version,
-    filter,
-  );
-
-Client.prototype.tenQ = function (options, filter) {
-  return tenQ(options, this._token, this._version, filter);
-};
+export const tenQ = _endpoint({
+  name: "tenQ",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "options", type: "object", default: {} },
+  ],
+  run: ({ symbol, options }, token, version, filter) =>
+    _timeSeries(
+      { id: "REPORTED_FINANCIALS", key: symbol, subkey: "10-Q", ...options },
+      token,
+      version,
+      filter,
+    ),
+  docs: "https://iexcloud.io/docs/api/#time-series",
+});
 
 /**
  * Get company's 10-K statement
@@ -182,19 +217,18 @@ Client.prototype.tenQ = function (options, filter) {
  * @param {string} version API version
  * @param {string} filter https://iexcloud.io/docs/api/#filter-results
  */
-export const tenK = (symbol, options, token, version, filter) =>
-  timeSeries(
-    {
-      id: "REPORTED_FINANCIALS",
-      key: symbol,
-      subkey: "10-K",
-      ...options,
-    },
-    token,
-    version,
-    filter,
-  );
-
-Client.prototype.tenQ = function (options, filter) {
-  return tenQ(options, this._token, this._version, filter);
-};
+export const tenK = _endpoint({
+  name: "tenK",
+  args: [
+    { name: "symbol", type: "symbol" },
+    { name: "options", type: "object", default: {} },
+  ],
+  run: ({ symbol, options }, token, version, filter) =>
+    _timeSeries(
+      { id: "REPORTED_FINANCIALS", key: symbol, subkey: "10-K", ...options },
+      token,
+      version,
+      filter,
+    ),
+  docs: "https://iexcloud.io/docs/api/#time-series",
+});
@@ -0,0 +1,291 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const http = require("http");
+const net = require("net");
+const { PassThrough } = require("stream");
+
+const {
+  Client,
+  FetchEventSource,
+  NetworkError,
+  ValidationError,
+  _agentFor,
+  _noProxy,
+  _proxyFromEnv,
+} = require("../src/js");
+
+const PROXY_VARIABLES = [
+  "HTTPS_PROXY",
+  "https_proxy",
+  "HTTP_PROXY",
+  "http_proxy",
+  "NO_PROXY",
+  "no_proxy",
+];
+
+const listen = (server) =>
+  new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}/`),
+    );
+  });
+
+const close = (server) =>
+  new Promise((resolve) => {
+    if (server.closeAllConnections) server.closeAllConnections();
+    server.close(() => resolve());
+  });
+
+// serves a quote over REST, and over SSE on /v1/stocksUSNoUTP
+const targetServer = () =>
+  http.createServer((req, res) => {
+    if (req.url.startsWith("/v1/stocksUSNoUTP")) {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write('data: [{"symbol":"AAPL"}]\n\n');
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ symbol: "AAPL" }));
+  });
+
+// CONNECT proxy recording the targets it tunnels to
+const proxyServer = (tunnelled, status = 200) => {
+  const server = http.createServer();
+  server.on("connect", (req, socket) => {
+    tunnelled.push(req.url);
+    if (status !== 200) {
+      socket.end(`HTTP/1.1 ${status} Denied\r\n\r\n`);
+      return;
+    }
+    const [host, port] = req.url.split(":");
+    const upstream = net.connect(Number(port), host, () => {
+      socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on("error", () => socket.destroy());
+    socket.on("error", () => upstream.destroy());
+  });
+  return server;
+};
+
+describe("Proxy settings", () => {
+  const saved = {};
+
+  beforeEach(() => {
+    PROXY_VARIABLES.forEach((name) => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    PROXY_VARIABLES.forEach((name) => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  });
+
+  test("NO_PROXY matches hosts, suffixes and ports", () => {
+    const url = new URL("https://cloud.iexapis.com/v1/");
+    expect(_noProxy(url, "")).toBe(false);
+    expect(_noProxy(url, "*")).toBe(true);
+    expect(_noProxy(url, "localhost, cloud.iexapis.com")).toBe(true);
+    expect(_noProxy(url, ".iexapis.com")).toBe(true);
+    expect(_noProxy(url, "iexapis.com:443")).toBe(true);
+    expect(_noProxy(url, "iexapis.com:8443")).toBe(false);
+    expect(_noProxy(url, "example.com,apis.com")).toBe(false);
+  });
+
+  test("Proxies come from the environment", () => {
+    const secure = new URL("https://cloud.iexapis.com/v1/");
+    const plain = new URL("http://localhost:8080/");
+    expect(_proxyFromEnv(secure)).toBe(null);
+
+    process.env.http_proxy = "http://plain:3128";
+    expect(_proxyFromEnv(secure)).toBe("http://plain:3128");
+    process.env.HTTPS_PROXY = "http://secure:3128";
+    expect(_proxyFromEnv(secure)).toBe("http://secure:3128");
+    expect(_proxyFromEnv(plain)).toBe("http://plain:3128");
+
+    process.env.NO_PROXY = "localhost";
+    expect(_proxyFromEnv(plain)).toBe(null);
+    expect(_proxyFromEnv(secure)).toBe("http://secure:3128");
+  });
+
+  test("Agents are made by default, marked implicit", () => {
+    const url = new URL("https://cloud.iexapis.com/v1/");
+    const defaults = _agentFor({});
+    expect(defaults.implicit).toBe(true);
+    expect(defaults(url).keepAlive).toBe(true);
+    expect(defaults(url).proxy).toBeUndefined();
+    expect(new Client({ api_token: "pk_test" })._context.agent.implicit).toBe(
+      true,
+    );
+
+    process.env.HTTPS_PROXY = "http://secure:3128";
+    expect(_agentFor({ proxy: false }).implicit).toBe(true);
+
+    const agents = _agentFor({});
+    expect(agents.implicit).toBe(false);
+    expect(agents(url).proxy.host).toBe("secure:3128");
+    expect(agents(url)).toBe(agents(new URL("https://other.com/")));
+    expect(agents(new URL("http://other.com/")).proxy).toBeUndefined();
+
+    const agent = new http.Agent();
+    expect(_agentFor({ agent })(url)).toBe(agent);
+    expect(() => _agentFor({ agent: "agent" })).toThrow(ValidationError);
+    expect(() => _agentFor({ proxy: "not a url" })).toThrow(ValidationError);
+    expect(() => new Client({ api_token: "pk_test", proxy: "nope" })).toThrow(
+      ValidationError,
+    );
+  });
+
+  test("Agents keep connections alive and trust the given CAs", () => {
+    const url = new URL("https://cloud.iexapis.com/v1/");
+    expect(_agentFor({ ca: "certificate" })(url).options).toMatchObject({
+      keepAlive: true,
+      ca: "certificate",
+    });
+    expect(_agentFor({ keepAlive: false })(url).keepAlive).toBe(false);
+  });
+});
+
+describe("Proxied requests", () => {
+  let target = null;
+  let proxy = null;
+  let tunnelled = null;
+  let urls = {};
+
+  beforeEach(async () => {
+    tunnelled = [];
+    target = targetServer();
+    proxy = proxyServer(tunnelled);
+    urls = { target: await listen(target), proxy: await listen(proxy) };
+  });
+
+  afterEach(async () => {
+    await close(target);
+    await close(proxy);
+  });
+
+  const client = (options) =>
+    new Client({
+      api_token: "pk_test",
+      baseUrl: urls.target,
+      sseUrl: urls.target,
+      keepAlive: false,
+      ...options,
+    });
+
+  test("REST requests go through the proxy", async () => {
+    const quote = await client({ proxy: urls.proxy }).quote("AAPL");
+    expect(quote).toEqual({ symbol: "AAPL" });
+    expect(tunnelled).toEqual([new URL(urls.target).host]);
+  });
+
+  test("NO_PROXY hosts skip the proxy", async () => {
+    const saved = process.env.NO_PROXY;
+    process.env.NO_PROXY = "127.0.0.1";
+    try {
+      await client({ proxy: urls.proxy }).quote("AAPL");
+      expect(tunnelled).toEqual([]);
+    } finally {
+      if (saved === undefined) delete process.env.NO_PROXY;
+      else process.env.NO_PROXY = saved;
+    }
+  });
+
+  test("Refused tunnels fail with a NetworkError", async () => {
+    const refusing = proxyServer([], 407);
+    const url = await listen(refusing);
+    try {
+      await expect(client({ proxy: url }).quote("AAPL")).rejects.toThrow(
+        NetworkError,
+      );
+    } finally {
+      await close(refusing);
+    }
+  });
+
+  test("Streams go through the proxy", async () => {
+    let stream = null;
+    try {
+      const received = await new Promise((resolve) => {
+        stream = client({ proxy: urls.proxy }).stocksUSNoUTPSSE(
+          "AAPL",
+          resolve,
+        );
+      });
+      expect(stream.source).toBeInstanceOf(FetchEventSource);
+      expect(received).toEqual([{ symbol: "AAPL" }]);
+      expect(tunnelled).toEqual([new URL(urls.target).host]);
+    } finally {
+      if (stream) stream.close();
+    }
+  });
+});
+
+describe("FetchEventSource", () => {
+  test("Parses events and reconnects with the last id", async () => {
+    const bodies = [new PassThrough(), new PassThrough()];
+    const transport = jest.fn(async () => ({
+      status: 200,
+      body: bodies[transport.mock.calls.length - 1],
+    }));
+    const source = new FetchEventSource("https://example.com/stream", {
+      transport,
+      reconnectInterval: 0,
+    });
+    const messages = [];
+    const named = [];
+    source.onmessage = (event) => messages.push(event.data);
+    source.addEventListener("quote", (event) => named.push(event.data));
+    try {
+      await new Promise((resolve) => {
+        source.onopen = resolve;
+      });
+      expect(source.readyState).toBe(FetchEventSource.OPEN);
+
+      bodies[0].write(": comment\nid: 7\ndata: a\ndata: b\n\n");
+      bodies[0].write("event: quote\ndata: {}\r\n\r\n");
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(messages).toEqual(["a\nb"]);
+      expect(named).toEqual(["{}"]);
+
+      const reopened = new Promise((resolve) => {
+        source.onopen = resolve;
+      });
+      bodies[0].end();
+      await reopened;
+      expect(transport.mock.calls[1][1].headers["Last-Event-ID"]).toBe("7");
+    } finally {
+      source.close();
+    }
+    expect(source.readyState).toBe(FetchEventSource.CLOSED);
+  });
+
+  test("Closes on client errors", async () => {
+    const transport = jest.fn(async () => ({
+      status: 401,
+      statusText: "Unauthorized",
+    }));
+    const source = new FetchEventSource("https://example.com/stream", {
+      transport,
+    });
+    const error = await new Promise((resolve) => {
+      source.onerror = resolve;
+    });
+    expect(error.status).toBe(401);
+    expect(source.readyState).toBe(FetchEventSource.CLOSED);
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+});
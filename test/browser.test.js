@@ -0,0 +1,166 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef, global-require */
+
+const pkg = require("../package.json");
+const { fakeTransport, response } = require("./fakes");
+
+// the modules `browser` in package.json maps to empty ones
+const NODE_ONLY = Object.keys(pkg.browser).filter(
+  (name) => pkg.browser[name] === false,
+);
+
+class NativeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.listeners = [];
+    this.closed = false;
+    NativeEventSource.opened.push(url);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push([type, listener]);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+// load the library as browser builds see it: Node-only modules empty, and
+// the browser's own fetch and EventSource
+const loadInBrowser = () => {
+  let iex;
+  jest.isolateModules(() => {
+    NODE_ONLY.forEach((name) => jest.doMock(name, () => ({})));
+    iex = require("../src/js");
+  });
+  return iex;
+};
+
+describe("Browsers", () => {
+  const { fetch } = global;
+
+  beforeEach(() => {
+    NativeEventSource.opened = [];
+    global.document = {};
+    global.fetch = fakeTransport(() => response(200, { symbol: "AAPL" }));
+    global.EventSource = NativeEventSource;
+  });
+
+  afterEach(() => {
+    delete global.document;
+    delete global.EventSource;
+    global.fetch = fetch;
+    NODE_ONLY.forEach((name) => jest.dontMock(name));
+  });
+
+  test("Every Node-only module is mapped for browser builds", () => {
+    expect(NODE_ONLY.sort()).toEqual(
+      [
+        "cross-fetch",
+        "crypto",
+        "eventsource",
+        "fs",
+        "http",
+        "https",
+        "os",
+        "path",
+        "tls",
+        "util",
+      ].sort(),
+    );
+  });
+
+  test("REST requests use the native fetch", async () => {
+    const { Client } = loadInBrowser();
+    const client = new Client({ api_token: "pk_test", version: "stable" });
+    await expect(client.stocks.quote("AAPL")).resolves.toEqual({
+      symbol: "AAPL",
+    });
+    expect(global.fetch.mock.calls[0][0]).toBe(
+      "https://cloud.iexapis.com/stable/stock/AAPL/quote?token=pk_test",
+    );
+  });
+
+  test("Streams use the native EventSource", () => {
+    const { Client } = loadInBrowser();
+    const client = new Client({ api_token: "pk_test", version: "stable" });
+    const stream = client.streams.stocksUS("AAPL", () => {});
+    expect(stream.source).toBeInstanceOf(NativeEventSource);
+    expect(stream.url).toBe(
+      "https://cloud-sse.iexapis.com/stable/stocksUS?symbols=AAPL&token=REDACTED",
+    );
+    expect(NativeEventSource.opened).toEqual([
+      "https://cloud-sse.iexapis.com/stable/stocksUS?symbols=AAPL&token=pk_test",
+    ]);
+  });
+
+  test("Credentials skip the profiles file", () => {
+    const { Client, _IEXRC, _resolveCredentials } = loadInBrowser();
+    expect(_IEXRC()).toBe(null);
+    expect(_resolveCredentials({ version: "stable" }).token).toBe(null);
+    expect(() => new Client({ api_token: "pk_test" })).not.toThrow();
+  });
+
+  test("Secret tokens are warned about", () => {
+    const { Client } = loadInBrowser();
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      // eslint-disable-next-line no-new
+      new Client({ api_token: "pk_test" });
+      expect(warn).not.toHaveBeenCalled();
+      // eslint-disable-next-line no-new
+      new Client({ api_token: "pk_test", secret_token: "sk_test" });
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatch(/secret tokens are visible/);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test("Node networking options are refused", () => {
+    const { Client, ValidationError } = loadInBrowser();
+    expect(
+      () => new Client({ api_token: "pk_test", proxy: "http://proxy:8080" }),
+    ).toThrow(ValidationError);
+    expect(
+      () => new Client({ api_token: "pk_test", keepAlive: false }),
+    ).toThrow(ValidationError);
+    expect(() => new Client({ api_token: "pk_test", cache: "disk" })).toThrow(
+      ValidationError,
+    );
+  });
+});
+
+describe("Node", () => {
+  test("REST requests use cross-fetch over a global fetch", async () => {
+    const native = jest.fn();
+    const crossFetch = fakeTransport(() => response(200, { symbol: "AAPL" }));
+    const saved = global.fetch;
+    global.fetch = native;
+    try {
+      let iex;
+      jest.isolateModules(() => {
+        jest.doMock("cross-fetch", () => crossFetch);
+        iex = require("../src/js");
+      });
+      const client = new iex.Client({
+        api_token: "pk_test",
+        version: "stable",
+      });
+      await client.stocks.quote("AAPL");
+      expect(crossFetch).toHaveBeenCalledTimes(1);
+      expect(native).not.toHaveBeenCalled();
+    } finally {
+      global.fetch = saved;
+      jest.dontMock("cross-fetch");
+    }
+  });
+});
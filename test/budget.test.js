@@ -0,0 +1,288 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const {
+  Client,
+  MessageBudgetExceededError,
+  MessageBudgetGuard,
+} = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+// charges `messages` per call, answering account endpoints from `account`
+const meteredTransport = (messages, account = {}) =>
+  fakeTransport((url) => {
+    const route = Object.keys(account).find((r) => url.indexOf(r) >= 0);
+    return route
+      ? response(200, account[route])
+      : response(200, {}, { "iexcloud-messages-used": messages });
+  });
+
+const flush = async () => {
+  for (let i = 0; i < 20; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await Promise.resolve();
+  }
+};
+
+describe("Message budget", () => {
+  test("Hard stop", async () => {
+    const transport = meteredTransport(2);
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      budget: { daily: 5, onWarning: () => {} },
+    });
+
+    await client.quote("AAPL");
+    await client.quote("MSFT");
+    const error = await client.quote("IBM").catch((e) => e);
+    expect(error).toBeInstanceOf(MessageBudgetExceededError);
+    expect(error.message).toBe(
+      "Message budget exceeded: 4 of 5 daily messages used",
+    );
+    expect(transport).toHaveBeenCalledTimes(2);
+    expect(client.budgetStatus()).toEqual({
+      daily: { used: 4, limit: 5 },
+      monthly: { used: 4, limit: null },
+    });
+  });
+
+  test("Concurrent calls can't all pass the hard stop", async () => {
+    const transport = meteredTransport(1);
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      budget: { daily: 3, onWarning: () => {} },
+    });
+
+    const results = await Promise.all(
+      ["AAPL", "MSFT", "IBM", "GOOG", "AMZN"].map((symbol) =>
+        client.quote(symbol).catch((e) => e),
+      ),
+    );
+    const refused = results.filter(
+      (result) => result instanceof MessageBudgetExceededError,
+    );
+    expect(refused).toHaveLength(2);
+    expect(transport).toHaveBeenCalledTimes(3);
+    expect(client.budgetStatus().daily.used).toBe(3);
+  });
+
+  test("Failed calls give their reservation back", async () => {
+    const budget = new MessageBudgetGuard({ daily: 1 });
+    const reservation = await budget.admit("stock/quote");
+    await expect(budget.admit("stock/quote")).rejects.toThrow(
+      "Message budget exceeded",
+    );
+    budget.release(reservation);
+    budget.record("stock/quote", 1, await budget.admit("stock/quote"));
+    expect(budget.status().daily.used).toBe(1);
+    await expect(budget.admit("stock/quote")).rejects.toThrow(
+      "Message budget exceeded",
+    );
+  });
+
+  test("Soft warning once per period", async () => {
+    const onWarning = jest.fn();
+    const client = new Client({
+      api_token: "pk_test",
+      transport: meteredTransport(3),
+      budget: { monthly: 10, warnAt: 0.5, stopAt: 2, onWarning },
+    });
+
+    await client.quote("AAPL");
+    expect(onWarning).not.toHaveBeenCalled();
+    await client.quote("AAPL");
+    await client.quote("AAPL");
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(onWarning).toHaveBeenCalledWith({
+      period: "monthly",
+      used: 6,
+      limit: 10,
+      message: "iexjs: 6 of 10 monthly messages used",
+    });
+
+    // past the ceiling but short of stopAt
+    await client.quote("AAPL");
+    expect(client.budgetStatus().monthly.used).toBe(12);
+  });
+
+  test("Shared between clients", async () => {
+    const budget = new MessageBudgetGuard({ daily: 1 });
+    const transport = meteredTransport(1);
+    const a = new Client({ api_token: "pk_test", transport, budget });
+    const b = new Client({ api_token: "pk_test", transport, budget });
+
+    await a.quote("AAPL");
+    await expect(b.quote("AAPL")).rejects.toThrow("Message budget exceeded");
+  });
+
+  test("Cache hits are free", async () => {
+    const transport = meteredTransport(1);
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      cache: true,
+      budget: { daily: 1 },
+    });
+    await client.company("AAPL");
+    await client.company("AAPL");
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  describe("Deferral", () => {
+    beforeEach(() => {
+      jest.useFakeTimers("modern");
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("Held until the period rolls over", async () => {
+      jest.setSystemTime(new Date("2021-10-15T23:59:59Z"));
+      const transport = meteredTransport(1);
+      const client = new Client({
+        api_token: "pk_test",
+        transport,
+        budget: { daily: 1, mode: "defer" },
+      });
+
+      await client.quote("AAPL");
+      let done = false;
+      const deferred = client.quote("AAPL").then(() => {
+        done = true;
+      });
+      await flush();
+      expect(done).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+      await deferred;
+      expect(transport).toHaveBeenCalledTimes(2);
+      expect(client.budgetStatus().daily.used).toBe(1);
+    });
+
+    test("Held for longer than a timer can wait", async () => {
+      jest.setSystemTime(new Date("2021-10-02T00:00:00Z"));
+      const setTimeout = jest.spyOn(global, "setTimeout");
+      try {
+        const transport = meteredTransport(1);
+        const client = new Client({
+          api_token: "pk_test",
+          transport,
+          budget: { monthly: 1, mode: "defer", onWarning: () => {} },
+        });
+
+        await client.quote("AAPL");
+        let done = false;
+        const deferred = client.quote("AAPL").then(() => {
+          done = true;
+        });
+        await flush();
+        const delays = setTimeout.mock.calls.map(([, delay]) => delay);
+        expect(Math.max(...delays)).toBe(2 ** 31 - 1);
+
+        // wakes up after about 24.8 days, then waits out the month
+        jest.advanceTimersByTime(2 ** 31 - 1);
+        await flush();
+        expect(done).toBe(false);
+        expect(jest.getTimerCount()).toBe(1);
+
+        jest.setSystemTime(new Date("2021-11-01T00:00:00Z"));
+        jest.runOnlyPendingTimers();
+        await deferred;
+        expect(transport).toHaveBeenCalledTimes(2);
+      } finally {
+        setTimeout.mockRestore();
+      }
+    });
+
+    test("Cancelled by timeout", async () => {
+      jest.setSystemTime(new Date("2021-10-15T12:00:00Z"));
+      const transport = meteredTransport(1);
+      const client = new Client({
+        api_token: "pk_test",
+        transport,
+        budget: { daily: 1, mode: "defer" },
+      });
+
+      await client.quote("AAPL");
+      const deferred = client
+        .withOptions({ timeout: 100 })
+        .quote("AAPL")
+        .catch((e) => e);
+      await flush();
+      jest.advanceTimersByTime(100);
+      expect((await deferred).name).toBe("TimeoutError");
+      expect(transport).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test("Syncs from account usage", async () => {
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const transport = meteredTransport(1, {
+      "account/usage/messages": {
+        monthlyUsage: 999,
+        dailyUsage: { [today]: 40 },
+      },
+      "account/metadata": { messageLimit: 1000 },
+    });
+    const client = new Client({
+      api_token: "sk_test",
+      transport,
+      budget: { sync: true, onWarning: () => {} },
+    });
+
+    await client.quote("AAPL");
+    expect(client.budgetStatus()).toEqual({
+      daily: { used: 41, limit: null },
+      monthly: { used: 1000, limit: 1000 },
+    });
+    await expect(client.quote("AAPL")).rejects.toThrow(
+      "Message budget exceeded: 1000 of 1000 monthly messages used",
+    );
+    // synced at most once per interval
+    const syncs = transport.mock.calls.filter(([url]) =>
+      url.match(/account\/usage/),
+    );
+    expect(syncs.length).toBe(1);
+  });
+
+  test("Failed syncs fall back to local counting", async () => {
+    const usage = jest.fn(async () => {
+      throw new Error("offline");
+    });
+    const budget = new MessageBudgetGuard({ daily: 2, sync: { usage } });
+    await budget.admit("stock/quote");
+    budget.record("stock/quote", 2);
+    await expect(budget.admit("stock/quote")).rejects.toThrow(
+      "Message budget exceeded",
+    );
+    expect(usage).toHaveBeenCalledTimes(2);
+  });
+
+  test("Validation", () => {
+    expect(
+      () => new Client({ api_token: "pk_test", budget: { sync: true } }),
+    ).toThrow("Requires secret token!");
+    expect(() => new MessageBudgetGuard({ daily: -1 })).toThrow(
+      "daily must be a positive number, got -1",
+    );
+    expect(() => new MessageBudgetGuard({ mode: "pause" })).toThrow(
+      'mode must be "throw" or "defer", got pause',
+    );
+    expect(() => new MessageBudgetGuard({ warnAt: 0 })).toThrow(
+      "warnAt must be a positive fraction, got 0",
+    );
+    expect(() => new Client({ api_token: "pk_test", budget: 100 })).toThrow(
+      "Unrecognized budget: 100",
+    );
+  });
+});
@@ -0,0 +1,183 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { Cache, Client, FileStore, MemoryStore, company } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const countingTransport = () => {
+  let calls = 0;
+  return fakeTransport((url) => {
+    calls += 1;
+    return response(200, { route: url.split("?")[0], calls });
+  });
+};
+
+describe("Cache", () => {
+  test("Uncached by default", async () => {
+    const transport = countingTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+    await client.company("AAPL");
+    await client.company("AAPL");
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test("Caches families with a default policy", async () => {
+    const transport = countingTransport();
+    const client = new Client({ api_token: "pk_test", transport, cache: true });
+
+    const first = await client.company("AAPL");
+    const second = await client.company("AAPL");
+    expect(second).toEqual(first);
+    expect(transport).toHaveBeenCalledTimes(1);
+
+    // different symbols are different entries
+    await client.company("MSFT");
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test("Cached results can't be changed by callers", async () => {
+    const transport = countingTransport();
+    const client = new Client({ api_token: "pk_test", transport, cache: true });
+
+    const first = await client.company("AAPL");
+    first.route = "changed";
+    const second = await client.company("AAPL");
+    second.calls = 0;
+    expect(await client.company("AAPL")).toEqual({
+      route: "https://cloud.iexapis.com/v1/stock/AAPL/company",
+      calls: 1,
+    });
+  });
+
+  test("Routes without a policy are not cached", async () => {
+    const transport = countingTransport();
+    const client = new Client({ api_token: "pk_test", transport, cache: true });
+    await client.insiderRoster("AAPL");
+    await client.insiderRoster("AAPL");
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test("Keys exclude the token", async () => {
+    const transport = countingTransport();
+    const cache = new Cache();
+    const a = new Client({ api_token: "pk_a", transport, cache });
+    const b = new Client({ api_token: "pk_b", transport, cache });
+    await a.company("AAPL");
+    await b.company("AAPL");
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(await cache.store.keys()).toEqual([
+      "https://cloud.iexapis.com/v1/stock/AAPL/company",
+    ]);
+  });
+
+  test("Entries expire", async () => {
+    const transport = countingTransport();
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      cache: { policies: { company: 20 } },
+    });
+    await client.company("AAPL");
+    await new Promise((r) => setTimeout(r, 30));
+    await client.company("AAPL");
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test("Per-call policy overrides", async () => {
+    const transport = countingTransport();
+    const client = new Client({ api_token: "pk_test", transport, cache: true });
+
+    await client.company("AAPL");
+    await client.withOptions({ cachePolicy: false }).company("AAPL");
+    expect(transport).toHaveBeenCalledTimes(2);
+
+    const cached = client.withOptions({
+      cachePolicy: { interval: { hours: 1 } },
+    });
+    await cached.insiderRoster("AAPL");
+    await cached.insiderRoster("AAPL");
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+
+  test("Manual invalidation", async () => {
+    const transport = countingTransport();
+    const client = new Client({ api_token: "pk_test", transport, cache: true });
+
+    await client.company("AAPL");
+    await client.company("MSFT");
+    await client.invalidateCache("stock/AAPL");
+    await client.company("AAPL");
+    await client.company("MSFT");
+    expect(transport).toHaveBeenCalledTimes(3);
+
+    await client.invalidateCache();
+    await client.company("MSFT");
+    expect(transport).toHaveBeenCalledTimes(4);
+  });
+
+  test("Standalone functions take a cache in their context", async () => {
+    const transport = countingTransport();
+    const context = { token: "pk_test", transport, cache: new Cache() };
+    await company("AAPL", context);
+    await company("AAPL", context);
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test("Wall-clock and function policies", async () => {
+    const cache = new Cache({ store: new MemoryStore() });
+    await cache.set("a", 1, { expire: { hour: 8 } });
+    expect((await cache.get("a")).value).toBe(1);
+
+    await cache.set("b", 2, () => Date.now() - 1);
+    expect(await cache.get("b")).toBeUndefined();
+
+    await cache.set("c", 3, () => null);
+    expect((await cache.get("c")).value).toBe(3);
+  });
+
+  test("Rejects unknown policies", () => {
+    expect(() => new Cache({ policies: { nonsense: 1 } })).toThrow(
+      "Unrecognized cache policy family",
+    );
+    expect(() => new Cache({ default: "sometimes" })).toThrow(
+      "Unrecognized cache policy",
+    );
+  });
+
+  test("Disk store persists across clients", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "iexjs-cache-"));
+    try {
+      const transport = countingTransport();
+      const options = { store: "disk", path: folder };
+
+      const a = new Client({ api_token: "pk_test", transport, cache: options });
+      const first = await a.company("AAPL");
+
+      const b = new Client({ api_token: "pk_test", transport, cache: options });
+      expect(await b.company("AAPL")).toEqual(first);
+      expect(transport).toHaveBeenCalledTimes(1);
+
+      const contents = fs
+        .readdirSync(folder)
+        .map((file) => fs.readFileSync(path.join(folder, file), "utf8"))
+        .join("");
+      expect(contents).not.toMatch("pk_test");
+
+      await new FileStore({ path: folder }).clear();
+      expect(fs.readdirSync(folder)).toEqual([]);
+    } finally {
+      fs.rmdirSync(folder, { recursive: true });
+    }
+  });
+});
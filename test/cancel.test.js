@@ -0,0 +1,112 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, quote } = require("../src/js");
+
+// never responds, but rejects like fetch once its signal aborts
+const hangingTransport = () =>
+  jest.fn(
+    (url, init) =>
+      new Promise((resolve, reject) => {
+        if (init.signal) {
+          init.signal.addEventListener("abort", () => {
+            const error = new Error("The operation was aborted.");
+            error.name = "AbortError";
+            reject(error);
+          });
+        }
+      }),
+  );
+
+// minimal AbortController stand-in, jest's node environment has none
+const controllerStub = () => {
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener: (type, fn) => listeners.push(fn),
+    removeEventListener: (type, fn) =>
+      listeners.splice(listeners.indexOf(fn), 1),
+  };
+  return {
+    signal,
+    abort: () => {
+      signal.aborted = true;
+      listeners.slice().forEach((fn) => fn());
+    },
+  };
+};
+
+describe("Cancellation", () => {
+  test("Client timeout", async () => {
+    const transport = hangingTransport();
+    const client = new Client({ api_token: "pk_test", transport, timeout: 20 });
+
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error.name).toBe("TimeoutError");
+    expect(error.message).toBe("Request timed out after 20ms");
+    if (typeof AbortController !== "undefined") {
+      expect(transport.mock.calls[0][1].signal.aborted).toBe(true);
+    }
+  });
+
+  test("Per-call timeout via withOptions", async () => {
+    const transport = hangingTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+
+    await expect(
+      client.withOptions({ timeout: 20 }).quote("AAPL"),
+    ).rejects.toThrow("Request timed out after 20ms");
+    // the parent client is untouched
+    expect(client._context.timeout).toBeUndefined();
+  });
+
+  test("Abort via signal", async () => {
+    const transport = hangingTransport();
+    const controller = controllerStub();
+    const client = new Client({ api_token: "pk_test", transport });
+
+    const pending = client
+      .withOptions({ signal: controller.signal })
+      .quote("AAPL");
+    controller.abort();
+    const error = await pending.catch((e) => e);
+    expect(error.name).toBe("AbortError");
+  });
+
+  test("Already aborted signal never sends", async () => {
+    const transport = hangingTransport();
+    const controller = controllerStub();
+    controller.abort();
+
+    await expect(
+      quote("AAPL", { token: "pk_test", transport, signal: controller.signal }),
+    ).rejects.toThrow("Request aborted");
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  test("Timeouts are not retried", async () => {
+    const transport = hangingTransport();
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      timeout: 20,
+      retry: { minDelay: 1, maxDelay: 1 },
+    });
+
+    await expect(client.quote("AAPL")).rejects.toThrow("timed out");
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test("Validates timeout", () => {
+    expect(() => new Client({ api_token: "pk_test", timeout: -1 })).toThrow(
+      "timeout must be a positive number",
+    );
+  });
+});
@@ -0,0 +1,209 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, quote } = require("../src/js");
+const { response } = require("./fakes");
+
+// responds once `release` is called, or rejects like fetch once aborted
+const heldTransport = () => {
+  const pending = [];
+  const transport = jest.fn(
+    (url, init) =>
+      new Promise((resolve, reject) => {
+        pending.push((status = 200) =>
+          resolve(
+            response(status, status === 200 ? { url } : "Unknown symbol"),
+          ),
+        );
+        if (init.signal) {
+          init.signal.addEventListener("abort", () => {
+            const error = new Error("The operation was aborted.");
+            error.name = "AbortError";
+            reject(error);
+          });
+        }
+      }),
+  );
+  transport.release = (status) => pending.splice(0).forEach((fn) => fn(status));
+  return transport;
+};
+
+// minimal AbortController stand-in, jest's node environment has none
+class ControllerStub {
+  constructor() {
+    const listeners = [];
+    this.signal = {
+      aborted: false,
+      addEventListener: (type, fn) => listeners.push(fn),
+      removeEventListener: (type, fn) =>
+        listeners.splice(listeners.indexOf(fn), 1),
+    };
+    this.abort = () => {
+      this.signal.aborted = true;
+      listeners.slice().forEach((fn) => fn());
+    };
+  }
+}
+
+describe("Request coalescing", () => {
+  test("Concurrent identical requests share one call", async () => {
+    const transport = heldTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+
+    const first = client.quote("AAPL");
+    const second = client.quote("AAPL");
+    await Promise.resolve();
+    transport.release();
+
+    const [a, b] = await Promise.all([first, second]);
+    expect(a).toEqual(b);
+    expect(transport).toHaveBeenCalledTimes(1);
+
+    // each caller gets a result of its own
+    expect(a).not.toBe(b);
+    a.url = "changed";
+    expect(b.url).not.toBe("changed");
+  });
+
+  test("Not shared between clients", async () => {
+    const transport = heldTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+    const other = new Client({ api_token: "pk_test", transport });
+
+    const requests = [client.quote("AAPL"), other.quote("AAPL")];
+    await Promise.resolve();
+    transport.release();
+
+    await Promise.all(requests);
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test("Shared by standalone functions given one context", async () => {
+    const transport = heldTransport();
+    const context = { token: "pk_test", transport };
+
+    const requests = [
+      quote("AAPL", context, "v1"),
+      quote("AAPL", context, "v1"),
+    ];
+    await Promise.resolve();
+    transport.release();
+
+    await Promise.all(requests);
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test("Keyed on url, filter and version", async () => {
+    const transport = heldTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+    const stable = new Client({
+      api_token: "pk_test",
+      transport,
+      version: "stable",
+    });
+
+    const requests = [
+      client.quote("AAPL"),
+      client.quote("MSFT"),
+      client.quote("AAPL", "latestPrice"),
+      stable.quote("AAPL"),
+    ];
+    await Promise.resolve();
+    transport.release();
+
+    await Promise.all(requests);
+    expect(transport).toHaveBeenCalledTimes(4);
+  });
+
+  test("Sequential requests are not shared", async () => {
+    const transport = heldTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+
+    const first = client.quote("AAPL");
+    await Promise.resolve();
+    transport.release();
+    await first;
+
+    const second = client.quote("AAPL");
+    await Promise.resolve();
+    transport.release();
+    await second;
+
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  test("Errors are delivered to every caller", async () => {
+    const transport = heldTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+
+    const first = client.quote("XXXX").catch((e) => e);
+    const second = client.quote("XXXX").catch((e) => e);
+    await Promise.resolve();
+    transport.release(404);
+
+    const [a, b] = await Promise.all([first, second]);
+    expect(a.name).toBe("NotFoundError");
+    expect(b).toBe(a);
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test("A caller's timeout only rejects that caller", async () => {
+    const transport = heldTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+
+    const patient = client.quote("AAPL");
+    const hasty = client
+      .withOptions({ timeout: 10 })
+      .quote("AAPL")
+      .catch((e) => e);
+
+    expect((await hasty).name).toBe("TimeoutError");
+    transport.release();
+    expect(await patient).toEqual({
+      url: "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=pk_test",
+    });
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test("Aborted once every caller gives up", async () => {
+    const { AbortController } = global;
+    global.AbortController = ControllerStub;
+    try {
+      const transport = heldTransport();
+      const client = new Client({ api_token: "pk_test", transport });
+
+      const first = new ControllerStub();
+      const second = new ControllerStub();
+      const requests = [
+        client.withOptions({ signal: first.signal }).quote("AAPL"),
+        client.withOptions({ signal: second.signal }).quote("AAPL"),
+      ].map((request) => request.catch((e) => e));
+      await Promise.resolve();
+      const { signal } = transport.mock.calls[0][1];
+
+      first.abort();
+      expect((await requests[0]).name).toBe("AbortError");
+      expect(signal.aborted).toBe(false);
+
+      second.abort();
+      expect((await requests[1]).name).toBe("AbortError");
+      expect(signal.aborted).toBe(true);
+
+      // a later caller starts afresh
+      const third = client.quote("AAPL");
+      await Promise.resolve();
+      transport.release();
+      await third;
+      expect(transport).toHaveBeenCalledTimes(2);
+    } finally {
+      global.AbortController = AbortController;
+    }
+  });
+});
@@ -0,0 +1,146 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, CostLedger, _costKey } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+// charges `messages` per call via the IEX Cloud usage header
+const meteredTransport = (messages, status = 200) =>
+  fakeTransport(() =>
+    response(status, status === 200 ? {} : "Unknown symbol", {
+      "iexcloud-messages-used": messages,
+    }),
+  );
+
+describe("Costs", () => {
+  test("Breaks routes down", () => {
+    expect(_costKey("stock/AAPL/chart/1m")).toEqual({
+      endpoint: "stock/chart",
+      symbol: "AAPL",
+      dataset: null,
+    });
+    expect(_costKey("stock/market/batch", "AAPL,MSFT")).toEqual({
+      endpoint: "stock/market/batch",
+      symbol: "AAPL,MSFT",
+      dataset: null,
+    });
+    expect(_costKey("time-series/REPORTED_FINANCIALS/AAPL/10-Q")).toEqual({
+      endpoint: "time-series",
+      symbol: "AAPL",
+      dataset: "REPORTED_FINANCIALS",
+    });
+    expect(_costKey("data/CORE/ADVANCED_STATS/AAPL")).toEqual({
+      endpoint: "data",
+      symbol: "AAPL",
+      dataset: "ADVANCED_STATS",
+    });
+    expect(_costKey("ref-data/symbols")).toEqual({
+      endpoint: "ref-data/symbols",
+      symbol: null,
+      dataset: null,
+    });
+  });
+
+  test("Client ledger", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: meteredTransport(2),
+    });
+    expect(client.costs()).toEqual({
+      messages: 0,
+      calls: 0,
+      byEndpoint: {},
+      bySymbol: {},
+      byDataset: {},
+    });
+
+    await client.quote("AAPL");
+    await client.quote("MSFT");
+    await client.company("AAPL");
+    await client.timeSeries({ id: "REPORTED_FINANCIALS", key: "AAPL" });
+
+    expect(client.costs()).toEqual({
+      messages: 8,
+      calls: 4,
+      byEndpoint: {
+        "stock/quote": { messages: 4, calls: 2 },
+        "stock/company": { messages: 2, calls: 1 },
+        "time-series": { messages: 2, calls: 1 },
+      },
+      bySymbol: {
+        AAPL: { messages: 6, calls: 3 },
+        MSFT: { messages: 2, calls: 1 },
+      },
+      byDataset: {
+        REPORTED_FINANCIALS: { messages: 2, calls: 1 },
+      },
+    });
+
+    // derived clients share the ledger
+    await client.withOptions({ timeout: 1000 }).quote("AAPL");
+    expect(client.costs().messages).toBe(10);
+
+    client.resetCosts();
+    expect(client.costs().messages).toBe(0);
+  });
+
+  test("Ledgers are per client", async () => {
+    const transport = meteredTransport(1);
+    const a = new Client({ api_token: "pk_test", transport });
+    const b = new Client({ api_token: "pk_test", transport });
+    await a.quote("AAPL");
+    expect(a.costs().messages).toBe(1);
+    expect(b.costs().messages).toBe(0);
+  });
+
+  test("Hook", async () => {
+    const onCost = jest.fn();
+    const client = new Client({
+      api_token: "pk_secret",
+      transport: meteredTransport(3),
+      onCost,
+    });
+    await client.quote("AAPL");
+    expect(onCost).toHaveBeenCalledWith({
+      endpoint: "stock/quote",
+      symbol: "AAPL",
+      dataset: null,
+      messages: 3,
+      url: "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED",
+    });
+  });
+
+  test("Failed responses reporting usage are counted", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: meteredTransport(1, 404),
+    });
+    await expect(client.quote("XXXX")).rejects.toThrow("Response 404");
+    expect(client.costs().messages).toBe(1);
+  });
+
+  test("Responses without the header are not counted", async () => {
+    const transport = fakeTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+    await client.quote("AAPL");
+    expect(client.costs().calls).toBe(0);
+  });
+
+  test("Standalone ledger", () => {
+    expect(() => new CostLedger({ onCost: "log" })).toThrow(
+      "onCost must be a function",
+    );
+    const ledger = new CostLedger();
+    ledger.record({ endpoint: "stock/quote", symbol: "AAPL", messages: 1 });
+    expect(ledger.costs().bySymbol).toEqual({
+      AAPL: { messages: 1, calls: 1 },
+    });
+  });
+});
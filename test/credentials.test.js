@@ -0,0 +1,275 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  Client,
+  _parseProfiles,
+  _pickTokens,
+  _resolveCredentials,
+} = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const PROFILES = `
+# shared team credentials
+[default]
+token = pk_default
+
+[sandbox]
+token = Tpk_sandbox
+version = sandbox
+
+[research]
+; secret only
+secret_token = sk_research
+
+[team]
+token = pk_team
+secret_token = sk_team
+sandbox_token = Tpk_team
+sandbox_secret_token = Tsk_team
+`;
+
+const VARIABLES = [
+  "IEX_TOKEN",
+  "IEX_SECRET_TOKEN",
+  "IEX_SANDBOX_TOKEN",
+  "IEX_SANDBOX_SECRET_TOKEN",
+  "IEX_PROFILE",
+  "IEXRC",
+];
+
+const echoTransport = () => fakeTransport((url) => response(200, url));
+
+describe("Credentials", () => {
+  let saved;
+  let configFile;
+
+  beforeEach(() => {
+    saved = {};
+    VARIABLES.forEach((name) => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+    configFile = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "iexjs-")),
+      ".iexrc",
+    );
+    fs.writeFileSync(configFile, PROFILES);
+    process.env.IEXRC = configFile;
+  });
+
+  afterEach(() => {
+    VARIABLES.forEach((name) => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    fs.unlinkSync(configFile);
+    fs.rmdirSync(path.dirname(configFile));
+  });
+
+  test("Parses profiles", () => {
+    expect(_parseProfiles(PROFILES)).toEqual({
+      default: { token: "pk_default" },
+      sandbox: { token: "Tpk_sandbox", version: "sandbox" },
+      research: { secret_token: "sk_research" },
+      team: {
+        token: "pk_team",
+        secret_token: "sk_team",
+        sandbox_token: "Tpk_team",
+        sandbox_secret_token: "Tsk_team",
+      },
+    });
+  });
+
+  test("Explicit token first", () => {
+    process.env.IEX_TOKEN = "pk_env";
+    expect(_resolveCredentials({ token: "pk_option" }).token).toBe("pk_option");
+  });
+
+  test("Then the environment", () => {
+    process.env.IEX_SECRET_TOKEN = "sk_env";
+    expect(_resolveCredentials({}).token).toBe("sk_env");
+    process.env.IEX_TOKEN = "pk_env";
+    expect(_resolveCredentials({}).token).toBe("pk_env");
+
+    process.env.IEX_SANDBOX_TOKEN = "Tpk_env";
+    expect(_resolveCredentials({ version: "sandbox" }).token).toBe("Tpk_env");
+  });
+
+  test("Then profiles", () => {
+    expect(_resolveCredentials({})).toEqual({
+      token: "pk_default",
+      secretToken: null,
+      version: undefined,
+      source: "profile default",
+    });
+
+    process.env.IEX_PROFILE = "research";
+    expect(_resolveCredentials({}).token).toBe("sk_research");
+  });
+
+  test("Named profiles", () => {
+    process.env.IEX_TOKEN = "pk_env";
+    const client = new Client({ profile: "sandbox" });
+    expect(client._token).toBe("Tpk_sandbox");
+    expect(client._version).toBe("sandbox");
+
+    expect(() => new Client({ profile: "prod" })).toThrow(
+      `Profile prod not found in ${configFile}`,
+    );
+  });
+
+  test("Missing file", () => {
+    process.env.IEXRC = path.join(path.dirname(configFile), "missing");
+    expect(_resolveCredentials({}).token).toBeNull();
+    expect(() => new Client({})).toThrow("API Token missing");
+  });
+
+  test("Then an async provider", async () => {
+    process.env.IEXRC = path.join(path.dirname(configFile), "missing");
+    const credentials = jest.fn(async () => "pk_provided");
+    const transport = echoTransport();
+    const client = new Client({ credentials, transport });
+
+    expect(client._token).toBe("");
+    const [a, b] = await Promise.all([
+      client.quote("AAPL"),
+      client.withOptions({ timeout: 1000 }).quote("MSFT"),
+    ]);
+    expect(a).toBe(
+      "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=pk_provided",
+    );
+    expect(b).toBe(
+      "https://cloud.iexapis.com/v1/stock/MSFT/quote?token=pk_provided",
+    );
+    expect(credentials).toHaveBeenCalledTimes(1);
+    expect(credentials).toHaveBeenCalledWith({
+      profile: undefined,
+      version: "v1",
+    });
+    expect(client._token).toBe("pk_provided");
+  });
+
+  test("Provider failures", async () => {
+    process.env.IEXRC = path.join(path.dirname(configFile), "missing");
+    const credentials = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("vault sealed"))
+      .mockResolvedValueOnce({ token: "Tpk_provided" });
+    const client = new Client({ credentials, transport: echoTransport() });
+
+    await expect(client.quote("AAPL")).rejects.toThrow("vault sealed");
+    await expect(client.ready()).rejects.toThrow(
+      "Using test key but attempting to connect to non-sandbox environment",
+    );
+  });
+
+  test("Streams wait for ready", async () => {
+    process.env.IEXRC = path.join(path.dirname(configFile), "missing");
+    const client = new Client({ credentials: async () => "pk_provided" });
+    expect(() => client.topsSSE("AAPL")).toThrow(
+      "Credentials are still loading, await client.ready() before streaming",
+    );
+    expect(await client.ready()).toBe(client);
+  });
+
+  describe("Publishable and secret tokens", () => {
+    test("Picked for the version", () => {
+      const tokens = ["pk_a", "sk_a", "Tpk_a", "Tsk_a"];
+      expect(_pickTokens(tokens, "v1")).toEqual({
+        token: "pk_a",
+        secretToken: "sk_a",
+      });
+      expect(_pickTokens(tokens, "sandbox")).toEqual({
+        token: "Tpk_a",
+        secretToken: "Tsk_a",
+      });
+      expect(_pickTokens(["sk_a"], "v1")).toEqual({
+        token: "sk_a",
+        secretToken: "sk_a",
+      });
+      expect(_pickTokens(["pk_a"], "sandbox")).toEqual({
+        token: "pk_a",
+        secretToken: null,
+      });
+    });
+
+    test("Each endpoint gets the token it needs", async () => {
+      const transport = echoTransport();
+      const client = new Client({
+        api_token: "pk_data",
+        secret_token: "sk_account",
+        transport,
+      });
+
+      expect(await client.quote("AAPL")).toBe(
+        "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=pk_data",
+      );
+      expect(await client.usage("messages")).toBe(
+        "https://cloud.iexapis.com/v1/account/usage/messages?token=sk_account",
+      );
+      await client.messageBudget(1000);
+      expect(transport.mock.calls[2][1].body).toEqual({ token: "sk_account" });
+    });
+
+    test("Publishable tokens alone are refused secret endpoints", () => {
+      const client = new Client({ api_token: "pk_data" });
+      expect(() => client.metadata()).toThrow("Requires secret token!");
+    });
+
+    test("Sandbox pairs from the environment and profiles", async () => {
+      process.env.IEX_TOKEN = "pk_env";
+      process.env.IEX_SECRET_TOKEN = "sk_env";
+      process.env.IEX_SANDBOX_TOKEN = "Tpk_env";
+      process.env.IEX_SANDBOX_SECRET_TOKEN = "Tsk_env";
+      expect(_resolveCredentials({ version: "sandbox" })).toMatchObject({
+        token: "Tpk_env",
+        secretToken: "Tsk_env",
+      });
+      expect(_resolveCredentials({})).toMatchObject({
+        token: "pk_env",
+        secretToken: "sk_env",
+      });
+
+      const transport = echoTransport();
+      const client = new Client({
+        profile: "team",
+        version: "sandbox",
+        transport,
+      });
+      expect(await client.quote("AAPL")).toBe(
+        "https://sandbox.iexapis.com/stable/stock/AAPL/quote?token=Tpk_team",
+      );
+      expect(await client.metadata()).toBe(
+        "https://sandbox.iexapis.com/stable/account/metadata?token=Tsk_team",
+      );
+    });
+
+    test("From a provider", async () => {
+      process.env.IEXRC = path.join(path.dirname(configFile), "missing");
+      const client = new Client({
+        credentials: async () => ({
+          token: "pk_vault",
+          secretToken: "sk_vault",
+        }),
+        transport: echoTransport(),
+      });
+      expect(await client.metadata()).toBe(
+        "https://cloud.iexapis.com/v1/account/metadata?token=sk_vault",
+      );
+      expect(await client.quote("AAPL")).toBe(
+        "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=pk_vault",
+      );
+    });
+  });
+});
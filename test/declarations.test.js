@@ -0,0 +1,278 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const path = require("path");
+
+const iex = require("../src/js");
+const pkg = require("../package.json");
+
+const { _ENDPOINTS, _NAMESPACES } = iex;
+
+const DECLARATIONS = fs.readFileSync(
+  path.join(__dirname, "..", "index.d.ts"),
+  "utf8",
+);
+
+// names declared at the top level of the module
+const EXPORTED = new Set(
+  [
+    ...DECLARATIONS.matchAll(
+      /^export (?:function|const|class|interface|type) (\w+)/gm,
+    ),
+  ].map((match) => match[1]),
+);
+
+// methods and properties declared in a class or interface
+const members = (declaration) => {
+  const start = DECLARATIONS.indexOf(`${declaration} {`);
+  if (start < 0) return new Set();
+  const body = DECLARATIONS.slice(start, DECLARATIONS.indexOf("\n}\n", start));
+  return new Set(
+    [...body.matchAll(/^ {2}(?:readonly )?(\w+)(?:<[^>]*>)?[(:]/gm)].map(
+      (match) => match[1],
+    ),
+  );
+};
+
+const METHODS = members("export class Client");
+
+// start and end of a class or interface declaration
+const bounds = (declaration) => {
+  const start = DECLARATIONS.indexOf(`${declaration} {`);
+  return [start, DECLARATIONS.indexOf("\n}\n", start)];
+};
+
+// parameters of the signature whose "(" is at `open`, as "name", or
+// "name?" where optional
+const parameters = (open) => {
+  const list = [""];
+  let depth = 1;
+  for (let index = open + 1; depth > 0; index += 1) {
+    const char = DECLARATIONS[index];
+    if ("([{<".includes(char)) depth += 1;
+    else if (")]}".includes(char)) depth -= 1;
+    else if (char === ">" && DECLARATIONS[index - 1] !== "=") depth -= 1;
+    if (char === "," && depth === 1) list.push("");
+    else if (depth > 0) list[list.length - 1] += char;
+  }
+  return list
+    .map((parameter) => parameter.trim())
+    .filter((parameter) => parameter)
+    .map((parameter) => parameter.match(/^\w+\??/)[0]);
+};
+
+// parameters of the first signature of `name` between `start` and `end`,
+// at the top level of the module or, with `indent`, of a declaration
+const signature = (name, [start, end] = [0, DECLARATIONS.length], indent) => {
+  const pattern = new RegExp(
+    `^${indent ? " {2}" : "export function "}${name}(?:<[^(]*>)?\\(`,
+    "gm",
+  );
+  pattern.lastIndex = start;
+  const match = pattern.exec(DECLARATIONS);
+  if (!match || match.index > end) return null;
+  return parameters(match.index + match[0].length - 1);
+};
+
+// parameters an endpoint's functions, or methods, take, optional unless
+// the registry requires them
+const expected = (name, standalone) => {
+  const { args, filter } = _ENDPOINTS[name];
+  const named = (arg) =>
+    arg.default === undefined &&
+    (arg.required ||
+      ((arg.type === "symbol" || arg.type === "symbols") && !arg.optional))
+      ? arg.name
+      : `${arg.name}?`;
+  return [
+    ...args.filter((arg) => !arg.trailing).map(named),
+    ...(standalone ? ["token?", "version?"] : []),
+    ...(filter ? ["filter?"] : []),
+    ...args.filter((arg) => arg.trailing).map(named),
+  ];
+};
+
+// interface name of a namespace path, e.g. PremiumBrainNamespace
+const namespaceInterface = (namespace) =>
+  `${namespace
+    .split(".")
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("")}Namespace`;
+
+describe("TypeScript declarations", () => {
+  test("Every endpoint is declared as a function and Client method", () => {
+    const names = Object.keys(_ENDPOINTS);
+    expect(names.filter((name) => !EXPORTED.has(name))).toEqual([]);
+    expect(
+      names.filter((name) => _ENDPOINTS[name].flat && !METHODS.has(name)),
+    ).toEqual([]);
+  });
+
+  test("Every namespace and its members are declared", () => {
+    Object.keys(_NAMESPACES).forEach((namespace) => {
+      const declared = members(
+        `export interface ${namespaceInterface(namespace)}`,
+      );
+      const [top, child] = namespace.split(".");
+      expect([namespace, METHODS.has(top)]).toEqual([namespace, true]);
+      if (child) {
+        expect([
+          namespace,
+          members(`export interface ${namespaceInterface(top)}`).has(child),
+        ]).toEqual([namespace, true]);
+      }
+      expect(
+        Object.keys(_NAMESPACES[namespace]).filter(
+          (member) => !declared.has(member),
+        ),
+      ).toEqual([]);
+    });
+  });
+
+  test("Every endpoint is declared with its arguments", () => {
+    Object.keys(_ENDPOINTS).forEach((name) => {
+      expect([name, signature(name)]).toEqual([name, expected(name, true)]);
+    });
+    Object.keys(_NAMESPACES).forEach((namespace) => {
+      const declaration = bounds(
+        `export interface ${namespaceInterface(namespace)}`,
+      );
+      Object.entries(_NAMESPACES[namespace]).forEach(([member, name]) => {
+        expect([
+          namespace,
+          member,
+          signature(member, declaration, true),
+        ]).toEqual([namespace, member, expected(name)]);
+      });
+    });
+  });
+
+  test("Flat Client methods are declared as their namespaced method", () => {
+    const client = bounds("export class Client");
+    const paths = {};
+    Object.keys(_NAMESPACES).forEach((namespace) => {
+      paths[namespaceInterface(namespace)] = namespace;
+    });
+    Object.keys(_ENDPOINTS)
+      .filter((name) => _ENDPOINTS[name].flat)
+      .forEach((name) => {
+        const own = signature(name, client, true);
+        if (own) {
+          expect([name, own]).toEqual([name, expected(name)]);
+          return;
+        }
+        const alias = new RegExp(
+          `^ {2}${name}: (\\w+)\\["(\\w+)"\\];$`,
+          "m",
+        ).exec(DECLARATIONS.slice(...client));
+        expect([name, !!alias]).toEqual([name, true]);
+        const [, declaration, member] = alias;
+        expect([name, _NAMESPACES[paths[declaration]][member]]).toEqual([
+          name,
+          name,
+        ]);
+      });
+  });
+
+  test("Every public export is declared", () => {
+    const undeclared = Object.keys(iex).filter(
+      (name) => !name.startsWith("_") && !EXPORTED.has(name),
+    );
+    expect(undeclared).toEqual([]);
+  });
+
+  test("Every Client method is declared", () => {
+    const { prototype } = iex.Client;
+    const undeclared = Object.getOwnPropertyNames(prototype).filter(
+      (name) =>
+        !name.startsWith("_") && name !== "constructor" && !METHODS.has(name),
+    );
+    expect(undeclared).toEqual([]);
+  });
+});
+
+describe("Subpath exports", () => {
+  const subpaths = Object.entries(pkg.exports).filter(
+    ([subpath, entry]) => subpath !== "." && entry.import,
+  );
+
+  // src/js module an entry is built from
+  const source = (entry) =>
+    entry.import.replace(/^\.\/dist\/esm\/(.*)\.mjs$/, "../src/js/$1");
+
+  test("Every subpath is built from a source module", () => {
+    subpaths.forEach(([subpath, entry]) => {
+      expect([subpath, entry.require]).toEqual([
+        subpath,
+        entry.import.replace("/esm/", "/cjs/").replace(/\.mjs$/, ".js"),
+      ]);
+      expect([
+        subpath,
+        fs.existsSync(path.join(__dirname, `${source(entry)}.js`)),
+      ]).toEqual([subpath, true]);
+      expect(pkg.typesVersions["*"][subpath.slice(2)]).toEqual([
+        entry.types.slice(2),
+      ]);
+    });
+  });
+
+  test("Every subpath declares its public exports", () => {
+    subpaths.forEach(([subpath, entry]) => {
+      const types = fs.readFileSync(
+        path.join(__dirname, "..", entry.types),
+        "utf8",
+      );
+      // re-exported from index.d.ts, or declared by the subpath alone
+      const reexported = types.includes("export {")
+        ? types
+            .slice(types.indexOf("export {") + 8, types.indexOf("} from"))
+            .split(",")
+            .map((name) => name.trim())
+            .filter((name) => name)
+        : [];
+      const own = [
+        ...types.matchAll(/^export (?:function|const|class) (\w+)/gm),
+      ].map((match) => match[1]);
+      const declared = [...reexported, ...own];
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      const exported = Object.keys(require(source(entry))).filter(
+        (name) => !name.startsWith("_"),
+      );
+      expect([subpath, declared.sort()]).toEqual([subpath, exported.sort()]);
+      expect(reexported.filter((name) => !EXPORTED.has(name))).toEqual([]);
+    });
+  });
+
+  // besides the proxy server, which takes a Client but no namespaces
+  test("Only the main entry imports Client and the namespaces", () => {
+    const root = path.join(__dirname, "..", "src", "js");
+    const modules = (dir) =>
+      fs
+        .readdirSync(dir, { withFileTypes: true })
+        .flatMap((file) =>
+          file.isDirectory()
+            ? modules(path.join(dir, file.name))
+            : [path.join(dir, file.name)],
+        );
+    const importers = modules(root)
+      .filter((file) =>
+        /["']\.{1,2}\/(\.\.\/)*(client|namespaces)["']/.test(
+          fs.readFileSync(file, "utf8"),
+        ),
+      )
+      .map((file) => path.relative(root, file));
+    expect(importers.sort()).toEqual([
+      "index.js",
+      "namespaces.js",
+      "server.js",
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const {
+  Client,
+  IEXJSException,
+  ValidationError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  RateLimitError,
+  MessageBudgetExceededError,
+  ServerError,
+  NetworkError,
+  batch,
+  metadata,
+} = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const statusTransport = (status, body) =>
+  fakeTransport(() => response(status, body));
+
+describe("Errors", () => {
+  test("IEXJSException works with and without new", () => {
+    const a = IEXJSException("a");
+    const b = new IEXJSException("b");
+    [a, b].forEach((error) => {
+      expect(error).toBeInstanceOf(IEXJSException);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe("IEXJSException");
+      expect(error.stack).toBeDefined();
+    });
+    expect(`${a}`).toBe("IEXJSException: a");
+  });
+
+  test.each([
+    [400, ValidationError],
+    [401, AuthenticationError],
+    [402, MessageBudgetExceededError],
+    [403, PermissionError],
+    [404, NotFoundError],
+    [413, ValidationError],
+    [429, RateLimitError],
+    [451, PermissionError],
+    [500, ServerError],
+    [503, ServerError],
+  ])("Status %i maps to its error type", async (status, ErrorType) => {
+    const transport = statusTransport(status, "Nope");
+    const client = new Client({ api_token: "pk_secret123", transport });
+
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error).toBeInstanceOf(ErrorType);
+    expect(error).toBeInstanceOf(IEXJSException);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe(ErrorType.name);
+    expect(error.status).toBe(status);
+    expect(error.body).toBe("Nope");
+    expect(error.endpoint).toBe("stock/AAPL/quote");
+    expect(error.url).toBe(
+      "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED",
+    );
+    expect(error.message).toBe(`Response ${status} - Nope`);
+  });
+
+  test("Network failures are wrapped", async () => {
+    const cause = new Error("getaddrinfo ENOTFOUND");
+    const transport = jest.fn(async () => {
+      throw cause;
+    });
+    const client = new Client({ api_token: "pk_test", transport });
+
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.cause).toBe(cause);
+    expect(error.status).toBeUndefined();
+    expect(error.url).not.toMatch("pk_test");
+  });
+
+  test("Local validation raises ValidationError", () => {
+    expect(() => batch("AAPL", "nonsense")).toThrow(ValidationError);
+    expect(() => new Client({ api_token: "pk_test", version: "v9" })).toThrow(
+      ValidationError,
+    );
+  });
+
+  test("Configuration errors", () => {
+    expect(() => new Client({ api_token: "Tpk_test", version: "v1" })).toThrow(
+      AuthenticationError,
+    );
+    expect(() => metadata("pk_test")).toThrow(PermissionError);
+  });
+});
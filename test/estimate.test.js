@@ -0,0 +1,134 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, _estimateMessages, _rangeRecords } = require("../src/js");
+
+const estimate = (url) => {
+  const [route, query = ""] = url.split("?");
+  return _estimateMessages(route, new URLSearchParams(query));
+};
+
+describe("Message estimates", () => {
+  test("Ranges", () => {
+    expect(_rangeRecords("5y")).toBe(1260);
+    expect(_rangeRecords("2w")).toBe(10);
+    expect(_rangeRecords("last-month")).toBe(21);
+    expect(_rangeRecords("sometime")).toBeNull();
+  });
+
+  test("Per call and per record weights", () => {
+    expect(estimate("stock/AAPL/quote")).toEqual({ messages: 1, known: true });
+    expect(estimate("stock/AAPL/peers")).toEqual({
+      messages: 500,
+      known: true,
+    });
+    expect(estimate("stock/AAPL/chart/5y").messages).toBe(12600);
+    expect(estimate("stock/AAPL/chart/1m?chartLast=5").messages).toBe(50);
+    expect(estimate("stock/AAPL/news/last/3?last=3").messages).toBe(30);
+    expect(estimate("stock/AAPL/something-new")).toEqual({
+      messages: 1,
+      known: false,
+    });
+  });
+
+  test("Batches", () => {
+    // quote + 10 news + 21 days of chart, for each symbol
+    expect(
+      estimate(
+        "stock/market/batch?symbols=AAPL,MSFT&types=quote,news,chart&range=1m&last=10",
+      ),
+    ).toEqual({ messages: 622, known: true });
+    expect(
+      estimate("stock/AAPL/batch?types=quote,unknown&range=1m&last=10"),
+    ).toEqual({ messages: 2, known: false });
+  });
+
+  test("Time series and premium datasets", () => {
+    expect(estimate("time-series/REPORTED_FINANCIALS/AAPL?limit=4")).toEqual({
+      messages: 4,
+      known: true,
+    });
+    expect(
+      estimate("time-series/PREMIUM_BRAIN_SENTIMENT_30_DAYS/AAPL,MSFT?limit=2")
+        .messages,
+    ).toBe(2 * 75000 * 2);
+    expect(estimate("time-series/NEWS/AAPL?range=2w").messages).toBe(10);
+  });
+});
+
+describe("Dry run", () => {
+  test("client.estimate sends nothing", async () => {
+    const transport = jest.fn();
+    const client = new Client({ api_token: "pk_secret", transport });
+
+    const result = await client.estimate((c) =>
+      Promise.all([
+        c.quote("AAPL"),
+        c.batch(["AAPL", "MSFT"], ["quote", "news"]),
+        c.timeSeries({ id: "PREMIUM_BRAIN_SENTIMENT_30_DAYS", key: "AAPL" }),
+      ]),
+    );
+
+    expect(transport).not.toHaveBeenCalled();
+    expect(result.messages).toBe(1 + 2 * (1 + 100) + 75000);
+    expect(result.requests[0]).toEqual({
+      method: "GET",
+      url: "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED",
+      endpoint: "stock/quote",
+      symbol: "AAPL",
+      dataset: null,
+      messages: 1,
+      known: true,
+    });
+    expect(result.requests.map(({ url }) => url)).toEqual([
+      "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED",
+      "https://cloud.iexapis.com/v1/stock/market/batch?symbols=AAPL%2CMSFT&types=quote%2Cnews&range=1m&last=10&token=REDACTED",
+      "https://cloud.iexapis.com/v1/time-series/PREMIUM_BRAIN_SENTIMENT_30_DAYS/AAPL?limit=1&token=REDACTED",
+    ]);
+
+    // the client itself still sends requests
+    expect(client._context.dryRun).toBeUndefined();
+  });
+
+  test("dryRun option", async () => {
+    const transport = jest.fn();
+    const onPlan = jest.fn();
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      dryRun: onPlan,
+      weights: { "stock/quote": 2 },
+    });
+
+    const plan = await client.quote("AAPL");
+    expect(plan.messages).toBe(2);
+    expect(onPlan).toHaveBeenCalledWith(plan);
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  test("Budget guard uses estimates", async () => {
+    const transport = jest.fn();
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      budget: { daily: 100 },
+    });
+    await expect(client.peers("AAPL")).rejects.toThrow(
+      "Message budget exceeded: 0 of 100 daily messages used",
+    );
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  test("Validates weights", () => {
+    expect(
+      () => new Client({ api_token: "pk_test", weights: { quote: "one" } }),
+    ).toThrow("Unrecognized weight for quote: one");
+  });
+});
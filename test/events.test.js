@@ -0,0 +1,168 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, _streamSSE } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const responding = (...statuses) => {
+  const queue = [...statuses];
+  return fakeTransport(() => {
+    const status = queue.length > 1 ? queue.shift() : queue[0];
+    return response(
+      status,
+      status === 200 ? { symbol: "AAPL" } : "Unavailable",
+      {
+        "content-length": 17,
+        "iexcloud-messages-used": 1,
+      },
+    );
+  });
+};
+
+const recording = (client) => {
+  const seen = [];
+  [
+    "request",
+    "response",
+    "retry",
+    "error",
+    "cacheHit",
+    "sseMessage",
+    "sseError",
+  ].forEach((name) => client.on(name, (payload) => seen.push([name, payload])));
+  return seen;
+};
+
+const URL = "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED";
+
+describe("Events", () => {
+  test("Request and response", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: responding(200),
+    });
+    const seen = recording(client);
+
+    await client.quote("AAPL");
+    expect(seen.map(([name]) => name)).toEqual(["request", "response"]);
+    expect(seen[0][1]).toEqual({
+      method: "GET",
+      endpoint: "stock/AAPL/quote",
+      url: URL,
+      attempt: 1,
+    });
+    expect(seen[1][1]).toEqual({
+      method: "GET",
+      endpoint: "stock/AAPL/quote",
+      url: URL,
+      attempt: 1,
+      status: 200,
+      duration: expect.any(Number),
+      bytes: 17,
+      messages: 1,
+    });
+  });
+
+  test("Retries and errors", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: responding(503),
+      retry: { maxAttempts: 2, minDelay: 0, maxDelay: 0, jitter: false },
+    });
+    const seen = recording(client);
+
+    await expect(client.quote("AAPL")).rejects.toThrow("Unavailable");
+    expect(seen.map(([name]) => name)).toEqual([
+      "request",
+      "response",
+      "retry",
+      "request",
+      "response",
+      "error",
+    ]);
+    expect(seen[2][1]).toMatchObject({ url: URL, attempt: 1, status: 503 });
+    expect(seen[3][1].attempt).toBe(2);
+    expect(seen[5][1]).toMatchObject({
+      url: URL,
+      status: 503,
+      duration: expect.any(Number),
+    });
+    expect(seen[5][1].error.name).toBe("ServerError");
+  });
+
+  test("Unlistened errors only reject", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: responding(503),
+    });
+    await expect(client.quote("AAPL")).rejects.toThrow("Unavailable");
+  });
+
+  test("Cache hits", async () => {
+    const transport = responding(200);
+    const client = new Client({ api_token: "pk_test", transport, cache: true });
+    const seen = recording(client);
+
+    await client.company("AAPL");
+    await client.company("AAPL");
+    expect(seen.map(([name]) => name)).toEqual([
+      "request",
+      "response",
+      "cacheHit",
+    ]);
+    expect(seen[2][1].url).toBe(
+      "https://cloud.iexapis.com/v1/stock/AAPL/company?token=REDACTED",
+    );
+  });
+
+  test("Derived clients share listeners", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: responding(200),
+    });
+    const seen = recording(client);
+    await client.withOptions({ timeout: 1000 }).quote("AAPL");
+    expect(seen.length).toBe(2);
+  });
+
+  test("Streams", () => {
+    const client = new Client({ api_token: "pk_test" });
+    const seen = recording(client);
+    const stream = _streamSSE(
+      "https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=pk_test",
+      () => {},
+      false,
+      client._context,
+    );
+    stream.close();
+
+    stream.source.onmessage({ data: '[{"symbol":"AAPL"}]' });
+    stream.source.onerror({ status: 401 });
+    expect(seen).toEqual([
+      [
+        "sseMessage",
+        {
+          url:
+            "https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=REDACTED",
+          bytes: 19,
+          data: [{ symbol: "AAPL" }],
+        },
+      ],
+      [
+        "sseError",
+        {
+          url:
+            "https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=REDACTED",
+          error: { type: "error", status: 401, message: "" },
+        },
+      ],
+    ]);
+  });
+});
@@ -0,0 +1,44 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+/**
+ * Fake fetch Response
+ * @param {number} status
+ * @param {*} body parsed JSON body, or the text of an error response
+ * @param {object} headers response headers, by name
+ */
+const response = (status = 200, body = {}, headers = {}) => {
+  const values = {};
+  Object.keys(headers).forEach((name) => {
+    values[name.toLowerCase()] = headers[name];
+  });
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: (name) =>
+        values[name.toLowerCase()] === undefined
+          ? null
+          : String(values[name.toLowerCase()]),
+    },
+    json: async () => body,
+    text: async () => (typeof body === "string" ? body : JSON.stringify(body)),
+  };
+};
+
+/**
+ * Mock transport answering every request with `respond(url, init)`, a
+ * response or a promise of one, by default an empty 200
+ * @param {function} respond
+ */
+const fakeTransport = (respond = () => response()) =>
+  jest.fn(async (url, init) => respond(url, init));
+
+module.exports = { response, fakeTransport };
@@ -0,0 +1,181 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, RateLimiter } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+};
+
+describe("RateLimiter", () => {
+  test("Caps concurrency", async () => {
+    const limiter = new RateLimiter({
+      requestsPerSecond: 1000,
+      maxConcurrent: 2,
+    });
+    const gates = [deferred(), deferred(), deferred()];
+    const results = gates.map((gate) => limiter.schedule(() => gate.promise));
+
+    await new Promise((r) => setTimeout(r, 10));
+    expect(limiter.active).toBe(2);
+    expect(limiter.pending).toBe(1);
+
+    gates.forEach((gate, i) => gate.resolve(i));
+    expect(await Promise.all(results)).toEqual([0, 1, 2]);
+    expect(limiter.active).toBe(0);
+  });
+
+  test("Spaces requests beyond the burst", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 1 });
+    const started = [];
+    const start = Date.now();
+    await Promise.all(
+      [0, 1, 2].map(() =>
+        limiter.schedule(async () => started.push(Date.now() - start)),
+      ),
+    );
+    // 50/s => one every 20ms after the first
+    expect(started[2]).toBeGreaterThanOrEqual(35);
+  });
+
+  test("Propagates failures", async () => {
+    const limiter = new RateLimiter();
+    await expect(
+      limiter.schedule(async () => {
+        throw new Error("boom");
+      }),
+    ).rejects.toThrow("boom");
+  });
+
+  test("Validates options", () => {
+    expect(() => new RateLimiter({ requestsPerSecond: 0 })).toThrow(
+      "requestsPerSecond must be positive",
+    );
+    expect(() => new RateLimiter({ maxConcurrent: 0 })).toThrow(
+      "maxConcurrent must be >= 1",
+    );
+  });
+
+  test("Clients with the same token share a limiter", async () => {
+    const transport = fakeTransport();
+    const a = new Client({ api_token: "pk_shared", transport, rateLimit: {} });
+    const b = new Client({ api_token: "pk_shared", transport, rateLimit: {} });
+    const c = new Client({ api_token: "pk_other", transport, rateLimit: {} });
+    const d = new Client({
+      api_token: "pk_shared",
+      transport,
+      rateLimit: { shared: false },
+    });
+
+    expect(a._context.limiter.limiter).toBe(b._context.limiter.limiter);
+    expect(a._context.limiter.limiter).not.toBe(c._context.limiter.limiter);
+    expect(a._context.limiter.limiter).not.toBe(d._context.limiter);
+
+    await a.quote("AAPL");
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test("Clients with credentials providers share by the loaded token", async () => {
+    const saved = process.env.IEX_TOKEN;
+    delete process.env.IEX_TOKEN;
+    try {
+      const transport = fakeTransport();
+      const loading = (token) =>
+        new Client({
+          credentials: async () => token,
+          version: "stable",
+          transport,
+          rateLimit: {},
+        });
+      const a = loading("pk_loaded");
+      const b = loading("pk_loaded");
+      const c = loading("pk_another");
+      await Promise.all([a.ready(), b.ready(), c.ready()]);
+      expect(a._context.limiter.limiter).toBe(b._context.limiter.limiter);
+      expect(a._context.limiter.limiter).not.toBe(c._context.limiter.limiter);
+    } finally {
+      if (saved !== undefined) process.env.IEX_TOKEN = saved;
+    }
+  });
+
+  test("Conflicting settings for a shared limiter are warned about", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      const a = new Client({
+        api_token: "pk_conflict",
+        rateLimit: { requestsPerSecond: 10 },
+      });
+      const b = new Client({
+        api_token: "pk_conflict",
+        rateLimit: { requestsPerSecond: 10 },
+      });
+      expect(warn).not.toHaveBeenCalled();
+      const c = new Client({
+        api_token: "pk_conflict",
+        rateLimit: { requestsPerSecond: 50 },
+      });
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatch(/rateLimit settings are ignored/);
+      expect(c._context.limiter.limiter).toBe(a._context.limiter.limiter);
+      expect(b._context.limiter.limiter.requestsPerSecond).toBe(10);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test("Idle shared limiters are dropped", async () => {
+    const transport = fakeTransport();
+    const client = new Client({
+      api_token: "pk_idle",
+      transport,
+      rateLimit: { requestsPerSecond: 1000, burst: 1 },
+    });
+    const first = client._context.limiter.limiter;
+    expect(client._context.limiter.limiter).toBe(first);
+
+    await client.quote("AAPL");
+    await new Promise((r) => setTimeout(r, 20));
+    const second = client._context.limiter.limiter;
+    expect(second).not.toBe(first);
+    expect(second.requestsPerSecond).toBe(1000);
+  });
+
+  test("Requests are queued behind the concurrency cap", async () => {
+    const gates = [];
+    const transport = jest.fn(() => {
+      const gate = deferred();
+      gates.push(gate);
+      return gate.promise;
+    });
+    const client = new Client({
+      api_token: "pk_queue",
+      transport,
+      rateLimit: { maxConcurrent: 1, shared: false },
+    });
+
+    const first = client.quote("AAPL");
+    const second = client.quote("MSFT");
+    await new Promise((r) => setTimeout(r, 10));
+    expect(transport).toHaveBeenCalledTimes(1);
+
+    gates[0].resolve(response(200, { symbol: "AAPL" }));
+    await first;
+    await new Promise((r) => setTimeout(r, 10));
+    expect(transport).toHaveBeenCalledTimes(2);
+
+    gates[1].resolve(response(200, { symbol: "MSFT" }));
+    expect((await second).symbol).toBe("MSFT");
+  });
+});
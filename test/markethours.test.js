@@ -0,0 +1,248 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Cache, Client, TradingCalendar } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const at = (iso) => new Date(iso);
+
+describe("TradingCalendar", () => {
+  const calendar = new TradingCalendar({
+    holidays: ["2021-11-25", "20211224"],
+  });
+
+  test("Weekends", async () => {
+    // Friday 4:05pm EDT
+    const friday = at("2021-10-15T20:05:00Z");
+    expect(await calendar.isOpen(friday)).toBe(false);
+    expect(await calendar.nextOpen(friday)).toEqual(at("2021-10-18T13:30:00Z"));
+    expect(await calendar.nextClose(friday)).toEqual(
+      at("2021-10-18T20:00:00Z"),
+    );
+  });
+
+  test("In session", async () => {
+    const morning = at("2021-10-15T15:00:00Z");
+    expect(await calendar.isOpen(morning)).toBe(true);
+    expect(await calendar.nextOpen(morning)).toEqual(
+      at("2021-10-18T13:30:00Z"),
+    );
+    expect(await calendar.nextClose(morning)).toEqual(
+      at("2021-10-15T20:00:00Z"),
+    );
+  });
+
+  test("Holidays and early closes", async () => {
+    // Wednesday before Thanksgiving, 5pm EST
+    const wednesday = at("2021-11-24T22:00:00Z");
+    expect(await calendar.nextOpen(wednesday)).toEqual(
+      at("2021-11-26T14:30:00Z"),
+    );
+    // 1pm close the day after Thanksgiving
+    expect(await calendar.nextClose(wednesday)).toEqual(
+      at("2021-11-26T18:00:00Z"),
+    );
+    // observed Christmas holiday is not an early close
+    expect(await calendar.nextOpen(at("2021-12-23T22:00:00Z"))).toEqual(
+      at("2021-12-27T14:30:00Z"),
+    );
+  });
+
+  test("Daylight saving changes", async () => {
+    // Friday 5pm EDT, clocks go back on Sunday
+    expect(await calendar.nextOpen(at("2021-11-05T21:00:00Z"))).toEqual(
+      at("2021-11-08T14:30:00Z"),
+    );
+  });
+
+  test("Loads holidays on demand", async () => {
+    const holidays = jest.fn(async () => [
+      { date: "2021-11-25", settlementDate: "2021-11-26" },
+    ]);
+    const loaded = new TradingCalendar({ holidays });
+    const wednesday = at("2021-11-24T22:00:00Z");
+    expect(await loaded.nextOpen(wednesday)).toEqual(
+      at("2021-11-26T14:30:00Z"),
+    );
+    await loaded.nextClose(wednesday);
+    expect(holidays).toHaveBeenCalledTimes(1);
+  });
+
+  test("Falls back to weekends if holidays fail to load", async () => {
+    const holidays = jest.fn(async () => {
+      throw new Error("offline");
+    });
+    jest.useFakeTimers("modern");
+    jest.setSystemTime(at("2021-11-24T22:00:00Z"));
+    try {
+      const loaded = new TradingCalendar({ holidays });
+      expect(await loaded.nextOpen(at("2021-11-24T22:00:00Z"))).toEqual(
+        at("2021-11-25T14:30:00Z"),
+      );
+      // backs off rather than retrying on every query
+      await loaded.nextOpen(at("2021-11-24T22:00:00Z"));
+      expect(holidays).toHaveBeenCalledTimes(1);
+      jest.setSystemTime(at("2021-11-24T22:01:00Z"));
+      await loaded.nextOpen(at("2021-11-24T22:00:00Z"));
+      expect(holidays).toHaveBeenCalledTimes(2);
+      jest.setSystemTime(at("2021-11-24T22:02:00Z"));
+      await loaded.nextOpen(at("2021-11-24T22:00:00Z"));
+      expect(holidays).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("Falls back to weekends if holidays are malformed", async () => {
+    const payloads = [{ error: "unavailable" }, [{ date: "soon" }]];
+    await Promise.all(
+      payloads.map(async (payload) => {
+        const loaded = new TradingCalendar({ holidays: async () => payload });
+        expect(await loaded.nextOpen(at("2021-11-24T22:00:00Z"))).toEqual(
+          at("2021-11-25T14:30:00Z"),
+        );
+      }),
+    );
+  });
+
+  test("Queries need not wait for holidays", async () => {
+    let load;
+    const loaded = new TradingCalendar({
+      holidays: () =>
+        new Promise((resolve) => {
+          load = resolve;
+        }),
+      wait: false,
+    });
+    const wednesday = at("2021-11-24T22:00:00Z");
+    expect(await loaded.nextOpen(wednesday)).toEqual(
+      at("2021-11-25T14:30:00Z"),
+    );
+    load(["2021-11-25"]);
+    await loaded._loading;
+    expect(await loaded.nextOpen(wednesday)).toEqual(
+      at("2021-11-26T14:30:00Z"),
+    );
+  });
+
+  test("Rejects bad dates", () => {
+    expect(() => new TradingCalendar({ holidays: ["Thanksgiving"] })).toThrow(
+      "Not a date",
+    );
+  });
+});
+
+describe("Market-hours cache policies", () => {
+  const transport = () =>
+    fakeTransport((url) =>
+      response(
+        200,
+        url.indexOf("dates/holiday") >= 0
+          ? [{ date: "2021-11-25", settlementDate: "2021-11-26" }]
+          : { latestPrice: 150 },
+      ),
+    );
+
+  beforeEach(() => {
+    jest.useFakeTimers("modern");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("Quotes are held until the next open outside the session", async () => {
+    jest.setSystemTime(at("2021-11-24T22:00:00Z"));
+    const fetch = transport();
+    const client = new Client({
+      api_token: "pk_test",
+      transport: fetch,
+      cache: true,
+    });
+
+    // holidays load alongside the first request, not before it
+    await client.quote("AAPL");
+    await client._context.cache.calendar._loading;
+    await client.quote("MSFT");
+    await client.quote("MSFT");
+    const quotes = fetch.mock.calls.filter(([url]) => url.match(/quote/));
+    expect(quotes.length).toBe(2);
+
+    const { store } = client._context.cache;
+    const [key] = (await store.keys()).filter((k) => k.match(/MSFT/));
+    expect((await store.get(key)).expires).toBe(
+      at("2021-11-26T14:30:00Z").getTime(),
+    );
+  });
+
+  test("Responses arrive whatever happens to the calendar or the store", async () => {
+    jest.setSystemTime(at("2021-11-24T22:00:00Z"));
+    const fetch = fakeTransport((url) =>
+      response(
+        200,
+        url.indexOf("dates/holiday") >= 0
+          ? { error: "unavailable" }
+          : { latestPrice: 150 },
+      ),
+    );
+    const client = new Client({
+      api_token: "pk_test",
+      transport: fetch,
+      cache: true,
+    });
+    await expect(client.quote("AAPL")).resolves.toEqual({ latestPrice: 150 });
+
+    client._context.cache.store.set = async () => {
+      throw new Error("ENOSPC: no space left on device");
+    };
+    await expect(client.quote("MSFT")).resolves.toEqual({ latestPrice: 150 });
+  });
+
+  test("Quotes use the session policy while the market is open", async () => {
+    jest.setSystemTime(at("2021-11-24T16:00:00Z"));
+    const fetch = transport();
+    const client = new Client({
+      api_token: "pk_test",
+      transport: fetch,
+      cache: true,
+    });
+
+    await client.quote("AAPL");
+    const { store } = client._context.cache;
+    const [key] = (await store.keys()).filter((k) => k.match(/quote/));
+    expect((await store.get(key)).expires).toBe(
+      at("2021-11-24T16:00:05Z").getTime(),
+    );
+  });
+
+  test("Until close", async () => {
+    jest.setSystemTime(at("2021-11-26T15:00:00Z"));
+    const cache = new Cache({
+      calendar: new TradingCalendar({ holidays: ["2021-11-25"] }),
+    });
+    await cache.set("key", 1, { until: "close" });
+    expect((await cache.get("key")).expires).toBe(
+      at("2021-11-26T18:00:00Z").getTime(),
+    );
+
+    // not cached in session when the session policy is false
+    await cache.set("other", 1, { until: "open", session: false });
+    expect(await cache.get("other")).toBeUndefined();
+  });
+
+  test("Rejects unknown policies", () => {
+    expect(() => new Cache({ default: { until: "lunch" } })).toThrow(
+      "Unrecognized cache policy",
+    );
+    expect(
+      () => new Cache({ default: { until: "open", session: "sometimes" } }),
+    ).toThrow("Unrecognized cache policy");
+  });
+});
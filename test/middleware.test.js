@@ -0,0 +1,163 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, NotFoundError } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const echoTransport = (status = 200) =>
+  fakeTransport((url, init) =>
+    response(
+      status,
+      status === 200 ? { url, headers: init.headers } : "Unknown symbol",
+    ),
+  );
+
+describe("Middleware", () => {
+  test("Modifies outgoing requests", async () => {
+    const transport = echoTransport();
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      middleware: [
+        (request, next) => {
+          request.headers["X-Egress"] = "iex";
+          return next();
+        },
+        (request, next) =>
+          next({
+            ...request,
+            url: request.url.replace(
+              "https://cloud.iexapis.com",
+              "http://proxy.local",
+            ),
+          }),
+      ],
+    });
+
+    const result = await client.quote("AAPL");
+    expect(result.url).toBe(
+      "http://proxy.local/v1/stock/AAPL/quote?token=pk_test",
+    );
+    expect(result.headers).toEqual({
+      "Content-Type": "application/json",
+      "X-Egress": "iex",
+    });
+  });
+
+  test("Runs in order, outermost first", async () => {
+    const calls = [];
+    const logging = (name) => async (request, next) => {
+      calls.push(`${name}>`);
+      const result = await next();
+      calls.push(`<${name}`);
+      return result;
+    };
+    const client = new Client({
+      api_token: "pk_test",
+      transport: echoTransport(),
+    })
+      .use(logging("a"))
+      .use(logging("b"));
+
+    await client.quote("AAPL");
+    expect(calls).toEqual(["a>", "b>", "<b", "<a"]);
+  });
+
+  test("Describes the request", async () => {
+    const seen = [];
+    const client = new Client({
+      api_token: "sk_test",
+      transport: echoTransport(),
+    });
+    client.use((request, next) => {
+      seen.push(request);
+      return next();
+    });
+
+    await client.quote("AAPL");
+    await client.messageBudget(1000);
+    expect(seen.map(({ method, endpoint }) => [method, endpoint])).toEqual([
+      ["GET", "stock/AAPL/quote"],
+      ["POST", "account/messagebudget"],
+    ]);
+    expect(seen[1].body).toEqual({ token: "sk_test" });
+  });
+
+  test("Short-circuits with a synthetic result", async () => {
+    const transport = echoTransport();
+    const client = new Client({ api_token: "pk_test", transport });
+    client.use(async () => ({ symbol: "AAPL", latestPrice: 1 }));
+
+    expect(await client.quote("AAPL")).toEqual({
+      symbol: "AAPL",
+      latestPrice: 1,
+    });
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  test("Transforms results and errors", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: echoTransport(404),
+    });
+    client.use(async (request, next) => {
+      try {
+        return await next();
+      } catch (error) {
+        if (error instanceof NotFoundError) return null;
+        throw error;
+      }
+    });
+    expect(await client.quote("XXXX")).toBeNull();
+
+    const scrubbing = new Client({
+      api_token: "pk_test",
+      transport: echoTransport(),
+    }).use(async (request, next) => {
+      const { headers, ...rest } = await next();
+      return rest;
+    });
+    expect(await scrubbing.quote("AAPL")).toEqual({
+      url: "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=pk_test",
+    });
+  });
+
+  test("Errors thrown by middleware reject the call", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: echoTransport(),
+    }).use(() => {
+      throw new Error("blocked");
+    });
+    await expect(client.quote("AAPL")).rejects.toThrow("blocked");
+  });
+
+  test("use on a derived client leaves its parents alone", async () => {
+    const client = new Client({
+      api_token: "pk_test",
+      transport: echoTransport(),
+    });
+    const derived = client.withOptions({ timeout: 1000 });
+    const tagged = derived.withOptions({}).use(async () => "tagged");
+
+    expect(await tagged.quote("AAPL")).toBe("tagged");
+    expect(await derived.quote("AAPL")).not.toBe("tagged");
+    expect(await client.quote("AAPL")).not.toBe("tagged");
+  });
+
+  test("Validation", () => {
+    expect(
+      () => new Client({ api_token: "pk_test", middleware: ["log"] }),
+    ).toThrow("middleware must be a function");
+    expect(() => new Client({ api_token: "pk_test" }).use(null)).toThrow(
+      "middleware must be a function",
+    );
+  });
+});
@@ -0,0 +1,221 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const {
+  Client,
+  MessageBudgetExceededError,
+  TokenPool,
+  _streamSSE,
+} = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+// answers with the token used, refusing those in `refused`
+const poolTransport = (refused = {}) =>
+  fakeTransport((url) => {
+    const token = new URL(url).searchParams.get("token");
+    const status = refused[token] || 200;
+    return response(status, status === 200 ? token : "Refused", {
+      "iexcloud-messages-used": 1,
+    });
+  });
+
+const tokensUsed = (transport) =>
+  transport.mock.calls.map(([url]) => new URL(url).searchParams.get("token"));
+
+describe("Token pool", () => {
+  test("Spreads requests by weight", async () => {
+    const transport = poolTransport();
+    const client = new Client({
+      tokens: [{ token: "pk_a", weight: 3 }, "pk_b"],
+      transport,
+    });
+    for (let i = 0; i < 8; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await client.quote("AAPL");
+    }
+    const used = tokensUsed(transport);
+    expect(used.filter((token) => token === "pk_a").length).toBe(6);
+    expect(used.filter((token) => token === "pk_b").length).toBe(2);
+  });
+
+  test("Fails over on 402 and 403", async () => {
+    const transport = poolTransport({ pk_a: 402, pk_b: 403 });
+    const client = new Client({
+      tokens: ["pk_a", "pk_b", "pk_c"],
+      transport,
+    });
+
+    expect(await client.quote("AAPL")).toBe("pk_c");
+    expect(tokensUsed(transport)).toEqual(["pk_a", "pk_b", "pk_c"]);
+
+    // refused tokens sit out their cooldown
+    expect(await client.quote("AAPL")).toBe("pk_c");
+    expect(transport).toHaveBeenCalledTimes(4);
+    expect(client.poolStatus().map(({ refused }) => refused)).toEqual([
+      true,
+      true,
+      false,
+    ]);
+  });
+
+  test("Every token refused", async () => {
+    const client = new Client({
+      tokens: ["pk_a", "pk_b"],
+      transport: poolTransport({ pk_a: 402, pk_b: 402 }),
+    });
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error.status).toBe(402);
+    expect(error.message.indexOf("pk_")).toBe(-1);
+  });
+
+  test("Per-token budgets", async () => {
+    const transport = poolTransport();
+    const client = new Client({
+      tokens: [
+        { token: "pk_a", budget: { daily: 2, onWarning: () => {} } },
+        { token: "pk_b", budget: { daily: 1, onWarning: () => {} } },
+      ],
+      transport,
+    });
+
+    await Promise.all([client.quote("AAPL"), client.quote("MSFT")]);
+    await client.quote("IBM");
+    await expect(client.quote("AAPL")).rejects.toThrow(
+      MessageBudgetExceededError,
+    );
+    expect(tokensUsed(transport).sort()).toEqual(["pk_a", "pk_a", "pk_b"]);
+    expect(client.poolStatus()[0].budget.daily).toEqual({ used: 2, limit: 2 });
+  });
+
+  test("Secret endpoints use pooled secret tokens", async () => {
+    const transport = poolTransport();
+    const client = new Client({
+      tokens: [{ token: "pk_a", secretToken: "sk_a" }],
+      transport,
+    });
+    expect(await client.quote("AAPL")).toBe("pk_a");
+    expect(await client.metadata()).toBe("sk_a");
+  });
+
+  test("Streams rotate without restarting", async () => {
+    let stream = null;
+    try {
+      const pool = new TokenPool(["pk_a", "pk_b"]);
+      const client = new Client({ tokens: pool });
+      const received = [];
+      stream = _streamSSE(
+        "https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=pk_a",
+        (datum) => received.push(datum),
+        true,
+        client._context,
+      );
+      const first = stream.source;
+      expect(first.url).toMatch(/token=pk_a$/);
+      expect(stream.url).toBe(
+        "https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=REDACTED",
+      );
+
+      first.onerror({ status: 402 });
+      expect(stream.source).not.toBe(first);
+      expect(first.readyState).toBe(2);
+      expect(stream.source.url).toMatch(/token=pk_b$/);
+
+      await stream.source.onmessage({ data: '{"symbol":"AAPL"}' });
+      expect(received).toEqual([{ symbol: "AAPL" }]);
+      expect(stream.accrued).toEqual([{ symbol: "AAPL" }]);
+
+      // transient errors leave the token in place
+      const second = stream.source;
+      second.onerror({ status: 500 });
+      expect(stream.source).toBe(second);
+    } finally {
+      stream.close();
+    }
+    expect(stream.readyState).toBe(2);
+  });
+
+  test("Streams close with an error once the pool is exhausted", () => {
+    const pool = new TokenPool(["pk_a", "pk_b"]);
+    const client = new Client({ tokens: pool });
+    const seen = [];
+    client.on("sseError", (event) => seen.push(event));
+    const stream = _streamSSE(
+      "https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=pk_a",
+      () => {},
+      false,
+      client._context,
+    );
+    const errors = [];
+    stream.addEventListener("error", (event) => errors.push(event));
+    stream.onerror = (event) => errors.push(event);
+
+    stream.source.onerror({ status: 401 });
+    expect(errors).toEqual([]);
+    stream.source.onerror({ status: 401 });
+    expect(stream.readyState).toBe(2);
+    expect(errors).toHaveLength(2);
+    expect(errors[0].error.name).toBe("AuthenticationError");
+    expect(errors[0].error.message).toBe(
+      "Stream refused with 401, and no token in the pool is left to connect with",
+    );
+    expect(seen[seen.length - 1].error).toBe(errors[0].error);
+  });
+
+  test("Streams rotate on browsers' status-less errors", () => {
+    const { EventSource } = global;
+    class NativeEventSource {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+      }
+
+      addEventListener() {
+        return this;
+      }
+
+      close() {
+        this.readyState = 2;
+      }
+    }
+    global.EventSource = NativeEventSource;
+    try {
+      const stream = _streamSSE(
+        "https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=pk_a",
+        () => {},
+        false,
+        new Client({ tokens: ["pk_a", "pk_b"] })._context,
+      );
+      const first = stream.source;
+
+      // reconnecting by itself, e.g. after a network error
+      first.onerror({});
+      expect(stream.source).toBe(first);
+
+      // given up on, as for error responses
+      first.readyState = 2;
+      first.onerror({});
+      expect(stream.source).not.toBe(first);
+      expect(stream.source.url).toMatch(/token=pk_b$/);
+      stream.close();
+    } finally {
+      global.EventSource = EventSource;
+    }
+  });
+
+  test("Validation", () => {
+    expect(() => new TokenPool([])).toThrow("tokens must be a non-empty array");
+    expect(() => new TokenPool([{ token: "pk_a", weight: 0 }])).toThrow(
+      "weight must be a positive number, got 0",
+    );
+    expect(() => new Client({ tokens: ["pk_a", "Tpk_b"] })).toThrow(
+      "Using test key but attempting to connect to non-sandbox environment",
+    );
+  });
+});
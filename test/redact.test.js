@@ -0,0 +1,145 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const util = require("util");
+const { Client, _streamSSE, redact } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const TOKEN = "pk_0123456789abcdef";
+
+const leaks = (value) =>
+  JSON.stringify({ value, stack: value && value.stack }).indexOf(TOKEN) >= 0;
+
+describe("Redaction", () => {
+  test("Strings", () => {
+    expect(
+      redact(
+        "GET https://cloud.iexapis.com/v1/stock/AAPL/quote?token=abc&filter=x",
+      ),
+    ).toBe(
+      "GET https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED&filter=x",
+    );
+    expect(redact("keys pk_abc123, sk_abc123, Tpk_abc123 and Tsk_abc123")).toBe(
+      "keys REDACTED, REDACTED, REDACTED and REDACTED",
+    );
+    expect(redact("using hunter2", "hunter2")).toBe("using REDACTED");
+    expect(redact("no secrets here")).toBe("no secrets here");
+  });
+
+  test("Objects and errors", () => {
+    expect(
+      redact({ token: "hunter2", urls: [`/quote?token=${TOKEN}`], count: 1 }),
+    ).toEqual({ token: "REDACTED", urls: ["/quote?token=REDACTED"], count: 1 });
+
+    const error = new Error(`request to /quote?token=${TOKEN} failed`);
+    expect(redact(error)).toBe(error);
+    expect(error.message).toBe("request to /quote?token=REDACTED failed");
+    expect(leaks(error)).toBe(false);
+    expect(redact(null)).toBeNull();
+  });
+
+  test("Transport failures", async () => {
+    const client = new Client({
+      api_token: TOKEN,
+      transport: async (url) => {
+        throw new Error(`request to ${url} failed, reason: ECONNRESET`);
+      },
+    });
+    const seen = [];
+    client.on("error", (event) => seen.push(event));
+
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error.name).toBe("NetworkError");
+    expect(error.message).toBe(
+      "Request failed - request to https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED failed, reason: ECONNRESET",
+    );
+    expect(leaks(error)).toBe(false);
+    expect(leaks(error.cause)).toBe(false);
+    expect(leaks(seen)).toBe(false);
+  });
+
+  test("Unreadable responses", async () => {
+    // tokens in no recognizable format are only redacted verbatim
+    const client = new Client({
+      api_token: "custom-token",
+      transport: fakeTransport(() => ({
+        ...response(200),
+        json: async () => {
+          throw new Error("invalid json response body for key custom-token");
+        },
+      })),
+    });
+
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error.message).toBe("invalid json response body for key REDACTED");
+    expect(error.stack.indexOf("custom-token")).toBe(-1);
+  });
+
+  test("Error responses and retries", async () => {
+    const onRetry = jest.fn();
+    const client = new Client({
+      api_token: "custom-token",
+      transport: fakeTransport((url) => response(500, `Failed ${url}`)),
+      retry: { maxAttempts: 2, minDelay: 0, maxDelay: 0, onRetry },
+    });
+
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(JSON.stringify(error).indexOf("custom-token")).toBe(-1);
+    expect(error.message.indexOf("custom-token")).toBe(-1);
+    expect(error.stack.indexOf("custom-token")).toBe(-1);
+    expect(onRetry.mock.calls[0][0].url).toBe(
+      "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED",
+    );
+  });
+
+  test("Middleware errors", async () => {
+    const client = new Client({ api_token: TOKEN }).use((request) => {
+      throw new Error(`blocked ${request.url}`);
+    });
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error.message).toBe(
+      "blocked https://cloud.iexapis.com/v1/stock/AAPL/quote?token=REDACTED",
+    );
+  });
+
+  test("Stream errors", () => {
+    const client = new Client({ api_token: TOKEN });
+    const seen = [];
+    client.on("sseError", (event) => seen.push(event));
+    const url = `https://cloud-sse.iexapis.com/v1/tops?symbols=AAPL&token=${TOKEN}`;
+    const stream = _streamSSE(url, () => {}, false, client._context);
+    const errors = [];
+    stream.onerror = (error) => errors.push(error);
+    stream.close();
+    expect(stream.url).not.toMatch(TOKEN);
+
+    // native EventSource errors carry the source, and its url, as target
+    stream.source.onerror({
+      type: "error",
+      target: { url },
+      message: `Unauthorized: ${url}`,
+    });
+    expect(leaks(seen)).toBe(false);
+    expect(leaks(errors)).toBe(false);
+    expect(errors).toEqual([
+      {
+        type: "error",
+        status: undefined,
+        message: expect.stringMatching(/^Unauthorized: /),
+      },
+    ]);
+  });
+
+  test("Clients", () => {
+    const client = new Client({ api_token: TOKEN });
+    expect(String(client)).toBe("Client(v1, token REDACTED)");
+    expect(util.inspect(client).indexOf(TOKEN)).toBe(-1);
+  });
+});
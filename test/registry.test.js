@@ -0,0 +1,288 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const iex = require("../src/js");
+
+const {
+  Client,
+  ValidationError,
+  _ENDPOINTS,
+  _NAMESPACES,
+  _endpoint,
+  _namespace,
+} = iex;
+
+const BASE = "https://cloud.iexapis.com/v1/";
+
+// an argument of each type, for endpoints without `values`; strings are
+// mostly optional, and those that are not are sampled by name
+const SAMPLES = {
+  symbol: "AAPL",
+  symbols: ["AAPL", "MSFT"],
+  number: 1,
+  boolean: true,
+  date: "20210104",
+  object: {},
+  function: () => {},
+};
+
+const NAMED = { expiration: "202101" };
+
+const sample = (arg) => {
+  if (arg.default !== undefined) return arg.default;
+  if (arg.values) return arg.values[0];
+  if (NAMED[arg.name] !== undefined) return NAMED[arg.name];
+  return SAMPLES[arg.type];
+};
+
+const dryRunClient = () =>
+  new Client({
+    api_token: "pk_test",
+    secret_token: "sk_test",
+    transport: jest.fn(),
+    dryRun: true,
+  });
+
+const route = (plan) =>
+  plan.url.slice(BASE.length).replace(/[?&]token=REDACTED/, "");
+
+describe("Endpoint registry", () => {
+  test("Every endpoint has a function and Client method", () => {
+    const names = Object.keys(_ENDPOINTS);
+    expect(names.length).toBeGreaterThan(200);
+    names.forEach((name) => {
+      expect(typeof iex[name]).toBe("function");
+      expect(iex[name]).toBe(_ENDPOINTS[name].call);
+      if (_ENDPOINTS[name].flat) {
+        expect(typeof Client.prototype[name]).toBe("function");
+      }
+    });
+  });
+
+  test("Every request endpoint builds its url", async () => {
+    const client = dryRunClient();
+    const requests = Object.values(_ENDPOINTS).filter(({ run }) => !run);
+    const plans = await Promise.all(
+      requests.map(({ args, invoke }) =>
+        invoke.call(
+          client,
+          ...args.filter((arg) => !arg.trailing).map(sample),
+          undefined,
+          ...args.filter((arg) => arg.trailing).map(sample),
+        ),
+      ),
+    );
+    plans.forEach((plan, index) => {
+      const { name, method } = requests[index];
+      expect([name, plan.method]).toEqual([name, method]);
+      expect([name, plan.url.startsWith(BASE)]).toEqual([name, true]);
+      expect([name, plan.url]).not.toEqual([
+        name,
+        expect.stringMatching(/[{}]/),
+      ]);
+    });
+  });
+
+  test("Arguments are checked before sending", () => {
+    const client = dryRunClient();
+    expect(() => client.quote()).toThrow(ValidationError);
+    expect(() => client.quote(1)).toThrow(ValidationError);
+    expect(() => client.list("nope")).toThrow(ValidationError);
+    expect(() => client.stocks.options("AAPL")).toThrow(
+      "expiration is required",
+    );
+    expect(() => client.stocks.collections()).toThrow("tag is required");
+    expect(() => client.stockSplits("AAPL", "1d")).toThrow(ValidationError);
+    expect(() => client.options("AAPL", "202101", "both")).toThrow(
+      ValidationError,
+    );
+    expect(() => client.technicals("AAPL", "abs", "1m", [1])).toThrow(
+      ValidationError,
+    );
+    expect(() => client.technicals("AAPL", "macd", "1m", [1, 2, 3, 4])).toThrow(
+      ValidationError,
+    );
+    expect(() => client.payAsYouGo("yes")).toThrow(ValidationError);
+  });
+
+  test("Optional path segments and query arguments", async () => {
+    const client = dryRunClient();
+    expect(route(await client.usage())).toBe("account/usage");
+    expect(route(await client.usage("messages"))).toBe(
+      "account/usage/messages",
+    );
+    expect(route(await client.payAsYouGo(true))).toBe(
+      "account/payasyougo?allow=true",
+    );
+    expect(route(await client.daily("20210104", 5))).toBe(
+      "stats/historical/daily?date=20210104&last=5",
+    );
+    expect(route(await client.keyStats("AAPL"))).toBe("stock/AAPL/stats");
+    expect(route(await client.keyStats("AAPL", "beta"))).toBe(
+      "stock/AAPL/stats/beta",
+    );
+    expect(route(await client.upcomingEvents())).toBe(
+      "stock/market/upcoming-events",
+    );
+    expect(route(await client.earnings("AAPL", "annual", 2, "actualEPS"))).toBe(
+      "stock/AAPL/earnings/2/actualEPS?period=annual",
+    );
+    expect(route(await client.batch("AAPL"))).toBe(
+      "stock/AAPL/batch?types=quote&range=1m&last=10",
+    );
+  });
+
+  test("Chart and intraday options", async () => {
+    const client = dryRunClient();
+    expect(
+      route(
+        await client.chart("AAPL", { timeframe: "5d", last: 3, sort: "ASC" }),
+      ),
+    ).toBe("stock/AAPL/chart/5d?chartLast=3&sort=asc");
+    expect(route(await client.chart("AAPL", { date: "20210104" }))).toBe(
+      "stock/AAPL/chart/date/20210104?sort=desc",
+    );
+    expect(() => client.chart("AAPL", { sort: "up" })).toThrow(ValidationError);
+    expect(
+      route(await client.intraday("AAPL", { exactDate: "20210104", last: 2 })),
+    ).toBe("stock/AAPL/intraday-prices?exactDate=20210104&chartLast=2");
+    expect(
+      route(await client.technicals("AAPL", "bbands", "1m", [20, 2])),
+    ).toBe("stock/AAPL/indicator/bbands?range=1m&input1=20&input2=2");
+  });
+
+  test("Time series endpoints", async () => {
+    const client = dryRunClient();
+    expect(route(await client.tenK("AAPL"))).toBe(
+      "time-series/REPORTED_FINANCIALS/AAPL/10-K?limit=1",
+    );
+    expect(route(await client.tenQ("AAPL", { limit: 4 }))).toBe(
+      "time-series/REPORTED_FINANCIALS/AAPL/10-Q?limit=4",
+    );
+    expect(route(await client.dividends("AAPL", "ref"))).toBe(
+      "time-series/advanced_dividends/AAPL/ref?limit=1",
+    );
+    expect(() => client.dividends("AAPL", null, { key: "MSFT" })).toThrow(
+      ValidationError,
+    );
+  });
+
+  test("Definitions", () => {
+    expect(() =>
+      _endpoint({ name: "quote", url: "stock/{symbol}/quote" }),
+    ).toThrow(ValidationError);
+    expect(() => _endpoint({ name: "registryTestNoUrl" })).toThrow(
+      ValidationError,
+    );
+    expect(() =>
+      _endpoint({
+        name: "registryTestBadType",
+        args: [{ name: "x", type: "tuple" }],
+        url: "x",
+      }),
+    ).toThrow(ValidationError);
+  });
+});
+
+describe("Client namespaces", () => {
+  test("Every endpoint is in a namespace", () => {
+    const namespaced = new Set(
+      Object.values(_NAMESPACES).flatMap((members) => Object.values(members)),
+    );
+    expect(
+      Object.keys(_ENDPOINTS).filter((name) => !namespaced.has(name)),
+    ).toEqual([]);
+  });
+
+  test("Namespaced methods call their own endpoints", async () => {
+    const client = dryRunClient();
+    expect(route(await client.stocks.book("AAPL"))).toBe("stock/AAPL/book");
+    expect(route(await client.deep.book("AAPL"))).toBe(
+      "deep/book?symbols=AAPL",
+    );
+    expect(route(await client.deep.all())).toBe("deep");
+    expect(route(await client.refdata.symbols())).toBe("ref-data/symbols");
+    expect(route(await client.premium.brain.brain30DaySentiment("AAPL"))).toBe(
+      "time-series/PREMIUM_BRAIN_SENTIMENT_30_DAYS/AAPL?limit=1",
+    );
+    expect(typeof client.streams.stocksUS).toBe("function");
+    expect(client.deep.all).toBe(client.deep.all);
+    expect(client.premium.brain).toBe(client.premium.brain);
+    expect(Object.isFrozen(client.stocks)).toBe(true);
+  });
+
+  test("Derived clients have their own namespaces", async () => {
+    const client = dryRunClient();
+    const derived = client.withOptions({ timeout: 1000 });
+    expect(derived.stocks).not.toBe(client.stocks);
+    const { requests } = await client.estimate((dry) =>
+      dry.stocks.quote("AAPL"),
+    );
+    expect(requests.map(route)).toEqual(["stock/AAPL/quote"]);
+  });
+
+  test("Flat methods warn once each", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      // warnings are once per process, so from a fresh copy
+      let fresh = null;
+      jest.isolateModules(() => {
+        // eslint-disable-next-line global-require
+        fresh = require("../src/js");
+      });
+      const client = new fresh.Client({
+        api_token: "pk_test",
+        transport: jest.fn(),
+        dryRun: true,
+      });
+      await client.peers("AAPL");
+      await client.peers("MSFT");
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toBe(
+        "Client.peers is deprecated: use client.stocks.peers",
+      );
+      await client.stocks.peers("AAPL");
+      expect(warn).toHaveBeenCalledTimes(1);
+
+      expect(route(await client.book("AAPL"))).toBe("stock/AAPL/book");
+      await client.book("AAPL");
+      expect(warn).toHaveBeenCalledTimes(2);
+      expect(warn.mock.calls[1][0]).toMatch(
+        /ambiguous with client\.deep\.book.*client\.stocks\.book/,
+      );
+      client.stocksUSSSE("AAPL").close();
+      expect(warn.mock.calls[2][0]).toBe(
+        "Client.stocksUSSSE is deprecated: use client.streams.stocksUS",
+      );
+
+      // DEEP endpoints keep their flat names, but for `deep` and `bookDeep`
+      expect(route(await client.tops("AAPL"))).toBe("tops?symbols=AAPL%2B");
+      expect(route(await client.hist("20210104"))).toBe("hist?date=20210104");
+      expect(warn.mock.calls.slice(3).map(([message]) => message)).toEqual([
+        "Client.tops is deprecated, and ambiguous with client.streams.tops: use client.deep.tops",
+        "Client.hist is deprecated: use client.deep.hist",
+      ]);
+      expect(client.deep.all).toBeDefined();
+      expect(client.bookDeep).toBeUndefined();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test("Namespaces and flat methods cannot shadow each other", () => {
+    expect(() => _namespace("quote", {})).toThrow(ValidationError);
+    expect(() => _endpoint({ name: "stocks", url: "x" })).toThrow(
+      ValidationError,
+    );
+    expect(() => _namespace("stocks", { book: iex.bookDeep })).toThrow(
+      ValidationError,
+    );
+  });
+});
@@ -0,0 +1,170 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, _parseRetryAfter, _retryPolicy } = require("../src/js");
+const { response } = require("./fakes");
+
+const sequenceTransport = (...responses) => {
+  const queue = [...responses];
+  return jest.fn(async () => {
+    const next = queue.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+};
+
+const FAST = { minDelay: 1, maxDelay: 5, jitter: false };
+
+describe("Retry", () => {
+  test("Retries 429 and 5xx on GET", async () => {
+    const onRetry = jest.fn();
+    const transport = sequenceTransport(
+      response(429),
+      response(503),
+      response(200, { symbol: "AAPL" }),
+    );
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      retry: { ...FAST, onRetry },
+    });
+
+    const res = await client.quote("AAPL");
+    expect(res.symbol).toBe("AAPL");
+    expect(transport).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls[0][0]).toMatchObject({
+      method: "GET",
+      attempt: 1,
+      status: 429,
+    });
+  });
+
+  test("Records retries on the thrown error", async () => {
+    const transport = sequenceTransport(response(500), response(500));
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      retry: { ...FAST, maxAttempts: 2 },
+    });
+
+    const error = await client.quote("AAPL").catch((e) => e);
+    expect(error.message).toMatch("Response 500");
+    expect(error.message).toMatch("(after 1 retry)");
+    expect(error.retries).toHaveLength(1);
+    expect(error.retries[0].status).toBe(500);
+  });
+
+  test("Does not retry client errors", async () => {
+    const transport = sequenceTransport(response(404), response(200));
+    const client = new Client({ api_token: "pk_test", transport, retry: FAST });
+
+    await expect(client.quote("AAPL")).rejects.toThrow("Response 404");
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test("Does not retry POST unless opted in", async () => {
+    const transport = sequenceTransport(response(503), response(200, {}));
+    const client = new Client({ api_token: "sk_test", transport, retry: FAST });
+    await expect(client.messageBudget(10)).rejects.toThrow("Response 503");
+    expect(transport).toHaveBeenCalledTimes(1);
+
+    const transport2 = sequenceTransport(response(503), response(200, {}));
+    const client2 = new Client({
+      api_token: "sk_test",
+      transport: transport2,
+      retry: { ...FAST, retryPost: true },
+    });
+    await client2.messageBudget(10);
+    expect(transport2).toHaveBeenCalledTimes(2);
+  });
+
+  test("Retries network failures", async () => {
+    const transport = sequenceTransport(
+      new Error("socket hang up"),
+      response(200, { symbol: "AAPL" }),
+    );
+    const client = new Client({ api_token: "pk_test", transport, retry: FAST });
+    expect((await client.quote("AAPL")).symbol).toBe("AAPL");
+  });
+
+  test("Honours Retry-After", async () => {
+    const onRetry = jest.fn();
+    const transport = sequenceTransport(
+      response(429, {}, { "Retry-After": "0.02" }),
+      response(200, {}),
+    );
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      retry: { ...FAST, maxDelay: 50, onRetry },
+    });
+    await client.quote("AAPL");
+    expect(onRetry.mock.calls[0][0].delay).toBe(20);
+  });
+
+  test("Caps Retry-After at maxDelay", async () => {
+    const onRetry = jest.fn();
+    const transport = sequenceTransport(
+      response(503, {}, { "Retry-After": "3600" }),
+      response(200, {}),
+    );
+    const client = new Client({
+      api_token: "pk_test",
+      transport,
+      retry: { ...FAST, onRetry },
+    });
+    await client.quote("AAPL");
+    expect(onRetry.mock.calls[0][0].delay).toBe(5);
+  });
+
+  test("Does not retry failures after a response", async () => {
+    const malformed = {
+      ...response(200),
+      json: async () => {
+        throw new SyntaxError("Unexpected token < in JSON");
+      },
+    };
+    const transport = sequenceTransport(malformed, response(200, {}));
+    const client = new Client({ api_token: "pk_test", transport, retry: FAST });
+    await expect(client.quote("AAPL")).rejects.toThrow(SyntaxError);
+    expect(transport).toHaveBeenCalledTimes(1);
+
+    const listened = sequenceTransport(response(200, {}), response(200, {}));
+    const watched = new Client({
+      api_token: "pk_test",
+      transport: listened,
+      retry: FAST,
+    });
+    watched.on("response", () => {
+      throw new Error("listener failed");
+    });
+    await expect(watched.quote("AAPL")).rejects.toThrow("listener failed");
+    expect(listened).toHaveBeenCalledTimes(1);
+  });
+
+  test("Parses Retry-After", () => {
+    expect(_parseRetryAfter("2")).toBe(2000);
+    expect(_parseRetryAfter(null)).toBe(null);
+    expect(_parseRetryAfter("garbage")).toBe(null);
+    const inFuture = new Date(Date.now() + 60000).toUTCString();
+    expect(_parseRetryAfter(inFuture)).toBeGreaterThan(0);
+  });
+
+  test("Normalizes policies", () => {
+    expect(_retryPolicy(false)).toBe(null);
+    expect(_retryPolicy(true).maxAttempts).toBe(3);
+    expect(_retryPolicy(5).maxAttempts).toBe(5);
+    expect(_retryPolicy({ retryPost: true }).retryPost).toBe(true);
+    expect(() => new Client({ api_token: "pk_test", retry: "x" })).toThrow(
+      "Unrecognized retry policy",
+    );
+  });
+});
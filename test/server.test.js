@@ -0,0 +1,224 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const fetch = require("cross-fetch");
+const http = require("http");
+
+const iex = require("../src/js");
+const { createProxy, createProxyServer } = require("../src/js/server");
+
+const { Client, PermissionError, ValidationError } = iex;
+
+const TOKEN_VARIABLES = [
+  "IEX_TOKEN",
+  "IEX_SECRET_TOKEN",
+  "IEX_SANDBOX_TOKEN",
+  "IEX_SANDBOX_SECRET_TOKEN",
+];
+
+const listen = (server) =>
+  new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}/`),
+    );
+  });
+
+const close = (server) =>
+  new Promise((resolve) => {
+    if (server.closeAllConnections) server.closeAllConnections();
+    server.close(() => resolve());
+  });
+
+// stands in for IEX Cloud, recording the urls requested
+const upstreamServer = (requested) =>
+  http.createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url.startsWith("/stable/stocksUS?symbols=REFUSED")) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+    if (req.url.startsWith("/stable/stocksUS")) {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write('data: [{"symbol":"AAPL","latestPrice":1}]\n\n');
+      return;
+    }
+    if (req.url.indexOf("format=csv") >= 0) {
+      res.writeHead(200, { "Content-Type": "text/csv" });
+      res.end("symbol\nAAPL\n");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ symbol: "AAPL" }));
+  });
+
+describe("Proxy", () => {
+  const saved = {};
+  let requested;
+  let upstream;
+  let upstreamUrl;
+  let proxy;
+  let proxyUrl;
+  let browser;
+
+  beforeEach(async () => {
+    TOKEN_VARIABLES.forEach((name) => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+    requested = [];
+    upstream = upstreamServer(requested);
+    upstreamUrl = await listen(upstream);
+    proxy = createProxyServer({
+      client: {
+        api_token: "pk_server",
+        version: "stable",
+        baseUrl: upstreamUrl,
+        sseUrl: upstreamUrl,
+      },
+      allow: ["stock/company", "stocksUS", /^ref-data\//],
+      origin: "https://dashboard.example.com",
+    });
+    proxyUrl = await listen(proxy);
+    browser = new Client({
+      version: "stable",
+      baseUrl: proxyUrl,
+      sseUrl: proxyUrl,
+    });
+  });
+
+  afterEach(async () => {
+    TOKEN_VARIABLES.forEach((name) => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    await close(proxy);
+    await close(upstream);
+  });
+
+  test("Clients with a baseUrl need no token", () => {
+    expect(browser._context.tokenless).toBe(true);
+    expect(() => new Client({ version: "stable" })).toThrow();
+  });
+
+  test("REST requests are forwarded with the server's token", async () => {
+    await expect(browser.stocks.company("AAPL")).resolves.toEqual({
+      symbol: "AAPL",
+    });
+    expect(requested).toEqual(["/stable/stock/AAPL/company?token=pk_server"]);
+  });
+
+  test("Responses are cached by the server's client", async () => {
+    await browser.stocks.company("AAPL");
+    await browser.stocks.company("AAPL");
+    expect(requested).toHaveLength(1);
+  });
+
+  test("Endpoints outside the allowlist are refused", async () => {
+    await expect(browser.stocks.quote("AAPL")).rejects.toBeInstanceOf(
+      PermissionError,
+    );
+    await expect(browser.refdata.symbols()).resolves.toEqual({
+      symbol: "AAPL",
+    });
+    expect(requested).toEqual(["/stable/ref-data/symbols?token=pk_server"]);
+  });
+
+  test("Only GET requests are served, with the allowed origin", async () => {
+    const response = await fetch(`${proxyUrl}stable/stock/AAPL/company`, {
+      method: "POST",
+    });
+    expect(response.status).toBe(405);
+    expect(response.headers.get("access-control-allow-origin")).toBe(
+      "https://dashboard.example.com",
+    );
+    expect(requested).toEqual([]);
+  });
+
+  test("CORS preflights are answered", async () => {
+    const response = await fetch(`${proxyUrl}stable/stock/AAPL/company`, {
+      method: "OPTIONS",
+      headers: {
+        Origin: "https://dashboard.example.com",
+        "Access-Control-Request-Method": "GET",
+        "Access-Control-Request-Headers": "content-type",
+      },
+    });
+    expect(response.status).toBe(204);
+    expect(response.headers.get("access-control-allow-origin")).toBe(
+      "https://dashboard.example.com",
+    );
+    expect(response.headers.get("access-control-allow-methods")).toBe("GET");
+    expect(response.headers.get("access-control-allow-headers")).toMatch(
+      /Content-Type/,
+    );
+    expect(requested).toEqual([]);
+  });
+
+  test("Formats other than JSON are passed through", async () => {
+    const response = await fetch(
+      `${proxyUrl}stable/stock/AAPL/company?format=csv`,
+    );
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toMatch(/^text\/csv/);
+    await expect(response.text()).resolves.toBe("symbol\nAAPL\n");
+    expect(requested).toEqual([
+      "/stable/stock/AAPL/company?format=csv&token=pk_server",
+    ]);
+  });
+
+  test("Streams are relayed with the server's token", async () => {
+    const received = await new Promise((resolve) => {
+      const stream = browser.streams.stocksUS("AAPL", (data) => {
+        stream.close();
+        resolve(data);
+      });
+    });
+    expect(received).toEqual([{ symbol: "AAPL", latestPrice: 1 }]);
+    expect(requested).toEqual([
+      "/stable/stocksUS?symbols=AAPL&token=pk_server",
+    ]);
+  });
+
+  test("Relayed streams end once the upstream stream gives up", async () => {
+    const response = await fetch(`${proxyUrl}stable/stocksUS?symbols=REFUSED`, {
+      headers: { Accept: "text/event-stream" },
+    });
+    expect(response.status).toBe(200);
+    await expect(response.text()).resolves.toBe("");
+    expect(requested).toEqual([
+      "/stable/stocksUS?symbols=REFUSED&token=pk_server",
+    ]);
+  });
+
+  test("Other routes are passed on to the next handler", () => {
+    const handler = createProxy({
+      client: { api_token: "pk_server", version: "stable" },
+      allow: "*",
+    });
+    const next = jest.fn();
+    handler({ url: "/health", method: "GET", headers: {} }, {}, next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test("The main entry leaves the server out", () => {
+    expect(iex.createProxy).toBeUndefined();
+    expect(iex.createProxyServer).toBeUndefined();
+  });
+
+  test("An allowlist is required", () => {
+    const client = new Client({ api_token: "pk_server", version: "stable" });
+    expect(() => createProxy({ client })).toThrow(ValidationError);
+    expect(() => createProxy({ client, allow: "stock/quote" })).toThrow(
+      ValidationError,
+    );
+    expect(() => createProxy({ client, allow: ["stock/quote"] })).not.toThrow();
+  });
+});
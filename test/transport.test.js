@@ -0,0 +1,61 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const { Client, quote, metadata } = require("../src/js");
+const { fakeTransport, response } = require("./fakes");
+
+const stubTransport = (body, status = 200) =>
+  fakeTransport(() => response(status, body));
+
+describe("Transport", () => {
+  test("Client routes requests through transport", async () => {
+    const transport = stubTransport({ symbol: "AAPL" });
+    const client = new Client({ api_token: "pk_test", transport });
+
+    const res = await client.quote("AAPL");
+    expect(res.symbol).toBe("AAPL");
+    expect(transport).toHaveBeenCalledTimes(1);
+
+    const [url, init] = transport.mock.calls[0];
+    expect(url).toBe(
+      "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=pk_test",
+    );
+    expect(init.method).toBe("GET");
+  });
+
+  test("Standalone functions accept a request context", async () => {
+    const transport = stubTransport({ symbol: "AAPL" });
+
+    await quote("AAPL", { token: "Tpk_test", transport }, "sandbox", "symbol");
+    expect(transport.mock.calls[0][0]).toBe(
+      "https://sandbox.iexapis.com/stable/stock/AAPL/quote?token=Tpk_test&filter=symbol",
+    );
+  });
+
+  test("Secret checks read the token from the context", () => {
+    const transport = stubTransport({});
+    expect(() => metadata({ token: "pk_test", transport })).toThrow(
+      "Requires secret token!",
+    );
+    expect(() => metadata({ token: "sk_test", transport })).not.toThrow();
+  });
+
+  test("Errors surface from the transport response", async () => {
+    const transport = stubTransport("Unknown symbol", 404);
+    const client = new Client({ api_token: "pk_test", transport });
+    await expect(client.quote("ZZZZ")).rejects.toThrow("Response 404");
+  });
+
+  test("Rejects a non-function transport", () => {
+    expect(() => new Client({ api_token: "pk_test", transport: {} })).toThrow(
+      "transport must be a fetch-compatible function",
+    );
+  });
+});
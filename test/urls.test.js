@@ -0,0 +1,106 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+/* eslint-disable no-undef */
+
+const {
+  Client,
+  _SSE_DEEP_URL_PREFIX,
+  _SSE_URL_PREFIX,
+  _SSE_URL_PREFIX_ALL_SANDBOX,
+  overrideUrl,
+} = require("../src/js");
+const { fakeTransport } = require("./fakes");
+
+const okTransport = () => fakeTransport();
+
+describe("Base urls", () => {
+  test("Scoped to a client", async () => {
+    const transport = okTransport();
+    const local = new Client({
+      api_token: "pk_test",
+      transport,
+      baseUrl: "http://localhost:8080",
+    });
+    const cloud = new Client({ api_token: "pk_test", transport });
+
+    await local.quote("AAPL");
+    await cloud.quote("AAPL");
+    await local.withOptions({ timeout: 1000 }).company("AAPL");
+
+    expect(transport.mock.calls.map(([url]) => url)).toEqual([
+      "http://localhost:8080/v1/stock/AAPL/quote?token=pk_test",
+      "https://cloud.iexapis.com/v1/stock/AAPL/quote?token=pk_test",
+      "http://localhost:8080/v1/stock/AAPL/company?token=pk_test",
+    ]);
+  });
+
+  test("Sandbox", async () => {
+    const transport = okTransport();
+    const sandbox = new Client({
+      api_token: "Tpk_test",
+      version: "sandbox",
+      transport,
+      baseUrl: "http://localhost:8080/",
+      sandboxUrl: "http://localhost:8081/",
+    });
+
+    await sandbox.quote("AAPL");
+    expect(transport.mock.calls[0][0]).toBe(
+      "http://localhost:8081/stable/stock/AAPL/quote?token=Tpk_test",
+    );
+  });
+
+  test("SSE", () => {
+    const context = { token: "pk_test", sseUrl: "http://localhost:9000" };
+    expect(_SSE_URL_PREFIX("v1", "tops", "AAPL", context)).toBe(
+      "http://localhost:9000/v1/tops?symbols=AAPL&token=pk_test",
+    );
+    expect(_SSE_DEEP_URL_PREFIX("v1", "AAPL", "book", "pk_test")).toBe(
+      "https://cloud-sse.iexapis.com/v1/deep?symbols=AAPL&channels=book&token=pk_test",
+    );
+    expect(
+      _SSE_URL_PREFIX_ALL_SANDBOX("tops", {
+        token: "Tpk_test",
+        sandboxSseUrl: "http://localhost:9001/",
+      }),
+    ).toBe("http://localhost:9001/stable/tops?token=Tpk_test");
+  });
+
+  test("Validates urls", () => {
+    expect(
+      () => new Client({ api_token: "pk_test", baseUrl: "localhost" }),
+    ).toThrow("baseUrl must be an http(s) url, got localhost");
+    expect(
+      () => new Client({ api_token: "pk_test", sseUrl: "ftp://localhost" }),
+    ).toThrow("sseUrl must be an http(s) url");
+  });
+
+  test("overrideUrl does not affect clients with a baseUrl", async () => {
+    const transport = okTransport();
+    const local = new Client({
+      api_token: "pk_test",
+      transport,
+      baseUrl: "http://localhost:8080",
+    });
+    const cloud = new Client({ api_token: "pk_test", transport });
+
+    overrideUrl("http://localhost:7000/v1/");
+    try {
+      await local.quote("AAPL");
+      await cloud.quote("AAPL");
+    } finally {
+      overrideUrl("https://cloud.iexapis.com/v1/");
+    }
+
+    expect(transport.mock.calls.map(([url]) => url)).toEqual([
+      "http://localhost:8080/v1/stock/AAPL/quote?token=pk_test",
+      "http://localhost:7000/v1/stock/AAPL/quote?token=pk_test",
+    ]);
+  });
+});
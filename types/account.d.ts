@@ -0,0 +1,11 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/account`, built from src/js/account/index.js
+export { messageBudget, metadata, payAsYouGo, usage } from "../index";
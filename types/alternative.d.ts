@@ -0,0 +1,11 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/alternative`, built from src/js/alternative/index.js
+export { sentiment, ceoCompensation } from "../index";
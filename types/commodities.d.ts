@@ -0,0 +1,22 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/commodities`, built from src/js/commodities/index.js
+export {
+  wti,
+  brent,
+  natgas,
+  heatoil,
+  jet,
+  diesel,
+  gasreg,
+  gasmid,
+  gasprm,
+  propane,
+} from "../index";
@@ -0,0 +1,37 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/common`, built from src/js/common/index.js
+export {
+  HttpProxyAgent,
+  HttpsProxyAgent,
+  MessageBudgetGuard,
+  Cache,
+  CostLedger,
+  CredentialProvider,
+  FetchEventSource,
+  IEXJSException,
+  ValidationError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  RateLimitError,
+  MessageBudgetExceededError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  FileStore,
+  RateLimiter,
+  TradingCalendar,
+  MemoryStore,
+  TokenPool,
+  redact,
+  overrideUrl,
+} from "../index";
@@ -0,0 +1,26 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/deep`, built from src/js/marketdata/http.js
+export {
+  tops,
+  last,
+  deep,
+  auction,
+  bookDeep,
+  opHaltStatus,
+  officialPrice,
+  securityEvent,
+  ssrStatus,
+  systemEvent,
+  trades,
+  tradeBreak,
+  tradingStatus,
+  hist,
+} from "../index";
@@ -0,0 +1,30 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/economic`, built from src/js/economic/index.js
+export {
+  us30,
+  us15,
+  us5,
+  fedfunds,
+  creditcard,
+  cdnj,
+  cdj,
+  gdp,
+  indpro,
+  cpi,
+  payroll,
+  housing,
+  unemployment,
+  vehicles,
+  recessionProb,
+  initialClaims,
+  institutionalMoney,
+  retailMoney,
+} from "../index";
@@ -0,0 +1,71 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/premium`, built from src/js/premium/index.js
+export {
+  directorAndOfficerChanges,
+  accountingQualityAndRiskMatrix,
+  brain30DaySentiment,
+  brain7DaySentiment,
+  brain21DayMLReturnRanking,
+  brain10DayMLReturnRanking,
+  brain5DayMLReturnRanking,
+  brain3DayMLReturnRanking,
+  brain2DayMLReturnRanking,
+  brainLanguageMetricsOnCompanyFilingsAll,
+  brainLanguageMetricsOnCompanyFilings,
+  brainLanguageMetricsOnCompanyFilingsDifferenceAll,
+  brainLanguageMetricsOnCompanyFilingsDifference,
+  cam1,
+  esgCFPBComplaints,
+  esgCPSCRecalls,
+  esgDOLVisaApplications,
+  esgEPAEnforcements,
+  esgEPAMilestones,
+  esgFECIndividualCampaingContributions,
+  esgOSHAInspections,
+  esgSenateLobbying,
+  esgUSASpending,
+  esgUSPTOPatentApplications,
+  esgUSPTOPatentGrants,
+  tacticalModel1,
+  similarityIndex,
+  nonTimelyFilings,
+  kScore,
+  kScoreChina,
+  precisionAlphaPriceDynamics,
+  socialSentiment,
+  valuEngineStockResearchReport,
+  analystDays,
+  boardOfDirectorsMeeting,
+  businessUpdates,
+  buybacks,
+  capitalMarketsDay,
+  companyTravel,
+  filingDueDates,
+  fiscalQuarterEnd,
+  forum,
+  generalConference,
+  fdaAdvisoryCommitteeMeetings,
+  holidaysWSH,
+  indexChanges,
+  iposWSH,
+  legalActions,
+  mergersAndAcquisitions,
+  productEvents,
+  researchAndDevelopmentDays,
+  sameStoreSales,
+  secondaryOfferings,
+  seminars,
+  shareholderMeetings,
+  summitMeetings,
+  tradeShows,
+  witchingHours,
+  workshops,
+} from "../index";
@@ -0,0 +1,23 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/premium/brain`, built from src/js/premium/brain/index.js
+export {
+  brain30DaySentiment,
+  brain7DaySentiment,
+  brain21DayMLReturnRanking,
+  brain10DayMLReturnRanking,
+  brain5DayMLReturnRanking,
+  brain3DayMLReturnRanking,
+  brain2DayMLReturnRanking,
+  brainLanguageMetricsOnCompanyFilingsAll,
+  brainLanguageMetricsOnCompanyFilings,
+  brainLanguageMetricsOnCompanyFilingsDifferenceAll,
+  brainLanguageMetricsOnCompanyFilingsDifference,
+} from "../../index";
@@ -0,0 +1,25 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/premium/extractalpha`, built from src/js/premium/extractalpha/index.js
+export {
+  cam1,
+  esgCFPBComplaints,
+  esgCPSCRecalls,
+  esgDOLVisaApplications,
+  esgEPAEnforcements,
+  esgEPAMilestones,
+  esgFECIndividualCampaingContributions,
+  esgOSHAInspections,
+  esgSenateLobbying,
+  esgUSASpending,
+  esgUSPTOPatentApplications,
+  esgUSPTOPatentGrants,
+  tacticalModel1,
+} from "../../index";
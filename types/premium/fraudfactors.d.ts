@@ -0,0 +1,11 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/premium/fraudfactors`, built from src/js/premium/fraudfactors/index.js
+export { similarityIndex, nonTimelyFilings } from "../../index";
@@ -0,0 +1,38 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/premium/wallstreethorizon`, built from src/js/premium/wallstreethorizon/index.js
+export {
+  analystDays,
+  boardOfDirectorsMeeting,
+  businessUpdates,
+  buybacks,
+  capitalMarketsDay,
+  companyTravel,
+  filingDueDates,
+  fiscalQuarterEnd,
+  forum,
+  generalConference,
+  fdaAdvisoryCommitteeMeetings,
+  holidaysWSH,
+  indexChanges,
+  iposWSH,
+  legalActions,
+  mergersAndAcquisitions,
+  productEvents,
+  researchAndDevelopmentDays,
+  sameStoreSales,
+  secondaryOfferings,
+  seminars,
+  shareholderMeetings,
+  summitMeetings,
+  tradeShows,
+  witchingHours,
+  workshops,
+} from "../../index";
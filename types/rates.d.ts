@@ -0,0 +1,21 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/rates`, built from src/js/rates/index.js
+export {
+  thirtyYear,
+  twentyYear,
+  tenYear,
+  fiveYear,
+  twoYear,
+  oneYear,
+  sixMonth,
+  threeMonth,
+  oneMonth,
+} from "../index";
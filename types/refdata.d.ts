@@ -0,0 +1,37 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/refdata`, built from src/js/refdata/index.js
+export {
+  calendar,
+  holidays,
+  exchanges,
+  internationalExchanges,
+  figi,
+  search,
+  sectors,
+  tags,
+  symbols,
+  iexSymbols,
+  mutualFundSymbols,
+  otcSymbols,
+  internationalSymbols,
+  fxSymbols,
+  optionsSymbols,
+  cryptoSymbols,
+  symbolsList,
+  iexSymbolsList,
+  mutualFundSymbolsList,
+  otcSymbolsList,
+  internationalSymbolsList,
+  cryptoSymbolsList,
+  fxSymbolsList,
+  optionsSymbolsList,
+  isinLookup,
+} from "../index";
@@ -0,0 +1,41 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/server`, built from src/js/server.js, and kept out of the main
+// entry as it needs Node's http
+import { Client, ClientOptions } from "../index";
+
+export interface ProxyOptions {
+  /** Client holding the token, or options to create one, with `cache` and `rateLimit` on by default */
+  client?: Client | ClientOptions;
+  /** endpoints to serve, named as in `client.costs()`, e.g. "stock/quote" or "stocksUS", or "*" for all */
+  allow: Array<string | RegExp> | "*";
+  /** `Access-Control-Allow-Origin` for pages on other origins */
+  origin?: string;
+}
+
+/** Node `http` request handler, also usable as Express/Connect middleware */
+export type ProxyHandler = (
+  req: any,
+  res: any,
+  next?: (error?: any) => void
+) => void;
+
+/** Node `http.Server` */
+export interface ProxyServer {
+  listen(...args: any[]): this;
+  close(callback?: (error?: Error) => void): this;
+  address(): any;
+}
+
+/** Serve IEX Cloud's REST and SSE routes with the server's token, for browsers to use without one */
+export function createProxy(options: ProxyOptions): ProxyHandler;
+
+/** HTTP server around `createProxy` */
+export function createProxyServer(options: ProxyOptions): ProxyServer;
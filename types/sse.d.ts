@@ -0,0 +1,61 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/sse`, built from src/js/marketdata/streams.js
+export {
+  CRYPTOBOOK,
+  CRYPTOEVENTS,
+  CRYPTOQUOTES,
+  cryptoBookSSE,
+  cryptoEventsSSE,
+  cryptoQuotesSSE,
+  FOREX,
+  FOREX1SECOND,
+  FOREX5SECOND,
+  FOREX1MINUTE,
+  fxSSE,
+  forex1SecondSSE,
+  forex5SecondSSE,
+  forex1MinuteSSE,
+  newsSSE,
+  sentimentSSE,
+  TRADINGSTATUS,
+  AUCTION,
+  OPHALTSTATUS,
+  SSR,
+  SECURITYEVENT,
+  TRADEBREAK,
+  TRADES,
+  BOOK,
+  SYSTEMEVENT,
+  ALL,
+  topsSSE,
+  lastSSE,
+  deepSSE,
+  tradesSSE,
+  auctionSSE,
+  bookSSE,
+  opHaltStatusSSE,
+  officialPriceSSE,
+  securityEventSSE,
+  ssrStatusSSE,
+  systemEventSSE,
+  tradeBreaksSSE,
+  tradingStatusSSE,
+  STOCKSUSNOUTP,
+  STOCKSUS,
+  STOCKSUS1SECOND,
+  STOCKSUS5SECOND,
+  STOCKSUS1MINUTE,
+  stocksUSNoUTPSSE,
+  stocksUSSSE,
+  stocksUS1SecondSSE,
+  stocksUS5SecondSSE,
+  stocksUS1MinuteSSE,
+} from "../index";
@@ -0,0 +1,81 @@
+/* ***************************************************************************
+ *
+ * Copyright (c) 2021, the iexjs authors.
+ *
+ * This file is part of the iexjs library, distributed under the terms of
+ * the Apache License 2.0.  The full license can be found in the LICENSE file.
+ *
+ */
+
+// `iexjs/stocks`, built from src/js/stocks/index.js
+export {
+  batch,
+  stockSplits,
+  bonusIssue,
+  distribution,
+  dividends,
+  returnOfCapital,
+  rightsIssue,
+  rightToPurchase,
+  securityReclassification,
+  securitySwap,
+  spinoff,
+  splits,
+  balanceSheet,
+  cashFlow,
+  dividendsBasic,
+  earnings,
+  financials,
+  fundamentals,
+  incomeStatement,
+  collections,
+  earningsToday,
+  ipoToday,
+  ipoUpcoming,
+  list,
+  marketVolume,
+  marketOhlc,
+  marketYesterday,
+  marketPrevious,
+  sectorPerformance,
+  marketShortInterest,
+  upcomingEvents,
+  upcomingEarnings,
+  upcomingDividends,
+  upcomingSplits,
+  upcomingIPOs,
+  news,
+  marketNews,
+  book,
+  delayedQuote,
+  largestTrades,
+  ohlc,
+  yesterday,
+  previous,
+  price,
+  quote,
+  spread,
+  volumeByVenue,
+  chart,
+  intraday,
+  company,
+  insiderRoster,
+  insiderSummary,
+  insiderTransactions,
+  logo,
+  peers,
+  advancedStats,
+  analystRecommendations,
+  estimates,
+  fundOwnership,
+  institutionalOwnership,
+  keyStats,
+  priceTarget,
+  technicals,
+  threshold,
+  shortInterest,
+  timeSeriesInventory,
+  timeSeries,
+  tenQ,
+  tenK,
+} from "../index";